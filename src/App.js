@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useState, useRef } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
@@ -19,11 +19,19 @@ import FeedScreen from './screens/FeedScreen';
 import UserProfileScreen from './screens/UserProfileScreen';
 import PostDetailScreen from './screens/PostDetailScreen';
 import FollowListScreen from './screens/FollowListScreen';
+import UnlockScreen from './screens/UnlockScreen';
+import SearchScreen from './screens/SearchScreen';
+
+// Components
+import RelayAuthPrompt from './components/RelayAuthPrompt';
 
 // Services
 import { nostrService } from './services/NostrService';
 import { botService } from './services/BotService';
 import { notificationService } from './services/NotificationService';
+import { keystoreService } from './services/KeystoreService';
+import { signerService } from './services/SignerService';
+import { accountService } from './services/AccountService';
 import { nostrUtils } from './utils/nostrUtils';
 import { STORAGE_KEYS, THEMES } from './utils/constants';
 
@@ -184,6 +192,14 @@ function AppNavigator() {
           presentation: 'card'
         }}
       />
+      <Stack.Screen 
+        name="Search" 
+        component={SearchScreen}
+        options={{ 
+          title: 'Search Messages',
+          presentation: 'card'
+        }}
+      />
       <Stack.Screen 
         name="FollowList" 
         component={FollowListScreen}
@@ -199,20 +215,110 @@ function AppNavigator() {
 export default function App() {
   const [isInitialized, setIsInitialized] = useState(false);
   const [hasKeys, setHasKeys] = useState(false);
+  const [isLocked, setIsLocked] = useState(false);
+  const [accountKey, setAccountKey] = useState(accountService.activePubkey || 'none');
+  const servicesStartedRef = useRef(false);
 
   useEffect(() => {
     initializeApp();
+    
+    // Auto-lock (or a manual lock from Settings) puts the unlock screen back over the app
+    const removeKeystoreListener = keystoreService.addListener(() => {
+      setIsLocked(keystoreService.isLocked());
+    });
+    
+    const removeAccountListener = accountService.addListener((change) => {
+      if (change.type === 'switched') {
+        switchAccount(change.pubkey);
+      }
+    });
+    
+    // Keyboard use on web doesn't go through the responder system, so count it as activity too
+    const handleKeyDown = () => keystoreService.touch();
+    if (Platform.OS === 'web') {
+      window.addEventListener('keydown', handleKeyDown);
+    }
+    
+    return () => {
+      removeKeystoreListener();
+      removeAccountListener();
+      if (Platform.OS === 'web') {
+        window.removeEventListener('keydown', handleKeyDown);
+      }
+    };
   }, []);
 
   const initializeApp = async () => {
     try {
       console.log('🚀 Initializing IRC on Nostr app...');
       
-      // Check if user has keys
-      const privateKey = await AsyncStorage.getItem(STORAGE_KEYS.PRIVATE_KEY);
+      await accountService.load();
+      setAccountKey(accountService.activePubkey || 'none');
+      
+      // A passphrase-protected key has to be unlocked before anything can use it
+      await keystoreService.load();
+      if (keystoreService.isLocked()) {
+        console.log('🔒 Private key is locked - waiting for passphrase');
+        setIsLocked(true);
+        setIsInitialized(true);
+        return;
+      }
+      
+      await startServices();
+    } catch (error) {
+      console.error('❌ App initialization failed:', error);
+      setIsInitialized(true); // Still show app
+    }
+  };
+
+  const handleUnlocked = async () => {
+    setIsLocked(false);
+    
+    // First unlock after launch: services were held back until now
+    if (!servicesStartedRef.current) {
+      setIsInitialized(false);
+      await startServices();
+    }
+  };
+
+  // Tear down everything tied to the previous account and start again for the new one.
+  // Remounting the navigator lets every screen close its subscriptions and reload.
+  const switchAccount = async (pubkey) => {
+    console.log(`🔀 Switching to account ${pubkey ? pubkey.substring(0, 8) + '...' : 'none'}`);
+    setIsInitialized(false);
+    
+    try {
+      await botService.shutdown();
+    } catch (error) {
+      console.error('⚠️ Bot service shutdown failed:', error);
+    }
+    await nostrService.teardown();
+    await keystoreService.load();
+    setAccountKey(pubkey || 'none');
+    
+    if (keystoreService.isLocked()) {
+      console.log('🔒 Account is locked - waiting for passphrase');
+      servicesStartedRef.current = false;
+      setIsLocked(true);
+      setIsInitialized(true);
+      return;
+    }
+    
+    setIsLocked(false);
+    await startServices();
+  };
+
+  const startServices = async () => {
+    servicesStartedRef.current = true;
+    
+    try {
+      // Check if user has keys (or an external signer holding them)
+      await signerService.load();
+      const privateKey = await keystoreService.getPrivateKey();
       const publicKey = await AsyncStorage.getItem(STORAGE_KEYS.PUBLIC_KEY);
+      const canSign = !!privateKey || signerService.isExternal();
       
-      if (privateKey && publicKey) {
+      if (canSign && publicKey) {
         setHasKeys(true);
         console.log('✅ Existing keys found');
       } else {
@@ -221,7 +327,7 @@ export default function App() {
       }
       
       // Initialize Nostr service first (if we have keys)
-      if (privateKey && publicKey) {
+      if (canSign && publicKey) {
         try {
           await nostrService.initialize();
           console.log('✅ Nostr service initialized');
@@ -263,6 +369,16 @@ export default function App() {
     }
   };
 
+  // Locked before the app ever started: nothing else is mounted yet
+  if (isInitialized && isLocked && !servicesStartedRef.current) {
+    return (
+      <>
+        <StatusBar style="light" backgroundColor={THEMES.DARK.backgroundColor} />
+        <UnlockScreen onUnlocked={handleUnlocked} />
+      </>
+    );
+  }
+
   if (!isInitialized) {
     return (
       <View style={{ 
@@ -284,9 +400,29 @@ export default function App() {
   }
 
   return (
-    <NavigationContainer>
-      <StatusBar style="light" backgroundColor={THEMES.DARK.backgroundColor} />
-      <AppNavigator />
-    </NavigationContainer>
+    <View
+      style={{ flex: 1 }}
+      onStartShouldSetResponderCapture={() => {
+        // Any touch counts as activity for the auto-lock; never claim the responder
+        keystoreService.touch();
+        return false;
+      }}
+    >
+      <NavigationContainer key={accountKey}>
+        <StatusBar style="light" backgroundColor={THEMES.DARK.backgroundColor} />
+        <AppNavigator />
+      </NavigationContainer>
+      
+      {/* NIP-42: relays that refuse us until we authenticate ask through this */}
+      <RelayAuthPrompt />
+      
+      {/* Auto-locked while running: cover the app but keep its navigation state */}
+      {isLocked && (
+        <UnlockScreen
+          style={{ position: 'absolute', top: 0, left: 0, right: 0, bottom: 0 }}
+          onUnlocked={handleUnlocked}
+        />
+      )}
+    </View>
   );
 }
\ No newline at end of file
@@ -1,7 +1,8 @@
 import { nostrService } from '../services/NostrService';
+import { signerService } from '../services/SignerService';
 import { nostrUtils } from '../utils/nostrUtils';
 import { EVENT_KINDS, MESSAGE_TYPES, BOT_RESPONSE_TYPES } from '../utils/constants';
-import { generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools';
+import { generateSecretKey, getPublicKey } from 'nostr-tools';
 
 export class BotFramework {
   constructor() {
@@ -322,39 +323,26 @@ export class BotFramework {
         content: content
       };
       
-      // Use enhanced publishing through NostrService with bot's identity
-      // Temporarily store current user keys
-      const originalPrivateKey = nostrService.privateKey;
-      const originalPublicKey = nostrService.publicKey;
+      // Use enhanced publishing through NostrService, signed with the bot's own key
+      const botSigner = signerService.createLocalSigner(bot.privateKeyHex);
       
       try {
-        // Use bot's keys for this message
-        nostrService.privateKey = bot.privateKeyHex;
-        nostrService.publicKey = bot.publicKey;
-        
         // Use enhanced publishing with rate-limiting, retries, and proof-of-work
         const publishOptions = {
           useProofOfWork: true,
-          proofOfWorkDifficulty: 16 // Moderate difficulty for bot responses
+          proofOfWorkDifficulty: 16, // Moderate difficulty for bot responses
+          signer: botSigner
         };
         
         console.log(`🔄 Publishing bot response with enhanced delivery from ${bot.displayName}...`);
         const publishedEvent = await nostrService.publishEvent(eventTemplate, 0, publishOptions);
         console.log(`✅ Bot response sent successfully from ${bot.displayName} with enhanced delivery`);
         
-        // Restore original user keys
-        nostrService.privateKey = originalPrivateKey;
-        nostrService.publicKey = originalPublicKey;
-        
         return publishedEvent;
         
       } catch (relayError) {
         console.error('❌ Enhanced relay publishing failed for bot response:', relayError.message);
         
-        // Restore original user keys in case of error
-        nostrService.privateKey = originalPrivateKey;
-        nostrService.publicKey = originalPublicKey;
-        
         // For bot responses, try a simplified approach without proof-of-work as fallback
         console.log('🔄 Attempting simplified publishing without proof-of-work...');
         try {
@@ -369,26 +357,14 @@ export class BotFramework {
             content: content
           };
           
-          // Use bot's keys for simplified publishing
-          nostrService.privateKey = bot.privateKeyHex;
-          nostrService.publicKey = bot.publicKey;
-          
-          const fallbackEvent = await nostrService.publishEvent(simplifiedEvent, 0, { useProofOfWork: false });
+          const fallbackEvent = await nostrService.publishEvent(simplifiedEvent, 0, { useProofOfWork: false, signer: botSigner });
           console.log('✅ Bot response published with simplified approach');
           
-          // Restore original user keys
-          nostrService.privateKey = originalPrivateKey;
-          nostrService.publicKey = originalPublicKey;
-          
           return fallbackEvent;
           
         } catch (fallbackError) {
           console.error('❌ Even simplified publishing failed:', fallbackError.message);
           
-          // Restore original user keys
-          nostrService.privateKey = originalPrivateKey;
-          nostrService.publicKey = originalPublicKey;
-          
           // As last resort, still throw the error
           throw relayError;
         }
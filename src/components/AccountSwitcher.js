@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { accountService } from '../services/AccountService';
+import { nostrUtils } from '../utils/nostrUtils';
+import { SIGNER_TYPES, THEMES } from '../utils/constants';
+
+const SIGNER_ICONS = {
+  [SIGNER_TYPES.LOCAL]: 'key',
+  [SIGNER_TYPES.NIP07]: 'extension-puzzle',
+  [SIGNER_TYPES.NIP46]: 'cloud',
+};
+
+const getAccountLabel = (account) => {
+  if (account.name) return account.name;
+  try {
+    return nostrUtils.truncatePubkey(nostrUtils.pubkeyToNpub(account.pubkey), 16);
+  } catch (error) {
+    return nostrUtils.truncatePubkey(account.pubkey, 16);
+  }
+};
+
+// Lists the accounts on this device. Switching is handled by App, which tears the
+// services down and starts them again for the chosen account.
+const AccountSwitcher = ({ visible, onClose, onAddAccount, theme = THEMES.DARK }) => {
+  const [accounts, setAccounts] = useState(accountService.getAccounts());
+  const [activePubkey, setActivePubkey] = useState(accountService.activePubkey);
+  const [switchingTo, setSwitchingTo] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => {
+      setAccounts(accountService.getAccounts());
+      setActivePubkey(accountService.activePubkey);
+    };
+
+    refresh();
+    return accountService.addListener(refresh);
+  }, [visible]);
+
+  const switchTo = async (pubkey) => {
+    if (pubkey === activePubkey || switchingTo) return;
+
+    try {
+      setSwitchingTo(pubkey);
+      await accountService.switchTo(pubkey);
+      onClose?.();
+    } catch (error) {
+      console.error('Error switching account:', error);
+      Alert.alert('Error', 'Failed to switch account');
+    } finally {
+      setSwitchingTo(null);
+    }
+  };
+
+  const confirmRemove = (account) => {
+    const removeAccount = async () => {
+      try {
+        await accountService.removeAccount(account.pubkey);
+      } catch (error) {
+        console.error('Error removing account:', error);
+        Alert.alert('Error', 'Failed to remove account');
+      }
+    };
+
+    const message = account.signerType === SIGNER_TYPES.LOCAL
+      ? 'Its private key, relays and settings are deleted from this device. Make sure you have a backup of the key.'
+      : 'Its relays and settings are deleted from this device. The key stays with your signer.';
+
+    if (typeof window !== 'undefined') {
+      if (window.confirm(`Remove ${getAccountLabel(account)}?\n\n${message}`)) {
+        removeAccount();
+      }
+    } else {
+      Alert.alert(`Remove ${getAccountLabel(account)}?`, message, [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: removeAccount }
+      ]);
+    }
+  };
+
+  const sortedAccounts = [...accounts].sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0));
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={[styles.content, { backgroundColor: theme.cardBackgroundColor }]}>
+          <Text style={[styles.title, { color: theme.textColor }]}>Accounts</Text>
+
+          <ScrollView style={styles.list}>
+            {sortedAccounts.length === 0 && (
+              <Text style={[styles.empty, { color: theme.secondaryTextColor }]}>
+                No accounts yet
+              </Text>
+            )}
+
+            {sortedAccounts.map(account => {
+              const isActive = account.pubkey === activePubkey;
+              return (
+                <View
+                  key={account.pubkey}
+                  style={[styles.accountRow, { borderBottomColor: theme.borderColor }]}
+                >
+                  <TouchableOpacity
+                    style={styles.accountInfo}
+                    onPress={() => switchTo(account.pubkey)}
+                    disabled={isActive || !!switchingTo}
+                  >
+                    <Ionicons
+                      name={SIGNER_ICONS[account.signerType] || 'key'}
+                      size={20}
+                      color={isActive ? theme.primaryColor : theme.secondaryTextColor}
+                    />
+                    <View style={styles.accountText}>
+                      <Text style={[styles.accountName, { color: theme.textColor }]} numberOfLines={1}>
+                        {getAccountLabel(account)}
+                      </Text>
+                      <Text style={[styles.accountPubkey, { color: theme.secondaryTextColor }]} numberOfLines={1}>
+                        {isActive ? 'Active' : nostrUtils.truncatePubkey(account.pubkey, 16)}
+                      </Text>
+                    </View>
+                    {switchingTo === account.pubkey && (
+                      <ActivityIndicator size="small" color={theme.primaryColor} />
+                    )}
+                    {isActive && (
+                      <Ionicons name="checkmark-circle" size={20} color={theme.primaryColor} />
+                    )}
+                  </TouchableOpacity>
+
+                  <TouchableOpacity
+                    style={styles.removeButton}
+                    onPress={() => confirmRemove(account)}
+                    disabled={!!switchingTo}
+                  >
+                    <Ionicons name="trash-outline" size={18} color={theme.errorColor} />
+                  </TouchableOpacity>
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            {onAddAccount && (
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: theme.primaryColor }]}
+                onPress={() => {
+                  onClose?.();
+                  onAddAccount();
+                }}
+              >
+                <Text style={[styles.buttonText, { color: 'white' }]}>Add Account</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.button, { backgroundColor: theme.borderColor }]}
+              onPress={onClose}
+            >
+              <Text style={[styles.buttonText, { color: theme.textColor }]}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  content: {
+    borderRadius: 12,
+    padding: 20,
+    width: '100%',
+    maxWidth: 400,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  list: {
+    maxHeight: 360,
+  },
+  empty: {
+    fontSize: 14,
+    paddingVertical: 12,
+  },
+  accountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+  },
+  accountInfo: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    gap: 12,
+  },
+  accountText: {
+    flex: 1,
+  },
+  accountName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  accountPubkey: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    marginTop: 2,
+  },
+  removeButton: {
+    padding: 8,
+    marginLeft: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 16,
+  },
+  button: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default AccountSwitcher;
@@ -197,6 +197,15 @@ const CacheManager = ({ theme = THEMES.DARK }) => {
                 {formatCacheSize(stats.groupMembers)}
               </Text>
             </View>
+
+            <View style={styles.statRow}>
+              <Text style={[styles.statLabel, { color: theme.secondaryTextColor }]}>
+                Channel History:
+              </Text>
+              <Text style={[styles.statValue, { color: theme.textColor }]}>
+                {formatCacheSize(stats.channelMessages)}
+              </Text>
+            </View>
           </View>
 
           <View style={styles.actionsContainer}>
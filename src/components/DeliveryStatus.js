@@ -0,0 +1,69 @@
+import React from 'react';
+import {
+  Text,
+  StyleSheet,
+  TouchableOpacity
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { DELIVERY_STATES, PUBLISH_STATUS, THEMES } from '../utils/constants';
+
+const DeliveryStatus = ({
+  delivery,
+  onRetry,
+  onQueuedPress,
+  theme = THEMES.DARK
+}) => {
+  if (!delivery) {
+    return null;
+  }
+
+  if (delivery.state === DELIVERY_STATES.PENDING) {
+    return (
+      <Text style={[styles.label, { color: theme.secondaryTextColor }]}>
+        <Ionicons name="time-outline" size={11} color={theme.secondaryTextColor} /> sending…
+      </Text>
+    );
+  }
+
+  if (delivery.state === DELIVERY_STATES.QUEUED) {
+    return (
+      <TouchableOpacity onPress={onQueuedPress} disabled={!onQueuedPress} style={styles.actionButton}>
+        <Text style={[styles.label, { color: theme.warningColor }]}>
+          <Ionicons name="cloud-offline-outline" size={11} color={theme.warningColor} /> waiting to send{delivery.lastError ? ` (${delivery.lastError})` : ''}
+        </Text>
+      </TouchableOpacity>
+    );
+  }
+
+  if (delivery.state === DELIVERY_STATES.SENT) {
+    return (
+      <Text style={[styles.label, { color: theme.secondaryTextColor }]}>
+        <Ionicons name="checkmark-done" size={11} color={theme.successColor} /> sent to {delivery.accepted} relay{delivery.accepted === 1 ? '' : 's'}
+      </Text>
+    );
+  }
+
+  // Surface the first relay's reason so "blocked:" or "rate-limited:" is visible without digging
+  const rejection = delivery.results?.find(result => result.status === PUBLISH_STATUS.REJECTED);
+  const reason = rejection?.message || (delivery.timedOut ? 'no response from relays' : null);
+
+  return (
+    <TouchableOpacity onPress={onRetry} disabled={!onRetry} style={styles.actionButton}>
+      <Text style={[styles.label, { color: theme.errorColor }]}>
+        <Ionicons name="alert-circle" size={11} color={theme.errorColor} /> failed{reason ? ` (${reason})` : ''}{onRetry ? ' · tap to retry' : ''}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  label: {
+    fontSize: 10,
+    marginTop: 2,
+  },
+  actionButton: {
+    alignSelf: 'flex-start',
+  },
+});
+
+export default DeliveryStatus;
@@ -7,12 +7,20 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { nostrUtils } from '../utils/nostrUtils';
+import DeliveryStatus from './DeliveryStatus';
+import ReactionBar from './ReactionBar';
 import { MESSAGE_TYPES, THEMES } from '../utils/constants';
 
 const MessageItem = ({ 
   message, 
   onReply, 
   onUserPress,
+  onRetry,
+  onQueuedPress,
+  reactions = [],
+  onReact,
+  onToggleReaction,
+  onShowReactors,
   theme = THEMES.DARK 
 }) => {
   const isSystem = message.type === MESSAGE_TYPES.SYSTEM;
@@ -31,6 +39,12 @@ const MessageItem = ({
     }
   };
 
+  const handleRetry = () => {
+    if (onRetry) {
+      onRetry(message);
+    }
+  };
+
   if (isSystem) {
     return (
       <View style={styles.systemMessageContainer}>
@@ -57,6 +71,11 @@ const MessageItem = ({
         <Text style={[styles.timestamp, { color: theme.secondaryTextColor }]}>
           {nostrUtils.formatTimestamp(message.timestamp)}
         </Text>
+        {onReact && (
+          <TouchableOpacity onPress={() => onReact(message)} style={styles.replyButton}>
+            <Ionicons name="happy-outline" size={14} color={theme.secondaryTextColor} />
+          </TouchableOpacity>
+        )}
         {!isSystem && (
           <TouchableOpacity onPress={handleReply} style={styles.replyButton}>
             <Ionicons name="arrow-undo" size={14} color={theme.secondaryTextColor} />
@@ -79,11 +98,27 @@ const MessageItem = ({
         {isAction ? `* ${message.content}` : message.content}
       </Text>
       
+      <ReactionBar
+        reactions={reactions}
+        onToggle={onToggleReaction ? (reaction) => onToggleReaction(message, reaction) : null}
+        onShowReactors={onShowReactors}
+        theme={theme}
+      />
+      
       {isBot && (
         <View style={[styles.botIndicator, { backgroundColor: theme.successColor }]}>
           <Text style={styles.botText}>Bot Response</Text>
         </View>
       )}
+
+      {message.delivery && (
+        <DeliveryStatus
+          delivery={message.delivery}
+          onRetry={onRetry ? handleRetry : null}
+          onQueuedPress={onQueuedPress ? () => onQueuedPress(message) : null}
+          theme={theme}
+        />
+      )}
     </View>
   );
 };
@@ -0,0 +1,82 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  TouchableOpacity
+} from 'react-native';
+import { THEMES } from '../utils/constants';
+
+// Reactions under a message, one chip per emoji with its count. Tapping a chip adds or takes
+// back our own reaction; long-pressing it shows who reacted.
+const ReactionBar = ({
+  reactions,
+  onToggle,
+  onShowReactors,
+  theme = THEMES.DARK
+}) => {
+  if (!reactions || reactions.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {reactions.map(reaction => {
+        const mine = !!reaction.ownReactionId;
+        return (
+          <TouchableOpacity
+            key={reaction.key}
+            style={[styles.chip, {
+              backgroundColor: mine ? theme.primaryColor + '33' : theme.surfaceColor,
+              borderColor: mine ? theme.primaryColor : theme.borderColor
+            }]}
+            onPress={() => onToggle?.(reaction)}
+            onLongPress={() => onShowReactors?.(reaction)}
+            disabled={!onToggle}
+          >
+            {reaction.emoji ? (
+              <Image source={{ uri: reaction.emoji.url }} style={styles.customEmoji} accessibilityLabel={reaction.content} />
+            ) : (
+              <Text style={styles.emoji}>{reaction.content}</Text>
+            )}
+            <Text style={[styles.count, { color: mine ? theme.primaryColor : theme.secondaryTextColor }]}>
+              {reaction.count}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginTop: 4,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  emoji: {
+    fontSize: 14,
+  },
+  customEmoji: {
+    width: 16,
+    height: 16,
+  },
+  count: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
+
+export default ReactionBar;
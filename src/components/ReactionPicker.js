@@ -0,0 +1,106 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  TouchableOpacity,
+  Modal
+} from 'react-native';
+import { THEMES } from '../utils/constants';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢', '🔥', '👀', '🙏', '👎'];
+
+// Picks an emoji to react with: common ones, plus the custom (NIP-30) emoji people have
+// already used in this channel. onSelect gets { content, emoji }.
+const ReactionPicker = ({
+  visible,
+  customEmoji = [],
+  onSelect,
+  onClose,
+  theme = THEMES.DARK
+}) => (
+  <Modal
+    visible={visible}
+    transparent
+    animationType="fade"
+    onRequestClose={onClose}
+  >
+    <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+      <View style={[styles.content, { backgroundColor: theme.cardBackgroundColor }]}>
+        <Text style={[styles.title, { color: theme.textColor }]}>React</Text>
+        <View style={styles.grid}>
+          {QUICK_REACTIONS.map(content => (
+            <TouchableOpacity key={content} style={styles.option} onPress={() => onSelect({ content, emoji: null })}>
+              <Text style={styles.emoji}>{content}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {customEmoji.length > 0 && (
+          <>
+            <Text style={[styles.subtitle, { color: theme.secondaryTextColor }]}>Used in this channel</Text>
+            <View style={styles.grid}>
+              {customEmoji.map(emoji => (
+                <TouchableOpacity
+                  key={emoji.shortcode}
+                  style={styles.option}
+                  onPress={() => onSelect({ content: `:${emoji.shortcode}:`, emoji })}
+                >
+                  <Image source={{ uri: emoji.url }} style={styles.customEmoji} accessibilityLabel={`:${emoji.shortcode}:`} />
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+      </View>
+    </TouchableOpacity>
+  </Modal>
+);
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  content: {
+    borderRadius: 12,
+    padding: 16,
+    width: '100%',
+    maxWidth: 360,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 13,
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+  },
+  option: {
+    width: 44,
+    height: 44,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 8,
+  },
+  emoji: {
+    fontSize: 24,
+  },
+  customEmoji: {
+    width: 28,
+    height: 28,
+  },
+});
+
+export default ReactionPicker;
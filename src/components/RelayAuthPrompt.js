@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { relayAuthService } from '../services/RelayAuthService';
+import { RELAY_AUTH_POLICIES, THEMES } from '../utils/constants';
+
+// Asks whether to authenticate (NIP-42) to a relay that refused us without it.
+// Mounted once by App; the relay auth service waits on the answer.
+const RelayAuthPrompt = ({ theme = THEMES.DARK }) => {
+  const [relay, setRelay] = useState(null);
+  const resolveRef = useRef(null);
+
+  useEffect(() => {
+    return relayAuthService.setPromptHandler((url) => new Promise(resolve => {
+      resolveRef.current = resolve;
+      setRelay(url);
+    }));
+  }, []);
+
+  const answer = (decision) => {
+    resolveRef.current?.(decision);
+    resolveRef.current = null;
+    setRelay(null);
+  };
+
+  return (
+    <Modal
+      visible={!!relay}
+      transparent
+      animationType="fade"
+      onRequestClose={() => answer(null)}
+    >
+      <View style={styles.overlay}>
+        <View style={[styles.content, { backgroundColor: theme.cardBackgroundColor }]}>
+          <View style={styles.header}>
+            <Ionicons name="shield-checkmark-outline" size={22} color={theme.primaryColor} />
+            <Text style={[styles.title, { color: theme.textColor }]}>Relay asks who you are</Text>
+          </View>
+          <Text style={[styles.relay, { color: theme.textColor }]} numberOfLines={1}>
+            {relay}
+          </Text>
+          <Text style={[styles.description, { color: theme.secondaryTextColor }]}>
+            This relay only accepts requests from authenticated users (NIP-42). Authenticating signs a
+            one-time challenge and tells the relay your public key.
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: theme.primaryColor }]}
+            onPress={() => answer(RELAY_AUTH_POLICIES.ALWAYS)}
+          >
+            <Text style={[styles.buttonText, { color: 'white' }]}>Always for this relay</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: theme.borderColor }]}
+            onPress={() => answer('once')}
+          >
+            <Text style={[styles.buttonText, { color: theme.textColor }]}>Only this session</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: theme.borderColor }]}
+            onPress={() => answer(RELAY_AUTH_POLICIES.NEVER)}
+          >
+            <Text style={[styles.buttonText, { color: theme.errorColor }]}>Never</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  content: {
+    borderRadius: 12,
+    padding: 20,
+    width: '100%',
+    maxWidth: 400,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  relay: {
+    fontSize: 14,
+    fontFamily: 'monospace',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+  button: {
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default RelayAuthPrompt;
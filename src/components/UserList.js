@@ -7,18 +7,37 @@ import {
   TouchableOpacity
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { THEMES } from '../utils/constants';
+import { channelRoleService } from '../services/ChannelRoleService';
+import { THEMES, GROUP_ROLES } from '../utils/constants';
 
 const UserList = ({ 
   users = [], 
   onUserPress,
   currentUser,
   operators = [],
+  roles = null, // resolved channel roles; takes precedence over operators
   theme = THEMES.DARK,
   style 
 }) => {
+  const isOperator = (pubkey) => roles
+    ? channelRoleService.isOperator(roles, pubkey)
+    : operators.includes(pubkey);
+
+  // Private group members (GroupMembershipService) carry a role and join date instead of a status
+  const describeUser = (user) => {
+    if (!user.role) {
+      return user.status || 'Online';
+    }
+    const role = user.role === GROUP_ROLES.ADMIN ? 'Admin' : 'Member';
+    if (user.joinedAt) {
+      return `${role} · joined ${new Date(user.joinedAt * 1000).toLocaleDateString()}`;
+    }
+    return user.addedAt ? `${role} · invited` : role;
+  };
+
   const renderUserItem = ({ item }) => {
-    const isOperator = operators.includes(item.pubkey);
+    const rolePrefix = roles ? channelRoleService.getPrefix(roles, item.pubkey) : '';
+    const isUserOperator = isOperator(item.pubkey) || item.role === GROUP_ROLES.ADMIN;
     const isCurrentUser = item.pubkey === currentUser;
     
     return (
@@ -29,9 +48,9 @@ const UserList = ({
         <View style={styles.userInfo}>
           <View style={styles.userHeader}>
             <Text style={[styles.username, { color: theme.textColor }]}>
-              {item.displayName || `${item.pubkey.substring(0, 8)}...`}
+              {rolePrefix}{item.displayName || `${item.pubkey.substring(0, 8)}...`}
             </Text>
-            {isOperator && (
+            {isUserOperator && (
               <Ionicons name="shield" size={14} color={theme.warningColor} />
             )}
             {isCurrentUser && (
@@ -41,7 +60,7 @@ const UserList = ({
             )}
           </View>
           <Text style={[styles.userStatus, { color: theme.secondaryTextColor }]}>
-            {item.status || 'Online'}
+            {describeUser(item)}
           </Text>
         </View>
         <View style={[styles.statusIndicator, { 
@@ -53,8 +72,8 @@ const UserList = ({
 
   const sortedUsers = users.sort((a, b) => {
     // Operators first
-    const aIsOp = operators.includes(a.pubkey);
-    const bIsOp = operators.includes(b.pubkey);
+    const aIsOp = isOperator(a.pubkey) || a.role === GROUP_ROLES.ADMIN;
+    const bIsOp = isOperator(b.pubkey) || b.role === GROUP_ROLES.ADMIN;
     if (aIsOp && !bIsOp) return -1;
     if (!aIsOp && bIsOp) return 1;
     
@@ -19,22 +19,36 @@ import { nostrService } from '../services/NostrService';
 import { botService } from '../services/BotService';
 import { notificationService } from '../services/NotificationService';
 import { groupEncryptionService } from '../services/GroupEncryptionService';
+import { outboxService } from '../services/OutboxService';
+import { channelRoleService } from '../services/ChannelRoleService';
+import { searchService } from '../services/SearchService';
+import { logExportService, LOG_FORMATS } from '../services/LogExportService';
+import { reactionService } from '../services/ReactionService';
+import { groupMembershipService } from '../services/GroupMembershipService';
 import { nostrUtils } from '../utils/nostrUtils';
-import { IRC_COMMANDS, BOT_COMMANDS, MESSAGE_TYPES, THEMES } from '../utils/constants';
+import DeliveryStatus from '../components/DeliveryStatus';
+import ReactionBar from '../components/ReactionBar';
+import ReactionPicker from '../components/ReactionPicker';
+import { IRC_COMMANDS, BOT_COMMANDS, MESSAGE_TYPES, THEMES, DELIVERY_STATES, ERROR_MESSAGES, GROUP_ROLES } from '../utils/constants';
+
+// How far back a search result may page to find its message
+const MAX_REVEAL_PAGES = 20;
 
 const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
-  const { channelId, channelName, isPrivate = false, protocol = 'public', groupId } = route.params;
+  const { channelId, channelName, isPrivate = false, protocol = 'public', groupId, highlightMessageId, highlightTimestamp } = route.params;
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
   const [users, setUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [channelInfo, setChannelInfo] = useState(null);
   const [userPermissions, setUserPermissions] = useState({});
+  const [channelRoles, setChannelRoles] = useState(null);
+  const [showHidden, setShowHidden] = useState(false); // show messages operators hid or muted
   const [channelTopic, setChannelTopic] = useState('');
   const [channelUsers, setChannelUsers] = useState(new Map());
   const [showUserList, setShowUserList] = useState(false);
   const [userProfiles, setUserProfiles] = useState(new Map());
-  const [privateGroupMembers, setPrivateGroupMembers] = useState([]);
+  const [privateGroupMembers, setPrivateGroupMembers] = useState([]); // [{ pubkey, role, joinedAt, ... }]
   const [showInviteModal, setShowInviteModal] = useState(false);
   const [inviteePubkey, setInviteePubkey] = useState('');
   const [inviteMessage, setInviteMessage] = useState('');
@@ -45,8 +59,26 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
   const [followingProfiles, setFollowingProfiles] = useState(new Map());
   const [isPrivateGroup, setIsPrivateGroup] = useState(isPrivate);
   const [channelProtocol, setChannelProtocol] = useState(protocol);
+  const [editingQueuedId, setEditingQueuedId] = useState(null);
+  const [powProgress, setPowProgress] = useState(null); // { difficulty, hashes } while mining
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [historyExhausted, setHistoryExhausted] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null); // search hit we opened at
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [exportFormat, setExportFormat] = useState(LOG_FORMATS.IRC);
+  const [exportFrom, setExportFrom] = useState('');
+  const [exportTo, setExportTo] = useState('');
+  const [exportProgress, setExportProgress] = useState(null); // events fetched while exporting
+  const [reactionTarget, setReactionTarget] = useState(null); // message the reaction picker is open for
+  const [, setReactionsVersion] = useState(0); // bumped when this channel's reactions change
+  const [securityLog, setSecurityLog] = useState([]); // refused key shares for this encrypted group
   const flatListRef = useRef();
+  const historyCursorRef = useRef(null); // `until` of the next scrollback page
+  const scrollAnchorRef = useRef(null);  // distance from the bottom to keep while older messages are added
+  const loadingOlderRef = useRef(false); // scroll events come faster than state updates
   const subscriptionRef = useRef();
+  const powAbortRef = useRef(null);
+  const channelRolesRef = useRef(null); // latest roles for subscription callbacks
 
 
   // Update header when navigation-related data changes
@@ -70,6 +102,16 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
               />
             </TouchableOpacity>
           )}
+          <TouchableOpacity 
+            onPress={() => setShowExportModal(true)}
+            style={{ marginRight: 16 }}
+          >
+            <Ionicons 
+              name="download-outline" 
+              size={24} 
+              color={theme.textColor} 
+            />
+          </TouchableOpacity>
           <TouchableOpacity 
             onPress={() => setShowUserList(!showUserList)}
             style={{ marginRight: 16 }}
@@ -96,9 +138,78 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         nostrService.unsubscribe(subscriptionRef.current);
       }
       cleanupLocalBotResponseListener();
+      powAbortRef.current?.abort();
     };
   }, [channelId, isPrivateGroup, channelProtocol]);
 
+  // Keep queued (offline) messages in sync with the outbox
+  useEffect(() => {
+    const outboxKey = getOutboxKey();
+    
+    const removeOutboxListener = outboxService.addListener((change) => {
+      if (change.item.conversationKey !== outboxKey) return;
+      
+      switch (change.type) {
+        case 'queued':
+          updateMessageDelivery(change.item.id, { state: DELIVERY_STATES.QUEUED });
+          break;
+        case 'sent':
+        case 'failed':
+          updateMessageDelivery(change.item.id, change.delivery);
+          break;
+        case 'removed':
+          setMessages(prev => prev.filter(msg => msg.id !== change.item.id));
+          break;
+        case 'updated':
+          setMessages(prev => prev.map(msg => 
+            msg.id === change.previousId ? createQueuedMessage(change.item) : msg
+          ));
+          break;
+      }
+    });
+    
+    return () => removeOutboxListener();
+  }, [channelId, channelProtocol]);
+
+  // Op, voice and ban changes (live moderation events, refreshed group lists)
+  useEffect(() => {
+    return channelRoleService.addListener((changedChannelId, roles) => {
+      if (changedChannelId === channelId) {
+        applyChannelRoles(roles);
+      }
+    });
+  }, [channelId]);
+
+  // Refused key shares, shown in the member panel of encrypted groups
+  useEffect(() => {
+    if (showUserList && channelProtocol === 'encrypted') {
+      groupEncryptionService.getSecurityLog(channelId).then(setSecurityLog);
+    }
+  }, [showUserList, channelProtocol, channelId]);
+
+  // Reactions arriving live or from history
+  useEffect(() => {
+    return reactionService.addListener((changedChannelId) => {
+      if (changedChannelId === channelId) {
+        setReactionsVersion(version => version + 1);
+      }
+    });
+  }, [channelId]);
+
+  // Everything shown here goes into the local search index
+  useEffect(() => {
+    searchService.indexChannelMessages({
+      channelId,
+      channelName,
+      protocol: channelProtocol,
+      groupId,
+      encrypted: channelProtocol === 'encrypted'
+    }, messages, (pubkey) => {
+      const profile = userProfiles.get(pubkey);
+      return profile ? profile.display_name || profile.name || profile.username || null : null;
+    });
+  }, [messages, userProfiles, channelProtocol]);
+
   // Debounced search effect for username search
   useEffect(() => {
     const delayedSearch = setTimeout(() => {
@@ -116,16 +227,19 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
     try {
       setIsLoading(true);
       
-      // Use different message loading for NIP-29 groups
-      let channelMessages;
-      if (channelProtocol === 'nip29') {
-        console.log('🏛️ Loading NIP-29 group messages...');
-        channelMessages = await nostrService.queryNIP29GroupMessages(channelId, 100);
-      } else {
-        channelMessages = await nostrService.queryChannelMessages(channelId, 100);
-      }
+      // Newest page of history; older pages load when scrolling to the top
+      const page = await nostrService.queryChannelHistory(channelId, { protocol: channelProtocol });
+      const channelMessages = page.messages;
+      historyCursorRef.current = page.until;
+      setHistoryExhausted(page.exhausted);
+      
+      // Messages still waiting in the outbox aren't on any relay yet
+      const queuedMessages = outboxService.getItems(getOutboxKey())
+        .filter(item => !channelMessages.some(msg => msg.id === item.id))
+        .map(createQueuedMessage);
       
-      setMessages(channelMessages);
+      setMessages([...channelMessages, ...queuedMessages].sort((a, b) => a.timestamp - b.timestamp));
+      nostrService.loadChannelReactions(channelId, channelMessages, { protocol: channelProtocol });
       
       // Track users from initial messages
       channelMessages.forEach(message => {
@@ -147,8 +261,12 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         await loadPrivateGroupMembers();
       }
       
-      // Scroll to bottom after loading messages
-      scrollToBottom();
+      // Scroll to bottom after loading messages, or to the search result we were opened for
+      if (highlightMessageId) {
+        await revealMessage(highlightMessageId, highlightTimestamp);
+      } else {
+        scrollToBottom();
+      }
     } catch (error) {
       console.error('Failed to load channel data:', error);
       Alert.alert('Error', 'Failed to load channel messages');
@@ -159,9 +277,9 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
 
   const loadChannelInfo = async () => {
     try {
-      // For now, we'll check if current user is channel creator
       const channels = await nostrService.queryChannels(200);
       const currentChannel = channels.find(c => c.id === channelId);
+      let roleProtocol = protocol;
       
       if (currentChannel) {
         setChannelInfo(currentChannel);
@@ -196,31 +314,27 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         
         setIsPrivateGroup(needsInviteButton); // Use combined logic for invite button visibility
         setChannelProtocol(detectedProtocol);
+        roleProtocol = detectedProtocol;
         console.log(`🔍 Channel ${channelId.substring(0, 8)}... detected as ${needsInviteButton ? 'private/encrypted' : 'public'} using ${detectedProtocol}`);
-        
-        // Check if current user is creator (auto-operator)
-        const currentUserPubkey = nostrService.publicKey;
-        const isCreator = currentChannel.creator === currentUserPubkey;
-        
-        setUserPermissions({
-          isOperator: isCreator,
-          canKick: isCreator,
-          canBan: isCreator,
-          canOp: isCreator,
-          canSetTopic: isCreator
-        });
-        
-        console.log('Channel permissions:', {
-          isCreator,
-          currentUser: currentUserPubkey?.substring(0, 16) + '...',
-          creator: currentChannel.creator?.substring(0, 16) + '...'
-        });
       }
+      
+      // Operators come from the moderation history (NIP-28) or the relay's lists (NIP-29)
+      const roles = await nostrService.getChannelRoles(channelId, {
+        protocol: roleProtocol,
+        creator: currentChannel?.creator || null
+      });
+      applyChannelRoles(roles);
     } catch (error) {
       console.error('Failed to load channel info:', error);
     }
   };
 
+  const applyChannelRoles = (roles) => {
+    channelRolesRef.current = roles;
+    setChannelRoles(roles);
+    setUserPermissions(channelRoleService.permissionsFor(roles, nostrService.publicKey));
+  };
+
   const subscribeToChannel = () => {
     if (channelProtocol === 'nip29') {
       console.log('🏛️ Setting up NIP-29 group subscription...');
@@ -234,7 +348,8 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         channelId,
         onNewMessage,
         onMetadataUpdate,
-        onModerationEvent
+        onModerationEvent,
+        onModeEvent
       );
     }
   };
@@ -257,6 +372,83 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
     }
   };
 
+  // Scrollback: fetch the page before the oldest loaded message and keep the view where it was
+  const loadOlderMessages = async () => {
+    if (loadingOlderRef.current || historyExhausted || isLoading || historyCursorRef.current === null) return;
+    
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      const page = await nostrService.queryChannelHistory(channelId, {
+        protocol: channelProtocol,
+        until: historyCursorRef.current
+      });
+      
+      const known = new Set(messages.map(message => message.id));
+      const older = page.messages.filter(message => !known.has(message.id));
+      
+      if (older.length > 0) {
+        const container = flatListRef.current;
+        if (container) {
+          scrollAnchorRef.current = container.scrollHeight - container.scrollTop;
+        }
+        mergeOlderMessages(older);
+        nostrService.loadChannelReactions(channelId, older, { protocol: channelProtocol });
+      }
+      
+      historyCursorRef.current = page.until;
+      setHistoryExhausted(page.exhausted);
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  };
+
+  const mergeOlderMessages = (older) => {
+    setMessages(prev => {
+      const ids = new Set(prev.map(message => message.id));
+      return [...older.filter(message => !ids.has(message.id)), ...prev].sort((a, b) => a.timestamp - b.timestamp);
+    });
+  };
+
+  // Opened from a search result: page back until the message's time is loaded, then scroll to it
+  const revealMessage = async (messageId, timestamp) => {
+    let pages = 0;
+    while (timestamp && historyCursorRef.current !== null && historyCursorRef.current >= timestamp &&
+           pages < MAX_REVEAL_PAGES) {
+      const page = await nostrService.queryChannelHistory(channelId, {
+        protocol: channelProtocol,
+        until: historyCursorRef.current
+      });
+      mergeOlderMessages(page.messages);
+      nostrService.loadChannelReactions(channelId, page.messages, { protocol: channelProtocol });
+      historyCursorRef.current = page.until;
+      setHistoryExhausted(page.exhausted);
+      pages++;
+    }
+    
+    setHighlightedMessageId(messageId);
+    scrollToMessage(messageId);
+  };
+
+  const handleMessagesScroll = () => {
+    const container = flatListRef.current;
+    if (container && container.scrollTop < 50) {
+      loadOlderMessages();
+    }
+  };
+
+  // Older messages were added above; put the messages that were on screen back in place
+  useEffect(() => {
+    const container = flatListRef.current;
+    if (scrollAnchorRef.current === null || !container) return;
+    
+    container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+    scrollAnchorRef.current = null;
+  }, [messages]);
+
   const scrollToBottom = () => {
     // Web-specific scroll to bottom
     setTimeout(() => {
@@ -266,6 +458,15 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
     }, 100);
   };
 
+  const scrollToMessage = (messageId) => {
+    // Web-specific like scrollToBottom: message rows carry their id as a DOM id
+    setTimeout(() => {
+      if (typeof document !== 'undefined') {
+        document.getElementById(`message-${messageId}`)?.scrollIntoView({ block: 'center' });
+      }
+    }, 150);
+  };
+
   const onNewMessage = (message) => {
     console.log('📨 onNewMessage called with:', {
       id: message.id,
@@ -292,6 +493,10 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         if (messageTypeTag && messageTypeTag[1] === MESSAGE_TYPES.BOT_RESPONSE) {
           isBotResponse = true;
         }
+        // /me actions
+        if (messageTypeTag && messageTypeTag[1] === MESSAGE_TYPES.ACTION) {
+          processedMessage.type = MESSAGE_TYPES.ACTION;
+        }
       }
       
       // Method 2: Check if content looks like bot response JSON (fallback)
@@ -371,7 +576,6 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         const user = {
           pubkey,
           lastSeen,
-          isOperator: channelInfo?.creator === pubkey,
           displayName: pubkey.substring(0, 8) + '...'
         };
         
@@ -444,6 +648,13 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
     console.log('Channel metadata updated:', event);
     try {
       const metadata = JSON.parse(event.content);
+      
+      // Under +t only operators change the topic
+      if (metadata.topic && !channelRoleService.canSetTopic(channelRolesRef.current, event.pubkey)) {
+        console.log(`🔒 Ignoring topic change by ${event.pubkey?.substring(0, 8)}... (+t)`);
+        return;
+      }
+      
       if (metadata.topic && metadata.topic !== channelTopic) {
         const oldTopic = channelTopic;
         setChannelTopic(metadata.topic);
@@ -466,24 +677,91 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
     }
   };
 
+  const onModeEvent = (event) => {
+    announceModeChanges(event, nostrUtils.getModeChanges(event));
+  };
+
+  const announceModeChanges = (event, changes) => {
+    if (changes.length === 0) return;
+    
+    onNewMessage({
+      id: event.id + '_mode',
+      content: `⚙️ ${getUserDisplayName(event.pubkey)} sets mode ${nostrUtils.formatModeChanges(changes)}`,
+      author: 'system',
+      channelId: channelId,
+      timestamp: event.created_at,
+      type: MESSAGE_TYPES.SYSTEM
+    });
+  };
+
+  const announceGroupEvent = (modEvent, content) => {
+    onNewMessage({
+      id: modEvent.id,
+      content,
+      author: 'system',
+      channelId: channelId,
+      timestamp: modEvent.timestamp,
+      type: MESSAGE_TYPES.SYSTEM
+    });
+  };
+
+  const groupEventHandlers = {
+    'put-user': (modEvent) => announceGroupEvent(modEvent,
+      `➕ ${getUserDisplayName(modEvent.moderator)} put ${getUserDisplayName(modEvent.target)} in the group` +
+      `${modEvent.roles.length > 0 ? ` as ${modEvent.roles.join(', ')}` : ''}${modEvent.reason ? ` (${modEvent.reason})` : ''}`),
+    'remove-user': (modEvent) => announceGroupEvent(modEvent,
+      `➖ ${getUserDisplayName(modEvent.moderator)} removed ${getUserDisplayName(modEvent.target)} from the group` +
+      `${modEvent.reason ? ` (${modEvent.reason})` : ''}`),
+    'edit-metadata': (modEvent) => {
+      // Flag edits read as the mode changes they are; the _mode id matches our own announcement
+      const modeChanges = nostrUtils.getGroupModeChanges(modEvent.changes);
+      if (modeChanges.length > 0) {
+        announceModeChanges({ id: modEvent.id, pubkey: modEvent.moderator, created_at: modEvent.timestamp }, modeChanges);
+      }
+      const fields = modEvent.changes
+        .filter(tag => ['name', 'picture', 'about'].includes(tag[0]))
+        .map(tag => tag[0] === 'name' ? `name to "${tag[1]}"` : tag[0]);
+      if (fields.length > 0) {
+        announceGroupEvent(modEvent, `🏛️ ${getUserDisplayName(modEvent.moderator)} changed the group's ${fields.join(', ')}`);
+      }
+    },
+    'delete-event': (modEvent) => {
+      setMessages(prev => prev.filter(msg => msg.id !== modEvent.target));
+      announceGroupEvent(modEvent, `🗑️ ${getUserDisplayName(modEvent.moderator)} deleted a message${modEvent.reason ? ` (${modEvent.reason})` : ''}`);
+    },
+    'delete-group': (modEvent) => announceGroupEvent(modEvent,
+      `💥 ${getUserDisplayName(modEvent.moderator)} deleted this group. The relay no longer keeps its messages.`)
+  };
+
   const onModerationEvent = (modEvent) => {
     const actionDescriptions = {
       'kick': '👢 kicked',
       'ban': '🚫 banned',
+      'unban': '✅ unbanned',
       'op': '👑 granted operator status to',
       'deop': '👤 removed operator status from',
       'mute': '🔇 muted',
       'unmute': '🔊 unmuted'
     };
     
+    // NIP-29 admin events (see nostrUtils.parseGroupModerationEvent) have their own wording
+    const groupEventHandler = groupEventHandlers[modEvent.action];
+    if (groupEventHandler) {
+      groupEventHandler(modEvent);
+      return;
+    }
+    
     const actionText = actionDescriptions[modEvent.action] || modEvent.action;
     const moderatorName = modEvent.moderator.substring(0, 8) + '...';
     const targetName = modEvent.target.substring(0, 8) + '...';
     const reasonText = modEvent.reason ? ` (${modEvent.reason})` : '';
+    const expiryText = modEvent.expiresAt
+      ? ` for ${nostrUtils.formatDuration(modEvent.expiresAt - modEvent.timestamp)}`
+      : '';
     
     const systemMessage = {
       id: modEvent.id,
-      content: `${moderatorName} ${actionText} ${targetName}${reasonText}`,
+      content: `${moderatorName} ${actionText} ${targetName}${expiryText}${reasonText}`,
       author: 'system',
       channelId: modEvent.channelId,
       timestamp: modEvent.timestamp,
@@ -499,6 +777,14 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
     try {
       const trimmedText = inputText.trim();
       
+      // Replace the text of a message that is still sitting in the outbox
+      if (editingQueuedId) {
+        await outboxService.edit(editingQueuedId, trimmedText);
+        setEditingQueuedId(null);
+        setInputText('');
+        return;
+      }
+      
       // Check if it's an IRC command
       const ircCommand = nostrUtils.parseIRCCommand(trimmedText);
       if (ircCommand) {
@@ -507,6 +793,12 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         return;
       }
 
+      // Moderated (+m) channels only carry operators and voiced users
+      if (userPermissions.canSpeak === false) {
+        Alert.alert('Channel Moderated', `#${channelName} is moderated (+m). Only operators and voiced users can speak.`);
+        return;
+      }
+
       // Check if it's a bot command - but send to chat first for visibility
       const botCommand = nostrUtils.parseBotCommandFromMessage(trimmedText);
       if (botCommand) {
@@ -542,35 +834,177 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
       }
 
       // Regular message - use protocol-appropriate method
-      if (channelProtocol === 'nip29') {
-        await sendNIP29Message(channelId, trimmedText);
+      await sendWithDeliveryState(trimmedText);
+      
+    } catch (error) {
+      // The user stopped the proof of work themselves
+      if (error.code === 'POW_CANCELLED') {
+        return;
+      }
+      
+      if (error.code === 'AUTH_REQUIRED') {
+        showAuthRequired(error);
+        return;
+      }
+      
+      console.error('Failed to send message:', error);
+      Alert.alert('Error', error.code === 'POW_TIMEOUT' ? ERROR_MESSAGES.POW_TIMEOUT : 'Failed to send message');
+    }
+  };
+
+  // The relay refused us because we didn't authenticate (NIP-42), either because we were told
+  // never to or the user declined the prompt
+  const showAuthRequired = (error) => {
+    Alert.alert('Authentication Required', error.message);
+  };
+
+  // Show our message as pending as soon as it is signed, then track relay acceptance.
+  // messageType marks special messages such as /me actions.
+  const sendWithDeliveryState = async (text, messageType = null) => {
+    const isNIP29 = channelProtocol === 'nip29';
+    let pendingEventId = null;
+    const powController = new AbortController();
+    powAbortRef.current = powController;
+    
+    const sendOptions = {
+      messageType,
+      // Relays that require proof of work make us mine first; mining runs off the UI thread
+      signal: powController.signal,
+      onPowProgress: setPowProgress,
+      onSigned: (signedEvent) => {
+        pendingEventId = signedEvent.id;
+        setPowProgress(null);
+        onNewMessage({
+          id: signedEvent.id,
+          content: text,
+          author: signedEvent.pubkey,
+          channelId: channelId,
+          timestamp: signedEvent.created_at,
+          kind: signedEvent.kind,
+          tags: signedEvent.tags,
+          delivery: { state: DELIVERY_STATES.PENDING },
+          signedEvent,
+          isNIP29
+        });
+        // Keep anything typed while the proof of work was running
+        setInputText(current => current.trim() === text ? '' : current);
+      }
+    };
+    
+    try {
+      let sentEvent;
+      if (isNIP29) {
+        sentEvent = await sendNIP29Message(channelId, text, sendOptions);
+      } else if (channelProtocol === 'encrypted') {
+        sentEvent = await nostrService.sendEncryptedGroupMessage(channelId, text, null, sendOptions);
       } else {
-        await nostrService.sendChannelMessage(channelId, trimmedText);
+        sentEvent = await nostrService.sendChannelMessage(channelId, text, null, messageType, sendOptions);
       }
-      setInputText('');
       
+      updateMessageDelivery(sentEvent.id, sentEvent.delivery);
     } catch (error) {
-      console.error('Failed to send message:', error);
-      Alert.alert('Error', 'Failed to send message');
+      // Nothing was signed, so there is no message to mark as failed
+      if (!pendingEventId) {
+        throw error;
+      }
+      
+      console.warn('⚠️ Message was not accepted by enough relays:', error.message);
+      updateMessageDelivery(pendingEventId, error.delivery || { state: DELIVERY_STATES.FAILED });
+      
+      if (error.code === 'AUTH_REQUIRED') {
+        showAuthRequired(error);
+      }
+    } finally {
+      if (powAbortRef.current === powController) {
+        powAbortRef.current = null;
+        setPowProgress(null);
+      }
+    }
+  };
+
+  const getOutboxKey = () => (
+    channelProtocol === 'nip29' ? `nip29:${channelId}` : `channel:${channelId}`
+  );
+
+  const createQueuedMessage = (item) => ({
+    id: item.id,
+    content: item.content,
+    author: item.event.pubkey,
+    channelId: channelId,
+    timestamp: item.createdAt,
+    kind: item.event.kind,
+    tags: item.event.tags,
+    delivery: { state: DELIVERY_STATES.QUEUED, lastError: item.lastError },
+    signedEvent: item.event,
+    isNIP29: item.type === 'nip29'
+  });
+
+  const showQueuedMessageActions = (message) => {
+    Alert.alert(
+      'Waiting to Send',
+      'This message will be sent automatically once a relay is reachable.',
+      [
+        { text: 'Keep Waiting', style: 'cancel' },
+        {
+          text: 'Edit',
+          onPress: () => {
+            setEditingQueuedId(message.id);
+            setInputText(message.content);
+          }
+        },
+        {
+          text: 'Cancel Message',
+          style: 'destructive',
+          onPress: () => outboxService.cancel(message.id)
+        }
+      ]
+    );
+  };
+
+  const updateMessageDelivery = (eventId, delivery) => {
+    setMessages(prev => prev.map(msg => 
+      msg.id === eventId ? { ...msg, delivery } : msg
+    ));
+  };
+
+  const retryMessage = async (message) => {
+    if (!message.signedEvent) return;
+    
+    updateMessageDelivery(message.id, { state: DELIVERY_STATES.PENDING });
+    
+    try {
+      const sentEvent = await nostrService.retryPublish(message.signedEvent, { nip29: message.isNIP29 });
+      updateMessageDelivery(message.id, sentEvent.delivery);
+    } catch (error) {
+      console.warn('⚠️ Retry failed:', error.message);
+      updateMessageDelivery(message.id, error.delivery || { state: DELIVERY_STATES.FAILED });
+      
+      if (error.code === 'AUTH_REQUIRED') {
+        showAuthRequired(error);
+      }
     }
   };
 
   // Send message specifically to NIP-29 group
-  const sendNIP29Message = async (groupId, message) => {
+  const sendNIP29Message = async (groupId, message, options = {}) => {
     try {
       console.log('🏛️ Sending NIP-29 group message...');
       
       // Use the dedicated NIP-29 messaging method
-      await nostrService.sendNIP29GroupMessage(groupId, message);
+      const sentEvent = await nostrService.sendNIP29GroupMessage(groupId, message, null, options);
       
       console.log('✅ NIP-29 message sent successfully');
+      return sentEvent;
     } catch (error) {
       console.error('Error sending NIP-29 message:', error);
       
+      // Relay answered; keep the delivery details so the message can show why it failed
+      if (error.delivery) {
+        throw error;
+      }
+      
       // Provide user-friendly error message for NIP-29 specific issues
-      if (error.message.includes('NIP-29 relays unreachable')) {
-        throw new Error('Unable to reach NIP-29 relay servers. NIP-29 groups require specialized infrastructure that appears to be unavailable right now.');
-      } else if (error.message.includes('No NIP-29 relays configured')) {
+      if (error.message.includes('No NIP-29 relays configured')) {
         throw new Error('NIP-29 relay configuration missing. Please check your settings.');
       } else {
         throw new Error(`Failed to send NIP-29 message: ${error.message}`);
@@ -579,31 +1013,108 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
   };
 
   // Perform NIP-29 specific moderation actions
-  const performNIP29ModerationAction = async (action, targetUser, reason = '') => {
-    try {
-      console.log(`🏛️ Performing NIP-29 ${action} action on ${targetUser}`);
+  // /mode [#channel] [+mitns-...] [targets]: no modes shows the current ones; +o/+v/+b take a user
+  const handleModeCommand = async (args) => {
+    const modeArgs = [...args];
+    if (modeArgs[0]?.startsWith('#')) {
+      const targetChannel = modeArgs.shift().slice(1);
+      if (targetChannel.toLowerCase() !== channelName.toLowerCase()) {
+        Alert.alert('Error', `/mode only works on the channel you are in (#${channelName})`);
+        return;
+      }
+    }
+    
+    if (modeArgs.length === 0) {
+      const modes = channelRoleService.formatModes(channelRoles);
+      Alert.alert('Channel Modes', `#${channelName}: ${modes || 'no modes set'}`);
+      return;
+    }
+    
+    const { channelModes, userModes, invalid } = nostrUtils.parseModeChanges(modeArgs);
+    if (invalid.length > 0) {
+      Alert.alert('Error', `Unknown or incomplete modes: ${invalid.join(' ')}\n\nUsage: /mode [#channel] +mitns-...\n/mode +o|+v|+b <user>`);
+      return;
+    }
+    
+    if (channelModes.length > 0) {
+      if (!userPermissions.canSetModes) {
+        Alert.alert('Permission Denied', 'You need operator privileges to change channel modes');
+        return;
+      }
       
-      // Use the dedicated NIP-29 moderation method
-      await nostrService.performNIP29ModerationAction(channelId, action, targetUser, reason);
+      try {
+        const event = await nostrService.setChannelModes(channelId, channelModes, { protocol: channelProtocol });
+        // NIP-28 mode events come back through the subscription; NIP-29 flag edits don't
+        if (channelProtocol === 'nip29' && event) {
+          announceModeChanges(event, channelModes);
+        }
+      } catch (error) {
+        if (error.code === 'AUTH_REQUIRED') {
+          showAuthRequired(error);
+          return;
+        }
+        console.error('Error setting channel modes:', error);
+        Alert.alert('Error', error.message || 'Failed to change channel modes');
+        return;
+      }
+    }
+    
+    // +o/-o, +v/-v and +b/-b are the same moderation events /op, /deop and /ban publish;
+    // -b is a kind 45 unban, which only counts from the creator
+    const userModeActions = {
+      o: ['op', 'deop'],
+      v: ['voice', 'devoice'],
+      b: ['ban', 'unban']
+    };
+    
+    for (const change of userModes) {
+      const [grant, revoke] = userModeActions[change.mode];
+      const action = change.enabled ? grant : revoke;
+      const allowed = change.mode === 'b' ? userPermissions.canBan : userPermissions.canOp;
       
-      // Add a system message indicating this is a NIP-29 action
-      const systemMessage = {
-        id: `nip29_${action}_${Date.now()}`,
-        content: `🏛️ NIP-29 Moderation: ${action} action performed on ${targetUser.substring(0, 8)}...${reason ? ` (${reason})` : ''}`,
-        author: 'system',
-        channelId: channelId,
-        timestamp: Math.floor(Date.now() / 1000),
-        type: MESSAGE_TYPES.SYSTEM
-      };
-      onNewMessage(systemMessage);
+      if (!allowed) {
+        Alert.alert('Permission Denied', `You can't ${action} users in this channel`);
+        return;
+      }
       
+      try {
+        if (channelProtocol === 'nip29') {
+          await performNIP29ModerationAction(action, change.target);
+        } else if (action === 'ban') {
+          await nostrService.banChannelUser(channelId, change.target);
+        } else {
+          await nostrService.performModerationAction(channelId, action, change.target);
+        }
+      } catch (error) {
+        console.error(`Error applying ${action}:`, error);
+        Alert.alert('Error', error.message || `Failed to ${action} ${change.target.substring(0, 8)}...`);
+        return;
+      }
+    }
+  };
+
+  // The published event is announced the way the subscription will when the relay passes it
+  // on, under the same id so it only shows once
+  const performNIP29ModerationAction = async (action, targetUser, reason = '', options = {}) => {
+    try {
+      console.log(`🏛️ Performing NIP-29 ${action} action on ${targetUser}`);
+      const event = await nostrService.performNIP29ModerationAction(channelId, action, targetUser, reason, options);
+      announceOwnGroupEvent(event);
       console.log(`✅ NIP-29 ${action} action completed`);
+      return event;
     } catch (error) {
       console.error(`Error performing NIP-29 ${action}:`, error);
       throw error;
     }
   };
 
+  const announceOwnGroupEvent = (event) => {
+    const modEvent = nostrUtils.parseGroupModerationEvent(event);
+    if (modEvent) {
+      onModerationEvent(modEvent);
+    }
+  };
+
   // Handle bot commands locally when Nostr relay publishing fails
   const handleBotCommandLocally = async (botCommand) => {
     try {
@@ -658,11 +1169,287 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
     }
   };
 
+  // /join: open the channel (asking a NIP-29 relay to let us in first) on top of this one
+  const joinChannelCommand = async (target, inviteCode = null) => {
+    try {
+      const channel = await nostrService.resolveChannel(target);
+      if (!channel) {
+        Alert.alert('Channel Not Found', `No channel called "${target}" was found on your relays`);
+        return;
+      }
+      
+      if (channel.id === channelId) {
+        return;
+      }
+      
+      if (channel.protocol === 'nip29') {
+        await nostrService.joinNIP29Group(channel.groupId, { inviteCode });
+      }
+      
+      const isPrivate = channel.about?.includes('Private group') ||
+                       (channel.tags && channel.tags.some(tag => tag[0] === 'private' && tag[1] === 'true'));
+      
+      navigation.push('Channel', {
+        channelId: channel.id,
+        channelName: channel.name,
+        isPrivate,
+        protocol: channel.protocol || (isPrivate ? 'private_nip28' : 'public'),
+        groupId: channel.groupId
+      });
+    } catch (error) {
+      if (error.code === 'AUTH_REQUIRED') {
+        showAuthRequired(error);
+        return;
+      }
+      console.error('Error joining channel:', error);
+      Alert.alert('Error', error.message || 'Failed to join channel');
+    }
+  };
+
+  // /part: NIP-29 groups get a leave request; NIP-28 channels have no membership to end
+  const partChannel = async () => {
+    try {
+      if (channelProtocol === 'nip29') {
+        await nostrService.leaveNIP29Group(channelId);
+      }
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error leaving channel:', error);
+      Alert.alert('Error', error.message || 'Failed to leave channel');
+    }
+  };
+
+  // A username, pubkey or npub as a pubkey; null (after telling the user) if it's none of them
+  const resolveUserArg = (target) => {
+    let pubkey = findUserByUsername(target);
+    if (!pubkey && nostrUtils.isValidPubkey(target)) {
+      pubkey = target;
+    } else if (!pubkey && nostrUtils.isValidNpub(target)) {
+      try {
+        pubkey = nostrUtils.npubToPubkey(target);
+      } catch (error) {
+        Alert.alert('Error', 'Invalid npub format');
+        return null;
+      }
+    }
+    if (!pubkey) {
+      Alert.alert('Error', `User "${target}" not found. Use username, pubkey, or npub format.`);
+      return null;
+    }
+    return pubkey;
+  };
+
+  // NIP-29 administration commands need a group and, for the relay to take them, a role in it
+  const requireGroupAdmin = (commandName) => {
+    if (channelProtocol !== 'nip29') {
+      Alert.alert('Not Supported', `/${commandName} administers NIP-29 groups; this channel isn't one`);
+      return false;
+    }
+    if (!userPermissions.isOperator) {
+      Alert.alert('Permission Denied', `You need an admin role in this group to use /${commandName}`);
+      return false;
+    }
+    return true;
+  };
+
+  // /delgroup: NIP-29 delete-group, after asking
+  const confirmDeleteGroup = () => {
+    Alert.alert(
+      'Delete Group',
+      `Delete ${channelName} for everyone? The relay drops the group and all its messages.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await nostrService.deleteNIP29Group(channelId);
+              navigation.goBack();
+            } catch (error) {
+              if (error.code === 'AUTH_REQUIRED') {
+                showAuthRequired(error);
+                return;
+              }
+              console.error('Error deleting group:', error);
+              Alert.alert('Error', error.message || 'Failed to delete group');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // /whois: profile, NIP-05 check, role here and channels we both post in
+  const showWhois = async (target) => {
+    const pubkey = resolveUserArg(target);
+    if (!pubkey) return;
+    
+    const [profile, sharedChannels] = await Promise.all([
+      nostrService.getUserProfile(pubkey),
+      nostrService.getSharedChannels(pubkey)
+    ]);
+    const nip05Verified = profile?.nip05 ? await nostrService.verifyNip05(pubkey, profile.nip05) : false;
+    
+    const roles = [];
+    if (channelRoleService.isOperator(channelRoles, pubkey)) roles.push('operator');
+    if (channelRoles?.voiced.has(pubkey)) roles.push('voiced');
+    if (channelRoleService.isBanned(channelRoles, pubkey)) roles.push('banned');
+    else if (channelRoleService.isMuted(channelRoles, pubkey)) roles.push('muted');
+    
+    const lines = [
+      `👤 ${profile?.display_name || profile?.name || `${pubkey.substring(0, 8)}...`}${profile?.name && profile?.display_name ? ` (${profile.name})` : ''}`,
+      `  ${nostrUtils.pubkeyToNpub(pubkey)}`
+    ];
+    if (profile?.nip05) lines.push(`  NIP-05: ${profile.nip05} ${nip05Verified ? '✅ verified' : '❌ not verified'}`);
+    if (profile?.about) lines.push(`  About: ${profile.about}`);
+    if (roles.length > 0) lines.push(`  In ${channelName}: ${roles.join(', ')}`);
+    if (pubkey !== nostrService.publicKey) {
+      lines.push(`  Shared channels: ${sharedChannels.length > 0 ? sharedChannels.map(channel => `#${channel.name}`).join(', ') : 'none'}`);
+    }
+    
+    onNewMessage({
+      id: Date.now().toString() + '_whois',
+      content: lines.join('\n'),
+      author: 'system',
+      channelId: channelId,
+      timestamp: Math.floor(Date.now() / 1000),
+      type: MESSAGE_TYPES.SYSTEM
+    });
+  };
+
+  // <user> [duration] [reason...] of /ban, /kick and /mute. NIP-29 removals don't expire, so
+  // a duration there is refused instead of silently dropped.
+  const getModerationArgs = (args) => {
+    const { target, duration, reason } = nostrUtils.parseModerationArgs(args);
+    
+    if (duration && channelProtocol === 'nip29') {
+      Alert.alert('Not Supported', 'NIP-29 relays don\'t support timed removals. Leave out the duration and put the user back later with /unban.');
+      return {};
+    }
+    
+    return {
+      target,
+      duration,
+      reason: reason || 'No reason provided',
+      expiresAt: duration ? channelRoleService.now() + duration : null
+    };
+  };
+
+  // Active bans and mutes with who set them and when they run out
+  const showBanList = () => {
+    if (channelProtocol === 'nip29') {
+      Alert.alert('Ban List', 'NIP-29 relays keep their ban lists to themselves; ask the relay operator.');
+      return;
+    }
+    
+    const entries = channelRoleService.getBanList(channelRoles);
+    const now = channelRoleService.now();
+    const lines = entries.map(entry => {
+      const expiry = entry.expiresAt ? `${nostrUtils.formatDuration(entry.expiresAt - now)} left` : 'permanent';
+      const reason = entry.reason ? ` - ${entry.reason}` : '';
+      return `  ${entry.type === 'ban' ? '🚫' : '🔇'} ${getUserDisplayName(entry.pubkey)} (${expiry}, by ${getUserDisplayName(entry.issuer)})${reason}`;
+    });
+    
+    onNewMessage({
+      id: Date.now().toString() + '_banlist',
+      content: entries.length > 0
+        ? `📋 Bans and mutes in ${channelName} (${entries.length}):\n${lines.join('\n')}`
+        : `📋 Nobody is banned or muted in ${channelName}`,
+      author: 'system',
+      channelId: channelId,
+      timestamp: Math.floor(Date.now() / 1000),
+      type: MESSAGE_TYPES.SYSTEM
+    });
+  };
+
+  // Log export: check the range and ask before decrypted text leaves the app
+  const startLogExport = ({ format, from, to }) => {
+    const fromRange = from ? nostrUtils.parseDateRange(from) : null;
+    const toRange = to ? nostrUtils.parseDateRange(to) : null;
+    if ((from && !fromRange) || (to && !toRange)) {
+      Alert.alert('Invalid Date', 'Use YYYY-MM-DD, YYYY-MM or a duration such as 7d.');
+      return;
+    }
+    
+    const options = {
+      format,
+      since: fromRange ? fromRange.start : null,
+      until: toRange ? toRange.end : null
+    };
+    
+    if (channelProtocol === 'encrypted' || messages.some(message => message.encrypted)) {
+      Alert.alert(
+        'Encrypted Group',
+        'The log can include the decrypted messages. Anyone who gets the file will be able to read them.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Keep Encrypted', onPress: () => exportLog({ ...options, includeDecrypted: false }) },
+          { text: 'Include Decrypted', style: 'destructive', onPress: () => exportLog({ ...options, includeDecrypted: true }) }
+        ]
+      );
+      return;
+    }
+    
+    exportLog({ ...options, includeDecrypted: false });
+  };
+  
+  const exportLog = async ({ format, since, until, includeDecrypted }) => {
+    try {
+      setExportProgress(0);
+      
+      let events = [];
+      try {
+        events = await nostrService.queryChannelLog(channelId, {
+          protocol: channelProtocol,
+          since,
+          until: until !== null ? until - 1 : null,
+          onProgress: setExportProgress
+        });
+      } catch (error) {
+        // Offline: the scrollback loaded here is all there is
+        console.warn('⚠️ Exporting loaded messages only:', error?.message || error);
+      }
+      
+      if (format === LOG_FORMATS.JSONL && events.length === 0) {
+        Alert.alert('Nothing to Export', 'No relay returned signed events for this range.');
+        return;
+      }
+      
+      const log = await logExportService.buildLog({
+        channel: { channelId, channelName, protocol: channelProtocol },
+        events,
+        messages,
+        format,
+        since,
+        until,
+        includeDecrypted,
+        nameOf: getUserDisplayName
+      });
+      await logExportService.save(log);
+      setShowExportModal(false);
+      
+      onNewMessage({
+        id: Date.now().toString() + '_log_export',
+        content: `🗄️ Exported ${log.count} ${format === LOG_FORMATS.JSONL ? 'events' : 'entries'} to ${log.filename}${events.length === 0 ? ' (no relay answered - loaded messages only)' : ''}`,
+        author: 'system',
+        channelId: channelId,
+        timestamp: Math.floor(Date.now() / 1000),
+        type: MESSAGE_TYPES.SYSTEM
+      });
+    } catch (error) {
+      console.error('Failed to export channel log:', error);
+      Alert.alert('Error', 'Failed to export the channel log');
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
   const handleIRCCommand = async (command) => {
     switch (command.command) {
       case 'topic':
-        if (!userPermissions.canSetTopic) {
-          Alert.alert('Permission Denied', 'You need operator privileges to set the topic');
+        if (!userPermissions.canSetTopic && command.args.length > 0) {
+          Alert.alert('Permission Denied', 'The topic is locked (+t). Only operators can change it.');
           return;
         }
         if (command.args.length > 0) {
@@ -687,41 +1474,39 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         break;
         
       case 'kick':
+      case 'mute':
         if (!userPermissions.canKick) {
-          Alert.alert('Permission Denied', 'You need operator privileges to kick users');
+          Alert.alert('Permission Denied', `You need operator privileges to ${command.command} users`);
           return;
         }
         if (command.args.length > 0) {
-          const targetUser = command.args[0];
-          const reason = command.args.slice(1).join(' ') || 'No reason provided';
+          const { target: targetUser, reason, expiresAt, duration } = getModerationArgs(command.args);
+          if (!targetUser) return;
+          const durationText = duration ? ` for ${nostrUtils.formatDuration(duration)}` : '';
           
           if (channelProtocol === 'nip29') {
-            await performNIP29ModerationAction('kick', targetUser, reason);
-            Alert.alert('User Muted', `${targetUser.substring(0, 16)}... has been muted in the NIP-29 group.\n\nThis action is enforced by the relay - the user cannot send messages until unmuted.\n\nUse /unkick to unmute them.`);
+            if (command.command === 'mute') {
+              Alert.alert('Not Supported', 'NIP-29 groups have no mutes. Use /kick to remove the user, or set +m so only members can speak.');
+              return;
+            }
+            const pubkey = resolveUserArg(targetUser);
+            if (!pubkey) return;
+            await performNIP29ModerationAction('kick', pubkey, reason);
+            Alert.alert('User Removed', `${getUserDisplayName(pubkey)} has been removed from the NIP-29 group (remove-user).\n\nThis action is enforced by the relay. Use /unkick to put them back.`);
           } else {
-            await nostrService.performModerationAction(channelId, 'kick', targetUser, reason);
+            await nostrService.muteChannelUser(channelId, targetUser, reason, expiresAt);
             const protocolName = channelProtocol === 'private_nip28' ? 'Private NIP-28 channel' : 'public channel';
-            Alert.alert('⚠️ Fake Kick Only', `This is a ${protocolName} - kick commands are NOT enforced.\n\n"${targetUser.substring(0, 16)}..." can still send messages. Only NIP-29 groups have real moderation.\n\nConsider creating a NIP-29 group for actual admin controls.`);
-            
-            // Add system message explaining this is fake
-            const systemMessage = {
-              id: `fake_kick_${Date.now()}`,
-              content: `⚠️ FAKE MODERATION: "${targetUser.substring(0, 8)}..." was "kicked" but this has NO EFFECT in ${protocolName}s. User can still send messages. Use NIP-29 groups for real moderation.`,
-              author: 'system',
-              channelId: channelId,
-              timestamp: Math.floor(Date.now() / 1000),
-              type: MESSAGE_TYPES.SYSTEM
-            };
-            onNewMessage(systemMessage);
+            Alert.alert('User Muted', `"${targetUser.substring(0, 16)}..." has been muted${durationText} in this ${protocolName} (NIP-28 kind 44).\n\nClients that honour the channel's operators hide their messages. Relays still accept them - only NIP-29 groups have relay-enforced moderation.`);
           }
         } else {
-          Alert.alert('Error', 'Usage: /kick <user> [reason]');
+          Alert.alert('Error', `Usage: /${command.command} <user> [duration] [reason]\nDurations: 30m, 2h, 7d, 1w`);
         }
         break;
         
       case 'unkick':
+      case 'unmute':
         if (!userPermissions.canKick) {
-          Alert.alert('Permission Denied', 'You need operator privileges to unkick users');
+          Alert.alert('Permission Denied', `You need operator privileges to ${command.command} users`);
           return;
         }
         if (command.args.length > 0) {
@@ -729,14 +1514,22 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
           const reason = command.args.slice(1).join(' ') || 'User unmuted';
           
           if (channelProtocol === 'nip29') {
-            await performNIP29ModerationAction('unkick', targetUser, reason);
-            Alert.alert('User Unmuted', `${targetUser.substring(0, 16)}... has been unmuted in the NIP-29 group.\n\nThis action is enforced by the relay - the user can now send messages again.`);
+            if (command.command === 'unmute') {
+              Alert.alert('Not Supported', 'NIP-29 groups have no mutes to lift. Use /unkick to put a removed user back.');
+              return;
+            }
+            const pubkey = resolveUserArg(targetUser);
+            if (!pubkey) return;
+            await performNIP29ModerationAction('unkick', pubkey, reason);
+            Alert.alert('User Added', `${getUserDisplayName(pubkey)} has been put back in the NIP-29 group (put-user).`);
+          } else if (!userPermissions.canUnmute) {
+            Alert.alert('Permission Denied', 'NIP-28 mutes can\'t be taken back; only the channel creator can lift them');
           } else {
-            const protocolName = channelProtocol === 'private_nip28' ? 'Private NIP-28 channel' : 'public channel';
-            Alert.alert('⚠️ No Effect', `This is a ${protocolName} - unkick commands have no effect.\n\nUsers are never actually muted in non-NIP-29 groups, so unmuting does nothing.\n\nOnly NIP-29 groups have real mute/unmute functionality.`);
+            await nostrService.unmuteChannelUser(channelId, targetUser, reason);
+            Alert.alert('User Unmuted', `"${targetUser.substring(0, 16)}..." has been unmuted. Their messages show again for clients that honour the channel's operators.`);
           }
         } else {
-          Alert.alert('Error', 'Usage: /unkick <user> [reason]');
+          Alert.alert('Error', `Usage: /${command.command} <user> [reason]`);
         }
         break;
         
@@ -746,53 +1539,95 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
           return;
         }
         if (command.args.length > 0) {
-          const targetUser = command.args[0];
-          const reason = command.args.slice(1).join(' ') || 'No reason provided';
+          const { target: targetUser, reason, expiresAt, duration } = getModerationArgs(command.args);
+          if (!targetUser) return;
           
           if (channelProtocol === 'nip29') {
-            await performNIP29ModerationAction('ban', targetUser, reason);
-            Alert.alert('User Removed', `${targetUser.substring(0, 16)}... has been permanently removed from the NIP-29 group.\n\nThis action is enforced by the relay - the user cannot send messages anymore.`);
+            const pubkey = resolveUserArg(targetUser);
+            if (!pubkey) return;
+            await performNIP29ModerationAction('ban', pubkey, reason);
+            Alert.alert('User Removed', `${getUserDisplayName(pubkey)} has been removed from the NIP-29 group (remove-user).\n\nNIP-29 has no separate ban: the relay enforces the removal, and in a closed group they can't come back without an invite.`);
           } else {
-            await nostrService.performModerationAction(channelId, 'ban', targetUser, reason);
+            await nostrService.banChannelUser(channelId, targetUser, reason, expiresAt);
             const protocolName = channelProtocol === 'private_nip28' ? 'Private NIP-28 channel' : 'public channel';
-            Alert.alert('⚠️ Fake Ban Only', `This is a ${protocolName} - ban commands are NOT enforced.\n\n"${targetUser.substring(0, 16)}..." can still send messages and rejoin. Only NIP-29 groups have real moderation.\n\nConsider creating a NIP-29 group for actual admin controls.`);
-            
-            // Add system message explaining this is fake
-            const systemMessage = {
-              id: `fake_ban_${Date.now()}`,
-              content: `⚠️ FAKE MODERATION: "${targetUser.substring(0, 8)}..." was "banned" but this has NO EFFECT in ${protocolName}s. User can still send messages and rejoin. Use NIP-29 groups for real moderation.`,
-              author: 'system',
-              channelId: channelId,
-              timestamp: Math.floor(Date.now() / 1000),
-              type: MESSAGE_TYPES.SYSTEM
-            };
-            onNewMessage(systemMessage);
+            const durationText = duration ? ` for ${nostrUtils.formatDuration(duration)}` : '';
+            Alert.alert('User Banned', `"${targetUser.substring(0, 16)}..." has been banned from this ${protocolName}${durationText}.\n\nClients that honour the channel's operators hide their messages. Relays still accept them - only NIP-29 groups have relay-enforced bans.`);
+          }
+        } else {
+          Alert.alert('Error', 'Usage: /ban <user> [duration] [reason]\nDurations: 30m, 2h, 7d, 1w');
+        }
+        break;
+        
+      case 'unban':
+        if (!userPermissions.canUnmute) {
+          Alert.alert('Permission Denied', channelProtocol === 'nip29'
+            ? 'You need operator privileges to unban users'
+            : 'Only the channel creator can lift bans in this channel');
+          return;
+        }
+        if (command.args.length > 0) {
+          const targetUser = command.args[0];
+          const reason = command.args.slice(1).join(' ') || 'User unbanned';
+          
+          if (channelProtocol === 'nip29') {
+            const pubkey = resolveUserArg(targetUser);
+            if (!pubkey) return;
+            await performNIP29ModerationAction('unban', pubkey, reason);
+            Alert.alert('User Unbanned', `${getUserDisplayName(pubkey)} has been put back in the NIP-29 group (put-user).`);
+          } else {
+            // Lifts the kind 45 ban and the kind 44 mute that came with it
+            await nostrService.unmuteChannelUser(channelId, targetUser, reason);
+            Alert.alert('User Unbanned', `"${targetUser.substring(0, 16)}..." has been unbanned. Their messages show again for clients that honour the channel's operators.`);
           }
         } else {
-          Alert.alert('Error', 'Usage: /ban <user> [reason]');
+          Alert.alert('Error', 'Usage: /unban <user> [reason]');
         }
         break;
+        
+      case 'banlist':
+        showBanList();
+        break;
+        
+      case 'log': {
+        // /log export [irc|jsonl|html] [from] [to]
+        const [subcommand, ...rest] = command.args;
+        if (subcommand?.toLowerCase() !== 'export') {
+          Alert.alert('Error', 'Usage: /log export [irc|jsonl|html] [from] [to]');
+          return;
+        }
+        const format = Object.values(LOG_FORMATS).includes(rest[0]?.toLowerCase())
+          ? rest.shift().toLowerCase()
+          : LOG_FORMATS.IRC;
+        startLogExport({ format, from: rest[0] || '', to: rest[1] || '' });
+        break;
+      }
 
       case 'op':
         if (!userPermissions.canOp) {
-          Alert.alert('Permission Denied', 'You need operator privileges to grant operator status');
+          Alert.alert('Permission Denied', userPermissions.isOperator
+            ? 'Only the channel creator can grant operator status'
+            : 'You need operator privileges to grant operator status');
           return;
         }
         if (command.args.length > 0) {
           const targetUser = command.args[0];
           
           if (channelProtocol === 'nip29') {
-            await performNIP29ModerationAction('op', targetUser);
-            Alert.alert('Operator Granted', `${targetUser.substring(0, 16)}... is now an operator in the NIP-29 group.\n\nThey have real admin powers enforced by the relay.`);
+            // /op <user> [role]: put-user with a role; the relay decides what the role may do
+            const pubkey = resolveUserArg(targetUser);
+            if (!pubkey) return;
+            const role = command.args[1] || channelRoleService.getAdminRole(channelRoles);
+            await performNIP29ModerationAction('op', pubkey, '', { role });
+            Alert.alert('Operator Granted', `${getUserDisplayName(pubkey)} now has the "${role}" role in the NIP-29 group.\n\nThe relay enforces what that role may do.`);
           } else {
             await nostrService.performModerationAction(channelId, 'op', targetUser);
             const protocolName = channelProtocol === 'private_nip28' ? 'Private NIP-28 channel' : 'public channel';
-            Alert.alert('⚠️ Fake Op Only', `This is a ${protocolName} - op commands are NOT enforced.\n\n"${targetUser.substring(0, 16)}..." has no real admin powers. Only NIP-29 groups have actual operator privileges.`);
+            Alert.alert('Operator Granted', `"${targetUser.substring(0, 16)}..." is now an operator in this ${protocolName} and can use operator commands here.\n\nRelays don't enforce this - only NIP-29 groups have relay-enforced operator privileges.`);
             
-            // Add system message explaining this is fake
+            // Add system message explaining relays don't enforce it
             const systemMessage = {
-              id: `fake_op_${Date.now()}`,
-              content: `⚠️ FAKE MODERATION: "${targetUser.substring(0, 8)}..." was "opped" but this has NO EFFECT in ${protocolName}s. User has no real admin powers. Use NIP-29 groups for real operator privileges.`,
+              id: `op_${Date.now()}`,
+              content: `👑 "${targetUser.substring(0, 8)}..." is now an operator. Relays don't enforce this in ${protocolName}s - use NIP-29 groups for relay-enforced operator privileges.`,
               author: 'system',
               channelId: channelId,
               timestamp: Math.floor(Date.now() / 1000),
@@ -801,30 +1636,34 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
             onNewMessage(systemMessage);
           }
         } else {
-          Alert.alert('Error', 'Usage: /op <user>');
+          Alert.alert('Error', channelProtocol === 'nip29' ? 'Usage: /op <user> [role]' : 'Usage: /op <user>');
         }
         break;
 
       case 'deop':
         if (!userPermissions.canOp) {
-          Alert.alert('Permission Denied', 'You need operator privileges to remove operator status');
+          Alert.alert('Permission Denied', userPermissions.isOperator
+            ? 'Only the channel creator can remove operator status'
+            : 'You need operator privileges to remove operator status');
           return;
         }
         if (command.args.length > 0) {
           const targetUser = command.args[0];
           
           if (channelProtocol === 'nip29') {
-            await performNIP29ModerationAction('deop', targetUser);
-            Alert.alert('Operator Removed', `${targetUser.substring(0, 16)}... is no longer an operator in the NIP-29 group.\n\nTheir admin powers have been revoked by the relay.`);
+            const pubkey = resolveUserArg(targetUser);
+            if (!pubkey) return;
+            await performNIP29ModerationAction('deop', pubkey);
+            Alert.alert('Operator Removed', `${getUserDisplayName(pubkey)} is a plain member of the NIP-29 group again.\n\nThe relay has taken their roles away.`);
           } else {
             await nostrService.performModerationAction(channelId, 'deop', targetUser);
             const protocolName = channelProtocol === 'private_nip28' ? 'Private NIP-28 channel' : 'public channel';
-            Alert.alert('⚠️ Fake Deop Only', `This is a ${protocolName} - deop commands are NOT enforced.\n\n"${targetUser.substring(0, 16)}..." status unchanged. Only NIP-29 groups have actual operator management.`);
+            Alert.alert('Operator Removed', `"${targetUser.substring(0, 16)}..." is no longer an operator in this ${protocolName}.\n\nRelays don't enforce this - only NIP-29 groups have relay-enforced operator management.`);
             
-            // Add system message explaining this is fake
+            // Add system message explaining relays don't enforce it
             const systemMessage = {
-              id: `fake_deop_${Date.now()}`,
-              content: `⚠️ FAKE MODERATION: "${targetUser.substring(0, 8)}..." was "deopped" but this has NO EFFECT in ${protocolName}s. User status unchanged. Use NIP-29 groups for real operator management.`,
+              id: `deop_${Date.now()}`,
+              content: `👤 "${targetUser.substring(0, 8)}..." is no longer an operator. Relays don't enforce this in ${protocolName}s - use NIP-29 groups for relay-enforced operator management.`,
               author: 'system',
               channelId: channelId,
               timestamp: Math.floor(Date.now() / 1000),
@@ -836,7 +1675,90 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
           Alert.alert('Error', 'Usage: /deop <user>');
         }
         break;
-
+
+      case 'adduser': {
+        // /adduser <user> [role...]: NIP-29 put-user, also how roles are changed
+        if (!requireGroupAdmin(command.command)) return;
+        if (command.args.length === 0) {
+          Alert.alert('Error', 'Usage: /adduser <user> [role...]');
+          return;
+        }
+        const pubkey = resolveUserArg(command.args[0]);
+        if (!pubkey) return;
+        const roles = command.args.slice(1);
+        announceOwnGroupEvent(await nostrService.putNIP29User(channelId, pubkey, roles));
+        break;
+      }
+        
+      case 'removeuser': {
+        if (!requireGroupAdmin(command.command)) return;
+        if (command.args.length === 0) {
+          Alert.alert('Error', 'Usage: /removeuser <user> [reason]');
+          return;
+        }
+        const pubkey = resolveUserArg(command.args[0]);
+        if (!pubkey) return;
+        announceOwnGroupEvent(await nostrService.removeNIP29User(channelId, pubkey, command.args.slice(1).join(' ')));
+        break;
+      }
+        
+      case 'meta': {
+        // /meta name|about|picture <value>, or /meta open|closed|public|private
+        if (!requireGroupAdmin(command.command)) return;
+        const field = command.args[0]?.toLowerCase();
+        const value = command.args.slice(1).join(' ');
+        const flagChanges = {
+          open: { open: true },
+          closed: { open: false },
+          public: { public: true },
+          private: { public: false }
+        };
+        
+        // about and picture may be cleared; a group always keeps a name
+        let changes = flagChanges[field] || null;
+        if (['about', 'picture'].includes(field) || (field === 'name' && value)) {
+          changes = { [field]: value };
+        }
+        if (!changes) {
+          Alert.alert('Error', 'Usage: /meta name|about|picture <value>\n       /meta open|closed|public|private');
+          return;
+        }
+        
+        announceOwnGroupEvent(await nostrService.editNIP29GroupMetadata(channelId, changes));
+        break;
+      }
+        
+      case 'invite': {
+        // NIP-29 create-invite; inviting a particular person is the invite button (put-user)
+        if (!requireGroupAdmin(command.command)) return;
+        const { code, address } = await nostrService.createNIP29Invite(channelId);
+        onNewMessage({
+          id: Date.now().toString() + '_invite',
+          content: `🎟️ Invite code for ${channelName}: ${code}\nAnyone with it can join, even while the group is closed:\n/join ${address} ${code}`,
+          author: 'system',
+          channelId: channelId,
+          timestamp: Math.floor(Date.now() / 1000),
+          type: MESSAGE_TYPES.SYSTEM
+        });
+        break;
+      }
+        
+      case 'delete': {
+        if (!requireGroupAdmin(command.command)) return;
+        const [eventId, ...reasonParts] = command.args;
+        if (!eventId || !nostrUtils.isValidPubkey(eventId)) {
+          Alert.alert('Error', 'Usage: /delete <event id> [reason]\nLong-pressing a message does the same.');
+          return;
+        }
+        announceOwnGroupEvent(await nostrService.deleteNIP29Event(channelId, eventId, reasonParts.join(' ')));
+        break;
+      }
+        
+      case 'delgroup':
+        if (!requireGroupAdmin(command.command)) return;
+        confirmDeleteGroup();
+        break;
+        
       case 'msg':
         if (command.args.length < 2) {
           Alert.alert('Error', 'Usage: /msg <user> <message>');
@@ -882,6 +1804,81 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         });
         break;
         
+      case 'mode':
+        await handleModeCommand(command.args);
+        break;
+        
+      case 'join':
+        if (command.args.length === 0) {
+          Alert.alert('Error', 'Usage: /join <#channel|channel id|nevent|naddr> [invite code]');
+          return;
+        }
+        // /join <group> <invite code>: channel names have no spaces, so a second word is a code
+        if (command.args.length === 2) {
+          await joinChannelCommand(command.args[0], command.args[1]);
+        } else {
+          await joinChannelCommand(command.args.join(' '));
+        }
+        break;
+        
+      case 'part':
+      case 'leave':
+        await partChannel();
+        break;
+        
+      case 'nick':
+        if (command.args.length === 0) {
+          Alert.alert('Error', 'Usage: /nick <display name>');
+          return;
+        }
+        try {
+          const displayName = command.args.join(' ');
+          const profile = await nostrService.updateDisplayName(displayName);
+          setUserProfiles(prev => new Map(prev).set(nostrService.publicKey, profile));
+          onNewMessage({
+            id: Date.now().toString() + '_nick',
+            content: `🏷️ You are now known as ${displayName}`,
+            author: 'system',
+            channelId: channelId,
+            timestamp: Math.floor(Date.now() / 1000),
+            type: MESSAGE_TYPES.SYSTEM
+          });
+        } catch (error) {
+          console.error('Error changing nick:', error);
+          Alert.alert('Error', error.code === 'AUTH_REQUIRED' ? error.message : 'Failed to update your display name');
+        }
+        break;
+        
+      case 'whois':
+        if (command.args.length === 0) {
+          Alert.alert('Error', 'Usage: /whois <username|pubkey|npub>');
+          return;
+        }
+        await showWhois(command.args[0]);
+        break;
+        
+      case 'me':
+        if (command.args.length === 0) {
+          Alert.alert('Error', 'Usage: /me <action>');
+          return;
+        }
+        if (userPermissions.canSpeak === false) {
+          Alert.alert('Channel Moderated', `#${channelName} is moderated (+m). Only operators and voiced users can speak.`);
+          return;
+        }
+        await sendWithDeliveryState(command.args.join(' '), MESSAGE_TYPES.ACTION);
+        break;
+        
+      case 'clear':
+        // Only this screen's scrollback; reopening the channel loads it again
+        setMessages([]);
+        break;
+        
+      case 'quit':
+        // Close every open channel and go back to the channel list
+        navigation.popToTop();
+        break;
+        
       case 'help':
         showHelp();
         break;
@@ -891,9 +1888,10 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
     }
   };
 
-  const loadPrivateGroupMembers = async () => {
+  const loadPrivateGroupMembers = async (refresh = false) => {
     try {
-      const members = await nostrService.getPrivateGroupMembers(channelId);
+      const roster = await nostrService.getPrivateGroupRoster(channelId, { refresh });
+      const members = groupMembershipService.listMembers(roster);
       setPrivateGroupMembers(members);
       console.log(`🔒 Loaded ${members.length} private group members`);
     } catch (error) {
@@ -1050,7 +2048,7 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
       }
 
       // Check if user is already a member
-      if (privateGroupMembers.includes(pubkey)) {
+      if (privateGroupMembers.some(member => member.pubkey === pubkey)) {
         Alert.alert('Error', 'User is already a member of this group');
         return;
       }
@@ -1061,7 +2059,7 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
         // Use groupId for NIP-29 groups, fall back to channelId if groupId is not available
         const nip29GroupId = groupId || channelId;
         await nostrService.inviteToNIP29Group(nip29GroupId, pubkey, inviteMessage);
-        Alert.alert('Success', 'NIP-29 group invitation sent successfully!');
+        Alert.alert('Success', 'They have been added to the NIP-29 group and can open it with /join.');
       } else if (channelProtocol === 'encrypted') {
         console.log('🔐 Sending encrypted channel invitation with key distribution...');
         
@@ -1072,14 +2070,12 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
           return;
         }
         
+        // Admins add them to the membership entries first, so the members share their sender
+        // chains with them from now on
+        await nostrService.addPrivateGroupMember(channelId, pubkey);
+        
         // Distribute the group key to the new member
-        const keyDistribution = await groupEncryptionService.distributeGroupKey(
-          channelId,
-          groupKey.key,
-          groupKey.version,
-          [pubkey],
-          nostrService
-        );
+        const keyDistribution = await nostrService.shareGroupKey(channelId, [pubkey]);
         
         // Check if key distribution was successful
         const distributionResult = keyDistribution.find(result => result.member === pubkey);
@@ -1104,7 +2100,7 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
       setSearchResults([]);
       
       // Refresh member list
-      await loadPrivateGroupMembers();
+      await loadPrivateGroupMembers(true);
     } catch (error) {
       console.error('Error sending invitation:', error);
       Alert.alert('Error', 'Failed to send invitation');
@@ -1262,24 +2258,190 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
     );
   };
 
-  const showChannelInfo = () => {
+  const renderExportModal = () => {
+    if (!showExportModal) return null;
+    
+    const formatLabels = {
+      [LOG_FORMATS.IRC]: 'IRC log',
+      [LOG_FORMATS.JSONL]: 'Nostr JSONL',
+      [LOG_FORMATS.HTML]: 'HTML'
+    };
+    
+    return (
+      <Modal
+        visible={showExportModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowExportModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContainer, { backgroundColor: theme.cardBackgroundColor }]}>
+            <View style={styles.modalHeader}>
+              <Text style={[styles.modalTitle, { color: theme.textColor }]}>
+                Export #{channelName} Log
+              </Text>
+              <TouchableOpacity
+                onPress={() => setShowExportModal(false)}
+                style={styles.modalCloseButton}
+              >
+                <Ionicons name="close" size={24} color={theme.textColor} />
+              </TouchableOpacity>
+            </View>
+
+            <Text style={[styles.modalLabel, { color: theme.textColor }]}>Format</Text>
+            <View style={styles.exportFormats}>
+              {Object.values(LOG_FORMATS).map(format => (
+                <TouchableOpacity
+                  key={format}
+                  style={[styles.exportFormatButton, {
+                    borderColor: exportFormat === format ? theme.primaryColor : theme.borderColor,
+                    backgroundColor: exportFormat === format ? theme.primaryColor : 'transparent'
+                  }]}
+                  onPress={() => setExportFormat(format)}
+                >
+                  <Text style={[styles.modalButtonText, { color: exportFormat === format ? 'white' : theme.textColor }]}>
+                    {formatLabels[format]}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={[styles.exportHint, { color: theme.secondaryTextColor }]}>
+              {exportFormat === LOG_FORMATS.JSONL
+                ? 'Raw signed events, one per line - anyone can verify them'
+                : 'Messages with topic, mode and moderation changes'}
+            </Text>
+
+            <Text style={[styles.modalLabel, { color: theme.textColor }]}>Range (optional)</Text>
+            <View style={styles.exportFormats}>
+              <TextInput
+                style={[styles.modalInput, styles.exportDateInput, {
+                  backgroundColor: theme.surfaceColor,
+                  color: theme.textColor,
+                  borderColor: theme.borderColor
+                }]}
+                value={exportFrom}
+                onChangeText={setExportFrom}
+                placeholder="From: 2024-05-01, 7d"
+                placeholderTextColor={theme.secondaryTextColor}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TextInput
+                style={[styles.modalInput, styles.exportDateInput, {
+                  backgroundColor: theme.surfaceColor,
+                  color: theme.textColor,
+                  borderColor: theme.borderColor
+                }]}
+                value={exportTo}
+                onChangeText={setExportTo}
+                placeholder="To: 2024-05-31"
+                placeholderTextColor={theme.secondaryTextColor}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </View>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton, { backgroundColor: theme.borderColor }]}
+                onPress={() => setShowExportModal(false)}
+              >
+                <Text style={[styles.modalButtonText, { color: theme.textColor }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.sendButton, { backgroundColor: theme.primaryColor }]}
+                onPress={() => startLogExport({ format: exportFormat, from: exportFrom.trim(), to: exportTo.trim() })}
+                disabled={exportProgress !== null}
+              >
+                {exportProgress !== null ? (
+                  <Text style={[styles.modalButtonText, { color: 'white' }]}>{exportProgress} events...</Text>
+                ) : (
+                  <Text style={[styles.modalButtonText, { color: 'white' }]}>Export</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  const showChannelInfo = async () => {
     const operatorStatus = userPermissions.isOperator ? 'Yes' : 'No';
+    const modes = channelRoleService.formatModes(channelRoles) || 'none';
     const creator = channelInfo?.creator?.substring(0, 16) + '...' || 'Unknown';
     const topic = channelTopic || 'No topic set';
     const protocolName = channelProtocol === 'nip29' ? 'NIP-29 (Managed Group)' : 
                         channelProtocol === 'private_nip28' ? 'Private NIP-28 (Basic Privacy)' : 
+                        channelProtocol === 'encrypted' ? 'Encrypted Group (Shared Key)' :
                         'Public Channel';
     const protocolDescription = channelProtocol === 'nip29' ? 
                                'Relay-managed with full admin controls' :
                                channelProtocol === 'private_nip28' ? 
                                'Invitation-only access, plain text messages' :
+                               channelProtocol === 'encrypted' ?
+                               'Messages encrypted with a key shared by the creator and admins' :
                                'Public channel on Nostr network';
     
+    let extraInfo = '';
+    const buttons = [{ text: 'OK' }];
+    if (channelProtocol === 'encrypted') {
+      const [groupKey, keyVersions, roster, securityLog] = await Promise.all([
+        groupEncryptionService.getGroupKey(channelId),
+        groupEncryptionService.getKeyVersions(channelId),
+        nostrService.getPrivateGroupRoster(channelId),
+        groupEncryptionService.getSecurityLog(channelId)
+      ]);
+      const members = groupMembershipService.listMembers(roster);
+      extraInfo = `\nKey version: ${groupKey ? groupKey.version : 'no key'}` +
+        `${keyVersions.length > 1 ? ` (history: v${keyVersions.slice(1).join(', v')})` : ''}` +
+        `\nMembers: ${members.length} (${members.filter(member => member.role === GROUP_ROLES.ADMIN).length} admins)` +
+        `\nRejected key shares: ${securityLog.length}`;
+      if (securityLog.length > 0) {
+        buttons.unshift({ text: 'Security Log', onPress: () => showSecurityLog(securityLog) });
+      }
+    } else if (channelProtocol === 'nip29') {
+      extraInfo = describeGroupState(channelRoles?.group);
+    }
+    
     Alert.alert(
       'Channel Info',
-      `Channel: #${channelName}\nProtocol: ${protocolName}\nFeatures: ${protocolDescription}\nCreator: ${creator}\nTopic: ${topic}\nMessages: ${messages.length}\nYou are operator: ${operatorStatus}`,
-      [{ text: 'OK' }]
+      `Channel: #${channelName}\nProtocol: ${protocolName}\nFeatures: ${protocolDescription}\nCreator: ${creator}\nTopic: ${topic}\nModes: ${modes}\nMessages: ${messages.length}\nYou are operator: ${operatorStatus}${extraInfo}`,
+      buttons
+    );
+  };
+
+  // The relay's 39000-39003 state for the channel info dialog
+  const describeGroupState = (group) => {
+    if (!group?.updatedAt) {
+      return '\nGroup state: not received from the relay yet';
+    }
+    
+    const admins = group.admins.map(admin =>
+      `  ${getUserDisplayName(admin.pubkey)}${admin.roles.length > 0 ? ` (${admin.roles.join(', ')})` : ''}`
+    );
+    const extraFlags = group.flags.filter(flag => !['open', 'closed', 'public', 'private'].includes(flag));
+    
+    return `\nGroup name: ${group.name || '(none)'}` +
+      `${group.about ? `\nAbout: ${group.about}` : ''}` +
+      `${group.picture ? `\nPicture: ${group.picture}` : ''}` +
+      `\nAccess: ${group.open ? 'open' : 'closed'}, ${group.public ? 'public' : 'private'}` +
+      `${extraFlags.length > 0 ? `, ${extraFlags.join(', ')}` : ''}` +
+      `\nAdmins (${admins.length}):\n${admins.join('\n') || '  none listed'}` +
+      `\nMembers: ${group.members.length}` +
+      `${group.roles.length > 0 ? `\nRoles: ${group.roles.map(role => role.name).join(', ')}` : ''}` +
+      `\nUpdated: ${nostrUtils.formatTimestamp(group.updatedAt)}`;
+  };
+
+  // Key shares for this group we refused, e.g. someone who isn't the creator or an admin
+  // trying to hand us a key they control
+  const showSecurityLog = (securityLog) => {
+    const entries = securityLog.map(entry =>
+      `${nostrUtils.formatTimestamp(entry.timestamp)} · ${getUserDisplayName(entry.sender)}` +
+      `${entry.keyVersion ? ` (key v${entry.keyVersion})` : ''}\n  ${entry.reason}`
     );
+    
+    Alert.alert('Security Log', `Rejected key shares:\n\n${entries.join('\n\n')}`, [{ text: 'OK' }]);
   };
 
   const showUserListDialog = () => {
@@ -1294,7 +2456,7 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
       const userListText = userArray.map(user => {
         const timeStr = nostrUtils.formatTimestamp(user.lastSeen);
         const displayName = getUserDisplayName(user.pubkey);
-        return `  ${user.isOperator ? '@' : ''}${displayName} (${timeStr})`;
+        return `  ${channelRoleService.getPrefix(channelRoles, user.pubkey)}${displayName} (${timeStr})`;
       }).join('\n');
       
       userListContent = `👥 Users in channel (${userArray.length}):\n${userListText}`;
@@ -1315,30 +2477,42 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
 
   const showHelp = () => {
     const protocolInfo = channelProtocol === 'nip29' ? 
-      '\n\n🏛️ NIP-29 Group - REAL Moderation:\n• Kick command mutes users (temporary silence)\n• Unkick command unmutes users\n• Ban command permanently removes users\n• Relay enforces all admin actions\n• Operator privileges have real power' :
+      '\n\n🏛️ NIP-29 Group - REAL Moderation:\n• Kick and ban remove users (remove-user); unkick and unban put them back (put-user)\n• Operator status is a role given with put-user\n• NIP-29 has no mutes or timed bans\n• Relay enforces all admin actions and publishes the group state' :
       channelProtocol === 'private_nip28' ? 
-        '\n\n⚠️ Private NIP-28 Channel - FAKE Moderation:\n• Kick/ban commands are visual only\n• No real enforcement - users can still message\n• Encrypted invitations, plain text messages\n• Create NIP-29 group for real moderation' :
-        '\n\n# Public Channel - FAKE Moderation:\n• Kick/ban commands are visual only\n• No real enforcement - users can still message\n• Anyone can join and participate\n• Create NIP-29 group for real moderation';
+        '\n\n⚠️ Private NIP-28 Channel - Client-side Moderation:\n• Kick/ban publish NIP-28 mutes; honouring clients hide the user\n• Relays don\'t enforce it - users can still message\n• Encrypted invitations, plain text messages\n• Create NIP-29 group for relay-enforced moderation' :
+        '\n\n# Public Channel - Client-side Moderation:\n• Kick/ban publish NIP-28 mutes; honouring clients hide the user\n• Relays don\'t enforce it - users can still message\n• Anyone can join and participate\n• Create NIP-29 group for relay-enforced moderation';
     
     const operatorCommands = userPermissions.isOperator ? 
       (channelProtocol === 'nip29' ? 
-        '\n\n🛡️ Operator Commands (ENFORCED):\n/topic [text] - Set/view channel topic\n/kick [user] [reason] - Mute user (temporary silence)\n/unkick [user] [reason] - Unmute user\n/ban [user] [reason] - Permanently ban user\n/op [user] - Grant real operator status\n/deop [user] - Remove real operator status' :
-        '\n\n⚠️ Operator Commands (VISUAL ONLY):\n/topic [text] - Set channel topic\n/kick [user] [reason] - Fake mute (no effect)\n/unkick [user] [reason] - Fake unmute (no effect)\n/ban [user] [reason] - Fake ban (no effect)\n/op [user] - Fake op status (no power)\n/deop [user] - Fake deop (no effect)\n\n⚠️ These don\'t actually work in non-NIP-29 groups!'
+        '\n\n🛡️ Operator Commands (ENFORCED):\n/topic [text] - Set/view channel topic\n/kick|/ban [user] [reason] - Remove user from the group\n/unkick|/unban [user] - Put a removed user back\n/op [user] [role] - Give a role (admin by default)\n/deop [user] - Take all roles away\n/adduser [user] [role...] - Add user or set their roles\n/removeuser [user] [reason] - Remove user\n/meta name|about|picture [value] - Edit group metadata\n/meta open|closed|public|private - Change group access\n/invite - Create an invite code\n/delete [event id] [reason] - Delete a message (or long-press it)\n/delgroup - Delete the group' :
+        '\n\n⚠️ Operator Commands (CLIENT-SIDE):\n/topic [text] - Set channel topic\n/kick [user] [duration] [reason] - Mute user (NIP-28 kind 44)\n/unkick [user] [reason] - Unmute user (creator only)\n/ban [user] [duration] [reason] - Mute and ban user\n/unban [user] - Lift a ban (creator only)\n/banlist - Show active bans and mutes\nDurations (30m, 2h, 7d) expire via NIP-40\n/op [user] - Grant op status (this app only)\n/deop [user] - Remove op status (this app only)\nLong-press a message - Hide it (NIP-28 kind 43)\n\n⚠️ Relays don\'t enforce these in non-NIP-29 groups'
       ) : 
       '';
     
     const helpContent = `📋 IRC on Nostr - Command Reference
 
-🔧 IRC Commands (8 total):
+🔧 IRC Commands (25 total):
 /help - Show this IRC command help
+/join [#channel|id|nevent|naddr] [invite code] - Open a channel or NIP-29 group
+/part, /leave - Leave this channel
+/quit - Close all channels
+/clear - Clear this channel's scrollback
 /users - List active channel users
+/whois [username|pubkey|npub] - Profile, NIP-05 and shared channels
+/nick [name] - Change your display name
+/me [action] - Send an action (* you waves)
 /msg [username|pubkey|npub] [message] - Send private message
-/topic [text] - Set/view channel topic${operatorCommands ? '' : ' (operators only)'}
-/kick [user] [reason] - Mute user${operatorCommands ? '' : ' (operators only)'}
-/unkick [user] [reason] - Unmute user${operatorCommands ? '' : ' (operators only)'}
-/ban [user] [reason] - Ban user${operatorCommands ? '' : ' (operators only)'}
+/topic [text] - Set/view channel topic${operatorCommands ? '' : ' (operators only under +t)'}
+/mode [#channel] [+mitns-...] - Show/set channel modes${operatorCommands ? '' : ' (operators only)'}
+/kick|/mute [user] [duration] [reason] - Mute user${operatorCommands ? '' : ' (operators only)'}
+/unkick|/unmute [user] [reason] - Unmute user${operatorCommands ? '' : ' (operators only)'}
+/ban [user] [duration] [reason] - Ban user, e.g. /ban alice 2h spam${operatorCommands ? '' : ' (operators only)'}
+/unban [user] - Lift a ban${operatorCommands ? '' : ' (operators only)'}
+/banlist - Show active bans and mutes with expiry
+/log export [irc|jsonl|html] [from] [to] - Export the channel log
 /op [user] - Grant operator status${operatorCommands ? '' : ' (operators only)'}
 /deop [user] - Remove operator status${operatorCommands ? '' : ' (operators only)'}
+/adduser, /removeuser, /meta, /invite, /delete, /delgroup - NIP-29 group administration${operatorCommands ? '' : ' (admins only)'}
 
 🤖 Bot Commands (32 total):
 • Helper: !help, !commands, !about, !time
@@ -1353,7 +2527,7 @@ const ChannelScreen = ({ route, navigation, theme = THEMES.DARK }) => {
 • !poker 100 4 - Start 4-player poker game
 • !roll 2d10+5 - Roll dice with modifier
 
-Total: 40 commands available${operatorCommands}${protocolInfo}`;
+Total: 57 commands available${operatorCommands}${protocolInfo}`;
     
     // Add help as system message to chat
     const systemMessage = {
@@ -1368,23 +2542,152 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
     onNewMessage(systemMessage);
   };
 
+  // Operators' hides and mutes, bans and +m apply to people's messages, never to ours or the bots'
+  const getHiddenReason = (message) => {
+    if (message.type === MESSAGE_TYPES.SYSTEM || message.type === MESSAGE_TYPES.BOT_RESPONSE) {
+      return null;
+    }
+    return channelRoleService.getHiddenReason(channelRoles, message);
+  };
+
+  const hiddenReasonLabels = {
+    hidden: 'hidden by an operator',
+    banned: 'author banned',
+    muted: 'author muted',
+    moderated: 'not voiced (+m)'
+  };
+
+  // Tapping a reaction we already made takes it back (kind 5); otherwise we add it
+  const toggleReaction = async (message, reaction) => {
+    try {
+      const ownReactionIds = reactionService.getOwnReactionIds(channelId, message.id, reaction.key, nostrService.publicKey);
+      if (ownReactionIds.length > 0) {
+        await nostrService.removeReactions(channelId, ownReactionIds, { protocol: channelProtocol });
+      } else {
+        await nostrService.sendReaction(channelId, message, reaction.content, {
+          protocol: channelProtocol,
+          emoji: reaction.emoji
+        });
+      }
+    } catch (error) {
+      if (error.code === 'AUTH_REQUIRED') {
+        showAuthRequired(error);
+        return;
+      }
+      console.error('Error toggling reaction:', error);
+      Alert.alert('Error', 'Failed to update reaction');
+    }
+  };
+
+  const selectReaction = (choice) => {
+    const message = reactionTarget;
+    setReactionTarget(null);
+    if (message) {
+      toggleReaction(message, { ...choice, ...nostrUtils.normalizeReaction(choice.content, choice.emoji) });
+    }
+  };
+
+  const showReactors = (reaction) => {
+    Alert.alert(
+      `${reaction.content} · ${reaction.count}`,
+      reaction.reactors.map(pubkey => getUserDisplayName(pubkey)).join('\n')
+    );
+  };
+
+  const confirmHideMessage = (message) => {
+    if (channelProtocol === 'nip29') {
+      confirmDeleteGroupMessage(message);
+      return;
+    }
+    
+    Alert.alert(
+      'Hide Message',
+      'Hide this message for everyone who follows this channel\'s operators?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Hide',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await nostrService.hideChannelMessage(channelId, message.id);
+            } catch (error) {
+              console.error('Error hiding message:', error);
+              Alert.alert('Error', 'Failed to hide message');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // NIP-29 delete-event: the relay drops the message instead of clients hiding it
+  const confirmDeleteGroupMessage = (message) => {
+    Alert.alert(
+      'Delete Message',
+      'Delete this message from the group? The relay drops it for everyone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              announceOwnGroupEvent(await nostrService.deleteNIP29Event(channelId, message.id));
+            } catch (error) {
+              if (error.code === 'AUTH_REQUIRED') {
+                showAuthRequired(error);
+                return;
+              }
+              console.error('Error deleting message:', error);
+              Alert.alert('Error', error.message || 'Failed to delete message');
+            }
+          }
+        }
+      ]
+    );
+  };
+
   const renderMessage = ({ item }) => {
     const isSystem = item.type === MESSAGE_TYPES.SYSTEM;
     const isBot = item.type === MESSAGE_TYPES.BOT_RESPONSE;
-    const isOperator = channelInfo && item.author === channelInfo.creator;
+    const isAction = item.type === MESSAGE_TYPES.ACTION;
+    const isOperator = channelRoleService.isOperator(channelRoles, item.author);
+    const hiddenReason = getHiddenReason(item);
+    // Operators hide messages (NIP-28 kind 43); NIP-29 admins delete them at the relay
+    const canHide = userPermissions.isOperator &&
+      !isSystem && !isBot && !hiddenReason && !item.delivery;
+    // Only messages relays have (and we could read) can be reacted to
+    const canReact = !isSystem && !isBot && !item.isLocal && !item.decryption_failed &&
+      (!item.delivery || item.delivery.state === DELIVERY_STATES.SENT);
     
     return (
-      <View style={[
-        styles.messageContainer,
-        isSystem && styles.systemMessage,
-        isBot && styles.botMessage
-      ]}>
+      <TouchableOpacity
+        key={item.id}
+        nativeID={`message-${item.id}`}
+        activeOpacity={1}
+        disabled={!canHide}
+        onLongPress={() => confirmHideMessage(item)}
+        style={[
+          styles.messageContainer,
+          isSystem && styles.systemMessage,
+          isBot && styles.botMessage,
+          hiddenReason && styles.hiddenMessage,
+          item.id === highlightedMessageId && [styles.highlightedMessage, { borderLeftColor: theme.primaryColor }]
+        ]}
+      >
         {!isSystem && !isBot && (
           <View style={styles.messageHeader}>
             <Text style={[styles.messageAuthor, { color: theme.secondaryTextColor }]}>
               {getUserDisplayName(item.author)}
               {isOperator && <Text style={[styles.operatorBadge, { color: theme.successColor }]}> @</Text>}
+              {hiddenReason && <Text> · {hiddenReasonLabels[hiddenReason]}</Text>}
             </Text>
+            {canReact && (
+              <TouchableOpacity onPress={() => setReactionTarget(item)} style={styles.reactButton}>
+                <Ionicons name="happy-outline" size={14} color={theme.secondaryTextColor} />
+              </TouchableOpacity>
+            )}
           </View>
         )}
         {isBot && (
@@ -1402,14 +2705,31 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
                    theme.textColor 
           },
           isSystem && styles.systemMessageText,
-          isBot && styles.botMessageText
+          isBot && styles.botMessageText,
+          isAction && styles.actionMessageText
         ]}>
-          {typeof item.content === 'string' ? item.content : JSON.stringify(item.content)}
+          {isAction && '* '}{typeof item.content === 'string' ? item.content : JSON.stringify(item.content)}
         </Text>
         <Text style={[styles.messageTime, { color: theme.secondaryTextColor }]}>
           {nostrUtils.formatTimestamp(item.timestamp)}
         </Text>
-      </View>
+        {canReact && (
+          <ReactionBar
+            reactions={reactionService.getReactions(channelId, item.id, nostrService.publicKey)}
+            onToggle={(reaction) => toggleReaction(item, reaction)}
+            onShowReactors={showReactors}
+            theme={theme}
+          />
+        )}
+        {item.delivery && (
+          <DeliveryStatus
+            delivery={item.delivery}
+            onRetry={item.signedEvent ? () => retryMessage(item) : null}
+            onQueuedPress={() => showQueuedMessageActions(item)}
+            theme={theme}
+          />
+        )}
+      </TouchableOpacity>
     );
   };
 
@@ -1424,15 +2744,12 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
           style: 'destructive',
           onPress: async () => {
             try {
-              // Note: In a full implementation, we would create a "remove member" event
-              // For now, we'll just remove them from the local list and show a message
-              console.log(`🚫 Removing member ${memberPubkey.substring(0, 8)}... from private group`);
-              
-              // TODO: Implement actual member removal event in NostrService
-              // await nostrService.removeMemberFromPrivateGroup(channelId, memberPubkey);
-              
-              // For now, just update the local state
-              setPrivateGroupMembers(prev => prev.filter(pubkey => pubkey !== memberPubkey));
+              await nostrService.removeMemberFromPrivateGroup(channelId, memberPubkey);
+              if (channelProtocol === 'encrypted') {
+                // They still hold the key; everyone else moves to a new one
+                await nostrService.removeMemberFromEncryptedGroup(channelId, memberPubkey);
+              }
+              await loadPrivateGroupMembers();
               
               Alert.alert('Success', 'Member removed from the group');
             } catch (error) {
@@ -1448,13 +2765,15 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
   const renderUserList = () => {
     // For private groups, show member list; for public channels, show active users
     const displayUsers = isPrivateGroup ? 
-      privateGroupMembers.map(pubkey => ({ 
-        pubkey, 
+      privateGroupMembers.map(member => ({ 
+        ...member,
         lastSeen: Date.now() / 1000, 
-        isOperator: channelInfo?.creator === pubkey,
         isMember: true
       })) : 
       Array.from(channelUsers.values()).sort((a, b) => b.lastSeen - a.lastSeen);
+    const isGroupAdmin = privateGroupMembers.some(member =>
+      member.pubkey === nostrService.publicKey && member.role === GROUP_ROLES.ADMIN
+    );
 
     const title = isPrivateGroup ? `Members (${displayUsers.length})` : `Users (${displayUsers.length})`;
 
@@ -1465,6 +2784,11 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
             {title}
           </Text>
           <View style={styles.userListHeaderButtons}>
+            {channelProtocol === 'encrypted' && (
+              <TouchableOpacity onPress={showChannelInfo} style={styles.inviteHeaderButton}>
+                <Ionicons name="information-circle-outline" size={18} color={theme.primaryColor} />
+              </TouchableOpacity>
+            )}
             {isPrivateGroup && (
               <TouchableOpacity 
                 onPress={() => {
@@ -1484,41 +2808,63 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
         <FlatList
           data={displayUsers}
           keyExtractor={(item) => item.pubkey}
-          renderItem={({ item }) => (
-            <View style={styles.userItem}>
-              <View style={styles.userInfo}>
-                <Text style={[styles.userName, { color: theme.textColor }]}>
-                  {item.isOperator && <Text style={[styles.operatorBadge, { color: theme.successColor }]}>@ </Text>}
-                  {isPrivateGroup && item.isMember && <Text style={[styles.memberBadge, { color: theme.primaryColor }]}>👤 </Text>}
-                  {getUserDisplayName(item.pubkey)}
-                </Text>
-                {!isPrivateGroup && (
-                  <Text style={[styles.userLastSeen, { color: theme.secondaryTextColor }]}>
-                    {nostrUtils.formatTimestamp(item.lastSeen)}
-                  </Text>
-                )}
-                {isPrivateGroup && (
-                  <Text style={[styles.memberStatus, { color: theme.secondaryTextColor }]}>
-                    {item.pubkey === nostrService.publicKey ? 'You' : 'Member'}
+          renderItem={({ item }) => {
+            const rolePrefix = channelRoleService.getPrefix(channelRoles, item.pubkey);
+
+            return (
+              <View style={styles.userItem}>
+                <View style={styles.userInfo}>
+                  <Text style={[styles.userName, { color: theme.textColor }]}>
+                    {rolePrefix !== '' && <Text style={[styles.operatorBadge, { color: theme.successColor }]}>{rolePrefix} </Text>}
+                    {isPrivateGroup && item.isMember && <Text style={[styles.memberBadge, { color: theme.primaryColor }]}>👤 </Text>}
+                    {getUserDisplayName(item.pubkey)}
                   </Text>
+                  {!isPrivateGroup && (
+                    <Text style={[styles.userLastSeen, { color: theme.secondaryTextColor }]}>
+                      {nostrUtils.formatTimestamp(item.lastSeen)}
+                    </Text>
+                  )}
+                  {isPrivateGroup && (
+                    <Text style={[styles.memberStatus, { color: theme.secondaryTextColor }]}>
+                      {item.pubkey === nostrService.publicKey ? 'You · ' : ''}
+                      {item.role === GROUP_ROLES.ADMIN ? 'Admin' : 'Member'}
+                      {item.joinedAt
+                        ? ` · joined ${new Date(item.joinedAt * 1000).toLocaleDateString()}`
+                        : item.addedAt ? ' · invited' : ''}
+                    </Text>
+                  )}
+                </View>
+                {isPrivateGroup && item.pubkey !== nostrService.publicKey && isGroupAdmin &&
+                  (item.role !== GROUP_ROLES.ADMIN || channelInfo?.creator === nostrService.publicKey) && (
+                  <TouchableOpacity
+                    style={[styles.removeButton, { backgroundColor: theme.errorColor }]}
+                    onPress={() => removeMemberFromGroup(item.pubkey)}
+                  >
+                    <Ionicons name="remove" size={16} color="white" />
+                  </TouchableOpacity>
                 )}
               </View>
-              {isPrivateGroup && item.pubkey !== nostrService.publicKey && userPermissions.isOperator && (
-                <TouchableOpacity
-                  style={[styles.removeButton, { backgroundColor: theme.errorColor }]}
-                  onPress={() => removeMemberFromGroup(item.pubkey)}
-                >
-                  <Ionicons name="remove" size={16} color="white" />
-                </TouchableOpacity>
-              )}
-            </View>
-          )}
+            );
+          }}
           style={styles.userList}
         />
+        {channelProtocol === 'encrypted' && securityLog.length > 0 && (
+          <TouchableOpacity
+            style={[styles.securityLogBanner, { borderTopColor: theme.borderColor }]}
+            onPress={() => showSecurityLog(securityLog)}
+          >
+            <Ionicons name="warning-outline" size={16} color={theme.errorColor} />
+            <Text style={[styles.securityLogText, { color: theme.errorColor }]}>
+              {securityLog.length} key share{securityLog.length === 1 ? '' : 's'} rejected · latest from {getUserDisplayName(securityLog[0].sender)}
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
     );
   };
 
+  const hiddenCount = messages.filter(message => getHiddenReason(message)).length;
+
   return (
     <View style={[styles.container, { backgroundColor: theme.backgroundColor }]}>
       {/* Topic bar */}
@@ -1531,9 +2877,23 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
         </View>
       ) : null}
       
+      {/* Hidden messages bar */}
+      {hiddenCount > 0 && (
+        <TouchableOpacity
+          style={[styles.topicContainer, { backgroundColor: theme.surfaceColor }]}
+          onPress={() => setShowHidden(!showHidden)}
+        >
+          <Ionicons name={showHidden ? 'eye-outline' : 'eye-off-outline'} size={16} color={theme.secondaryTextColor} />
+          <Text style={[styles.topicText, { color: theme.secondaryTextColor }]}>
+            {hiddenCount} hidden by operators · {showHidden ? 'Hide them' : 'Show hidden'}
+          </Text>
+        </TouchableOpacity>
+      )}
+      
       {/* Messages area - WEB SCROLLABLE */}
       <View 
         ref={flatListRef}
+        onScroll={handleMessagesScroll}
         style={[
           styles.messagesContainer,
           { 
@@ -1544,8 +2904,27 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
           }
         ]}
       >
+        {/* Scrollback */}
+        {messages.length > 0 && (
+          loadingOlder ? (
+            <ActivityIndicator size="small" color={theme.secondaryTextColor} style={styles.historyIndicator} />
+          ) : historyExhausted ? (
+            <Text style={[styles.historyText, { color: theme.secondaryTextColor }]}>
+              Beginning of #{channelName}
+            </Text>
+          ) : (
+            <TouchableOpacity onPress={loadOlderMessages}>
+              <Text style={[styles.historyText, { color: theme.primaryColor }]}>
+                Load older messages
+              </Text>
+            </TouchableOpacity>
+          )
+        )}
+        
         {/* Render messages directly */}
-        {messages.map((message) => renderMessage({ item: message }))}
+        {messages
+          .filter(message => showHidden || !getHiddenReason(message))
+          .map((message) => renderMessage({ item: message }))}
         
         {/* Empty state */}
         {messages.length === 0 && !isLoading && (
@@ -1574,6 +2953,37 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
         )}
       </View>
 
+      {/* Editing a queued message */}
+      {editingQueuedId && (
+        <View style={[styles.editingBar, { backgroundColor: theme.surfaceColor }]}>
+          <Ionicons name="create-outline" size={14} color={theme.warningColor} />
+          <Text style={[styles.editingText, { color: theme.secondaryTextColor }]}>
+            Editing a message that is waiting to send
+          </Text>
+          <TouchableOpacity
+            onPress={() => {
+              setEditingQueuedId(null);
+              setInputText('');
+            }}
+          >
+            <Ionicons name="close" size={16} color={theme.secondaryTextColor} />
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Proof of work in progress */}
+      {powProgress && (
+        <View style={[styles.editingBar, { backgroundColor: theme.surfaceColor }]}>
+          <ActivityIndicator size="small" color={theme.primaryColor} />
+          <Text style={[styles.editingText, { color: theme.secondaryTextColor }]}>
+            Computing proof of work ({powProgress.difficulty} bits, {powProgress.hashes.toLocaleString()} hashes)…
+          </Text>
+          <TouchableOpacity onPress={() => powAbortRef.current?.abort()}>
+            <Ionicons name="close" size={16} color={theme.secondaryTextColor} />
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Input area - FIXED AT BOTTOM */}
       <View style={[styles.inputContainer, { backgroundColor: theme.cardBackgroundColor }]}>
         <TextInput
@@ -1608,6 +3018,14 @@ Total: 40 commands available${operatorCommands}${protocolInfo}`;
       
       {/* Invite Modal for Private Groups */}
       {renderInviteModal()}
+      {renderExportModal()}
+      <ReactionPicker
+        visible={!!reactionTarget}
+        customEmoji={reactionService.getCustomEmoji(channelId)}
+        onSelect={selectReaction}
+        onClose={() => setReactionTarget(null)}
+        theme={theme}
+      />
     </View>
   );
 };
@@ -1621,6 +3039,14 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingVertical: 8,
   },
+  historyIndicator: {
+    paddingVertical: 8,
+  },
+  historyText: {
+    fontSize: 12,
+    textAlign: 'center',
+    paddingVertical: 8,
+  },
   topicContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1692,6 +3118,14 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingVertical: 4,
   },
+  hiddenMessage: {
+    opacity: 0.5,
+  },
+  highlightedMessage: {
+    backgroundColor: 'rgba(59, 130, 246, 0.15)',
+    borderLeftWidth: 3,
+    paddingLeft: 8,
+  },
   botMessage: {
     backgroundColor: 'rgba(59, 130, 246, 0.1)',
     borderLeftWidth: 3,
@@ -1723,10 +3157,28 @@ const styles = StyleSheet.create({
     fontSize: 15,
     fontWeight: '500',
   },
+  actionMessageText: {
+    fontStyle: 'italic',
+  },
   messageTime: {
     fontSize: 10,
     marginTop: 2,
   },
+  reactButton: {
+    marginLeft: 'auto',
+    paddingHorizontal: 4,
+  },
+  editingBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    gap: 8,
+  },
+  editingText: {
+    flex: 1,
+    fontSize: 12,
+  },
   inputContainer: {
     flexDirection: 'row',
     padding: 16,
@@ -1849,6 +3301,25 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  exportFormats: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  exportFormatButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  exportHint: {
+    fontSize: 12,
+    marginTop: 8,
+  },
+  exportDateInput: {
+    flex: 1,
+    fontSize: 14,
+  },
   
   // Search functionality styles for invite modal
   searchContainer: {
@@ -1900,6 +3371,17 @@ const styles = StyleSheet.create({
   inviteHeaderButton: {
     padding: 4,
   },
+  securityLogBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    padding: 12,
+    borderTopWidth: 1,
+  },
+  securityLogText: {
+    fontSize: 12,
+    flex: 1,
+  },
   userInfo: {
     flex: 1,
   },
@@ -16,6 +16,8 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { nostrService } from '../services/NostrService';
+import { accountService } from '../services/AccountService';
+import { searchService } from '../services/SearchService';
 import { nostrUtils } from '../utils/nostrUtils';
 import { STORAGE_KEYS, THEMES } from '../utils/constants';
 
@@ -62,6 +64,11 @@ const FeedScreen = ({ navigation, theme = THEMES.DARK }) => {
     };
   }, []);
 
+  // Feed posts go into the local search index as they're shown
+  useEffect(() => {
+    searchService.indexFeedPosts(posts, userProfiles);
+  }, [posts, userProfiles]);
+
   const setupFeedSubscription = async () => {
     try {
       // Get current following list for subscription
@@ -195,8 +202,8 @@ const FeedScreen = ({ navigation, theme = THEMES.DARK }) => {
 
   const loadUserInteractions = async () => {
     try {
-      const storedLikes = await AsyncStorage.getItem('user_liked_posts');
-      const storedReposts = await AsyncStorage.getItem('user_reposted_posts');
+      const storedLikes = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.LIKED_POSTS));
+      const storedReposts = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.REPOSTED_POSTS));
       
       if (storedLikes) {
         setLikedPosts(new Set(JSON.parse(storedLikes)));
@@ -212,8 +219,8 @@ const FeedScreen = ({ navigation, theme = THEMES.DARK }) => {
 
   const saveUserInteractions = async (liked, reposted) => {
     try {
-      await AsyncStorage.setItem('user_liked_posts', JSON.stringify(Array.from(liked)));
-      await AsyncStorage.setItem('user_reposted_posts', JSON.stringify(Array.from(reposted)));
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.LIKED_POSTS), JSON.stringify(Array.from(liked)));
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.REPOSTED_POSTS), JSON.stringify(Array.from(reposted)));
     } catch (error) {
       console.error('Error saving user interactions:', error);
     }
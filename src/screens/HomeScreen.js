@@ -32,12 +32,13 @@ const HomeScreen = ({ navigation, theme = THEMES.DARK }) => {
     initializeAndLoadChannels();
     loadPendingInvitations();
     
-    // Check connection status periodically
-    const statusInterval = setInterval(() => {
+    // Follow relay state changes instead of polling
+    setConnectionStatus(nostrService.getConnectionStatus());
+    const removeStatusListener = nostrService.addRelayStatusListener(() => {
       setConnectionStatus(nostrService.getConnectionStatus());
-    }, 5000);
+    });
 
-    return () => clearInterval(statusInterval);
+    return () => removeStatusListener();
   }, []);
 
   // Update filtered channels when channels change (only for empty search)
@@ -184,7 +185,7 @@ const HomeScreen = ({ navigation, theme = THEMES.DARK }) => {
       // Then load regular channels (NIP-28) and private groups
       try {
         console.log('📡 Loading standard channels...');
-        const channelList = await nostrService.queryChannels(200);
+        const channelList = await nostrService.queryChannels(200, { hideSecret: true });
         console.log('✅ Successfully loaded', channelList.length, 'standard channels from relays');
         
         // Combine all channels and groups (NIP-29 groups first)
@@ -495,6 +496,14 @@ const HomeScreen = ({ navigation, theme = THEMES.DARK }) => {
             </TouchableOpacity>
           )}
           
+          {/* Search message history */}
+          <TouchableOpacity 
+            style={[styles.joinButton, { backgroundColor: theme.surfaceColor }]}
+            onPress={() => navigation.navigate('Search')}
+          >
+            <Ionicons name="search" size={20} color={theme.textColor} />
+          </TouchableOpacity>
+          
           {/* Join NIP-29 Group Button */}
           <TouchableOpacity 
             style={[styles.joinButton, { backgroundColor: theme.successColor }]}
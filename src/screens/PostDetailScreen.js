@@ -15,8 +15,9 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { nostrService } from '../services/NostrService';
+import { accountService } from '../services/AccountService';
 import { nostrUtils } from '../utils/nostrUtils';
-import { THEMES } from '../utils/constants';
+import { STORAGE_KEYS, THEMES } from '../utils/constants';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -51,8 +52,8 @@ const PostDetailScreen = ({ route, navigation, theme = THEMES.DARK }) => {
   const loadUserInteractions = async () => {
     try {
       // Load user's likes and reposts from storage
-      const storedLikes = await AsyncStorage.getItem('user_liked_posts');
-      const storedReposts = await AsyncStorage.getItem('user_reposted_posts');
+      const storedLikes = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.LIKED_POSTS));
+      const storedReposts = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.REPOSTED_POSTS));
       
       if (storedLikes) {
         setLikedPosts(new Set(JSON.parse(storedLikes)));
@@ -10,15 +10,19 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { nostrService } from '../services/NostrService';
+import { outboxService } from '../services/OutboxService';
+import { searchService } from '../services/SearchService';
 import { nostrUtils } from '../utils/nostrUtils';
-import { THEMES } from '../utils/constants';
+import { THEMES, DELIVERY_STATES, DM_PROTOCOLS } from '../utils/constants';
 
 const PrivateConversationScreen = ({ route, navigation, theme = THEMES.DARK }) => {
-  const { contactPubkey, contactName, initialMessage } = route.params;
+  const { contactPubkey, contactName, initialMessage, highlightMessageId } = route.params;
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [isConnected, setIsConnected] = useState(false);
+  const [editingQueuedId, setEditingQueuedId] = useState(null);
+  const [contactInboxRelays, setContactInboxRelays] = useState(null); // null until the kind 10050 lookup returns
   const scrollViewRef = useRef();
   const subscriptionRef = useRef();
 
@@ -38,6 +42,7 @@ const PrivateConversationScreen = ({ route, navigation, theme = THEMES.DARK }) =
 
     loadMessages();
     subscribeToMessages();
+    loadContactInboxRelays();
     
     // Mark conversation as read when opened
     markAsRead();
@@ -60,12 +65,58 @@ const PrivateConversationScreen = ({ route, navigation, theme = THEMES.DARK }) =
     };
   }, [contactPubkey]);
 
+  // Keep queued (offline) messages in sync with the outbox
+  useEffect(() => {
+    const outboxKey = `dm:${contactPubkey}`;
+    
+    const removeOutboxListener = outboxService.addListener((change) => {
+      if (change.item.conversationKey !== outboxKey) return;
+      
+      switch (change.type) {
+        case 'queued':
+          updateMessage(change.item.id, { pending: false, queued: true });
+          break;
+        case 'sent':
+          updateMessage(change.item.id, { pending: false, queued: false, failed: false });
+          break;
+        case 'failed':
+          updateMessage(change.item.id, { pending: false, queued: false, failed: true });
+          break;
+        case 'removed':
+          setMessages(prev => prev.filter(msg => msg.id !== change.item.id));
+          break;
+        case 'updated':
+          setMessages(prev => prev.map(msg => 
+            msg.id === change.previousId ? createQueuedMessage(change.item) : msg
+          ));
+          break;
+      }
+    });
+    
+    return () => removeOutboxListener();
+  }, [contactPubkey]);
+
+  // Decrypted messages are indexed on this device only
+  useEffect(() => {
+    searchService.indexDirectMessages({ pubkey: contactPubkey, name: contactName }, messages);
+  }, [messages]);
+
   const loadMessages = async () => {
     try {
       setIsLoading(true);
       const messageHistory = await nostrService.getPrivateMessages(contactPubkey);
-      setMessages(messageHistory);
-      scrollToBottom();
+      
+      // Messages still waiting in the outbox aren't on any relay yet
+      const queuedMessages = outboxService.getItems(`dm:${contactPubkey}`)
+        .filter(item => !messageHistory.some(msg => msg.id === item.id))
+        .map(createQueuedMessage);
+      
+      setMessages([...messageHistory, ...queuedMessages].sort((a, b) => a.timestamp - b.timestamp));
+      if (highlightMessageId) {
+        scrollToMessage(highlightMessageId);
+      } else {
+        scrollToBottom();
+      }
     } catch (error) {
       console.error('Failed to load messages:', error);
       Alert.alert('Error', 'Failed to load message history');
@@ -115,54 +166,134 @@ const PrivateConversationScreen = ({ route, navigation, theme = THEMES.DARK }) =
     }, 100);
   };
 
+  // Opened from a search result
+  const scrollToMessage = (messageId) => {
+    setTimeout(() => {
+      if (typeof document !== 'undefined') {
+        document.getElementById(`message-${messageId}`)?.scrollIntoView({ block: 'center' });
+      }
+    }, 100);
+  };
+
+  const createQueuedMessage = (item) => ({
+    id: item.id,
+    content: item.content,
+    author: nostrService.publicKey,
+    timestamp: item.createdAt,
+    isFromMe: true,
+    pending: false,
+    queued: true,
+    protocol: DM_PROTOCOLS.NIP17
+  });
+
+  const loadContactInboxRelays = async () => {
+    try {
+      setContactInboxRelays(await nostrService.getDMRelays(contactPubkey));
+    } catch (error) {
+      console.error('Failed to load DM inbox relays:', error);
+      setContactInboxRelays([]);
+    }
+  };
+
+  // Messages from before the move to NIP-17 (cached ones may predate the protocol field)
+  const legacyMessageCount = messages.filter(msg => msg.protocol !== DM_PROTOCOLS.NIP17).length;
+
+  const getProtocolDescription = () => {
+    const parts = ['NIP-17 encrypted'];
+    
+    if (contactInboxRelays) {
+      parts.push(contactInboxRelays.length > 0
+        ? 'delivered to their inbox relays'
+        : 'no inbox relays published, using yours');
+    }
+    
+    if (legacyMessageCount > 0) {
+      parts.push(`${legacyMessageCount} older NIP-04 message${legacyMessageCount === 1 ? '' : 's'}`);
+    }
+    
+    return parts.join(' · ');
+  };
+
+  const updateMessage = (messageId, changes) => {
+    setMessages(prev => prev.map(msg => 
+      msg.id === messageId ? { ...msg, ...changes } : msg
+    ));
+  };
+
+  const showQueuedMessageActions = (message) => {
+    Alert.alert(
+      'Waiting to Send',
+      'This message will be sent automatically once a relay is reachable.',
+      [
+        { text: 'Keep Waiting', style: 'cancel' },
+        {
+          text: 'Edit',
+          onPress: () => {
+            setEditingQueuedId(message.id);
+            setInputText(message.content);
+          }
+        },
+        {
+          text: 'Cancel Message',
+          style: 'destructive',
+          onPress: () => outboxService.cancel(message.id)
+        }
+      ]
+    );
+  };
+
   const sendMessageWithContent = async (content) => {
     if (!content.trim()) return;
 
-    try {
-      const messageContent = content.trim();
-      
-      // Add optimistic message
-      const optimisticMessage = {
-        id: `temp_${Date.now()}`,
-        content: messageContent,
-        author: nostrService.publicKey,
-        timestamp: Math.floor(Date.now() / 1000),
-        isFromMe: true,
-        pending: true
-      };
-      
-      setMessages(prev => [...prev, optimisticMessage]);
-      setInputText('');
-      scrollToBottom();
+    const messageContent = content.trim();
+    let signedEventId = null;
 
-      // Send the actual message
-      const sentEvent = await nostrService.sendPrivateMessage(contactPubkey, messageContent);
+    try {
+      // Show the message as soon as it is signed, under its real event id
+      const sentEvent = await nostrService.sendPrivateMessage(contactPubkey, messageContent, {
+        onSigned: (signedEvent) => {
+          signedEventId = signedEvent.id;
+          setMessages(prev => [...prev, {
+            id: signedEvent.id,
+            content: messageContent,
+            author: nostrService.publicKey,
+            timestamp: signedEvent.created_at,
+            isFromMe: true,
+            pending: true,
+            protocol: DM_PROTOCOLS.NIP17
+          }]);
+          setInputText('');
+          scrollToBottom();
+        }
+      });
       
-      // Replace optimistic message with real one
-      setMessages(prev => prev.map(msg => 
-        msg.id === optimisticMessage.id 
-          ? { 
-              id: sentEvent.id,
-              content: messageContent,
-              author: nostrService.publicKey,
-              timestamp: sentEvent.created_at,
-              isFromMe: true,
-              pending: false
-            }
-          : msg
-      ));
+      const queued = sentEvent.delivery?.state === DELIVERY_STATES.QUEUED;
+      updateMessage(sentEvent.id, { pending: false, queued });
       
     } catch (error) {
       console.error('Failed to send message:', error);
       Alert.alert('Error', 'Failed to send message');
       
       // Remove failed optimistic message
-      setMessages(prev => prev.filter(msg => !msg.pending));
+      setMessages(prev => prev.filter(msg => msg.id !== signedEventId));
     }
   };
 
   const sendMessage = async () => {
     if (!inputText.trim()) return;
+    
+    // Replace the text of a message that is still sitting in the outbox
+    if (editingQueuedId) {
+      try {
+        await outboxService.edit(editingQueuedId, inputText.trim());
+        setEditingQueuedId(null);
+        setInputText('');
+      } catch (error) {
+        Alert.alert('Error', error.message);
+      }
+      return;
+    }
+    
     await sendMessageWithContent(inputText.trim());
   };
 
@@ -193,7 +324,7 @@ const PrivateConversationScreen = ({ route, navigation, theme = THEMES.DARK }) =
       (messages[index - 1] && Math.abs(message.timestamp - messages[index - 1].timestamp) > 300); // 5 minutes
 
     return (
-      <View key={message.id} style={styles.messageWrapper}>
+      <View key={message.id} nativeID={`message-${message.id}`} style={styles.messageWrapper}>
         {showTime && (
           <Text style={[styles.timeStamp, { color: theme.secondaryTextColor }]}>
             {new Date(message.timestamp * 1000).toLocaleTimeString([], { 
@@ -211,7 +342,8 @@ const PrivateConversationScreen = ({ route, navigation, theme = THEMES.DARK }) =
               backgroundColor: isFromMe ? theme.primaryColor : theme.cardBackgroundColor,
               borderColor: theme.borderColor
             },
-            message.pending && styles.pendingMessage
+            (message.pending || message.queued) && styles.pendingMessage,
+            message.id === highlightMessageId && [styles.highlightedMessage, { borderColor: theme.warningColor }]
           ]}
         >
           <Text
@@ -229,6 +361,24 @@ const PrivateConversationScreen = ({ route, navigation, theme = THEMES.DARK }) =
             </View>
           )}
         </View>
+        
+        {message.queued && (
+          <TouchableOpacity 
+            style={styles.queuedIndicator}
+            onPress={() => showQueuedMessageActions(message)}
+          >
+            <Ionicons name="cloud-offline-outline" size={12} color={theme.warningColor} />
+            <Text style={[styles.queuedText, { color: theme.warningColor }]}>
+              Waiting to send
+            </Text>
+          </TouchableOpacity>
+        )}
+        
+        {message.failed && (
+          <Text style={[styles.queuedText, styles.queuedIndicator, { color: theme.errorColor }]}>
+            Not delivered
+          </Text>
+        )}
       </View>
     );
   };
@@ -242,6 +392,14 @@ const PrivateConversationScreen = ({ route, navigation, theme = THEMES.DARK }) =
         </View>
       )}
 
+      {/* Which protocol this conversation uses */}
+      <View style={[styles.protocolBar, { backgroundColor: theme.surfaceColor, borderBottomColor: theme.borderColor }]}>
+        <Ionicons name="lock-closed" size={12} color={theme.successColor} />
+        <Text style={[styles.protocolText, { color: theme.secondaryTextColor }]}>
+          {getProtocolDescription()}
+        </Text>
+      </View>
+
       {/* Messages area - WEB SCROLLABLE (same as ChannelScreen) */}
       <View 
         ref={scrollViewRef}
@@ -280,6 +438,24 @@ const PrivateConversationScreen = ({ route, navigation, theme = THEMES.DARK }) =
         )}
       </View>
 
+      {/* Editing a queued message */}
+      {editingQueuedId && (
+        <View style={[styles.editingBar, { backgroundColor: theme.surfaceColor }]}>
+          <Ionicons name="create-outline" size={14} color={theme.warningColor} />
+          <Text style={[styles.editingText, { color: theme.secondaryTextColor }]}>
+            Editing a message that is waiting to send
+          </Text>
+          <TouchableOpacity
+            onPress={() => {
+              setEditingQueuedId(null);
+              setInputText('');
+            }}
+          >
+            <Ionicons name="close" size={16} color={theme.secondaryTextColor} />
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Input area */}
       <View style={[styles.inputContainer, { 
         backgroundColor: theme.cardBackgroundColor,
@@ -329,6 +505,18 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '600',
   },
+  protocolBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    gap: 6,
+  },
+  protocolText: {
+    fontSize: 11,
+  },
   messagesContainer: {
     flex: 1,
     paddingHorizontal: 16,
@@ -362,6 +550,9 @@ const styles = StyleSheet.create({
   pendingMessage: {
     opacity: 0.7,
   },
+  highlightedMessage: {
+    borderWidth: 2,
+  },
   messageText: {
     fontSize: 16,
     lineHeight: 20,
@@ -371,6 +562,27 @@ const styles = StyleSheet.create({
     bottom: 2,
     right: 6,
   },
+  queuedIndicator: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-end',
+    gap: 4,
+    marginTop: 2,
+  },
+  queuedText: {
+    fontSize: 11,
+  },
+  editingBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    gap: 8,
+  },
+  editingText: {
+    flex: 1,
+    fontSize: 12,
+  },
   inputContainer: {
     flexDirection: 'row',
     padding: 16,
@@ -13,7 +13,9 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { nostrService } from '../services/NostrService';
+import { accountService } from '../services/AccountService';
 import { nostrUtils } from '../utils/nostrUtils';
+import AccountSwitcher from '../components/AccountSwitcher';
 import { STORAGE_KEYS, THEMES, EVENT_KINDS } from '../utils/constants';
 
 const ProfileScreen = ({ navigation, theme = THEMES.DARK }) => {
@@ -36,6 +38,7 @@ const ProfileScreen = ({ navigation, theme = THEMES.DARK }) => {
   const [isLoadingFollowers, setIsLoadingFollowers] = useState(false);
   const [unfollowModalVisible, setUnfollowModalVisible] = useState(false);
   const [userToUnfollow, setUserToUnfollow] = useState(null);
+  const [accountSwitcherVisible, setAccountSwitcherVisible] = useState(false);
 
   useEffect(() => {
     loadProfile();
@@ -77,7 +80,7 @@ const ProfileScreen = ({ navigation, theme = THEMES.DARK }) => {
   const loadProfile = async () => {
     try {
       const storedPublicKey = await AsyncStorage.getItem(STORAGE_KEYS.PUBLIC_KEY);
-      const storedProfile = await AsyncStorage.getItem(STORAGE_KEYS.PROFILE);
+      const storedProfile = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.PROFILE));
       
       console.log('📝 Loading profile...');
       console.log('🔑 Public key:', storedPublicKey?.substring(0, 8) + '...');
@@ -100,7 +103,8 @@ const ProfileScreen = ({ navigation, theme = THEMES.DARK }) => {
             console.log('📡 Fetched profile from Nostr:', nostrProfile);
             setProfile(nostrProfile);
             setEditedProfile(nostrProfile);
-            await AsyncStorage.setItem(STORAGE_KEYS.PROFILE, JSON.stringify(nostrProfile));
+            await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.PROFILE), JSON.stringify(nostrProfile));
+            await accountService.updateAccount(storedPublicKey, { name: nostrProfile.name || null });
           }
         } catch (error) {
           console.error('Failed to fetch profile from Nostr:', error);
@@ -185,7 +189,8 @@ const ProfileScreen = ({ navigation, theme = THEMES.DARK }) => {
       console.log('📡 Profile published to Nostr');
       
       // Save locally
-      await AsyncStorage.setItem(STORAGE_KEYS.PROFILE, JSON.stringify(editedProfile));
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.PROFILE), JSON.stringify(editedProfile));
+      await accountService.updateAccount(publicKey, { name: editedProfile.name || null });
       console.log('💽 Profile saved locally');
       
       // Update profile state immediately
@@ -380,6 +385,13 @@ const ProfileScreen = ({ navigation, theme = THEMES.DARK }) => {
           </TouchableOpacity>
         </View>
         
+        <TouchableOpacity
+          style={[styles.editButton, styles.switchAccountButton, { backgroundColor: theme.borderColor }]}
+          onPress={() => setAccountSwitcherVisible(true)}
+        >
+          <Ionicons name="people" size={20} color={theme.textColor} />
+        </TouchableOpacity>
+        
         <TouchableOpacity
           style={[styles.editButton, { backgroundColor: theme.primaryColor }]}
           onPress={() => setIsEditing(!isEditing)}
@@ -606,6 +618,13 @@ const ProfileScreen = ({ navigation, theme = THEMES.DARK }) => {
           </View>
         </View>
       </Modal>
+
+      <AccountSwitcher
+        visible={accountSwitcherVisible}
+        onClose={() => setAccountSwitcherVisible(false)}
+        onAddAccount={() => navigation?.navigate?.('Settings')}
+        theme={theme}
+      />
     </ScrollView>
   );
 };
@@ -661,6 +680,9 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  switchAccountButton: {
+    marginRight: 8,
+  },
   content: {
     borderRadius: 12,
     padding: 20,
@@ -0,0 +1,341 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { searchService, SEARCH_SOURCES } from '../services/SearchService';
+import { nostrUtils } from '../utils/nostrUtils';
+import { THEMES } from '../utils/constants';
+
+const FILTER_HELP = [
+  ['from:alice', 'Messages by a user (name, npub or from:me)'],
+  ['in:#channel', 'Messages in a channel'],
+  ['in:@alice / in:dm', 'Private messages with someone / all of them'],
+  ['in:feed', 'Posts from your feed'],
+  ['before:2024-06-01', 'Before a date (or a duration like 7d)'],
+  ['after:7d', 'After a date (or within the last 7 days)'],
+  ['has:link', 'Messages with a link'],
+  ['"exact words"', 'A phrase'],
+];
+
+const sourceIcons = {
+  [SEARCH_SOURCES.CHANNEL]: 'chatbubbles-outline',
+  [SEARCH_SOURCES.DM]: 'lock-closed-outline',
+  [SEARCH_SOURCES.FEED]: 'newspaper-outline'
+};
+
+// Searches the local index as you type. Relays (NIP-50) are only asked on demand and only
+// for public content.
+const SearchScreen = ({ route, navigation, theme = THEMES.DARK }) => {
+  const [query, setQuery] = useState(route.params?.query || '');
+  const [results, setResults] = useState([]);
+  const [remoteResults, setRemoteResults] = useState(null); // null until relays were asked
+  const [searchingRelays, setSearchingRelays] = useState(false);
+  const [stats, setStats] = useState(searchService.getStats());
+
+  useEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (
+        <TouchableOpacity onPress={confirmClearIndex} style={{ marginRight: 16 }}>
+          <Ionicons name="trash-outline" size={22} color={theme.secondaryTextColor} />
+        </TouchableOpacity>
+      )
+    });
+  }, []);
+
+  useEffect(() => {
+    const delayedSearch = setTimeout(() => {
+      setResults(searchService.search(query));
+      setRemoteResults(null);
+    }, 250);
+
+    return () => clearTimeout(delayedSearch);
+  }, [query]);
+
+  const confirmClearIndex = () => {
+    Alert.alert(
+      'Clear Search Index',
+      'Forget every message indexed on this device? Messages are indexed again as you read them.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await searchService.clear();
+              setResults([]);
+              setStats(searchService.getStats());
+            } catch (error) {
+              Alert.alert('Error', 'Failed to clear the search index');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const searchRelays = async () => {
+    try {
+      setSearchingRelays(true);
+      const found = await searchService.searchRelays(query);
+      const local = new Set(results.map(result => result.id));
+      setRemoteResults(found.filter(result => !local.has(result.id)));
+    } catch (error) {
+      Alert.alert('Error', 'Relay search failed');
+      setRemoteResults([]);
+    } finally {
+      setSearchingRelays(false);
+    }
+  };
+
+  // Open the conversation at the hit
+  const openResult = (result) => {
+    switch (result.source) {
+      case SEARCH_SOURCES.CHANNEL:
+        navigation.navigate('Channel', {
+          channelId: result.conversationId,
+          channelName: result.conversationName,
+          protocol: result.protocol,
+          groupId: result.groupId,
+          highlightMessageId: result.id,
+          highlightTimestamp: result.timestamp
+        });
+        break;
+      case SEARCH_SOURCES.DM:
+        navigation.navigate('PrivateConversation', {
+          contactPubkey: result.conversationId,
+          contactName: result.conversationName,
+          highlightMessageId: result.id
+        });
+        break;
+      case SEARCH_SOURCES.FEED:
+        navigation.navigate('PostDetail', {
+          post: result.event || {
+            id: result.id,
+            pubkey: result.author,
+            content: result.content,
+            created_at: result.timestamp,
+            kind: 1,
+            tags: []
+          }
+        });
+        break;
+    }
+  };
+
+  const getLocation = (result) => {
+    switch (result.source) {
+      case SEARCH_SOURCES.CHANNEL:
+        return `#${result.conversationName}`;
+      case SEARCH_SOURCES.DM:
+        return result.conversationName || `${result.conversationId.substring(0, 8)}...`;
+      default:
+        return 'Feed';
+    }
+  };
+
+  const renderResult = (result) => (
+    <TouchableOpacity
+      key={result.id}
+      style={[styles.resultItem, { borderBottomColor: theme.borderColor }]}
+      onPress={() => openResult(result)}
+    >
+      <View style={styles.resultHeader}>
+        <Ionicons name={sourceIcons[result.source]} size={14} color={theme.secondaryTextColor} />
+        <Text style={[styles.resultLocation, { color: theme.primaryColor }]} numberOfLines={1}>
+          {getLocation(result)}
+        </Text>
+        <Text style={[styles.resultAuthor, { color: theme.secondaryTextColor }]} numberOfLines={1}>
+          {result.authorName || `${result.author.substring(0, 8)}...`}
+        </Text>
+        <Text style={[styles.resultTime, { color: theme.secondaryTextColor }]}>
+          {nostrUtils.formatTimestamp(result.timestamp)}
+        </Text>
+      </View>
+      <Text style={[styles.resultSnippet, { color: theme.textColor }]} numberOfLines={3}>
+        {result.snippet}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.backgroundColor }]}>
+      <View style={[styles.searchInputContainer, { backgroundColor: theme.surfaceColor }]}>
+        <Ionicons name="search" size={20} color={theme.secondaryTextColor} />
+        <TextInput
+          style={[styles.searchInput, { color: theme.textColor }]}
+          placeholder="Search messages, e.g. from:alice in:#nostr has:link"
+          placeholderTextColor={theme.secondaryTextColor}
+          value={query}
+          onChangeText={setQuery}
+          autoFocus
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        {query.length > 0 && (
+          <TouchableOpacity onPress={() => setQuery('')}>
+            <Ionicons name="close-circle" size={20} color={theme.secondaryTextColor} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ScrollView style={styles.scrollView} keyboardShouldPersistTaps="handled">
+        {!query.trim() ? (
+          <View style={styles.help}>
+            <Text style={[styles.helpText, { color: theme.secondaryTextColor }]}>
+              {stats.total} messages indexed on this device ({stats.channel} channel, {stats.dm} private, {stats.feed} feed).
+              Private messages are only searched here and never sent to relays.
+            </Text>
+            {FILTER_HELP.map(([example, description]) => (
+              <View key={example} style={styles.helpRow}>
+                <Text style={[styles.helpExample, { color: theme.primaryColor }]}>{example}</Text>
+                <Text style={[styles.helpText, { color: theme.secondaryTextColor }]}>{description}</Text>
+              </View>
+            ))}
+          </View>
+        ) : (
+          <>
+            <Text style={[styles.sectionTitle, { color: theme.textColor }]}>
+              On this device ({results.length})
+            </Text>
+            {results.length === 0 && (
+              <Text style={[styles.emptyText, { color: theme.secondaryTextColor }]}>No matches</Text>
+            )}
+            {results.map(renderResult)}
+
+            {remoteResults === null ? (
+              <TouchableOpacity
+                style={[styles.relayButton, { borderColor: theme.borderColor }]}
+                onPress={searchRelays}
+                disabled={searchingRelays}
+              >
+                {searchingRelays ? (
+                  <ActivityIndicator size="small" color={theme.primaryColor} />
+                ) : (
+                  <Ionicons name="globe-outline" size={16} color={theme.primaryColor} />
+                )}
+                <Text style={[styles.relayButtonText, { color: theme.primaryColor }]}>
+                  Search public posts on relays (NIP-50)
+                </Text>
+              </TouchableOpacity>
+            ) : (
+              <>
+                <Text style={[styles.sectionTitle, { color: theme.textColor }]}>
+                  From relays ({remoteResults.length})
+                </Text>
+                {remoteResults.length === 0 && (
+                  <Text style={[styles.emptyText, { color: theme.secondaryTextColor }]}>
+                    No public matches, or no search-capable relay answered
+                  </Text>
+                )}
+                {remoteResults.map(renderResult)}
+              </>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  searchInputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    margin: 16,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    paddingVertical: 10,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  help: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  helpRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  helpExample: {
+    fontSize: 14,
+    fontFamily: 'monospace',
+    minWidth: 150,
+  },
+  helpText: {
+    fontSize: 14,
+    flexShrink: 1,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  resultItem: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 4,
+  },
+  resultLocation: {
+    fontSize: 13,
+    fontWeight: '600',
+    flexShrink: 1,
+  },
+  resultAuthor: {
+    fontSize: 13,
+    flex: 1,
+  },
+  resultTime: {
+    fontSize: 12,
+  },
+  resultSnippet: {
+    fontSize: 15,
+    lineHeight: 20,
+  },
+  relayButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    margin: 16,
+    padding: 12,
+    borderWidth: 1,
+    borderRadius: 8,
+  },
+  relayButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default SearchScreen;
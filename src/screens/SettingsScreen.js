@@ -9,16 +9,30 @@ import {
   Alert,
   Switch,
   Modal,
-  Clipboard
+  Clipboard,
+  Platform,
+  ActivityIndicator
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getPublicKey, nip19 } from 'nostr-tools';
 import { nostrService } from '../services/NostrService';
 import { notificationService } from '../services/NotificationService';
-import { nostrUtils } from '../utils/nostrUtils';
+import { powService } from '../services/PowService';
+import { keystoreService } from '../services/KeystoreService';
+import { signerService } from '../services/SignerService';
+import { accountService } from '../services/AccountService';
+import { relayListService } from '../services/RelayListService';
+import { relayAuthService } from '../services/RelayAuthService';
+import { groupEncryptionService } from '../services/GroupEncryptionService';
 import CacheManager from '../components/CacheManager';
-import { STORAGE_KEYS, THEMES, DEFAULT_RELAYS, NIP29_RELAYS } from '../utils/constants';
+import AccountSwitcher from '../components/AccountSwitcher';
+import { STORAGE_KEYS, THEMES, DEFAULT_RELAYS, NIP29_RELAYS, RELAY_STATES, DEFAULT_SETTINGS, SIGNER_TYPES, RELAY_AUTH_POLICIES } from '../utils/constants';
+
+// Auto-lock choices in minutes (0 = never)
+const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30, 60];
+// Past encrypted group key versions kept; 0 (all) comes last as the most
+const KEY_HISTORY_OPTIONS = [1, 2, 5, 10, 0];
 
 const SettingsScreen = ({ theme = THEMES.DARK }) => {
   const [privateKey, setPrivateKey] = useState('');
@@ -27,16 +41,39 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
   const [nip29Relays, setNip29Relays] = useState(NIP29_RELAYS);
   const [settings, setSettings] = useState({
     notifications: true,
-    soundEnabled: true
+    soundEnabled: true,
+    publishQuorum: DEFAULT_SETTINGS.publishQuorum,
+    autoLockMinutes: DEFAULT_SETTINGS.autoLockMinutes,
+    groupKeyHistory: DEFAULT_SETTINGS.groupKeyHistory
   });
+  const [keyBackupBusy, setKeyBackupBusy] = useState(false);
   const [showPrivateKey, setShowPrivateKey] = useState(false);
   const [importModalVisible, setImportModalVisible] = useState(false);
   const [generateModalVisible, setGenerateModalVisible] = useState(false);
   const [addRelayModalVisible, setAddRelayModalVisible] = useState(false);
   const [newPrivateKey, setNewPrivateKey] = useState('');
   const [newRelayUrl, setNewRelayUrl] = useState('');
-  const [relayType, setRelayType] = useState('standard'); // 'standard' or 'nip29'
+  const [relayType, setRelayType] = useState('standard'); // 'standard', 'nip29' or 'nip65'
   const [connectionStatus, setConnectionStatus] = useState({ isConnected: false });
+  const [powRelay, setPowRelay] = useState(null); // { url, configured, advertised } while editing
+  const [dmInboxRelays, setDmInboxRelays] = useState(nostrService.dmInboxRelays);
+  const [keyPassphrase, setKeyPassphrase] = useState(''); // for the import and generate modals
+  const [isKeyEncrypted, setIsKeyEncrypted] = useState(keystoreService.isEncrypted());
+  const [passphraseMode, setPassphraseMode] = useState(null); // 'enable' | 'change' | 'disable' | 'export'
+  const [currentPassphrase, setCurrentPassphrase] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [signer, setSigner] = useState(signerService.getDescription());
+  const [bunkerModalVisible, setBunkerModalVisible] = useState(false);
+  const [bunkerInput, setBunkerInput] = useState('');
+  const [isConnectingSigner, setIsConnectingSigner] = useState(false);
+  const [accountCount, setAccountCount] = useState(accountService.getAccounts().length);
+  const [accountSwitcherVisible, setAccountSwitcherVisible] = useState(false);
+  const [relayList, setRelayList] = useState(relayListService.getOwnRelays()); // NIP-65 [{ url, read, write }]
+  const [isPublishingRelayList, setIsPublishingRelayList] = useState(false);
+  const [relayCapabilities, setRelayCapabilities] = useState({}); // url -> NIP-11 summary (null if none)
+  const [inspectedRelay, setInspectedRelay] = useState(null); // { url, capabilities, loading } in the inspector
+  const [relayAuthPolicy, setRelayAuthPolicy] = useState(null); // NIP-42 policy of the inspected relay
 
   useEffect(() => {
     loadUserData();
@@ -45,23 +82,63 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
     // Initialize notification service
     notificationService.initialize();
     
-    // Update connection status periodically
-    const interval = setInterval(() => {
+    // Follow live relay health from the relay manager
+    setConnectionStatus(nostrService.getConnectionStatus());
+    const removeStatusListener = nostrService.addRelayStatusListener(() => {
       setConnectionStatus(nostrService.getConnectionStatus());
-    }, 3000);
+    });
+    
+    // Don't keep the decrypted key on screen once the keystore locks
+    const removeKeystoreListener = keystoreService.addListener(async () => {
+      setIsKeyEncrypted(keystoreService.isEncrypted());
+      setPrivateKey((await keystoreService.getPrivateKey()) || '');
+    });
+    
+    const removeSignerListener = signerService.addListener(setSigner);
+    
+    const removeAccountListener = accountService.addListener(() => {
+      setAccountCount(accountService.getAccounts().length);
+    });
+    
+    const removeRelayListListener = relayListService.addListener(setRelayList);
     
-    return () => clearInterval(interval);
+    return () => {
+      removeStatusListener();
+      removeKeystoreListener();
+      removeSignerListener();
+      removeAccountListener();
+      removeRelayListListener();
+    };
   }, []);
 
+  // NIP-11 documents for the configured relays; served from cache after the first visit
+  useEffect(() => {
+    let cancelled = false;
+    
+    Array.from(new Set([...relays, ...nip29Relays])).forEach(async (relay) => {
+      const capabilities = await nostrService.getRelayCapabilities(relay);
+      if (!cancelled) {
+        setRelayCapabilities(current => ({ ...current, [relay]: capabilities }));
+      }
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [relays, nip29Relays]);
+
   const loadUserData = async () => {
     try {
-      const storedPrivateKey = await AsyncStorage.getItem(STORAGE_KEYS.PRIVATE_KEY);
+      const storedPrivateKey = await keystoreService.getPrivateKey();
       const storedPublicKey = await AsyncStorage.getItem(STORAGE_KEYS.PUBLIC_KEY);
-      const storedRelays = await AsyncStorage.getItem(STORAGE_KEYS.RELAYS);
-      const storedNip29Relays = await AsyncStorage.getItem('nip29_relays');
+      const storedRelays = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.RELAYS));
+      const storedNip29Relays = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.NIP29_RELAYS));
       
       if (storedPrivateKey) setPrivateKey(storedPrivateKey);
-      if (storedPublicKey) setPublicKey(storedPublicKey);
+      if (storedPublicKey) {
+        setPublicKey(storedPublicKey);
+        nostrService.getDMRelays(storedPublicKey).then(setDmInboxRelays);
+      }
       if (storedRelays) setRelays(JSON.parse(storedRelays));
       if (storedNip29Relays) setNip29Relays(JSON.parse(storedNip29Relays));
     } catch (error) {
@@ -90,6 +167,12 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
         notifications: newSettings.notifications,
         soundEnabled: newSettings.soundEnabled
       });
+      
+      nostrService.setPublishQuorum(newSettings.publishQuorum);
+      keystoreService.setAutoLockMinutes(newSettings.autoLockMinutes);
+      if (newSettings.groupKeyHistory !== settings.groupKeyHistory) {
+        await groupEncryptionService.setKeyHistoryLimit(newSettings.groupKeyHistory);
+      }
     } catch (error) {
       console.error('Error saving settings:', error);
       Alert.alert('Error', 'Failed to save settings');
@@ -101,53 +184,36 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
     setGenerateModalVisible(true);
   };
 
+  // Adds a new account next to the existing ones and switches to it
   const confirmGenerateNewKeys = async () => {
+    try {
+      if (keyPassphrase) {
+        keystoreService.validatePassphrase(keyPassphrase);
+      }
+    } catch (error) {
+      showAlert('Error', error.message);
+      return;
+    }
+    
     try {
       console.log('🔑 Generating new Nostr identity...');
       setGenerateModalVisible(false);
       
-      // Generate new key pair
-      const keyPair = nostrUtils.generateKeyPair();
-      console.log('✅ New keys generated');
-      console.log('📝 Public key:', keyPair.publicKey);
-      console.log('🔐 Private key length:', keyPair.privateKey.length);
-      
-      // Clear all existing data
-      console.log('🧹 Clearing existing user data...');
-      await AsyncStorage.removeItem(STORAGE_KEYS.PROFILE);
-      await AsyncStorage.removeItem('user_liked_posts');
-      await AsyncStorage.removeItem('user_reposted_posts');
-      
-      // Save new keys
-      await AsyncStorage.setItem(STORAGE_KEYS.PRIVATE_KEY, keyPair.privateKey);
-      await AsyncStorage.setItem(STORAGE_KEYS.PUBLIC_KEY, keyPair.publicKey);
+      const passphrase = keyPassphrase || null;
+      setKeyPassphrase('');
       
-      // Update local state
-      setPrivateKey(keyPair.privateKey);
-      setPublicKey(keyPair.publicKey);
-      
-      // Reinitialize NostrService with new keys
-      console.log('🔄 Reinitializing NostrService...');
-      nostrService.privateKey = keyPair.privateKey;
-      nostrService.publicKey = keyPair.publicKey;
-      
-      // Reconnect to relays with new identity
-      try {
-        await nostrService.initialize();
-        console.log('✅ NostrService reinitialized successfully');
-      } catch (initError) {
-        console.error('⚠️ NostrService initialization warning:', initError);
-        // Continue anyway - this is not critical
-      }
+      // Switching remounts this screen with the new account's data
+      const keyPair = await nostrService.generateAndSaveKeys(passphrase);
+      console.log('✅ New identity created:', keyPair.publicKey);
       
       // Show success message using web-compatible method
       setTimeout(() => {
         if (typeof window !== 'undefined') {
-          alert(`New Nostr Identity Created!\n\nYour new Nostr identity has been created successfully!\n\nPublic Key: ${keyPair.publicKey.substring(0, 16)}...\n\nYou can now set up your profile and start fresh on the Nostr network.`);
+          alert(`New Nostr Identity Created!\n\nYour new Nostr identity has been created successfully!\n\nPublic Key: ${keyPair.publicKey.substring(0, 16)}...\n\nYou can now set up your profile. Your other accounts are still available from the account switcher.`);
         } else {
           Alert.alert(
             'New Nostr Identity Created!', 
-            `Your new Nostr identity has been created successfully!\n\nPublic Key: ${keyPair.publicKey.substring(0, 16)}...\n\nYou can now set up your profile and start fresh on the Nostr network.`,
+            `Your new Nostr identity has been created successfully!\n\nPublic Key: ${keyPair.publicKey.substring(0, 16)}...\n\nYou can now set up your profile. Your other accounts are still available from the account switcher.`,
             [{ text: 'OK' }]
           );
         }
@@ -174,9 +240,24 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
     try {
       const input = newPrivateKey.trim();
       let privateKeyHex;
+      let ncryptsec = null;
       
+      // NIP-49 encrypted key (ncryptsec1...): decrypt to check it, but keep storing it encrypted
+      if (input.startsWith('ncryptsec1')) {
+        if (!keyPassphrase) {
+          showAlert('Error', 'Enter the passphrase this ncryptsec was encrypted with');
+          return;
+        }
+        try {
+          privateKeyHex = await keystoreService.decryptKey(input, keyPassphrase);
+          ncryptsec = input;
+        } catch (error) {
+          showAlert('Error', error.message);
+          return;
+        }
+      }
       // Check if it's a bech32 format (nsec1...)
-      if (input.startsWith('nsec1')) {
+      else if (input.startsWith('nsec1')) {
         try {
           const decoded = nip19.decode(input);
           if (decoded.type !== 'nsec') {
@@ -200,31 +281,146 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
       } 
       // Invalid format
       else {
-        showAlert('Error', 'Invalid private key format. Please use either:\n• nsec1... (bech32 format)\n• 64 hex characters');
+        showAlert('Error', 'Invalid private key format. Please use either:\n• nsec1... (bech32 format)\n• ncryptsec1... (passphrase encrypted)\n• 64 hex characters');
         return;
       }
-
+      
       console.log('Converted private key length:', privateKeyHex.length);
       console.log('Converted private key sample:', privateKeyHex.substring(0, 10) + '...');
       
       const derivedPublicKey = getPublicKey(privateKeyHex);
+      const isActiveAccount = derivedPublicKey === accountService.activePubkey;
 
-      await AsyncStorage.setItem(STORAGE_KEYS.PRIVATE_KEY, privateKeyHex);
-      await AsyncStorage.setItem(STORAGE_KEYS.PUBLIC_KEY, derivedPublicKey);
+      // Imported keys become an account of their own (or update the one they belong to)
+      await nostrService.addLocalAccount(privateKeyHex, derivedPublicKey, {
+        passphrase: ncryptsec ? null : (keyPassphrase || null),
+        ncryptsec
+      });
       
-      setPrivateKey(privateKeyHex);
-      setPublicKey(derivedPublicKey);
       setNewPrivateKey('');
+      setKeyPassphrase('');
       setImportModalVisible(false);
       
-      // Update NostrService with new keys
-      nostrService.privateKey = privateKeyHex;
-      nostrService.publicKey = derivedPublicKey;
+      if (isActiveAccount) {
+        setPrivateKey(privateKeyHex);
+        setIsKeyEncrypted(keystoreService.isEncrypted());
+      }
       
       showAlert('Success', 'Private key imported successfully!');
     } catch (error) {
       console.error('Error importing private key:', error);
-      showAlert('Error', 'Failed to import private key');
+      showAlert('Error', `Failed to import private key: ${error.message}`);
+    }
+  };
+
+  const connectExternalSigner = async (type, input = null) => {
+    setIsConnectingSigner(true);
+    
+    try {
+      // The signer's identity is added as an account and switched to
+      const signerPublicKey = await nostrService.connectExternalSigner(type, input);
+      
+      setBunkerModalVisible(false);
+      setBunkerInput('');
+      
+      showAlert('Success', `Now signing as ${signerPublicKey.substring(0, 16)}... with ${signerService.getDescription().label}`);
+    } catch (error) {
+      console.error('Error switching signer:', error);
+      showAlert('Error', `Could not connect signer: ${error.message}`);
+    } finally {
+      setIsConnectingSigner(false);
+    }
+  };
+
+  const openPassphraseModal = (mode) => {
+    setCurrentPassphrase('');
+    setNewPassphrase('');
+    setConfirmPassphrase('');
+    setPassphraseMode(mode);
+  };
+
+  const exportEncryptedKey = async () => {
+    // Already stored as an ncryptsec, so there's nothing to ask for
+    if (isKeyEncrypted) {
+      try {
+        copyToClipboard(await keystoreService.exportEncryptedKey(), 'Encrypted key (ncryptsec)');
+      } catch (error) {
+        console.error('Error exporting encrypted key:', error);
+        showAlert('Error', error.message);
+      }
+      return;
+    }
+    
+    openPassphraseModal('export');
+  };
+
+  const submitPassphrase = async () => {
+    const needsNewPassphrase = passphraseMode !== 'disable';
+    
+    if (needsNewPassphrase && newPassphrase !== confirmPassphrase) {
+      showAlert('Error', 'Passphrases do not match');
+      return;
+    }
+    
+    try {
+      if (passphraseMode === 'enable') {
+        await keystoreService.enableEncryption(newPassphrase);
+        showAlert('Success', 'Your private key is now protected with a passphrase.');
+      } else if (passphraseMode === 'change') {
+        await keystoreService.changePassphrase(currentPassphrase, newPassphrase);
+        showAlert('Success', 'Passphrase changed.');
+      } else if (passphraseMode === 'disable') {
+        await keystoreService.disableEncryption(currentPassphrase);
+        showAlert('Success', 'Passphrase protection removed. Your private key is stored unencrypted on this device.');
+      } else if (passphraseMode === 'export') {
+        copyToClipboard(await keystoreService.exportEncryptedKey(newPassphrase), 'Encrypted key (ncryptsec)');
+      }
+      
+      setIsKeyEncrypted(keystoreService.isEncrypted());
+      setPassphraseMode(null);
+    } catch (error) {
+      console.error('Error updating passphrase protection:', error);
+      showAlert('Error', error.message);
+    }
+  };
+
+  const stepAutoLock = (direction) => {
+    const index = AUTO_LOCK_OPTIONS.indexOf(settings.autoLockMinutes);
+    const nextIndex = Math.max(0, Math.min(AUTO_LOCK_OPTIONS.length - 1, (index === -1 ? 0 : index) + direction));
+    saveSettings({ ...settings, autoLockMinutes: AUTO_LOCK_OPTIONS[nextIndex] });
+  };
+
+  const stepKeyHistory = (direction) => {
+    const index = KEY_HISTORY_OPTIONS.indexOf(settings.groupKeyHistory);
+    const nextIndex = Math.max(0, Math.min(KEY_HISTORY_OPTIONS.length - 1, (index === -1 ? KEY_HISTORY_OPTIONS.length - 1 : index) + direction));
+    saveSettings({ ...settings, groupKeyHistory: KEY_HISTORY_OPTIONS[nextIndex] });
+  };
+
+  const backupGroupKeys = async () => {
+    setKeyBackupBusy(true);
+    try {
+      const event = await nostrService.backupGroupKeys();
+      showAlert(event ? 'Keys Backed Up' : 'Backup Unavailable', event
+        ? 'Your encrypted group keys were saved to your relays, encrypted to your own key.'
+        : 'Sign in with a key or signer to back up group keys.');
+    } catch (error) {
+      showAlert('Error', `Failed to back up group keys: ${error.message}`);
+    } finally {
+      setKeyBackupBusy(false);
+    }
+  };
+
+  const restoreGroupKeys = async () => {
+    setKeyBackupBusy(true);
+    try {
+      const { added } = await nostrService.restoreGroupKeys();
+      showAlert('Keys Restored', added > 0
+        ? `Restored ${added} encrypted group key${added === 1 ? '' : 's'} from your backup.`
+        : 'No keys in your backup that this device is missing.');
+    } catch (error) {
+      showAlert('Error', `Failed to restore group keys: ${error.message}`);
+    } finally {
+      setKeyBackupBusy(false);
     }
   };
 
@@ -269,12 +465,38 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
   const validateRelayUrl = (url) => {
     try {
       const urlObj = new URL(url);
-      return urlObj.protocol === 'wss:' || urlObj.protocol === 'ws:';
+      return (urlObj.protocol === 'wss:' || urlObj.protocol === 'ws:') && !!urlObj.hostname;
     } catch (error) {
       return false;
     }
   };
 
+  const confirmAsync = (title, message, confirmText) => new Promise(resolve => {
+    if (typeof window !== 'undefined') {
+      resolve(window.confirm(`${title}\n\n${message}`));
+    } else {
+      Alert.alert(title, message, [
+        { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
+        { text: confirmText, onPress: () => resolve(true) }
+      ]);
+    }
+  });
+
+  // Group moderation only works on relays that implement NIP-29, so check what the relay advertises
+  const confirmNip29Relay = async (url) => {
+    const capabilities = await nostrService.getRelayCapabilities(url, { refresh: true });
+    setRelayCapabilities(current => ({ ...current, [url]: capabilities }));
+    
+    if (capabilities?.supportedNips.includes(29)) {
+      return true;
+    }
+    
+    const message = capabilities
+      ? `${capabilities.name || url} does not list NIP-29 among its supported NIPs, so group moderation will probably not work there.`
+      : `${url} did not return a relay information document (NIP-11), so its NIP-29 support can't be checked.`;
+    return await confirmAsync('Add this relay anyway?', message, 'Add Anyway');
+  };
+
   const addNewRelay = async () => {
     const trimmedUrl = newRelayUrl.trim();
     
@@ -288,21 +510,41 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
       return;
     }
     
-    const currentRelays = relayType === 'nip29' ? nip29Relays : relays;
+    const currentRelays = relayType === 'nip29'
+      ? nip29Relays
+      : relayType === 'nip65' ? relayList.map(entry => entry.url) : relays;
     if (currentRelays.includes(trimmedUrl)) {
       showAlert('Error', 'This relay is already in your list');
       return;
     }
 
+    // NIP-65 entries only change the relay list; nothing to reconnect until it's published
+    if (relayType === 'nip65') {
+      try {
+        await nostrService.saveRelayList([...relayList, { url: trimmedUrl, read: true, write: true }]);
+        setNewRelayUrl('');
+        setAddRelayModalVisible(false);
+        setRelayType('standard');
+      } catch (error) {
+        console.error('Error adding relay to relay list:', error);
+        showAlert('Error', 'Failed to add relay');
+      }
+      return;
+    }
+
+    if (relayType === 'nip29' && !(await confirmNip29Relay(trimmedUrl))) {
+      return;
+    }
+
     try {
       if (relayType === 'nip29') {
         const updatedNip29Relays = [...nip29Relays, trimmedUrl];
         setNip29Relays(updatedNip29Relays);
-        await AsyncStorage.setItem('nip29_relays', JSON.stringify(updatedNip29Relays));
+        await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.NIP29_RELAYS), JSON.stringify(updatedNip29Relays));
       } else {
         const updatedRelays = [...relays, trimmedUrl];
         setRelays(updatedRelays);
-        await AsyncStorage.setItem(STORAGE_KEYS.RELAYS, JSON.stringify(updatedRelays));
+        await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.RELAYS), JSON.stringify(updatedRelays));
       }
       
       setNewRelayUrl('');
@@ -331,6 +573,214 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
     </View>
   );
 
+  const getRelayHealth = (relay) => {
+    const status = connectionStatus.relayStatuses?.[relay];
+
+    switch (status?.state) {
+      case RELAY_STATES.OPEN:
+        return { color: theme.successColor, label: status.latency != null ? `${status.latency} ms` : 'open' };
+      case RELAY_STATES.CONNECTING:
+        return { color: theme.warningColor, label: 'connecting…' };
+      case RELAY_STATES.ERROR:
+        return { color: theme.errorColor, label: `error (${status.attempts})` };
+      case RELAY_STATES.CLOSED:
+        return { color: theme.borderColor, label: status.nextRetryAt ? 'reconnecting' : 'closed' };
+      default:
+        return { color: theme.borderColor, label: 'idle' };
+    }
+  };
+
+  const showRelayDetails = (relay) => {
+    const status = connectionStatus.relayStatuses?.[relay];
+    if (!status) {
+      showAlert(relay, 'Not connected yet.');
+      return;
+    }
+
+    const lines = [
+      `State: ${status.state}`,
+      `Latency: ${status.latency != null ? `${status.latency} ms` : 'unknown'}`,
+      `Reconnect attempts: ${status.attempts}`,
+      `Authenticated (NIP-42): ${status.authenticated ? 'yes' : 'no'}`
+    ];
+    if (status.lastError) {
+      lines.push(`Last error: ${status.lastError}`);
+    }
+    if (status.nextRetryAt && status.state !== RELAY_STATES.OPEN) {
+      const seconds = Math.max(0, Math.round((status.nextRetryAt - Date.now()) / 1000));
+      lines.push(`Next retry in: ${seconds}s`);
+    }
+
+    showAlert(relay, lines.join('\n'));
+  };
+
+  const openRelayInspector = async (relay, refresh = false) => {
+    setInspectedRelay({ url: relay, capabilities: relayCapabilities[relay] || null, loading: true });
+    setRelayAuthPolicy(relayAuthService.getPolicy(relay));
+    
+    const capabilities = await nostrService.getRelayCapabilities(relay, { refresh });
+    setRelayCapabilities(current => ({ ...current, [relay]: capabilities }));
+    setInspectedRelay(current => current?.url === relay ? { url: relay, capabilities, loading: false } : current);
+  };
+
+  const updateRelayAuthPolicy = async (relay, policy) => {
+    try {
+      await relayAuthService.setPolicy(relay, policy);
+      setRelayAuthPolicy(relayAuthService.getPolicy(relay));
+    } catch (error) {
+      showAlert('Error', 'Failed to save authentication setting');
+    }
+  };
+
+  // URL plus the relay's own name and the requirements worth knowing before posting there
+  const renderRelayLabel = (relay) => {
+    const capabilities = relayCapabilities[relay];
+    
+    return (
+      <TouchableOpacity style={styles.relayLabel} onPress={() => openRelayInspector(relay)}>
+        <Text style={[styles.relayLabelUrl, { color: theme.textColor }]} numberOfLines={1}>
+          {relay}
+        </Text>
+        {capabilities && (
+          <View style={styles.relayLabelDetails}>
+            {capabilities.name && (
+              <Text style={[styles.relayLabelName, { color: theme.secondaryTextColor }]} numberOfLines={1}>
+                {capabilities.name}
+              </Text>
+            )}
+            {capabilities.authRequired && (
+              <Text style={[styles.relayRequirement, { color: theme.warningColor, borderColor: theme.warningColor }]}>AUTH</Text>
+            )}
+            {capabilities.paymentRequired && (
+              <Text style={[styles.relayRequirement, { color: theme.warningColor, borderColor: theme.warningColor }]}>PAID</Text>
+            )}
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderRelayHealth = (relay) => {
+    const health = getRelayHealth(relay);
+
+    return (
+      <TouchableOpacity style={styles.relayHealth} onPress={() => showRelayDetails(relay)}>
+        <Text style={[styles.relayHealthText, { color: health.color }]}>
+          {health.label}
+        </Text>
+        <View style={[styles.relayStatus, { backgroundColor: health.color }]} />
+      </TouchableOpacity>
+    );
+  };
+
+  const openPowSettings = async (relay) => {
+    setPowRelay({ url: relay, configured: powService.getConfiguredDifficulty(relay), advertised: null });
+    
+    // NIP-11 lookup can take a moment; fill it in when it arrives
+    const advertised = await powService.getAdvertisedDifficulty(relay);
+    setPowRelay(current => current?.url === relay ? { ...current, advertised } : current);
+  };
+
+  const updatePowDifficulty = async (difficulty) => {
+    try {
+      await powService.setRelayDifficulty(powRelay.url, difficulty);
+      setPowRelay({ ...powRelay, configured: powService.getConfiguredDifficulty(powRelay.url) });
+    } catch (error) {
+      console.error('Error updating proof-of-work difficulty:', error);
+      Alert.alert('Error', 'Failed to update proof-of-work difficulty');
+    }
+  };
+
+  const renderRelayPow = (relay) => {
+    const configured = powService.getConfiguredDifficulty(relay);
+
+    return (
+      <TouchableOpacity style={styles.relayPow} onPress={() => openPowSettings(relay)}>
+        <Ionicons name="hammer-outline" size={12} color={theme.secondaryTextColor} />
+        <Text style={[styles.relayHealthText, { color: theme.secondaryTextColor }]}>
+          {configured != null ? configured : 'auto'}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  // NIP-17 recommends a short inbox list, so advertise at most three relays that are up right now
+  const publishDMInboxRelays = async () => {
+    try {
+      const openRelays = relays.filter(relay => connectionStatus.relayStatuses?.[relay]?.state === RELAY_STATES.OPEN);
+      if (openRelays.length === 0) {
+        showAlert('Error', 'Connect to at least one relay first');
+        return;
+      }
+      
+      const inbox = openRelays.slice(0, 3);
+      await nostrService.publishDMRelayList(inbox);
+      setDmInboxRelays(inbox);
+      showAlert('Success', `Private messages will now be delivered to:\n${inbox.join('\n')}`);
+    } catch (error) {
+      console.error('Error publishing DM inbox relays:', error);
+      showAlert('Error', 'Failed to publish DM inbox relays');
+    }
+  };
+
+  // A relay has to stay useful for reading or writing; removing it is a separate action
+  const toggleRelayListMarker = async (url, marker) => {
+    const updated = relayList.map(entry => entry.url === url ? { ...entry, [marker]: !entry[marker] } : entry);
+    const entry = updated.find(item => item.url === url);
+    if (!entry.read && !entry.write) {
+      showAlert('Error', 'A relay must be used for reading, writing or both. Remove it instead.');
+      return;
+    }
+
+    try {
+      await nostrService.saveRelayList(updated);
+    } catch (error) {
+      showAlert('Error', 'Failed to update relay list');
+    }
+  };
+
+  const removeRelayListEntry = async (url) => {
+    try {
+      await nostrService.saveRelayList(relayList.filter(entry => entry.url !== url));
+    } catch (error) {
+      showAlert('Error', 'Failed to update relay list');
+    }
+  };
+
+  const publishRelayList = async () => {
+    const readCount = relayList.filter(entry => entry.read).length;
+    const writeCount = relayList.filter(entry => entry.write).length;
+    if (readCount === 0 || writeCount === 0) {
+      showAlert('Error', 'Add at least one read relay and one write relay first');
+      return;
+    }
+
+    try {
+      setIsPublishingRelayList(true);
+      await nostrService.publishRelayList(relayList);
+      showAlert('Success', `Relay list published: ${readCount} read, ${writeCount} write`);
+    } catch (error) {
+      console.error('Error publishing relay list:', error);
+      showAlert('Error', `Failed to publish relay list: ${error.message}`);
+    } finally {
+      setIsPublishingRelayList(false);
+    }
+  };
+
+  const renderRelayListMarker = (entry, marker, label) => (
+    <TouchableOpacity
+      style={[styles.relayMarker, {
+        borderColor: entry[marker] ? theme.primaryColor : theme.borderColor,
+        backgroundColor: entry[marker] ? `${theme.primaryColor}20` : 'transparent'
+      }]}
+      onPress={() => toggleRelayListMarker(entry.url, marker)}
+    >
+      <Text style={[styles.relayMarkerText, { color: entry[marker] ? theme.primaryColor : theme.secondaryTextColor }]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
   const renderSettingItem = (label, value, onToggle, description = null) => (
     <View style={styles.settingItem}>
       <View style={styles.settingContent}>
@@ -377,6 +827,60 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
       {/* Nostr Identity */}
       {renderSection('Nostr Identity', (
         <View>
+          {/* Accounts on this device */}
+          <View style={styles.settingItem}>
+            <View style={styles.settingContent}>
+              <Text style={[styles.settingLabel, { color: theme.textColor }]}>Accounts</Text>
+              <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                {accountCount === 1 ? '1 account on this device' : `${accountCount} accounts on this device`}
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={[styles.stepperButton, { backgroundColor: theme.surfaceColor }]}
+              onPress={() => setAccountSwitcherVisible(true)}
+            >
+              <Ionicons name="people" size={18} color={theme.textColor} />
+            </TouchableOpacity>
+          </View>
+          
+          {/* Active signer */}
+          <View style={styles.settingItem}>
+            <View style={styles.settingContent}>
+              <Text style={[styles.settingLabel, { color: theme.textColor }]}>Signer</Text>
+              <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                {signer.label}{signer.detail ? ` · ${signer.detail}` : ''}
+              </Text>
+            </View>
+            <Ionicons
+              name={signer.type === SIGNER_TYPES.LOCAL ? 'key' : signer.type === SIGNER_TYPES.NIP07 ? 'extension-puzzle' : 'radio'}
+              size={20}
+              color={theme.primaryColor}
+            />
+          </View>
+          
+          {/* Each of these adds the signer's identity as another account */}
+          <View style={[styles.keyActions, styles.signerActions]}>
+            {Platform.OS === 'web' && (
+              <TouchableOpacity 
+                style={[styles.actionButton, { backgroundColor: theme.surfaceColor }]}
+                onPress={() => connectExternalSigner(SIGNER_TYPES.NIP07)}
+                disabled={isConnectingSigner}
+              >
+                <Ionicons name="extension-puzzle-outline" size={20} color={theme.textColor} />
+                <Text style={[styles.actionButtonText, { color: theme.textColor }]}>Use Extension</Text>
+              </TouchableOpacity>
+            )}
+            
+            <TouchableOpacity 
+              style={[styles.actionButton, { backgroundColor: theme.surfaceColor }]}
+              onPress={() => setBunkerModalVisible(true)}
+              disabled={isConnectingSigner}
+            >
+              <Ionicons name="radio-outline" size={20} color={theme.textColor} />
+              <Text style={[styles.actionButtonText, { color: theme.textColor }]}>Remote Signer</Text>
+            </TouchableOpacity>
+          </View>
+          
           <View style={styles.keyItem}>
             <Text style={[styles.keyLabel, { color: theme.textColor }]}>Public Key</Text>
             <TouchableOpacity 
@@ -390,24 +894,26 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
             </TouchableOpacity>
           </View>
 
-          <View style={styles.keyItem}>
-            <Text style={[styles.keyLabel, { color: theme.textColor }]}>Private Key</Text>
-            <TouchableOpacity 
-              style={[styles.keyValue, { backgroundColor: theme.surfaceColor }]}
-              onPress={() => copyToClipboard(privateKey, 'Private key')}
-            >
-              <Text style={[styles.keyText, { color: theme.secondaryTextColor }]}>
-                {privateKey ? (showPrivateKey ? privateKey : '••••••••••••••••••••••••••••••••') : 'No key found'}
-              </Text>
-              <TouchableOpacity onPress={() => setShowPrivateKey(!showPrivateKey)}>
-                <Ionicons 
-                  name={showPrivateKey ? 'eye-off' : 'eye'} 
-                  size={16} 
-                  color={theme.secondaryTextColor} 
-                />
+          {signer.type === SIGNER_TYPES.LOCAL && (
+            <View style={styles.keyItem}>
+              <Text style={[styles.keyLabel, { color: theme.textColor }]}>Private Key</Text>
+              <TouchableOpacity 
+                style={[styles.keyValue, { backgroundColor: theme.surfaceColor }]}
+                onPress={() => copyToClipboard(privateKey, 'Private key')}
+              >
+                <Text style={[styles.keyText, { color: theme.secondaryTextColor }]}>
+                  {privateKey ? (showPrivateKey ? privateKey : '••••••••••••••••••••••••••••••••') : 'No key found'}
+                </Text>
+                <TouchableOpacity onPress={() => setShowPrivateKey(!showPrivateKey)}>
+                  <Ionicons 
+                    name={showPrivateKey ? 'eye-off' : 'eye'} 
+                    size={16} 
+                    color={theme.secondaryTextColor} 
+                  />
+                </TouchableOpacity>
               </TouchableOpacity>
-            </TouchableOpacity>
-          </View>
+            </View>
+          )}
 
           <View style={styles.keyActions}>
             <TouchableOpacity 
@@ -426,6 +932,109 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
               <Text style={styles.actionButtonText}>Generate New</Text>
             </TouchableOpacity>
           </View>
+          
+          {/* Passphrase protection only applies to a key we hold ourselves */}
+          {signer.type === SIGNER_TYPES.LOCAL && (
+            <>
+              {/* NIP-49 passphrase protection */}
+              <View style={styles.settingItem}>
+                <View style={styles.settingContent}>
+                  <Text style={[styles.settingLabel, { color: theme.textColor }]}>Passphrase Protection</Text>
+                  <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                    {isKeyEncrypted
+                      ? 'Private key is stored encrypted (NIP-49) and must be unlocked on start'
+                      : 'Private key is stored unencrypted on this device'}
+                  </Text>
+                </View>
+                <Ionicons
+                  name={isKeyEncrypted ? 'lock-closed' : 'lock-open-outline'}
+                  size={20}
+                  color={isKeyEncrypted ? theme.successColor : theme.warningColor}
+                />
+              </View>
+              
+              <View style={styles.keyActions}>
+                {isKeyEncrypted ? (
+                  <>
+                    <TouchableOpacity 
+                      style={[styles.actionButton, { backgroundColor: theme.primaryColor }]}
+                      onPress={() => openPassphraseModal('change')}
+                    >
+                      <Ionicons name="key" size={20} color="white" />
+                      <Text style={styles.actionButtonText}>Change</Text>
+                    </TouchableOpacity>
+                    
+                    <TouchableOpacity 
+                      style={[styles.actionButton, { backgroundColor: theme.errorColor }]}
+                      onPress={() => openPassphraseModal('disable')}
+                    >
+                      <Ionicons name="lock-open" size={20} color="white" />
+                      <Text style={styles.actionButtonText}>Remove</Text>
+                    </TouchableOpacity>
+                  </>
+                ) : (
+                  <TouchableOpacity 
+                    style={[styles.actionButton, { backgroundColor: theme.primaryColor }]}
+                    onPress={() => openPassphraseModal('enable')}
+                    disabled={!privateKey}
+                  >
+                    <Ionicons name="lock-closed" size={20} color="white" />
+                    <Text style={styles.actionButtonText}>Set Passphrase</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              
+              <View style={[styles.keyActions, styles.keyActionsRow]}>
+                <TouchableOpacity 
+                  style={[styles.actionButton, { backgroundColor: theme.surfaceColor }]}
+                  onPress={exportEncryptedKey}
+                  disabled={!privateKey}
+                >
+                  <Ionicons name="share-outline" size={20} color={theme.textColor} />
+                  <Text style={[styles.actionButtonText, { color: theme.textColor }]}>Export Encrypted</Text>
+                </TouchableOpacity>
+                
+                {isKeyEncrypted && (
+                  <TouchableOpacity 
+                    style={[styles.actionButton, { backgroundColor: theme.surfaceColor }]}
+                    onPress={() => keystoreService.lock()}
+                  >
+                    <Ionicons name="lock-closed-outline" size={20} color={theme.textColor} />
+                    <Text style={[styles.actionButtonText, { color: theme.textColor }]}>Lock Now</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              
+              {isKeyEncrypted && (
+                <View style={styles.settingItem}>
+                  <View style={styles.settingContent}>
+                    <Text style={[styles.settingLabel, { color: theme.textColor }]}>Auto-Lock</Text>
+                    <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                      Lock the key again after this long without activity
+                    </Text>
+                  </View>
+                  <View style={styles.stepper}>
+                    <TouchableOpacity
+                      style={[styles.stepperButton, { borderColor: theme.borderColor }]}
+                      onPress={() => stepAutoLock(-1)}
+                      disabled={!settings.autoLockMinutes}
+                    >
+                      <Ionicons name="remove" size={16} color={theme.textColor} />
+                    </TouchableOpacity>
+                    <Text style={[styles.stepperValue, { color: theme.textColor }]}>
+                      {settings.autoLockMinutes ? `${settings.autoLockMinutes}m` : 'Never'}
+                    </Text>
+                    <TouchableOpacity
+                      style={[styles.stepperButton, { borderColor: theme.borderColor }]}
+                      onPress={() => stepAutoLock(1)}
+                    >
+                      <Ionicons name="add" size={16} color={theme.textColor} />
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+            </>
+          )}
         </View>
       ))}
 
@@ -445,6 +1054,34 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
             'Play sounds for message notifications'
           )}
           
+          {/* Delivery quorum */}
+          <View style={styles.settingItem}>
+            <View style={styles.settingContent}>
+              <Text style={[styles.settingLabel, { color: theme.textColor }]}>Delivery Quorum</Text>
+              <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                Relays that must accept a message before it shows as sent
+              </Text>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity
+                style={[styles.stepperButton, { borderColor: theme.borderColor }]}
+                onPress={() => saveSettings({ ...settings, publishQuorum: Math.max(1, settings.publishQuorum - 1) })}
+                disabled={settings.publishQuorum <= 1}
+              >
+                <Ionicons name="remove" size={16} color={theme.textColor} />
+              </TouchableOpacity>
+              <Text style={[styles.stepperValue, { color: theme.textColor }]}>
+                {settings.publishQuorum}
+              </Text>
+              <TouchableOpacity
+                style={[styles.stepperButton, { borderColor: theme.borderColor }]}
+                onPress={() => saveSettings({ ...settings, publishQuorum: Math.min(relays.length || 1, settings.publishQuorum + 1) })}
+              >
+                <Ionicons name="add" size={16} color={theme.textColor} />
+              </TouchableOpacity>
+            </View>
+          </View>
+          
           {/* Test Notification Button */}
           <TouchableOpacity
             style={[styles.testButton, { backgroundColor: theme.primaryColor }]}
@@ -460,38 +1097,161 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
         </View>
       ))}
 
+      {/* Encrypted group keys */}
+      {renderSection('Encrypted Groups', (
+        <View>
+          <View style={styles.settingItem}>
+            <View style={styles.settingContent}>
+              <Text style={[styles.settingLabel, { color: theme.textColor }]}>Key History</Text>
+              <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                Past group key versions kept, so scrollback from before a key rotation stays readable
+              </Text>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity
+                style={[styles.stepperButton, { borderColor: theme.borderColor }]}
+                onPress={() => stepKeyHistory(-1)}
+                disabled={settings.groupKeyHistory === KEY_HISTORY_OPTIONS[0]}
+              >
+                <Ionicons name="remove" size={16} color={theme.textColor} />
+              </TouchableOpacity>
+              <Text style={[styles.stepperValue, { color: theme.textColor }]}>
+                {settings.groupKeyHistory ? settings.groupKeyHistory : 'All'}
+              </Text>
+              <TouchableOpacity
+                style={[styles.stepperButton, { borderColor: theme.borderColor }]}
+                onPress={() => stepKeyHistory(1)}
+                disabled={!settings.groupKeyHistory}
+              >
+                <Ionicons name="add" size={16} color={theme.textColor} />
+              </TouchableOpacity>
+            </View>
+          </View>
+          
+          <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+            Group keys are backed up to your relays, encrypted to your own key, whenever you receive one. Restoring on another device gives it the same groups.
+          </Text>
+          <View style={[styles.keyActions, styles.keyActionsRow]}>
+            <TouchableOpacity 
+              style={[styles.actionButton, { backgroundColor: theme.surfaceColor }]}
+              onPress={backupGroupKeys}
+              disabled={keyBackupBusy}
+            >
+              <Ionicons name="cloud-upload-outline" size={20} color={theme.textColor} />
+              <Text style={[styles.actionButtonText, { color: theme.textColor }]}>Back Up Keys</Text>
+            </TouchableOpacity>
+            <TouchableOpacity 
+              style={[styles.actionButton, { backgroundColor: theme.surfaceColor }]}
+              onPress={restoreGroupKeys}
+              disabled={keyBackupBusy}
+            >
+              <Ionicons name="cloud-download-outline" size={20} color={theme.textColor} />
+              <Text style={[styles.actionButtonText, { color: theme.textColor }]}>Restore Keys</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+
       {/* Cache Management */}
       <CacheManager theme={theme} />
 
-      {/* Standard Relays */}
-      {renderSection('Standard Nostr Relays', (
+      {/* Standard Relays */}
+      {renderSection('Standard Nostr Relays', (
+        <View>
+          <Text style={[styles.relayDescription, { color: theme.secondaryTextColor }]}>
+            Used for public channels, private messages (NIP-17), feeds, and general Nostr activity.
+          </Text>
+          {relays.map((relay, index) => (
+            <View key={index} style={styles.relayItem}>
+              <Ionicons name="server" size={16} color={theme.primaryColor} />
+              {renderRelayLabel(relay)}
+              {renderRelayPow(relay)}
+              {renderRelayHealth(relay)}
+            </View>
+          ))}
+          
+          {/* NIP-17 DM inbox relays (kind 10050) */}
+          <View style={styles.settingItem}>
+            <View style={styles.settingContent}>
+              <Text style={[styles.settingLabel, { color: theme.textColor }]}>DM Inbox Relays</Text>
+              <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                {dmInboxRelays.length > 0
+                  ? dmInboxRelays.join(', ')
+                  : 'Not published yet. Others will fall back to guessing where to send you private messages.'}
+              </Text>
+            </View>
+            <TouchableOpacity onPress={publishDMInboxRelays}>
+              <Ionicons name="cloud-upload-outline" size={20} color={theme.primaryColor} />
+            </TouchableOpacity>
+          </View>
+          
+          {/* Add Standard Relay Button */}
+          <TouchableOpacity
+            style={[styles.addRelayButton, { backgroundColor: theme.primaryColor }]}
+            onPress={() => {
+              setRelayType('standard');
+              setAddRelayModalVisible(true);
+            }}
+          >
+            <Ionicons name="add" size={20} color="white" />
+            <Text style={styles.addRelayButtonText}>Add Standard Relay</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {/* NIP-65 Relay List */}
+      {renderSection('Relay List (NIP-65)', (
         <View>
           <Text style={[styles.relayDescription, { color: theme.secondaryTextColor }]}>
-            Used for public channels, private messages (NIP-17), feeds, and general Nostr activity.
+            Tells others where to find your posts (write) and where to send replies and mentions (read).
+            Other people's posts are fetched from their own write relays.
           </Text>
-          {relays.map((relay, index) => (
-            <View key={index} style={styles.relayItem}>
-              <Ionicons name="server" size={16} color={theme.primaryColor} />
+          {relayList.map(entry => (
+            <View key={`nip65-${entry.url}`} style={styles.relayItem}>
+              <Ionicons name="git-network-outline" size={16} color={theme.primaryColor} />
               <Text style={[styles.relayUrl, { color: theme.textColor }]}>
-                {relay}
+                {entry.url}
               </Text>
-              <View style={[styles.relayStatus, { 
-                backgroundColor: connectionStatus.connectedRelays?.includes(relay) ? 
-                  theme.successColor : theme.borderColor 
-              }]} />
+              {renderRelayListMarker(entry, 'read', 'Read')}
+              {renderRelayListMarker(entry, 'write', 'Write')}
+              {renderRelayHealth(entry.url)}
+              <TouchableOpacity style={styles.relayMarkerRemove} onPress={() => removeRelayListEntry(entry.url)}>
+                <Ionicons name="close" size={16} color={theme.errorColor} />
+              </TouchableOpacity>
             </View>
           ))}
           
-          {/* Add Standard Relay Button */}
+          {relayList.length === 0 && (
+            <View style={styles.emptyRelayNotice}>
+              <Ionicons name="information-circle" size={20} color={theme.secondaryTextColor} />
+              <Text style={[styles.emptyRelayText, { color: theme.secondaryTextColor }]}>
+                No relay list yet. Add relays and publish so others can find your posts.
+              </Text>
+            </View>
+          )}
+          
           <TouchableOpacity
             style={[styles.addRelayButton, { backgroundColor: theme.primaryColor }]}
             onPress={() => {
-              setRelayType('standard');
+              setRelayType('nip65');
               setAddRelayModalVisible(true);
             }}
           >
             <Ionicons name="add" size={20} color="white" />
-            <Text style={styles.addRelayButtonText}>Add Standard Relay</Text>
+            <Text style={styles.addRelayButtonText}>Add Relay to List</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={[styles.addRelayButton, { backgroundColor: theme.successColor }]}
+            onPress={publishRelayList}
+            disabled={isPublishingRelayList}
+          >
+            {isPublishingRelayList ? (
+              <ActivityIndicator size="small" color="white" />
+            ) : (
+              <Ionicons name="cloud-upload-outline" size={20} color="white" />
+            )}
+            <Text style={styles.addRelayButtonText}>Publish Relay List</Text>
           </TouchableOpacity>
         </View>
       ))}
@@ -505,18 +1265,14 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
           {nip29Relays.map((relay, index) => (
             <View key={`nip29-${index}`} style={styles.relayItem}>
               <Ionicons name="settings" size={16} color={theme.warningColor} />
-              <Text style={[styles.relayUrl, { color: theme.textColor }]}>
-                {relay}
-              </Text>
+              {renderRelayLabel(relay)}
               <View style={styles.nip29Badge}>
                 <Text style={[styles.nip29BadgeText, { color: theme.warningColor }]}>
                   NIP-29
                 </Text>
               </View>
-              <View style={[styles.relayStatus, { 
-                backgroundColor: connectionStatus.connectedRelays?.includes(relay) ? 
-                  theme.successColor : theme.borderColor 
-              }]} />
+              {renderRelayPow(relay)}
+              {renderRelayHealth(relay)}
             </View>
           ))}
           
@@ -543,6 +1299,72 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
         </View>
       ))}
 
+      <AccountSwitcher
+        visible={accountSwitcherVisible}
+        onClose={() => setAccountSwitcherVisible(false)}
+        theme={theme}
+      />
+
+      {/* NIP-46 Remote Signer Modal */}
+      <Modal
+        visible={bunkerModalVisible}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setBunkerModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { backgroundColor: theme.cardBackgroundColor }]}>
+            <Text style={[styles.modalTitle, { color: theme.textColor }]}>
+              Connect Remote Signer
+            </Text>
+            <Text style={[styles.modalDescription, { color: theme.secondaryTextColor }]}>
+              Paste a bunker:// connection string from your signer app (e.g. nsec.app or Amber), or a NIP-05 address of a bunker. You may have to approve the connection there.
+            </Text>
+            
+            <TextInput
+              style={[styles.modalInput, { 
+                backgroundColor: theme.surfaceColor,
+                color: theme.textColor,
+                borderColor: theme.borderColor
+              }]}
+              value={bunkerInput}
+              onChangeText={setBunkerInput}
+              placeholder="bunker://... or name@domain.com"
+              placeholderTextColor={theme.secondaryTextColor}
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!isConnectingSigner}
+            />
+            
+            <View style={styles.modalActions}>
+              <TouchableOpacity 
+                style={[styles.modalButton, { backgroundColor: theme.borderColor }]}
+                onPress={() => setBunkerModalVisible(false)}
+                disabled={isConnectingSigner}
+              >
+                <Text style={[styles.modalButtonText, { color: theme.textColor }]}>
+                  Cancel
+                </Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={[styles.modalButton, { backgroundColor: theme.primaryColor }]}
+                onPress={() => connectExternalSigner(SIGNER_TYPES.NIP46, bunkerInput)}
+                disabled={!bunkerInput.trim() || isConnectingSigner}
+              >
+                {isConnectingSigner ? (
+                  <ActivityIndicator size="small" color="white" />
+                ) : (
+                  <Text style={[styles.modalButtonText, { color: 'white' }]}>
+                    Connect
+                  </Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       {/* Import Private Key Modal */}
       <Modal
         visible={importModalVisible}
@@ -558,6 +1380,7 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
             <Text style={[styles.modalDescription, { color: theme.secondaryTextColor }]}>
               Enter your existing Nostr private key:
               {'\n'}• nsec1... (bech32 format)
+              {'\n'}• ncryptsec1... (passphrase encrypted)
               {'\n'}• or 64 hex characters
             </Text>
             
@@ -576,6 +1399,23 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
               autoCorrect={false}
             />
             
+            <TextInput
+              style={[styles.modalInput, { 
+                backgroundColor: theme.surfaceColor,
+                color: theme.textColor,
+                borderColor: theme.borderColor
+              }]}
+              value={keyPassphrase}
+              onChangeText={setKeyPassphrase}
+              placeholder={newPrivateKey.trim().startsWith('ncryptsec1')
+                ? 'Passphrase of the ncryptsec'
+                : 'Passphrase to protect it (optional)'}
+              placeholderTextColor={theme.secondaryTextColor}
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            
             <View style={styles.modalActions}>
               <TouchableOpacity 
                 style={[styles.modalButton, { backgroundColor: theme.borderColor }]}
@@ -612,9 +1452,24 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
               Generate New Nostr Identity
             </Text>
             <Text style={[styles.modalDescription, { color: theme.secondaryTextColor }]}>
-              This will create a completely new Nostr user identity. Your current profile, follows, and all data will be lost. Are you sure?
+              This creates a new Nostr identity as an extra account and switches to it. Your current account and its data stay on this device.
             </Text>
             
+            <TextInput
+              style={[styles.modalInput, { 
+                backgroundColor: theme.surfaceColor,
+                color: theme.textColor,
+                borderColor: theme.borderColor
+              }]}
+              value={keyPassphrase}
+              onChangeText={setKeyPassphrase}
+              placeholder="Passphrase to protect it (optional)"
+              placeholderTextColor={theme.secondaryTextColor}
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            
             <View style={styles.modalActions}>
               <TouchableOpacity 
                 style={[styles.modalButton, { backgroundColor: theme.borderColor }]}
@@ -638,6 +1493,288 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
         </View>
       </Modal>
 
+      {/* Passphrase Modal (enable / change / remove protection, export as ncryptsec) */}
+      <Modal
+        visible={!!passphraseMode}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setPassphraseMode(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { backgroundColor: theme.cardBackgroundColor }]}>
+            <Text style={[styles.modalTitle, { color: theme.textColor }]}>
+              {{
+                enable: 'Set Passphrase',
+                change: 'Change Passphrase',
+                disable: 'Remove Passphrase',
+                export: 'Export Encrypted Key'
+              }[passphraseMode]}
+            </Text>
+            <Text style={[styles.modalDescription, { color: theme.secondaryTextColor }]}>
+              {{
+                enable: 'Your private key will be stored encrypted (NIP-49) and has to be unlocked every time the app starts. There is no way to recover it without the passphrase.',
+                change: 'Enter your current passphrase and choose a new one.',
+                disable: 'Your private key will be stored unencrypted on this device.',
+                export: 'Choose a passphrase to encrypt the exported key with. The ncryptsec is copied to your clipboard.'
+              }[passphraseMode]}
+            </Text>
+            
+            {(passphraseMode === 'change' || passphraseMode === 'disable') && (
+              <TextInput
+                style={[styles.modalInput, { 
+                  backgroundColor: theme.surfaceColor,
+                  color: theme.textColor,
+                  borderColor: theme.borderColor
+                }]}
+                value={currentPassphrase}
+                onChangeText={setCurrentPassphrase}
+                placeholder="Current passphrase"
+                placeholderTextColor={theme.secondaryTextColor}
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            )}
+            
+            {passphraseMode !== 'disable' && (
+              <>
+                <TextInput
+                  style={[styles.modalInput, { 
+                    backgroundColor: theme.surfaceColor,
+                    color: theme.textColor,
+                    borderColor: theme.borderColor
+                  }]}
+                  value={newPassphrase}
+                  onChangeText={setNewPassphrase}
+                  placeholder="New passphrase"
+                  placeholderTextColor={theme.secondaryTextColor}
+                  secureTextEntry
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                <TextInput
+                  style={[styles.modalInput, { 
+                    backgroundColor: theme.surfaceColor,
+                    color: theme.textColor,
+                    borderColor: theme.borderColor
+                  }]}
+                  value={confirmPassphrase}
+                  onChangeText={setConfirmPassphrase}
+                  placeholder="Repeat new passphrase"
+                  placeholderTextColor={theme.secondaryTextColor}
+                  secureTextEntry
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+              </>
+            )}
+            
+            <View style={styles.modalActions}>
+              <TouchableOpacity 
+                style={[styles.modalButton, { backgroundColor: theme.borderColor }]}
+                onPress={() => setPassphraseMode(null)}
+              >
+                <Text style={[styles.modalButtonText, { color: theme.textColor }]}>
+                  Cancel
+                </Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={[styles.modalButton, { backgroundColor: passphraseMode === 'disable' ? theme.errorColor : theme.primaryColor }]}
+                onPress={submitPassphrase}
+              >
+                <Text style={[styles.modalButtonText, { color: 'white' }]}>
+                  {passphraseMode === 'export' ? 'Copy' : 'Save'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Relay Information (NIP-11) Modal */}
+      <Modal
+        visible={!!inspectedRelay}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setInspectedRelay(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { backgroundColor: theme.cardBackgroundColor }]}>
+            <Text style={[styles.modalTitle, { color: theme.textColor }]}>
+              {inspectedRelay?.capabilities?.name || 'Relay Information'}
+            </Text>
+            <Text style={[styles.modalDescription, { color: theme.secondaryTextColor }]}>
+              {inspectedRelay?.url}
+              {inspectedRelay?.capabilities?.description ? `\n\n${inspectedRelay.capabilities.description}` : ''}
+            </Text>
+            
+            {inspectedRelay?.loading && !inspectedRelay?.capabilities && (
+              <ActivityIndicator size="small" color={theme.primaryColor} />
+            )}
+            
+            {!inspectedRelay?.loading && !inspectedRelay?.capabilities && (
+              <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                This relay does not publish a NIP-11 information document.
+              </Text>
+            )}
+            
+            {inspectedRelay?.capabilities && (() => {
+              const capabilities = inspectedRelay.capabilities;
+              const limits = [
+                ['Max message length', capabilities.limits.maxMessageLength],
+                ['Max content length', capabilities.limits.maxContentLength],
+                ['Max subscriptions', capabilities.limits.maxSubscriptions],
+                ['Max filters', capabilities.limits.maxFilters],
+                ['Max limit', capabilities.limits.maxLimit],
+                ['Max event tags', capabilities.limits.maxEventTags],
+                ['Min proof of work', capabilities.limits.minPowDifficulty]
+              ].filter(([, value]) => value != null);
+              const requirements = [
+                capabilities.authRequired && 'authentication (NIP-42)',
+                capabilities.paymentRequired && 'payment',
+                capabilities.restrictedWrites && 'restricted writes'
+              ].filter(Boolean);
+              
+              return (
+                <ScrollView style={styles.relayInfoDetails}>
+                  {[
+                    ['Software', capabilities.software ? `${capabilities.software}${capabilities.version ? ` ${capabilities.version}` : ''}` : null],
+                    ['Supported NIPs', capabilities.supportedNips.length > 0 ? capabilities.supportedNips.join(', ') : 'none listed'],
+                    ['Requires', requirements.length > 0 ? requirements.join(', ') : 'nothing special'],
+                    ['Payments', capabilities.paymentsUrl],
+                    ['Contact', capabilities.contact],
+                    ...limits
+                  ].filter(([, value]) => value != null).map(([label, value]) => (
+                    <View key={label} style={styles.relayInfoRow}>
+                      <Text style={[styles.relayInfoLabel, { color: theme.secondaryTextColor }]}>{label}</Text>
+                      <Text style={[styles.relayInfoValue, { color: theme.textColor }]}>{String(value)}</Text>
+                    </View>
+                  ))}
+                </ScrollView>
+              );
+            })()}
+            
+            {/* NIP-42: whether we prove our identity when this relay asks */}
+            <View style={styles.settingItem}>
+              <View style={styles.settingContent}>
+                <Text style={[styles.settingLabel, { color: theme.textColor }]}>Authentication</Text>
+                <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                  Answer this relay's NIP-42 challenge with your identity
+                </Text>
+              </View>
+              {[
+                [RELAY_AUTH_POLICIES.ALWAYS, 'Always'],
+                [RELAY_AUTH_POLICIES.ASK, 'Ask'],
+                [RELAY_AUTH_POLICIES.NEVER, 'Never']
+              ].map(([policy, label]) => (
+                <TouchableOpacity
+                  key={policy}
+                  style={[styles.relayMarker, {
+                    borderColor: relayAuthPolicy === policy ? theme.primaryColor : theme.borderColor,
+                    backgroundColor: relayAuthPolicy === policy ? `${theme.primaryColor}20` : 'transparent'
+                  }]}
+                  onPress={() => updateRelayAuthPolicy(inspectedRelay.url, policy)}
+                >
+                  <Text style={[styles.relayMarkerText, { color: relayAuthPolicy === policy ? theme.primaryColor : theme.secondaryTextColor }]}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
+            <View style={styles.modalActions}>
+              <TouchableOpacity 
+                style={[styles.modalButton, { backgroundColor: theme.borderColor }]}
+                onPress={() => openRelayInspector(inspectedRelay.url, true)}
+                disabled={inspectedRelay?.loading}
+              >
+                <Text style={[styles.modalButtonText, { color: theme.textColor }]}>
+                  {inspectedRelay?.loading ? 'Loading…' : 'Refresh'}
+                </Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={[styles.modalButton, { backgroundColor: theme.primaryColor }]}
+                onPress={() => setInspectedRelay(null)}
+              >
+                <Text style={[styles.modalButtonText, { color: 'white' }]}>
+                  Done
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Per-relay Proof of Work Modal */}
+      <Modal
+        visible={!!powRelay}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setPowRelay(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { backgroundColor: theme.cardBackgroundColor }]}>
+            <Text style={[styles.modalTitle, { color: theme.textColor }]}>
+              Proof of Work
+            </Text>
+            <Text style={[styles.modalDescription, { color: theme.secondaryTextColor }]}>
+              {powRelay?.url}
+              {'\n'}Relay requires: {powRelay?.advertised == null ? 'checking…' : `${powRelay.advertised} bits`}
+              {'\n'}Messages to this relay are mined to the highest difficulty any relay you publish to asks for.
+            </Text>
+            
+            <View style={styles.settingItem}>
+              <View style={styles.settingContent}>
+                <Text style={[styles.settingLabel, { color: theme.textColor }]}>Target Difficulty</Text>
+                <Text style={[styles.settingDescription, { color: theme.secondaryTextColor }]}>
+                  {powRelay?.configured != null ? 'Custom' : 'Using what the relay advertises'}
+                </Text>
+              </View>
+              <View style={styles.stepper}>
+                <TouchableOpacity
+                  style={[styles.stepperButton, { borderColor: theme.borderColor }]}
+                  onPress={() => updatePowDifficulty(Math.max(0, (powRelay?.configured ?? powRelay?.advertised ?? 0) - 1))}
+                >
+                  <Ionicons name="remove" size={16} color={theme.textColor} />
+                </TouchableOpacity>
+                <Text style={[styles.stepperValue, { color: theme.textColor }]}>
+                  {powRelay?.configured ?? powRelay?.advertised ?? 0}
+                </Text>
+                <TouchableOpacity
+                  style={[styles.stepperButton, { borderColor: theme.borderColor }]}
+                  onPress={() => updatePowDifficulty((powRelay?.configured ?? powRelay?.advertised ?? 0) + 1)}
+                >
+                  <Ionicons name="add" size={16} color={theme.textColor} />
+                </TouchableOpacity>
+              </View>
+            </View>
+            
+            <View style={styles.modalActions}>
+              <TouchableOpacity 
+                style={[styles.modalButton, { backgroundColor: theme.borderColor }]}
+                onPress={() => updatePowDifficulty(null)}
+                disabled={powRelay?.configured == null}
+              >
+                <Text style={[styles.modalButtonText, { color: theme.textColor }]}>
+                  Use Relay Default
+                </Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={[styles.modalButton, { backgroundColor: theme.primaryColor }]}
+                onPress={() => setPowRelay(null)}
+              >
+                <Text style={[styles.modalButtonText, { color: 'white' }]}>
+                  Done
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       {/* Add Relay Modal */}
       <Modal
         visible={addRelayModalVisible}
@@ -648,12 +1785,16 @@ const SettingsScreen = ({ theme = THEMES.DARK }) => {
         <View style={styles.modalOverlay}>
           <View style={[styles.modalContent, { backgroundColor: theme.cardBackgroundColor }]}>
             <Text style={[styles.modalTitle, { color: theme.textColor }]}>
-              Add {relayType === 'nip29' ? 'NIP-29' : 'Standard'} Relay
+              {relayType === 'nip65'
+                ? 'Add Relay to Relay List'
+                : `Add ${relayType === 'nip29' ? 'NIP-29' : 'Standard'} Relay`}
             </Text>
             <Text style={[styles.modalDescription, { color: theme.secondaryTextColor }]}>
               {relayType === 'nip29' 
                 ? 'Enter a WebSocket URL for a NIP-29 group relay with moderation support:'
-                : 'Enter a WebSocket URL for a standard Nostr relay:'
+                : relayType === 'nip65'
+                  ? 'Enter a WebSocket URL. It is used for reading and writing; change that in the list afterwards:'
+                  : 'Enter a WebSocket URL for a standard Nostr relay:'
               }
               {'\n'}• wss://relay.example.com
               {'\n'}• Must start with wss:// or ws://
@@ -776,6 +1917,12 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     gap: 12,
   },
+  keyActionsRow: {
+    marginTop: 12,
+  },
+  signerActions: {
+    marginBottom: 16,
+  },
   actionButton: {
     flex: 1,
     flexDirection: 'row',
@@ -808,6 +1955,25 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: 2,
   },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  stepperButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    minWidth: 20,
+    textAlign: 'center',
+  },
   relayItem: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -823,6 +1989,22 @@ const styles = StyleSheet.create({
     height: 8,
     borderRadius: 4,
   },
+  relayHealth: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 8,
+    gap: 6,
+  },
+  relayHealthText: {
+    fontSize: 11,
+    fontWeight: '500',
+  },
+  relayPow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 8,
+    gap: 2,
+  },
   addRelayButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -902,6 +2084,63 @@ const styles = StyleSheet.create({
     marginBottom: 12,
     lineHeight: 16,
   },
+  relayLabel: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  relayLabelUrl: {
+    fontSize: 14,
+  },
+  relayLabelDetails: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+    gap: 4,
+  },
+  relayLabelName: {
+    fontSize: 11,
+    flexShrink: 1,
+  },
+  relayRequirement: {
+    fontSize: 9,
+    fontWeight: '600',
+    borderWidth: 1,
+    borderRadius: 3,
+    paddingHorizontal: 3,
+  },
+  relayInfoDetails: {
+    maxHeight: 280,
+    marginBottom: 12,
+  },
+  relayInfoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+    gap: 12,
+  },
+  relayInfoLabel: {
+    fontSize: 13,
+  },
+  relayInfoValue: {
+    fontSize: 13,
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  relayMarker: {
+    borderWidth: 1,
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginLeft: 6,
+  },
+  relayMarkerText: {
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  relayMarkerRemove: {
+    padding: 4,
+    marginLeft: 6,
+  },
   nip29Badge: {
     backgroundColor: 'rgba(255, 193, 7, 0.1)',
     paddingHorizontal: 6,
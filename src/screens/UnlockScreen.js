@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { keystoreService } from '../services/KeystoreService';
+import { THEMES } from '../utils/constants';
+
+// Shown on start (and after auto-lock) while the private key is passphrase protected
+const UnlockScreen = ({ onUnlocked, onReset, style, theme = THEMES.DARK }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [progress, setProgress] = useState(0); // percent of the key derivation done
+  const [error, setError] = useState(null);
+
+  const unlock = async () => {
+    if (!passphrase || isUnlocking) return;
+
+    setIsUnlocking(true);
+    setProgress(0);
+    setError(null);
+
+    try {
+      // Whole percents only, so the bar re-renders at most a hundred times
+      await keystoreService.unlock(passphrase, { onProgress: fraction => setProgress(Math.floor(fraction * 100)) });
+      setPassphrase('');
+      onUnlocked?.();
+    } catch (unlockError) {
+      console.warn('⚠️ Unlock failed:', unlockError.message);
+      setError(unlockError.message);
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const confirmReset = () => {
+    const resetIdentity = async () => {
+      try {
+        await keystoreService.reset();
+        onReset?.();
+      } catch (resetError) {
+        console.error('Error resetting identity:', resetError);
+      }
+    };
+
+    const message = 'Without the passphrase the stored key cannot be recovered. This removes it from this device so you can import a backup or create a new identity.';
+
+    if (typeof window !== 'undefined') {
+      if (window.confirm(`Forget this identity?\n\n${message}`)) {
+        resetIdentity();
+      }
+    } else {
+      Alert.alert('Forget this identity?', message, [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Forget', style: 'destructive', onPress: resetIdentity }
+      ]);
+    }
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.backgroundColor }, style]}>
+      <Ionicons name="lock-closed" size={48} color={theme.primaryColor} />
+      <Text style={[styles.title, { color: theme.textColor }]}>Unlock IRC on Nostr</Text>
+      <Text style={[styles.subtitle, { color: theme.secondaryTextColor }]}>
+        Your private key is protected with a passphrase.
+      </Text>
+
+      <TextInput
+        style={[styles.input, {
+          backgroundColor: theme.surfaceColor,
+          color: theme.textColor,
+          borderColor: error ? theme.errorColor : theme.borderColor
+        }]}
+        value={passphrase}
+        onChangeText={setPassphrase}
+        onSubmitEditing={unlock}
+        placeholder="Passphrase"
+        placeholderTextColor={theme.secondaryTextColor}
+        secureTextEntry
+        autoFocus
+        autoCapitalize="none"
+        autoCorrect={false}
+        editable={!isUnlocking}
+      />
+
+      {error && (
+        <Text style={[styles.error, { color: theme.errorColor }]}>{error}</Text>
+      )}
+
+      {isUnlocking && (
+        <View style={[styles.progressTrack, { backgroundColor: theme.borderColor }]}>
+          <View style={[styles.progressBar, { backgroundColor: theme.primaryColor, width: `${progress}%` }]} />
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={[styles.unlockButton, { backgroundColor: passphrase ? theme.primaryColor : theme.borderColor }]}
+        onPress={unlock}
+        disabled={!passphrase || isUnlocking}
+      >
+        {isUnlocking ? (
+          <ActivityIndicator size="small" color="white" />
+        ) : (
+          <Text style={styles.unlockButtonText}>Unlock</Text>
+        )}
+      </TouchableOpacity>
+
+      <TouchableOpacity onPress={confirmReset} style={styles.resetButton}>
+        <Text style={[styles.resetText, { color: theme.secondaryTextColor }]}>
+          Forgot passphrase?
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 16,
+  },
+  subtitle: {
+    fontSize: 14,
+    marginTop: 8,
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+  input: {
+    width: '100%',
+    maxWidth: 360,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  error: {
+    fontSize: 13,
+    marginTop: 8,
+  },
+  progressTrack: {
+    width: '100%',
+    maxWidth: 360,
+    height: 4,
+    borderRadius: 2,
+    marginTop: 16,
+    overflow: 'hidden',
+  },
+  progressBar: {
+    height: 4,
+  },
+  unlockButton: {
+    width: '100%',
+    maxWidth: 360,
+    padding: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  unlockButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  resetButton: {
+    marginTop: 24,
+  },
+  resetText: {
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
+});
+
+export default UnlockScreen;
@@ -0,0 +1,210 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, SIGNER_TYPES } from '../utils/constants';
+
+// Storage keys that belong to a single account. Each is stored as `${key}:${pubkey}`.
+const ACCOUNT_KEYS = [
+  STORAGE_KEYS.PRIVATE_KEY,
+  STORAGE_KEYS.ENCRYPTED_PRIVATE_KEY,
+  STORAGE_KEYS.SIGNER,
+  STORAGE_KEYS.RELAYS,
+  STORAGE_KEYS.RELAY_LIST,
+  STORAGE_KEYS.NIP29_RELAYS,
+  STORAGE_KEYS.JOINED_NIP29_GROUPS,
+  STORAGE_KEYS.PROFILE,
+  STORAGE_KEYS.LIKED_POSTS,
+  STORAGE_KEYS.REPOSTED_POSTS,
+  STORAGE_KEYS.DM_LAST_READ_TIMESTAMPS,
+  STORAGE_KEYS.OUTBOX,
+  STORAGE_KEYS.BOT_SETTINGS,
+  STORAGE_KEYS.RELAY_AUTH_POLICIES,
+  STORAGE_KEYS.SEARCH_INDEX,
+  STORAGE_KEYS.GROUP_SECURITY_LOG,
+];
+
+// Dynamic keys (one per group, etc.) that belong to a single account
+const ACCOUNT_KEY_PREFIXES = ['group_key_', 'group_keyring_', 'sender_keys_'];
+
+const isAccountKey = (key) =>
+  !key.includes(':') && (ACCOUNT_KEYS.includes(key) || ACCOUNT_KEY_PREFIXES.some(prefix => key.startsWith(prefix)));
+
+// Registry of the identities on this device. PUBLIC_KEY names the active one; everything
+// else an account owns lives under keys namespaced with its pubkey, so switching is just
+// pointing PUBLIC_KEY elsewhere and reloading the services.
+class AccountService {
+  constructor() {
+    this.accounts = [];       // [{ pubkey, name, signerType, addedAt, lastUsedAt }]
+    this.activePubkey = null;
+    this.listeners = new Set();
+    this.loaded = false;
+  }
+
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.ACCOUNTS);
+      this.accounts = stored ? JSON.parse(stored) : [];
+      this.activePubkey = await AsyncStorage.getItem(STORAGE_KEYS.PUBLIC_KEY);
+
+      // Single-account install from before the registry: adopt its data
+      if (this.activePubkey && !this.getAccount(this.activePubkey)) {
+        await this.addAccount(this.activePubkey);
+      }
+
+      this.loaded = true;
+      console.log(`👥 ${this.accounts.length} accounts, active: ${this.activePubkey ? this.activePubkey.substring(0, 8) + '...' : 'none'}`);
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.ACCOUNTS, JSON.stringify(this.accounts));
+    } catch (error) {
+      console.error('Error saving accounts:', error);
+    }
+  }
+
+  // Listener receives { type: 'switched' | 'updated', pubkey }; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(change) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Error in account listener:', error);
+      }
+    });
+  }
+
+  // Storage key for data owned by an account (the active one unless given). Before any
+  // account exists the plain key is used; the first account adopts whatever is there.
+  key(baseKey, pubkey = this.activePubkey) {
+    return pubkey ? `${baseKey}:${pubkey}` : baseKey;
+  }
+
+  getAccounts() {
+    return [...this.accounts];
+  }
+
+  getAccount(pubkey) {
+    return this.accounts.find(account => account.pubkey === pubkey) || null;
+  }
+
+  // Register an identity (or update it when it's already known). Doesn't switch to it.
+  async addAccount(pubkey, details = {}) {
+    try {
+      const existing = this.getAccount(pubkey);
+      if (existing) {
+        return await this.updateAccount(pubkey, details);
+      }
+
+      if (this.accounts.length === 0) {
+        await this.adoptUnscopedData(pubkey);
+      }
+
+      const account = {
+        pubkey,
+        name: details.name || null,
+        signerType: details.signerType || SIGNER_TYPES.LOCAL,
+        addedAt: Date.now(),
+        lastUsedAt: null
+      };
+
+      this.accounts.push(account);
+      await this.save();
+
+      console.log(`👤 Added account ${pubkey.substring(0, 8)}...`);
+      this.notifyListeners({ type: 'updated', pubkey });
+      return account;
+    } catch (error) {
+      console.error('Error adding account:', error);
+      throw error;
+    }
+  }
+
+  async updateAccount(pubkey, changes) {
+    const account = this.getAccount(pubkey);
+    if (!account) return null;
+
+    Object.assign(account, changes);
+    await this.save();
+
+    this.notifyListeners({ type: 'updated', pubkey });
+    return account;
+  }
+
+  // Move data written before accounts existed under the first account's namespace
+  async adoptUnscopedData(pubkey) {
+    const allKeys = await AsyncStorage.getAllKeys();
+    const unscopedKeys = allKeys.filter(isAccountKey);
+
+    for (const key of unscopedKeys) {
+      const value = await AsyncStorage.getItem(key);
+      if (value !== null) {
+        await AsyncStorage.setItem(this.key(key, pubkey), value);
+      }
+      await AsyncStorage.removeItem(key);
+    }
+
+    if (unscopedKeys.length > 0) {
+      console.log(`📦 Moved ${unscopedKeys.length} stored items to account ${pubkey.substring(0, 8)}...`);
+    }
+  }
+
+  // Services reload for the new account in response to the 'switched' notification
+  async switchTo(pubkey) {
+    try {
+      if (pubkey === this.activePubkey) return;
+
+      if (pubkey) {
+        await AsyncStorage.setItem(STORAGE_KEYS.PUBLIC_KEY, pubkey);
+      } else {
+        await AsyncStorage.removeItem(STORAGE_KEYS.PUBLIC_KEY);
+      }
+
+      this.activePubkey = pubkey;
+      if (pubkey) {
+        await this.updateAccount(pubkey, { lastUsedAt: Date.now() });
+      }
+
+      console.log(`🔀 Switched to account ${pubkey ? pubkey.substring(0, 8) + '...' : 'none'}`);
+      this.notifyListeners({ type: 'switched', pubkey });
+    } catch (error) {
+      console.error('Error switching account:', error);
+      throw error;
+    }
+  }
+
+  // Forget an account and everything stored for it; moves on to the most recently used one left
+  async removeAccount(pubkey) {
+    try {
+      const suffix = `:${pubkey}`;
+      const allKeys = await AsyncStorage.getAllKeys();
+      const accountKeys = allKeys.filter(key => key.endsWith(suffix) && isAccountKey(key.slice(0, -suffix.length)));
+      if (accountKeys.length > 0) {
+        await AsyncStorage.multiRemove(accountKeys);
+      }
+
+      this.accounts = this.accounts.filter(account => account.pubkey !== pubkey);
+      await this.save();
+      console.log(`🗑️ Removed account ${pubkey.substring(0, 8)}...`);
+
+      if (pubkey === this.activePubkey) {
+        const next = [...this.accounts].sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0))[0];
+        await this.switchTo(next ? next.pubkey : null);
+      } else {
+        this.notifyListeners({ type: 'updated', pubkey });
+      }
+    } catch (error) {
+      console.error('Error removing account:', error);
+      throw error;
+    }
+  }
+}
+
+export const accountService = new AccountService();
+export default accountService;
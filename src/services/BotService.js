@@ -1,9 +1,12 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { botFramework } from '../bots/BotFramework';
 import StatsBot from '../bots/StatsBot';
 import WeatherBot from '../bots/WeatherBot';
 import GameBot from '../bots/GameBot';
 import HelperBot from '../bots/HelperBot';
 import { PokerBot } from '../bots/PokerBot';
+import { accountService } from './AccountService';
+import { STORAGE_KEYS } from '../utils/constants';
 
 class BotService {
   constructor() {
@@ -24,6 +27,8 @@ class BotService {
       await botFramework.stop();
       botFramework.bots.clear();
       botFramework.commands.clear();
+      botFramework.channelBots.clear();
+      botFramework.botChannels.clear();
       
       // Update global session ID to invalidate old poker bot instances
       if (typeof window !== 'undefined') {
@@ -44,6 +49,9 @@ class BotService {
       botFramework.registerBot(this.bots.helperBot);
       botFramework.registerBot(this.bots.pokerBot);
       
+      // Channel assignments belong to the active account
+      await this.loadChannelSettings();
+      
       // Start the bot framework
       await botFramework.start();
       
@@ -89,6 +97,36 @@ class BotService {
     }
   }
 
+  // Restore which bots the active account limited to which channels
+  async loadChannelSettings() {
+    try {
+      const stored = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.BOT_SETTINGS));
+      const channelBots = stored ? JSON.parse(stored) : {};
+      
+      Object.entries(channelBots).forEach(([botId, channelIds]) => {
+        if (!botFramework.bots.has(botId)) return;
+        channelIds.forEach(channelId => botFramework.addBotToChannel(botId, channelId));
+      });
+    } catch (error) {
+      console.error('Error loading bot channel settings:', error);
+    }
+  }
+
+  async saveChannelSettings() {
+    try {
+      const channelBots = {};
+      botFramework.botChannels.forEach((channelIds, botId) => {
+        if (channelIds.size > 0) {
+          channelBots[botId] = Array.from(channelIds);
+        }
+      });
+      
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.BOT_SETTINGS), JSON.stringify(channelBots));
+    } catch (error) {
+      console.error('Error saving bot channel settings:', error);
+    }
+  }
+
   // Get framework status (optionally for a specific channel)
   getStatus(channelId = null) {
     return {
@@ -143,7 +181,9 @@ class BotService {
       throw new Error('Bot system not initialized');
     }
     
-    return botFramework.addBotToChannel(botId, channelId);
+    const result = botFramework.addBotToChannel(botId, channelId);
+    this.saveChannelSettings();
+    return result;
   }
 
   // Remove bot from specific channel
@@ -152,7 +192,9 @@ class BotService {
       throw new Error('Bot system not initialized');
     }
     
-    return botFramework.removeBotFromChannel(botId, channelId);
+    const result = botFramework.removeBotFromChannel(botId, channelId);
+    this.saveChannelSettings();
+    return result;
   }
 
   // Check if bot is active in channel
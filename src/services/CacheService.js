@@ -1,4 +1,5 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { accountService } from './AccountService';
 
 // Cache configuration
 const CACHE_CONFIG = {
@@ -15,6 +16,8 @@ const CACHE_CONFIG = {
     PRIVATE_GROUPS: 2 * 60 * 60 * 1000,   // 2 hours
     GROUP_MEMBERS: 60 * 60 * 1000,        // 1 hour
     METADATA: 7 * 24 * 60 * 60 * 1000,    // 7 days
+    RELAY_INFO: 60 * 60 * 1000,           // 1 hour
+    CHANNEL_MESSAGES: 7 * 24 * 60 * 60 * 1000, // 7 days, so scrollback works offline
   },
   
   // Cache size limits
@@ -24,6 +27,7 @@ const CACHE_CONFIG = {
     MAX_FEED_ITEMS: 200,
     MAX_CONVERSATIONS: 100,
     MAX_MESSAGES_PER_CONVERSATION: 200,
+    MAX_MESSAGES_PER_CHANNEL: 1000,
   },
   
   // Cache keys
@@ -41,6 +45,8 @@ const CACHE_CONFIG = {
     PRIVATE_GROUPS: 'cache_private_groups',
     GROUP_MEMBERS: 'cache_group_members',
     METADATA: 'cache_metadata',
+    RELAY_INFO: 'cache_relay_info',
+    CHANNEL_MESSAGES: 'cache_channel_messages',
     LAST_CLEANUP: 'cache_last_cleanup',
   }
 };
@@ -56,6 +62,8 @@ class CacheService {
   // Initialize periodic cache cleanup
   async initializeCleanup() {
     try {
+      await this.removeSharedChannelMessages();
+      
       const lastCleanup = await AsyncStorage.getItem(CACHE_CONFIG.KEYS.LAST_CLEANUP);
       const now = Date.now();
       const oneDayAgo = now - (24 * 60 * 60 * 1000);
@@ -69,6 +77,12 @@ class CacheService {
     }
   }
 
+  // Key for data that depends on who is looking (feed, own likes and reposts), so
+  // switching accounts never shows another account's view
+  accountKey(key) {
+    return accountService.key(key);
+  }
+
   // Create a cache entry with TTL
   createCacheEntry(data, ttl = null) {
     return {
@@ -265,12 +279,12 @@ class CacheService {
 
   // Feed caching methods
   async getFeed(feedKey = 'main') {
-    const key = `${CACHE_CONFIG.KEYS.FEED}_${feedKey}`;
+    const key = this.accountKey(`${CACHE_CONFIG.KEYS.FEED}_${feedKey}`);
     return await this.get(key, CACHE_CONFIG.TTL.FEED);
   }
 
   async setFeed(feedKey = 'main', posts) {
-    const key = `${CACHE_CONFIG.KEYS.FEED}_${feedKey}`;
+    const key = this.accountKey(`${CACHE_CONFIG.KEYS.FEED}_${feedKey}`);
     // Limit feed cache size
     const limitedPosts = posts.slice(0, CACHE_CONFIG.LIMITS.MAX_FEED_ITEMS);
     return await this.set(key, limitedPosts, CACHE_CONFIG.TTL.FEED);
@@ -299,29 +313,29 @@ class CacheService {
 
   // Interaction caching (likes, reposts, etc.)
   async getInteractions(postIds) {
-    const key = `${CACHE_CONFIG.KEYS.INTERACTIONS}_${postIds.join('_').substring(0, 50)}`;
+    const key = this.accountKey(`${CACHE_CONFIG.KEYS.INTERACTIONS}_${postIds.join('_').substring(0, 50)}`);
     return await this.get(key, CACHE_CONFIG.TTL.INTERACTIONS);
   }
 
   async setInteractions(postIds, interactions) {
-    const key = `${CACHE_CONFIG.KEYS.INTERACTIONS}_${postIds.join('_').substring(0, 50)}`;
+    const key = this.accountKey(`${CACHE_CONFIG.KEYS.INTERACTIONS}_${postIds.join('_').substring(0, 50)}`);
     return await this.set(key, interactions, CACHE_CONFIG.TTL.INTERACTIONS);
   }
 
   async getUserLikes() {
-    return await this.get(CACHE_CONFIG.KEYS.USER_LIKES, CACHE_CONFIG.TTL.INTERACTIONS);
+    return await this.get(this.accountKey(CACHE_CONFIG.KEYS.USER_LIKES), CACHE_CONFIG.TTL.INTERACTIONS);
   }
 
   async setUserLikes(likes) {
-    return await this.set(CACHE_CONFIG.KEYS.USER_LIKES, Array.from(likes), CACHE_CONFIG.TTL.INTERACTIONS);
+    return await this.set(this.accountKey(CACHE_CONFIG.KEYS.USER_LIKES), Array.from(likes), CACHE_CONFIG.TTL.INTERACTIONS);
   }
 
   async getUserReposts() {
-    return await this.get(CACHE_CONFIG.KEYS.USER_REPOSTS, CACHE_CONFIG.TTL.INTERACTIONS);
+    return await this.get(this.accountKey(CACHE_CONFIG.KEYS.USER_REPOSTS), CACHE_CONFIG.TTL.INTERACTIONS);
   }
 
   async setUserReposts(reposts) {
-    return await this.set(CACHE_CONFIG.KEYS.USER_REPOSTS, Array.from(reposts), CACHE_CONFIG.TTL.INTERACTIONS);
+    return await this.set(this.accountKey(CACHE_CONFIG.KEYS.USER_REPOSTS), Array.from(reposts), CACHE_CONFIG.TTL.INTERACTIONS);
   }
 
   // Private message caching methods
@@ -436,7 +450,7 @@ class CacheService {
   }
 
   async invalidateFeed(feedKey = 'main') {
-    const key = `${CACHE_CONFIG.KEYS.FEED}_${feedKey}`;
+    const key = this.accountKey(`${CACHE_CONFIG.KEYS.FEED}_${feedKey}`);
     this.memoryCache.delete(key);
     await AsyncStorage.removeItem(key);
   }
@@ -546,6 +560,67 @@ class CacheService {
     await AsyncStorage.removeItem(key);
   }
 
+  // NIP-11 relay information documents
+  async getRelayInfo(url) {
+    const key = `${CACHE_CONFIG.KEYS.RELAY_INFO}_${url}`;
+    return await this.get(key, CACHE_CONFIG.TTL.RELAY_INFO);
+  }
+
+  async setRelayInfo(url, info) {
+    const key = `${CACHE_CONFIG.KEYS.RELAY_INFO}_${url}`;
+    return await this.set(key, info, CACHE_CONFIG.TTL.RELAY_INFO);
+  }
+
+  async invalidateRelayInfo(url) {
+    const key = `${CACHE_CONFIG.KEYS.RELAY_INFO}_${url}`;
+    this.memoryCache.delete(key);
+    await AsyncStorage.removeItem(key);
+  }
+
+  // Channel scrollback: { messages (oldest first), exhausted } where exhausted means the
+  // oldest message of the channel is in the cache. Per account, since what an account can
+  // read (private and encrypted groups) is its own.
+  async getChannelMessages(channelId) {
+    const key = this.accountKey(`${CACHE_CONFIG.KEYS.CHANNEL_MESSAGES}_${channelId}`);
+    return await this.get(key, CACHE_CONFIG.TTL.CHANNEL_MESSAGES);
+  }
+
+  // Merge a page of history into what is cached; the oldest messages go first when it's full
+  async addChannelMessages(channelId, messages, { exhausted = false } = {}) {
+    const key = this.accountKey(`${CACHE_CONFIG.KEYS.CHANNEL_MESSAGES}_${channelId}`);
+    const cached = await this.get(key, CACHE_CONFIG.TTL.CHANNEL_MESSAGES);
+    
+    const byId = new Map((cached?.messages || []).map(message => [message.id, message]));
+    messages.forEach(message => byId.set(message.id, message));
+    
+    const merged = Array.from(byId.values()).sort((a, b) => a.timestamp - b.timestamp);
+    const limited = merged.slice(-CACHE_CONFIG.LIMITS.MAX_MESSAGES_PER_CHANNEL);
+    const complete = (exhausted || !!cached?.exhausted) && limited.length === merged.length;
+    
+    return await this.set(key, { messages: limited, exhausted: complete }, CACHE_CONFIG.TTL.CHANNEL_MESSAGES);
+  }
+
+  async invalidateChannelMessages(channelId) {
+    const key = this.accountKey(`${CACHE_CONFIG.KEYS.CHANNEL_MESSAGES}_${channelId}`);
+    this.memoryCache.delete(key);
+    await AsyncStorage.removeItem(key);
+  }
+
+  // Scrollback used to be cached for every account alike, decrypted group messages included
+  async removeSharedChannelMessages() {
+    try {
+      const allKeys = await AsyncStorage.getAllKeys();
+      const shared = allKeys.filter(key => key.startsWith(`${CACHE_CONFIG.KEYS.CHANNEL_MESSAGES}_`) && !key.includes(':'));
+      if (shared.length > 0) {
+        shared.forEach(key => this.memoryCache.delete(key));
+        await AsyncStorage.multiRemove(shared);
+        console.log(`🧹 Removed ${shared.length} shared channel caches`);
+      }
+    } catch (error) {
+      console.warn('Error removing shared channel caches:', error);
+    }
+  }
+
   // Cache statistics
   async getCacheStats() {
     try {
@@ -563,6 +638,8 @@ class CacheService {
         conversations: cacheKeys.filter(key => key.includes('conversations')).length,
         privateGroups: cacheKeys.filter(key => key.includes('private_groups')).length,
         groupMembers: cacheKeys.filter(key => key.includes('group_members')).length,
+        relayInfo: cacheKeys.filter(key => key.includes('relay_info')).length,
+        channelMessages: cacheKeys.filter(key => key.includes('channel_messages')).length,
       };
       
       return stats;
@@ -0,0 +1,570 @@
+import { relayManager } from './RelayManager';
+import { nostrUtils } from '../utils/nostrUtils';
+import { EVENT_KINDS, CHANNEL_MODES, NIP29_MODE_FLAGS, NIP29_ADMIN_ROLE } from '../utils/constants';
+
+// Role resolution configuration
+const ROLE_CONFIG = {
+  QUERY_WAIT: 8000,          // How long to wait for moderation history and group lists
+  MODERATION_LIMIT: 1000,    // Kind 43, 44, 45 and 47 events replayed per channel
+  DISCOVERY_BATCH: 150,      // Channels per mode lookup when listing channels
+  ROLES_TTL: 5 * 60 * 1000,  // Re-resolve a channel's roles after 5 minutes
+  MAX_EXPIRY_WAIT: 24 * 60 * 60 * 1000, // Longest single timer while waiting for a ban or mute to run out
+};
+
+// NIP-29 group metadata, lists and roles, published by the relay itself
+const NIP29_METADATA_KIND = EVENT_KINDS.GROUP_METADATA;
+const NIP29_ADMINS_KIND = EVENT_KINDS.GROUP_ADMINS;
+const NIP29_MEMBERS_KIND = EVENT_KINDS.GROUP_MEMBERS;
+const NIP29_ROLES_KIND = EVENT_KINDS.GROUP_ROLES;
+
+const emptyRoles = (channelId, protocol, creator = null) => ({
+  channelId,
+  protocol,
+  creator,
+  operators: new Set(creator ? [creator] : []),
+  voiced: new Set(),
+  members: new Set(),
+  banned: new Map(),  // pubkey -> { issuer, reason, createdAt, expiresAt } (expiresAt null: until lifted)
+  muted: new Map(),   // same as banned
+  modes: new Set(),  // channel modes in effect (CHANNEL_MODES letters)
+  hiddenMessages: new Map(), // message id -> reason, from operators' kind 43 events
+  group: null,       // NIP-29 only: the relay's group state, see buildGroupState
+  resolvedAt: Date.now()
+});
+
+// NIP-28 events replayed into a channel's roles
+const CHANNEL_STATE_KINDS = [
+  EVENT_KINDS.CHANNEL_HIDE_MESSAGE,
+  EVENT_KINDS.CHANNEL_MUTE_USER,
+  EVENT_KINDS.CHANNEL_MODERATION,
+  EVENT_KINDS.CHANNEL_MODE
+];
+
+const NIP29_LIST_SLOTS = {
+  [NIP29_METADATA_KIND]: 'metadata',
+  [NIP29_ADMINS_KIND]: 'admins',
+  [NIP29_MEMBERS_KIND]: 'members',
+  [NIP29_ROLES_KIND]: 'roles'
+};
+
+// Who is an operator, voiced, muted or banned in a channel, which channel modes are set and
+// which messages are hidden. This is the single source of channel permissions for the UI.
+// - NIP-28 channels: the creator's kind 45 moderation events and the operators' kind 47 mode
+//   and kind 43/44 hide/mute events are replayed oldest first on top of "the creator is an
+//   operator". Only the creator's moderation events count, so anyone can publish a kind 45
+//   but nobody else can grant themselves operator status; the other kinds count if their
+//   author was an operator at the time.
+// - NIP-29 groups: the relay's kind 39001 (admins) and 39002 (members) lists, and the flags of
+//   its kind 39000 metadata as modes; with the kind 39003 roles these also make up
+//   roles.group. Relays sign these with the key from their NIP-11 document; events signed by
+//   anyone else, or by a relay that names no key, are ignored.
+// Bans and mutes may carry a NIP-40 expiration and count as lifted once it passes. The time
+// comes from this.clock, which tests can replace.
+class ChannelRoleService {
+  constructor() {
+    this.roles = new Map();         // channel id -> roles
+    this.moderationLog = new Map(); // NIP-28 channel id -> Map<event id, event>
+    this.groupLists = new Map();    // NIP-29 group id -> { metadata, admins, members, roles, signers }
+    this.pending = new Map();       // channel id -> Promise<roles> while resolving
+    this.listeners = new Set();
+    this.expiryTimers = new Map();  // channel id -> timer until its next ban or mute runs out
+    this.clock = () => Math.floor(Date.now() / 1000);
+  }
+
+  // Unix seconds; replace the clock to test expiry without waiting for it
+  setClock(clock) {
+    this.clock = clock || (() => Math.floor(Date.now() / 1000));
+  }
+
+  now() {
+    return this.clock();
+  }
+
+  get pool() {
+    return relayManager.pool;
+  }
+
+  // Listener receives (channelId, roles) whenever a channel's roles change; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(channelId, roles) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(channelId, roles);
+      } catch (error) {
+        console.error('Error in channel role listener:', error);
+      }
+    });
+  }
+
+  getRoles(channelId) {
+    return this.roles.get(channelId) || null;
+  }
+
+  setRoles(channelId, roles) {
+    this.roles.set(channelId, roles);
+    this.notifyListeners(channelId, roles);
+    this.scheduleExpiry(channelId, roles);
+    return roles;
+  }
+
+  // Tell listeners again when the next timed ban or mute runs out, so screens lift it without
+  // waiting for another event. Long waits are split into MAX_EXPIRY_WAIT steps.
+  scheduleExpiry(channelId, roles) {
+    clearTimeout(this.expiryTimers.get(channelId));
+    this.expiryTimers.delete(channelId);
+
+    const now = this.now();
+    const upcoming = [...roles.banned.values(), ...roles.muted.values()]
+      .map(entry => entry.expiresAt)
+      .filter(expiresAt => expiresAt && expiresAt > now);
+    if (upcoming.length === 0) return;
+
+    const wait = Math.min((Math.min(...upcoming) - now) * 1000, ROLE_CONFIG.MAX_EXPIRY_WAIT);
+    this.expiryTimers.set(channelId, setTimeout(() => {
+      this.expiryTimers.delete(channelId);
+      if (this.roles.get(channelId) !== roles) return;
+      // A new object so screens holding the old one re-render
+      this.setRoles(channelId, { ...roles });
+    }, wait));
+  }
+
+  // Forget everything, e.g. after switching accounts
+  reset() {
+    this.expiryTimers.forEach(timer => clearTimeout(timer));
+    this.expiryTimers.clear();
+    this.roles.clear();
+    this.moderationLog.clear();
+    this.groupLists.clear();
+    this.pending.clear();
+  }
+
+  // Resolves the channel's roles, re-using a recent result unless refresh is set.
+  // NIP-28: { protocol, creator, relays }; NIP-29: { protocol: 'nip29', relays }.
+  async resolve(channelId, { protocol = 'public', creator = null, relays = [], refresh = false } = {}) {
+    const cached = this.roles.get(channelId);
+    if (cached && !refresh && Date.now() - cached.resolvedAt < ROLE_CONFIG.ROLES_TTL) {
+      return cached;
+    }
+
+    if (this.pending.has(channelId)) {
+      return this.pending.get(channelId);
+    }
+
+    const resolving = (async () => {
+      try {
+        return protocol === 'nip29'
+          ? await this.resolveGroupRoles(channelId, relays)
+          : await this.resolveChannelRoles(channelId, protocol, creator, relays);
+      } catch (error) {
+        console.error('Error resolving channel roles:', error);
+        return this.roles.get(channelId) || emptyRoles(channelId, protocol, creator);
+      } finally {
+        this.pending.delete(channelId);
+      }
+    })();
+
+    this.pending.set(channelId, resolving);
+    return resolving;
+  }
+
+  // NIP-28: fetch the creator's moderation history and replay it
+  async resolveChannelRoles(channelId, protocol, creator, relays) {
+    if (!creator) {
+      return this.setRoles(channelId, emptyRoles(channelId, protocol));
+    }
+
+    if (relays.length > 0 && this.pool) {
+      const events = await this.pool.querySync(relays, {
+        kinds: CHANNEL_STATE_KINDS,
+        '#e': [channelId],
+        limit: ROLE_CONFIG.MODERATION_LIMIT
+      }, { maxWait: ROLE_CONFIG.QUERY_WAIT });
+
+      this.addToLog(channelId, events);
+    }
+
+    const roles = this.replay(channelId, protocol, creator);
+    console.log(`🛡️ Roles for ${channelId.substring(0, 8)}...: ${roles.operators.size} ops, ${roles.banned.size} banned, modes +${Array.from(roles.modes).join('')}`);
+    return this.setRoles(channelId, roles);
+  }
+
+  addToLog(channelId, events) {
+    const log = this.moderationLog.get(channelId) || new Map();
+    events.forEach(event => log.set(event.id, event));
+    this.moderationLog.set(channelId, log);
+  }
+
+  // Roles of many NIP-28 channels at once (for channel discovery): one query for all their
+  // moderation and mode events. channels: [{ id, creator }]; resolves with Map<id, roles>.
+  async resolveMany(channels, relays) {
+    const result = new Map();
+    const unresolved = channels.filter(channel => {
+      const cached = this.roles.get(channel.id);
+      if (cached && Date.now() - cached.resolvedAt < ROLE_CONFIG.ROLES_TTL) {
+        result.set(channel.id, cached);
+        return false;
+      }
+      return true;
+    });
+
+    for (let i = 0; i < unresolved.length; i += ROLE_CONFIG.DISCOVERY_BATCH) {
+      const batch = unresolved.slice(i, i + ROLE_CONFIG.DISCOVERY_BATCH);
+
+      try {
+        if (relays.length > 0 && this.pool) {
+          const events = await this.pool.querySync(relays, {
+            kinds: CHANNEL_STATE_KINDS,
+            '#e': batch.map(channel => channel.id)
+          }, { maxWait: ROLE_CONFIG.QUERY_WAIT });
+
+          batch.forEach(channel => {
+            this.addToLog(channel.id, events.filter(event => nostrUtils.getChannelIdFromTags(event.tags) === channel.id));
+          });
+        }
+      } catch (error) {
+        console.error('Error loading channel modes:', error);
+      }
+
+      batch.forEach(channel => {
+        const roles = this.replay(channel.id, 'public', channel.creator);
+        this.roles.set(channel.id, roles);
+        result.set(channel.id, roles);
+      });
+    }
+
+    return result;
+  }
+
+  // Oldest first; events from the same second are ordered by id so every client agrees
+  replay(channelId, protocol, creator) {
+    const roles = emptyRoles(channelId, protocol, creator);
+    const events = Array.from((this.moderationLog.get(channelId) || new Map()).values())
+      .sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id));
+
+    events.forEach(event => {
+      if (event.kind !== EVENT_KINDS.CHANNEL_MODERATION) {
+        if (roles.operators.has(event.pubkey)) {
+          this.applyOperatorEvent(roles, event);
+        }
+        return;
+      }
+
+      if (event.pubkey !== creator) return;
+
+      let action;
+      try {
+        action = JSON.parse(event.content);
+      } catch (error) {
+        return;
+      }
+
+      const target = action?.target;
+      if (!target || target === creator) return;
+
+      const entry = {
+        issuer: event.pubkey,
+        reason: action.reason || '',
+        createdAt: event.created_at,
+        expiresAt: nostrUtils.getExpiration(event)
+      };
+
+      switch (action.action) {
+        case 'op':
+          roles.operators.add(target);
+          break;
+        case 'deop':
+          roles.operators.delete(target);
+          break;
+        case 'voice':
+          roles.voiced.add(target);
+          break;
+        case 'devoice':
+          roles.voiced.delete(target);
+          break;
+        case 'mute':
+          roles.muted.set(target, entry);
+          break;
+        case 'unmute':
+          roles.muted.delete(target);
+          break;
+        case 'ban':
+          roles.banned.set(target, entry);
+          roles.operators.delete(target);
+          roles.voiced.delete(target);
+          break;
+        case 'unban':
+          roles.banned.delete(target);
+          break;
+        // kick has no lasting effect on roles
+      }
+    });
+
+    return roles;
+  }
+
+  // Mode changes, hides and mutes; the caller checked the author was an operator
+  applyOperatorEvent(roles, event) {
+    if (event.kind === EVENT_KINDS.CHANNEL_MODE) {
+      this.applyModeChanges(roles, nostrUtils.getModeChanges(event));
+      return;
+    }
+
+    const action = nostrUtils.parseHideOrMuteEvent(event);
+    if (!action) return;
+
+    if (action.action === 'hide') {
+      roles.hiddenMessages.set(action.messageId, action.reason);
+    } else if (action.target !== roles.creator) {
+      roles.muted.set(action.target, {
+        issuer: action.moderator,
+        reason: action.reason,
+        createdAt: action.timestamp,
+        expiresAt: action.expiresAt
+      });
+    }
+  }
+
+  applyModeChanges(roles, changes) {
+    changes.forEach(change => {
+      if (change.enabled) {
+        roles.modes.add(change.mode);
+      } else {
+        roles.modes.delete(change.mode);
+      }
+    });
+  }
+
+  // A kind 43, 44, 45 or 47 event seen live or loaded with the messages; the replay decides
+  // whether its author had the right. Events that arrive before the roles are resolved are
+  // kept for that replay.
+  applyModerationEvent(channelId, event) {
+    const current = this.roles.get(channelId);
+    if (current?.protocol === 'nip29') {
+      return current;
+    }
+
+    const log = this.moderationLog.get(channelId);
+    if (log?.has(event.id)) return current || null;
+
+    this.addToLog(channelId, [event]);
+    if (!current) return null;
+    return this.setRoles(channelId, this.replay(channelId, current.protocol, current.creator));
+  }
+
+  // NIP-29: the newest metadata, admins, members and roles any of the group's relays signed.
+  // A relay whose NIP-11 document names no pubkey can't be checked, so its lists are skipped;
+  // with none left the group has no admins or members.
+  async resolveGroupRoles(groupId, relays) {
+    const lists = { metadata: null, admins: null, members: null, roles: null, signers: new Set() };
+
+    await Promise.all(relays.map(async (url) => {
+      try {
+        const info = await relayManager.getRelayInfo(url);
+        const signer = info?.pubkey || null;
+        if (!signer) {
+          console.warn(`⚠️ ${url} publishes no relay pubkey, ignoring its group lists`);
+          return;
+        }
+        lists.signers.add(signer);
+
+        const events = await this.pool.querySync([url], {
+          kinds: [NIP29_METADATA_KIND, NIP29_ADMINS_KIND, NIP29_MEMBERS_KIND, NIP29_ROLES_KIND],
+          '#d': [groupId]
+        }, { maxWait: ROLE_CONFIG.QUERY_WAIT });
+
+        events
+          .filter(event => event.pubkey === signer)
+          .forEach(event => this.keepNewestList(lists, event));
+      } catch (error) {
+        console.warn(`⚠️ Could not load group roles from ${url}:`, error?.message || error);
+      }
+    }));
+
+    this.groupLists.set(groupId, lists);
+    const roles = this.buildGroupRoles(groupId, lists);
+    console.log(`🏛️ Roles for group ${groupId}: ${roles.operators.size} admins, ${roles.members.size} members`);
+    return this.setRoles(groupId, roles);
+  }
+
+  keepNewestList(lists, event) {
+    const slot = NIP29_LIST_SLOTS[event.kind];
+    if (!slot) return false;
+    if (!lists[slot] || lists[slot].created_at < event.created_at) {
+      lists[slot] = event;
+      return true;
+    }
+    return false;
+  }
+
+  buildGroupRoles(groupId, lists) {
+    const roles = emptyRoles(groupId, 'nip29');
+    const pubkeysOf = (event) => (event?.tags || [])
+      .filter(tag => tag[0] === 'p' && tag[1])
+      .map(tag => tag[1]);
+
+    pubkeysOf(lists.admins).forEach(pubkey => roles.operators.add(pubkey));
+    pubkeysOf(lists.members).forEach(pubkey => roles.members.add(pubkey));
+
+    const flags = new Set((lists.metadata?.tags || []).map(tag => tag[0]));
+    Object.entries(NIP29_MODE_FLAGS).forEach(([mode, flag]) => {
+      if (flags.has(flag.on)) roles.modes.add(mode);
+    });
+    roles.group = this.buildGroupState(lists);
+    return roles;
+  }
+
+  // What the relay says about the group: { name, picture, about, open, public, flags,
+  // admins: [{ pubkey, roles }], members: [pubkey], roles: [{ name, description }],
+  // relayPubkey, updatedAt }.
+  // A group without a 39000 yet counts as open and public, the NIP-29 defaults.
+  buildGroupState(lists) {
+    const tagsOf = (event) => event?.tags || [];
+    const metadataTag = (name) => tagsOf(lists.metadata).find(tag => tag[0] === name)?.[1] || '';
+    const flags = tagsOf(lists.metadata)
+      .filter(tag => tag[0] && !tag[1])
+      .map(tag => tag[0]);
+
+    const timestamps = [lists.metadata, lists.admins, lists.members, lists.roles]
+      .filter(Boolean)
+      .map(event => event.created_at);
+
+    return {
+      name: metadataTag('name'),
+      picture: metadataTag('picture'),
+      about: metadataTag('about'),
+      open: !flags.includes('closed'),
+      public: !flags.includes('private'),
+      flags,
+      admins: tagsOf(lists.admins)
+        .filter(tag => tag[0] === 'p' && tag[1])
+        .map(tag => ({ pubkey: tag[1], roles: tag.slice(2).filter(Boolean) })),
+      members: tagsOf(lists.members)
+        .filter(tag => tag[0] === 'p' && tag[1])
+        .map(tag => tag[1]),
+      roles: tagsOf(lists.roles)
+        .filter(tag => tag[0] === 'role' && tag[1])
+        .map(tag => ({ name: tag[1], description: tag[2] || '' })),
+      relayPubkey: lists.metadata?.pubkey || null,
+      updatedAt: timestamps.length > 0 ? Math.max(...timestamps) : null
+    };
+  }
+
+  // The role /op hands out: the relay's own admin-like role if its 39003 lists one
+  getAdminRole(roles) {
+    const names = (roles?.group?.roles || []).map(role => role.name);
+    return names.find(name => /admin/i.test(name)) || names[0] || NIP29_ADMIN_ROLE;
+  }
+
+  // A kind 39000-39003 event seen live on a group subscription
+  applyGroupList(groupId, event) {
+    const lists = this.groupLists.get(groupId);
+    if (!lists) return null;
+    if (!lists.signers.has(event.pubkey)) return this.roles.get(groupId);
+    if (!this.keepNewestList(lists, event)) return this.roles.get(groupId);
+
+    return this.setRoles(groupId, this.buildGroupRoles(groupId, lists));
+  }
+
+  isOperator(roles, pubkey) {
+    return !!roles && roles.operators.has(pubkey);
+  }
+
+  // A ban or mute stops counting once its expiration has passed
+  isActiveEntry(entry) {
+    return !!entry && (!entry.expiresAt || entry.expiresAt > this.now());
+  }
+
+  isBanned(roles, pubkey) {
+    return !!roles && this.isActiveEntry(roles.banned.get(pubkey));
+  }
+
+  isMuted(roles, pubkey) {
+    return !!roles && this.isActiveEntry(roles.muted.get(pubkey));
+  }
+
+  // Bans and mutes in effect, soonest to expire first and permanent ones last:
+  // [{ pubkey, type: 'ban' | 'mute', issuer, reason, createdAt, expiresAt }]
+  getBanList(roles) {
+    if (!roles) return [];
+
+    const entries = [
+      ...Array.from(roles.banned.entries()).map(([pubkey, entry]) => ({ pubkey, type: 'ban', ...entry })),
+      ...Array.from(roles.muted.entries()).map(([pubkey, entry]) => ({ pubkey, type: 'mute', ...entry }))
+    ];
+
+    return entries
+      .filter(entry => this.isActiveEntry(entry))
+      .sort((a, b) => (a.expiresAt || Infinity) - (b.expiresAt || Infinity) || b.createdAt - a.createdAt);
+  }
+
+  hasMode(roles, mode) {
+    return !!roles && roles.modes.has(mode);
+  }
+
+  // In a moderated (+m) channel only operators and voiced users (members, in NIP-29) speak
+  canSpeak(roles, pubkey) {
+    if (!this.hasMode(roles, CHANNEL_MODES.MODERATED)) return true;
+    return this.isOperator(roles, pubkey) || roles.voiced.has(pubkey) ||
+      (roles.protocol === 'nip29' && roles.members.has(pubkey));
+  }
+
+  // Why a message is hidden from the channel view, or null when it isn't:
+  // 'hidden' (kind 43), 'banned', 'muted' (kind 44 or a mute by the creator) or 'moderated' (+m)
+  getHiddenReason(roles, message) {
+    if (!roles) return null;
+    if (roles.hiddenMessages.has(message.id)) return 'hidden';
+    if (this.isBanned(roles, message.author)) return 'banned';
+    if (this.isMuted(roles, message.author)) return 'muted';
+    if (!this.canSpeak(roles, message.author)) return 'moderated';
+    return null;
+  }
+
+  // Topic changes by others are ignored once the topic is locked (+t)
+  canSetTopic(roles, pubkey) {
+    return this.isOperator(roles, pubkey) || (!!roles && !this.hasMode(roles, CHANNEL_MODES.TOPIC_LOCKED));
+  }
+
+  // Permission flags the channel UI checks before running operator commands. In NIP-28
+  // channels only the creator's kind 45 events are replayed, so only the creator can op, deop
+  // and unmute; operators kick and ban with kind 44 mutes.
+  permissionsFor(roles, pubkey) {
+    const isOperator = this.isOperator(roles, pubkey);
+    const isCreator = !!roles?.creator && roles.creator === pubkey;
+    const canManageRoles = roles?.protocol === 'nip29' ? isOperator : isCreator;
+    return {
+      isCreator,
+      isOperator,
+      isVoiced: !!roles && roles.voiced.has(pubkey),
+      isMember: !!roles && roles.members.has(pubkey),
+      isMuted: this.isMuted(roles, pubkey),
+      isBanned: this.isBanned(roles, pubkey),
+      canKick: isOperator,
+      canBan: isOperator,
+      canUnmute: canManageRoles,
+      canOp: canManageRoles,
+      canSetModes: isOperator,
+      canSpeak: this.canSpeak(roles, pubkey),
+      canSetTopic: this.canSetTopic(roles, pubkey)
+    };
+  }
+
+  // '+mt' style summary of the modes in effect, '' when none are set
+  formatModes(roles) {
+    const modes = roles ? Object.values(CHANNEL_MODES).filter(mode => roles.modes.has(mode)) : [];
+    return modes.length > 0 ? `+${modes.join('')}` : '';
+  }
+
+  // IRC-style nick prefix: @ for operators, + for voiced users
+  getPrefix(roles, pubkey) {
+    if (this.isOperator(roles, pubkey)) return '@';
+    if (roles?.voiced.has(pubkey)) return '+';
+    return '';
+  }
+}
+
+export const channelRoleService = new ChannelRoleService();
+export default channelRoleService;
@@ -1,5 +1,12 @@
-import { nip04 } from 'nostr-tools';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { accountService } from './AccountService';
+import { senderKeyService } from './SenderKeyService';
+import { groupMembershipService } from './GroupMembershipService';
+import { STORAGE_KEYS, DEFAULT_SETTINGS } from '../utils/constants';
+
+const SECURITY_LOG_LIMIT = 200; // Rejected key shares kept per account
+const KEYRING_PREFIX = 'group_keyring_';
+const LEGACY_KEY_PREFIX = 'group_key_'; // Current key only, from before the keyring
 
 /**
  * GroupEncryptionService - Implements shared secret encryption for private groups
@@ -9,12 +16,21 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
  * 2. Key is distributed to members via encrypted DMs (NIP-04)
  * 3. All group messages are encrypted with the shared key
  * 4. Key rotation when members join/leave for forward/backward secrecy
+ * 5. Messages are encrypted with per-sender ratcheting chains (SenderKeyService); the group
+ *    key marks the current version and still encrypts metadata and reactions
+ * 6. Key shares are only accepted from the group's creator (the author of its kind 40
+ *    event, whose id is the group id) or an admin in the group's membership entries (see
+ *    GroupMembershipService), and never replace a version we already hold
+ * 7. Each group has a keyring of every key version we hold (as far as the key history
+ *    setting allows); messages are decrypted with the version in their key_version tag.
+ *    NostrService backs the keyrings up as self-encrypted NIP-78 app data.
  */
 
 class GroupEncryptionService {
   constructor() {
-    this.groupKeys = new Map(); // groupId -> encryption key
-    this.keyVersions = new Map(); // groupId -> version number
+    this.groupKeys = new Map(); // groupId -> keyring { current, keys: { [version]: { key, stored_at } } }
+    this.keyHistoryLimit = null; // Past versions kept per group (0 = all); read from settings
+    this.keyringListeners = new Set();
   }
 
   /**
@@ -41,8 +57,7 @@ class GroupEncryptionService {
 
       console.log('🔐 Creating encrypted group with shared key...');
 
-      // Store key locally
-      await this.storeGroupKey(groupId, groupKey, keyVersion);
+      // The caller stores the key once the group has its real id (the kind 40's)
       
       // Create group metadata (encrypted)
       const groupMetadata = {
@@ -111,8 +126,7 @@ class GroupEncryptionService {
         };
 
         // Encrypt key share with member's pubkey using NIP-04
-        const encryptedKeyShare = await nip04.encrypt(
-          nostrService.privateKey, 
+        const encryptedKeyShare = await nostrService.getSigner().nip04Encrypt(
           memberPubkey, 
           JSON.stringify(keyShare)
         );
@@ -238,9 +252,11 @@ class GroupEncryptionService {
   }
 
   /**
-   * Create encrypted group message
+   * Create encrypted group message with our sender chain for the current key version.
+   * NostrService makes sure the chain exists and was shared first. Resolves with
+   * { event, payload }; the payload is kept locally since its message key is gone after this.
    */
-  async createEncryptedGroupMessage(groupId, message, replyTo = null) {
+  async createEncryptedGroupMessage(groupId, message, replyTo = null, { sender, messageType = null } = {}) {
     try {
       // Get group key
       const groupKey = await this.getGroupKey(groupId);
@@ -252,20 +268,25 @@ class GroupEncryptionService {
       const messagePayload = {
         content: message,
         timestamp: Math.floor(Date.now() / 1000),
-        type: 'group_message'
+        type: 'group_message',
+        message_type: messageType
       };
 
-      // Encrypt message with group key
-      const encryptedContent = await this.encryptWithGroupKey(
-        JSON.stringify(messagePayload),
-        groupKey.key
+      // Encrypt with the next key of our chain
+      const encrypted = await senderKeyService.encrypt(
+        groupId,
+        sender,
+        groupKey.version,
+        JSON.stringify(messagePayload)
       );
 
       // Create message event
       const tags = [
         ['e', groupId, '', 'root'],
         ['encrypted', 'true'],
-        ['key_version', groupKey.version.toString()]
+        ['encryption_method', 'sender_keys'],
+        ['key_version', groupKey.version.toString()],
+        ['sender_chain', encrypted.chainId, encrypted.index.toString()]
       ];
 
       if (replyTo) {
@@ -273,10 +294,13 @@ class GroupEncryptionService {
       }
 
       return {
-        kind: 42, // Channel message
-        created_at: Math.floor(Date.now() / 1000),
-        tags: tags,
-        content: encryptedContent
+        event: {
+          kind: 42, // Channel message
+          created_at: Math.floor(Date.now() / 1000),
+          tags: tags,
+          content: encrypted.content
+        },
+        payload: messagePayload
       };
 
     } catch (error) {
@@ -286,40 +310,44 @@ class GroupEncryptionService {
   }
 
   /**
-   * Decrypt received group message
+   * Decrypt received group message. Sender-key messages are decrypted from the signer's
+   * chain (once; afterwards from the local copy), older ones with the shared group key.
    */
   async decryptGroupMessage(event, groupId) {
     try {
-      // Get group key
-      const groupKey = await this.getGroupKey(groupId);
-      if (!groupKey) {
-        console.warn('Group key not found for decryption');
-        return null;
+      let messagePayload = senderKeyService.getPlaintext(event.id);
+
+      if (!messagePayload) {
+        const chainTag = event.tags.find(tag => tag[0] === 'sender_chain');
+        if (chainTag) {
+          const decryptedContent = await senderKeyService.decrypt(
+            groupId,
+            event.pubkey,
+            chainTag[1],
+            parseInt(chainTag[2], 10),
+            event.content
+          );
+          if (!decryptedContent) {
+            console.warn(`No sender key for ${event.pubkey.substring(0, 8)}... chain ${chainTag[1].substring(0, 8)} #${chainTag[2]}`);
+            return null;
+          }
+          messagePayload = JSON.parse(decryptedContent);
+        } else {
+          messagePayload = await this.decryptWithSharedKey(event, groupId);
+          if (!messagePayload) {
+            return null;
+          }
+        }
+        senderKeyService.rememberPlaintext(event.id, messagePayload);
       }
 
-      // Check key version compatibility
-      const messageKeyVersion = this.getKeyVersionFromTags(event.tags);
-      if (messageKeyVersion && messageKeyVersion !== groupKey.version) {
-        console.warn(`Key version mismatch: message=${messageKeyVersion}, local=${groupKey.version}`);
-        // Could try to get older key version here
-      }
-
-      // Decrypt message content
-      const decryptedContent = await this.decryptWithGroupKey(
-        event.content,
-        groupKey.key
-      );
-
-      // Parse decrypted payload
-      const messagePayload = JSON.parse(decryptedContent);
-
       return {
         id: event.id,
         content: messagePayload.content,
         author: event.pubkey,
         channelId: groupId,
         timestamp: event.created_at,
-        type: messagePayload.type,
+        type: messagePayload.message_type || messagePayload.type,
         encrypted: true,
         tags: event.tags
       };
@@ -340,13 +368,215 @@ class GroupEncryptionService {
   }
 
   /**
-   * Handle receiving a group key share
+   * Messages from before sender keys: one AES key for the whole group
+   */
+  async decryptWithSharedKey(event, groupId) {
+    // The key the message was encrypted with, which may have been rotated away since
+    const messageKeyVersion = this.getKeyVersionFromTags(event.tags);
+    const groupKey = await this.getGroupKey(groupId, messageKeyVersion);
+    if (!groupKey) {
+      console.warn(`Group key v${messageKeyVersion ?? '?'} not found for decryption`);
+      return null;
+    }
+
+    // Decrypt message content
+    const decryptedContent = await this.decryptWithGroupKey(
+      event.content,
+      groupKey.key
+    );
+
+    // Parse decrypted payload
+    return JSON.parse(decryptedContent);
+  }
+
+  /**
+   * Hand our sender chain, from its current position on, to members via encrypted DMs.
+   * They can read what we send from now on but nothing we sent before.
+   */
+  async createSenderKeyShares(groupId, chain, memberPubkeys, nostrService) {
+    const results = [];
+
+    for (const memberPubkey of memberPubkeys) {
+      try {
+        const keyShare = {
+          type: 'sender_key_share',
+          group_id: groupId,
+          chain_id: chain.chainId,
+          chain_key: chain.chainKey,
+          index: chain.index,
+          key_version: chain.keyVersion,
+          timestamp: Math.floor(Date.now() / 1000)
+        };
+
+        const encryptedKeyShare = await nostrService.getSigner().nip04Encrypt(
+          memberPubkey,
+          JSON.stringify(keyShare)
+        );
+
+        results.push({
+          member: memberPubkey,
+          keyEvent: {
+            kind: 4, // Encrypted DM
+            created_at: Math.floor(Date.now() / 1000),
+            tags: [
+              ['p', memberPubkey],
+              ['sender_key_share', groupId],
+              ['key_version', chain.keyVersion.toString()]
+            ],
+            content: encryptedKeyShare
+          },
+          success: true
+        });
+
+      } catch (error) {
+        console.error(`Failed to create sender key share for ${memberPubkey}:`, error);
+        results.push({
+          member: memberPubkey,
+          error: error.message,
+          success: false
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Handle receiving a member's sender chain. The chain is filed under the DM's signer, so it
+   * can only ever decrypt messages that signer publishes. Only the group's members may share
+   * chains; others are refused and logged.
+   */
+  async processSenderKeyShare(dmEvent, nostrService) {
+    try {
+      const decryptedContent = await nostrService.getSigner().nip04Decrypt(
+        dmEvent.pubkey,
+        dmEvent.content
+      );
+
+      const keyShare = JSON.parse(decryptedContent);
+      if (keyShare.type !== 'sender_key_share' || !keyShare.group_id || !keyShare.chain_id || !keyShare.chain_key) {
+        return false;
+      }
+
+      const groupId = keyShare.group_id;
+      const version = parseInt(keyShare.key_version, 10);
+      const index = parseInt(keyShare.index, 10);
+      const reject = (reason) => this.rejectKeyShare(dmEvent, groupId, version, reason);
+
+      if (dmEvent.tags.find(tag => tag[0] === 'sender_key_share')?.[1] !== groupId) {
+        return await reject('the DM is tagged for a different group');
+      }
+      if (!Number.isInteger(version) || version < 1 || !Number.isInteger(index) || index < 0) {
+        return await reject('invalid sender key version or index');
+      }
+
+      let roster = await nostrService.getPrivateGroupRoster(groupId);
+      if (!roster?.creator) {
+        console.warn(`⚠️ Could not resolve the members of group ${groupId.substring(0, 8)}..., skipping sender key share for now`);
+        return false;
+      }
+      if (!groupMembershipService.isMember(roster, dmEvent.pubkey)) {
+        // They may have been added since we last looked
+        roster = await nostrService.getPrivateGroupRoster(groupId, { refresh: true });
+      }
+      if (!groupMembershipService.isMember(roster, dmEvent.pubkey)) {
+        return await reject('the sender is not a member of the group');
+      }
+
+      const added = await senderKeyService.addReceivingChain(groupId, dmEvent.pubkey, {
+        chainId: keyShare.chain_id,
+        chainKey: keyShare.chain_key,
+        index,
+        keyVersion: version
+      });
+
+      if (added) {
+        console.log(`🔗 Sender chain of ${dmEvent.pubkey.substring(0, 8)}... for group ${groupId.substring(0, 8)}... (key v${version}, from #${index})`);
+      }
+      return added;
+
+    } catch (error) {
+      console.error('Error processing sender key share:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create encrypted reaction (NIP-25 kind 7). Only the group root is visible to relays;
+   * the emoji and the message it reacts to are inside the ciphertext.
+   */
+  async createEncryptedReaction(groupId, messageId, content, emoji = null) {
+    try {
+      const groupKey = await this.getGroupKey(groupId);
+      if (!groupKey) {
+        throw new Error('Group key not found - cannot encrypt reaction');
+      }
+
+      const reactionPayload = {
+        target: messageId,
+        content,
+        emoji,
+        type: 'reaction'
+      };
+
+      const encryptedContent = await this.encryptWithGroupKey(
+        JSON.stringify(reactionPayload),
+        groupKey.key
+      );
+
+      return {
+        kind: 7, // Reaction
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+          ['e', groupId, '', 'root'],
+          ['encrypted', 'true'],
+          ['key_version', groupKey.version.toString()]
+        ],
+        content: encryptedContent
+      };
+
+    } catch (error) {
+      console.error('Error creating encrypted reaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decrypt received reaction; null when we can't read it
+   */
+  async decryptReaction(event, groupId) {
+    try {
+      const groupKey = await this.getGroupKey(groupId, this.getKeyVersionFromTags(event.tags));
+      if (!groupKey) {
+        return null;
+      }
+
+      const reactionPayload = JSON.parse(await this.decryptWithGroupKey(event.content, groupKey.key));
+      if (reactionPayload.type !== 'reaction' || !reactionPayload.target) {
+        return null;
+      }
+
+      return {
+        target: reactionPayload.target,
+        content: reactionPayload.content,
+        emoji: reactionPayload.emoji || null
+      };
+
+    } catch (error) {
+      console.error('Error decrypting reaction:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Handle receiving a group key share. Returns true only when it gave us a new current key;
+   * older versions we lack are kept for history. Shares from anyone but the creator or a
+   * group admin are refused and logged.
    */
   async processGroupKeyShare(dmEvent, nostrService) {
     try {
       // Decrypt the key share DM
-      const decryptedContent = await nip04.decrypt(
-        nostrService.privateKey,
+      const decryptedContent = await nostrService.getSigner().nip04Decrypt(
         dmEvent.pubkey,
         dmEvent.content
       );
@@ -354,18 +584,66 @@ class GroupEncryptionService {
       const keyShare = JSON.parse(decryptedContent);
 
       // Validate key share
-      if (keyShare.type !== 'group_key_share') {
+      if (keyShare.type !== 'group_key_share' || !keyShare.group_id || !keyShare.group_key) {
         return false;
       }
 
-      // Store the group key
-      await this.storeGroupKey(
-        keyShare.group_id,
-        keyShare.group_key,
-        keyShare.key_version
-      );
+      const groupId = keyShare.group_id;
+      const sender = dmEvent.pubkey;
+      const version = parseInt(keyShare.key_version, 10);
+      const reject = (reason) => this.rejectKeyShare(dmEvent, groupId, version, reason);
+
+      const taggedGroup = dmEvent.tags.find(tag => tag[0] === 'group_key_share')?.[1];
+      if (taggedGroup !== groupId) {
+        return await reject('the DM is tagged for a different group');
+      }
+      if (keyShare.shared_by && keyShare.shared_by !== sender) {
+        return await reject('it claims to come from someone other than its signer');
+      }
+      if (!Number.isInteger(version) || version < 1) {
+        return await reject(`invalid key version "${keyShare.key_version}"`);
+      }
+
+      // The creator signed the group's kind 40; relays being unreachable is not a rejection,
+      // the share is checked again when the DM is replayed
+      const creator = await nostrService.resolveGroupCreator(groupId);
+      if (!creator) {
+        console.warn(`⚠️ Could not verify the creator of group ${groupId.substring(0, 8)}..., skipping key share for now`);
+        return false;
+      }
+
+      let roster = await nostrService.getPrivateGroupRoster(groupId);
+      if (!this.isKeyAuthority(creator, roster, sender)) {
+        // Maybe our roster is old; they may have been made an admin since
+        roster = await nostrService.getPrivateGroupRoster(groupId, { refresh: true });
+      }
+      if (!this.isKeyAuthority(creator, roster, sender)) {
+        return await reject('the sender is neither the group creator nor an admin');
+      }
+
+      const held = await this.getGroupKey(groupId, version);
+      if (held) {
+        if (keyShare.group_key !== held.key) {
+          return await reject(`a different key for version ${version}, which we already have`);
+        }
+        // Replayed share from someone allowed to send it
+        return false;
+      }
+
+      const current = await this.getGroupKey(groupId);
+      if (current && version < current.version) {
+        // A superseded key, as when DMs are replayed on a new device: history only
+        if (!(await this.keepsKeyVersion(current.version, version))) {
+          return false;
+        }
+        await this.storeGroupKey(groupId, keyShare.group_key, version);
+        console.log(`🗝️ Received history key for ${groupId} (v${version}) from ${sender.substring(0, 8)}...`);
+        return false;
+      }
+
+      await this.storeGroupKey(groupId, keyShare.group_key, version);
 
-      console.log(`🔑 Received group key for ${keyShare.group_id} (v${keyShare.key_version})`);
+      console.log(`🔑 Received group key for ${groupId} (v${version}) from ${sender.substring(0, 8)}...`);
       return true;
 
     } catch (error) {
@@ -374,6 +652,64 @@ class GroupEncryptionService {
     }
   }
 
+  /**
+   * Record a refused key share in the security log; always resolves false
+   */
+  async rejectKeyShare(dmEvent, groupId, keyVersion, reason) {
+    console.warn(`🚨 Rejected key share for ${groupId?.substring(0, 8)}... from ${dmEvent.pubkey.substring(0, 8)}...: ${reason}`);
+
+    try {
+      const log = await this.loadSecurityLog();
+      // DMs are replayed on every start; one entry per share is enough
+      if (!log.some(entry => entry.id === dmEvent.id)) {
+        log.push({
+          id: dmEvent.id,
+          groupId,
+          sender: dmEvent.pubkey,
+          keyVersion: Number.isInteger(keyVersion) ? keyVersion : null,
+          reason,
+          timestamp: dmEvent.created_at
+        });
+        await AsyncStorage.setItem(
+          accountService.key(STORAGE_KEYS.GROUP_SECURITY_LOG),
+          JSON.stringify(log.slice(-SECURITY_LOG_LIMIT))
+        );
+      }
+    } catch (error) {
+      console.error('Error writing group security log:', error);
+    }
+
+    return false;
+  }
+
+  async loadSecurityLog() {
+    try {
+      const stored = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.GROUP_SECURITY_LOG));
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading group security log:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Rejected key shares for a group, newest first
+   */
+  async getSecurityLog(groupId) {
+    const log = await this.loadSecurityLog();
+    return log
+      .filter(entry => entry.groupId === groupId)
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Whether pubkey may hand out the group key: the creator, or an admin in the roster the
+   * membership entries give (the same admins the member list shows)
+   */
+  isKeyAuthority(creator, roster, pubkey) {
+    return pubkey === creator || (roster?.creator === creator && groupMembershipService.isAdmin(roster, pubkey));
+  }
+
   /**
    * Key rotation for member changes
    */
@@ -449,29 +785,90 @@ class GroupEncryptionService {
     return Math.abs(hash).toString(16);
   }
 
-  async storeGroupKey(groupId, key, version) {
-    const keyData = { key, version, stored_at: Date.now() };
-    await AsyncStorage.setItem(`group_key_${groupId}`, JSON.stringify(keyData));
-    this.groupKeys.set(groupId, keyData);
+  // Group keys are stored per account; the in-memory copies are dropped on switch
+  async clearKeys() {
+    this.groupKeys.clear();
+    this.keyHistoryLimit = null;
+    senderKeyService.reset();
   }
 
-  async getGroupKey(groupId) {
+  // Listener receives the group id whenever a keyring gains a key or loses old ones;
+  // returns an unsubscribe function
+  addKeyringListener(listener) {
+    this.keyringListeners.add(listener);
+    return () => this.keyringListeners.delete(listener);
+  }
+
+  notifyKeyringListeners(groupId) {
+    this.keyringListeners.forEach(listener => {
+      try {
+        listener(groupId);
+      } catch (error) {
+        console.error('Error in keyring listener:', error);
+      }
+    });
+  }
+
+  // The group's keyring, or null if we hold no key for it. Groups from before the keyring
+  // only stored their current key; it becomes the first version of one.
+  async loadKeyring(groupId) {
     if (this.groupKeys.has(groupId)) {
       return this.groupKeys.get(groupId);
     }
 
     try {
-      const stored = await AsyncStorage.getItem(`group_key_${groupId}`);
+      let keyring = null;
+      const stored = await AsyncStorage.getItem(accountService.key(`${KEYRING_PREFIX}${groupId}`));
       if (stored) {
-        const keyData = JSON.parse(stored);
-        this.groupKeys.set(groupId, keyData);
-        return keyData;
+        keyring = JSON.parse(stored);
+      } else {
+        const legacy = await AsyncStorage.getItem(accountService.key(`${LEGACY_KEY_PREFIX}${groupId}`));
+        if (legacy) {
+          const { key, version, stored_at } = JSON.parse(legacy);
+          keyring = { current: version, keys: { [version]: { key, stored_at } } };
+          await AsyncStorage.setItem(accountService.key(`${KEYRING_PREFIX}${groupId}`), JSON.stringify(keyring));
+          await AsyncStorage.removeItem(accountService.key(`${LEGACY_KEY_PREFIX}${groupId}`));
+        }
       }
+
+      if (keyring) {
+        this.groupKeys.set(groupId, keyring);
+      }
+      return keyring;
     } catch (error) {
-      console.error('Error loading group key:', error);
+      console.error('Error loading group keyring:', error);
+      return null;
+    }
+  }
+
+  async saveKeyring(groupId, keyring) {
+    await AsyncStorage.setItem(accountService.key(`${KEYRING_PREFIX}${groupId}`), JSON.stringify(keyring));
+    this.groupKeys.set(groupId, keyring);
+    this.notifyKeyringListeners(groupId);
+  }
+
+  // Add a key version to the group's keyring. The newest version is the one we encrypt with;
+  // older ones stay for scrollback as far as the key history setting allows.
+  async storeGroupKey(groupId, key, version) {
+    const keyring = await this.loadKeyring(groupId) || { current: version, keys: {} };
+    keyring.keys[version] = { key, stored_at: Date.now() };
+    keyring.current = Math.max(keyring.current, version);
+
+    await this.pruneKeyring(keyring);
+    await this.saveKeyring(groupId, keyring);
+  }
+
+  // { key, version, stored_at } of the current key, or of the given version; null when we
+  // don't hold it
+  async getGroupKey(groupId, version = null) {
+    const keyring = await this.loadKeyring(groupId);
+    if (!keyring) {
+      return null;
     }
 
-    return null;
+    const wanted = version ?? keyring.current;
+    const entry = keyring.keys[wanted];
+    return entry ? { ...entry, version: wanted } : null;
   }
 
   async getGroupKeyVersion(groupId) {
@@ -479,27 +876,138 @@ class GroupEncryptionService {
     return keyData ? keyData.version : 0;
   }
 
-  getKeyVersionFromTags(tags) {
-    const versionTag = tags.find(tag => tag[0] === 'key_version');
-    return versionTag ? parseInt(versionTag[1]) : null;
+  // Versions we hold for a group, newest first
+  async getKeyVersions(groupId) {
+    const keyring = await this.loadKeyring(groupId);
+    return keyring ? Object.keys(keyring.keys).map(Number).sort((a, b) => b - a) : [];
   }
 
-  isEncryptedMessage(event) {
-    return event.tags.some(tag => tag[0] === 'encrypted' && tag[1] === 'true');
+  // Past key versions kept per group; 0 keeps them all
+  async getKeyHistoryLimit() {
+    if (this.keyHistoryLimit === null) {
+      try {
+        const storedSettings = await AsyncStorage.getItem(STORAGE_KEYS.SETTINGS);
+        const parsedSettings = storedSettings ? JSON.parse(storedSettings) : {};
+        this.keyHistoryLimit = parsedSettings.groupKeyHistory ?? DEFAULT_SETTINGS.groupKeyHistory;
+      } catch (error) {
+        console.error('Error loading key history setting:', error);
+        return DEFAULT_SETTINGS.groupKeyHistory;
+      }
+    }
+    return this.keyHistoryLimit;
+  }
+
+  async keepsKeyVersion(currentVersion, version) {
+    const limit = await this.getKeyHistoryLimit();
+    return !limit || version >= currentVersion - limit;
+  }
+
+  // Drop the versions the key history setting no longer covers; true if any went
+  async pruneKeyring(keyring) {
+    let pruned = false;
+    for (const version of Object.keys(keyring.keys).map(Number)) {
+      if (!(await this.keepsKeyVersion(keyring.current, version))) {
+        delete keyring.keys[version];
+        pruned = true;
+      }
+    }
+    return pruned;
+  }
+
+  // The key history setting changed: apply it to every group right away
+  async setKeyHistoryLimit(limit) {
+    this.keyHistoryLimit = limit;
+    for (const groupId of await this.getKeyringGroupIds()) {
+      await this.cleanupOldKeys(groupId);
+    }
   }
 
   // Clean up old keys
-  async cleanupOldKeys(groupId, keepVersions = 2) {
+  async cleanupOldKeys(groupId) {
     try {
-      const currentVersion = await this.getGroupKeyVersion(groupId);
-      
-      for (let v = 1; v < currentVersion - keepVersions; v++) {
-        await AsyncStorage.removeItem(`group_key_${groupId}_v${v}`);
+      const keyring = await this.loadKeyring(groupId);
+      if (keyring && await this.pruneKeyring(keyring)) {
+        await this.saveKeyring(groupId, keyring);
       }
     } catch (error) {
       console.error('Error cleaning up old keys:', error);
     }
   }
+
+  // Groups the active account holds keys for
+  async getKeyringGroupIds() {
+    const allKeys = await AsyncStorage.getAllKeys();
+    const groupIds = new Set();
+
+    [KEYRING_PREFIX, LEGACY_KEY_PREFIX].forEach(prefix => {
+      allKeys
+        .filter(key => key.startsWith(prefix))
+        .map(key => key.slice(prefix.length).split(':')[0])
+        .filter(groupId => allKeys.includes(accountService.key(`${prefix}${groupId}`)))
+        .forEach(groupId => groupIds.add(groupId));
+    });
+    return Array.from(groupIds);
+  }
+
+  // Every keyring of the active account, for the backup: { [groupId]: keyring }
+  async exportKeyrings() {
+    const keyrings = {};
+    for (const groupId of await this.getKeyringGroupIds()) {
+      const keyring = await this.loadKeyring(groupId);
+      if (keyring) {
+        keyrings[groupId] = keyring;
+      }
+    }
+    return keyrings;
+  }
+
+  // Merge keyrings from a backup. Versions we hold keep our key (a different one in the
+  // backup is only reported); resolves with the number of keys added.
+  async importKeyrings(keyrings) {
+    let added = 0;
+
+    for (const [groupId, backup] of Object.entries(keyrings || {})) {
+      const keyring = await this.loadKeyring(groupId) || { current: 0, keys: {} };
+      let changed = false;
+
+      for (const [versionText, entry] of Object.entries(backup?.keys || {})) {
+        const version = parseInt(versionText, 10);
+        if (!Number.isInteger(version) || version < 1 || typeof entry?.key !== 'string') {
+          continue;
+        }
+
+        const held = keyring.keys[version];
+        if (held) {
+          if (held.key !== entry.key) {
+            console.warn(`⚠️ Backup holds a different key for ${groupId.substring(0, 8)}... v${version}, keeping ours`);
+          }
+          continue;
+        }
+
+        keyring.keys[version] = { key: entry.key, stored_at: entry.stored_at || Date.now() };
+        keyring.current = Math.max(keyring.current, version);
+        changed = true;
+        added++;
+      }
+
+      if (changed) {
+        await this.pruneKeyring(keyring);
+        await AsyncStorage.setItem(accountService.key(`${KEYRING_PREFIX}${groupId}`), JSON.stringify(keyring));
+        this.groupKeys.set(groupId, keyring);
+      }
+    }
+
+    return added;
+  }
+
+  getKeyVersionFromTags(tags) {
+    const versionTag = tags.find(tag => tag[0] === 'key_version');
+    return versionTag ? parseInt(versionTag[1]) : null;
+  }
+
+  isEncryptedMessage(event) {
+    return event.tags.some(tag => tag[0] === 'encrypted' && tag[1] === 'true');
+  }
 }
 
 export const groupEncryptionService = new GroupEncryptionService();
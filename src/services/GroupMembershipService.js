@@ -0,0 +1,360 @@
+import { relayManager } from './RelayManager';
+import { nostrUtils } from '../utils/nostrUtils';
+import { EVENT_KINDS, GROUP_MEMBERSHIP_ACTIONS, GROUP_ROLES } from '../utils/constants';
+
+// Membership resolution configuration
+const MEMBERSHIP_CONFIG = {
+  QUERY_WAIT: 8000,           // How long to wait for membership entries
+  ENTRY_LIMIT: 1000,          // Entries replayed per group
+  ROSTER_TTL: 5 * 60 * 1000,  // Re-resolve a group's roster after 5 minutes
+};
+
+// Before the membership entries, private groups kept their members in NIP-51 follow sets
+// (30000, the creator's initial list) and bookmark sets (30001, one per accepted invitation)
+const LEGACY_MEMBER_LIST_KIND = 30000;
+const LEGACY_MEMBERSHIP_KIND = 30001;
+
+const ROLE_ORDER = { [GROUP_ROLES.ADMIN]: 0, [GROUP_ROLES.MEMBER]: 1 };
+
+// Who is in a private group, with their role and when they joined. Membership is a log of
+// entries (EVENT_KINDS.GROUP_MEMBERSHIP) tagged with the group's kind 40 id, rebuilt the same
+// way on every client:
+// - Entries are replayed oldest first, ties broken by id.
+// - The creator (author of the kind 40) is always an admin. An add or remove counts only if
+//   its author is an admin at that point; only the creator grants or takes the admin role,
+//   or removes an admin.
+// - A member's own join marks when they accepted, and their own remove is leaving.
+// - Authors pick their entries' created_at, so an admin who lost the role could backdate
+//   adds and removes to before they lost it. The creator's demotion or removal (or the
+//   admin's own leave) pins the ids of the entries it lets stand; an add or remove dated
+//   no later than it counts only if it is pinned.
+// Like ChannelRoleService it queries relays itself; publishing is up to NostrService.
+class GroupMembershipService {
+  constructor() {
+    this.entries = new Map();   // group id -> Map<event id, entry>
+    this.rosters = new Map();   // group id -> roster
+    this.resolving = new Map(); // group id -> Promise, so concurrent lookups share one query
+  }
+
+  get pool() {
+    return relayManager.pool;
+  }
+
+  getRoster(groupId) {
+    return this.rosters.get(groupId) || null;
+  }
+
+  reset() {
+    this.entries.clear();
+    this.rosters.clear();
+    this.resolving.clear();
+  }
+
+  // Resolves with { groupId, creator, members, legacyMembers, resolvedAt }. members are
+  // [{ pubkey, role, addedBy, addedAt, joinedAt }] (joinedAt null while an invitation is
+  // open); legacyMembers is only filled for groups that have no entries yet.
+  async resolve(groupId, { creator, relays = [], refresh = false } = {}) {
+    const cached = this.rosters.get(groupId);
+    if (cached && !refresh && cached.creator === creator && Date.now() - cached.resolvedAt < MEMBERSHIP_CONFIG.ROSTER_TTL) {
+      return cached;
+    }
+    if (this.resolving.has(groupId)) {
+      return this.resolving.get(groupId);
+    }
+
+    const resolving = (async () => {
+      try {
+        const events = await this.pool.querySync(relays, {
+          kinds: [EVENT_KINDS.GROUP_MEMBERSHIP],
+          '#e': [groupId],
+          limit: MEMBERSHIP_CONFIG.ENTRY_LIMIT
+        }, { maxWait: MEMBERSHIP_CONFIG.QUERY_WAIT });
+        events.forEach(event => this.addEntry(groupId, event));
+
+        // Read the old list events only while the group has nothing else
+        let legacyMembers = [];
+        if (!this.entries.get(groupId)?.size) {
+          const legacyEvents = await this.pool.querySync(relays, {
+            kinds: [LEGACY_MEMBER_LIST_KIND, LEGACY_MEMBERSHIP_KIND],
+            '#d': [`private_group_members_${groupId}`, `group_membership_${groupId}`]
+          }, { maxWait: MEMBERSHIP_CONFIG.QUERY_WAIT });
+          legacyMembers = this.parseLegacyEvents(groupId, creator, legacyEvents);
+        }
+
+        return this.rebuild(groupId, creator, legacyMembers);
+      } catch (error) {
+        console.error('Error resolving group membership:', error);
+        return cached || this.rebuild(groupId, creator);
+      } finally {
+        this.resolving.delete(groupId);
+      }
+    })();
+
+    this.resolving.set(groupId, resolving);
+    return resolving;
+  }
+
+  // Take in an entry we just published (or received); returns the rebuilt roster
+  applyEntry(groupId, event) {
+    if (!this.addEntry(groupId, event)) {
+      return this.getRoster(groupId);
+    }
+    const cached = this.rosters.get(groupId);
+    return this.rebuild(groupId, cached?.creator || null);
+  }
+
+  addEntry(groupId, event) {
+    const entry = this.parseEntry(event);
+    if (!entry || entry.groupId !== groupId) {
+      return false;
+    }
+
+    if (!this.entries.has(groupId)) {
+      this.entries.set(groupId, new Map());
+    }
+    const entries = this.entries.get(groupId);
+    if (entries.has(entry.id)) {
+      return false;
+    }
+    entries.set(entry.id, entry);
+    return true;
+  }
+
+  rebuild(groupId, creator, legacyMembers = []) {
+    const entries = Array.from(this.entries.get(groupId)?.values() || []);
+    const roster = {
+      groupId,
+      creator,
+      members: creator ? this.buildMembers(creator, entries) : [],
+      legacyMembers: entries.length === 0 ? legacyMembers : [],
+      resolvedAt: Date.now()
+    };
+    this.rosters.set(groupId, roster);
+    return roster;
+  }
+
+  // The current members from a group's entries. Pure and order independent: the same
+  // entries give the same roster whichever relay they came from.
+  buildMembers(creator, entries) {
+    const members = new Map();
+    const isAdmin = (pubkey) => pubkey === creator || members.get(pubkey)?.role === GROUP_ROLES.ADMIN;
+
+    const revocations = new Map(); // pubkey -> [{ timestamp, pins }]
+    entries.filter(entry => this.isRevocation(creator, entry)).forEach(entry => {
+      const list = revocations.get(entry.pubkey) || [];
+      list.push({ timestamp: entry.timestamp, pins: new Set(entry.pins) });
+      revocations.set(entry.pubkey, list);
+    });
+    const isBackdated = (entry) => (revocations.get(entry.author) || [])
+      .some(revocation => revocation.timestamp >= entry.timestamp && !revocation.pins.has(entry.id));
+
+    [...entries]
+      .sort((a, b) => a.timestamp - b.timestamp || (a.id < b.id ? -1 : 1))
+      .forEach(entry => {
+        const existing = members.get(entry.pubkey);
+        if (this.isPinnable(entry) && isBackdated(entry)) return;
+
+        switch (entry.action) {
+          case GROUP_MEMBERSHIP_ACTIONS.ADD: {
+            if (!isAdmin(entry.author)) break;
+            const requestedRole = entry.role === GROUP_ROLES.ADMIN ? GROUP_ROLES.ADMIN : GROUP_ROLES.MEMBER;
+            const role = entry.author === creator ? requestedRole : (existing?.role || GROUP_ROLES.MEMBER);
+            members.set(entry.pubkey, {
+              pubkey: entry.pubkey,
+              role,
+              addedBy: existing?.addedBy || entry.author,
+              addedAt: existing?.addedAt || entry.timestamp,
+              // Adding yourself (the creator does) is joining; migrated entries bring their date
+              joinedAt: existing?.joinedAt || entry.joinedAt || (entry.pubkey === entry.author ? entry.timestamp : null)
+            });
+            break;
+          }
+
+          case GROUP_MEMBERSHIP_ACTIONS.REMOVE: {
+            if (!existing || entry.pubkey === creator) break;
+            const leaving = entry.author === entry.pubkey;
+            const allowed = entry.author === creator ||
+              (isAdmin(entry.author) && existing.role !== GROUP_ROLES.ADMIN);
+            if (leaving || allowed) {
+              members.delete(entry.pubkey);
+            }
+            break;
+          }
+
+          case GROUP_MEMBERSHIP_ACTIONS.JOIN:
+            if (existing && entry.author === entry.pubkey && !existing.joinedAt) {
+              existing.joinedAt = entry.timestamp;
+            }
+            break;
+
+          default:
+            break;
+        }
+      });
+
+    // The creator can't be removed, even before their own entry arrives
+    if (!members.has(creator)) {
+      members.set(creator, { pubkey: creator, role: GROUP_ROLES.ADMIN, addedBy: creator, addedAt: null, joinedAt: null });
+    }
+    members.get(creator).role = GROUP_ROLES.ADMIN;
+
+    return Array.from(members.values())
+      .sort((a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role] ||
+        (a.joinedAt || a.addedAt || Number.MAX_SAFE_INTEGER) - (b.joinedAt || b.addedAt || Number.MAX_SAFE_INTEGER));
+  }
+
+  // An entry that can take the admin role away from its target: the creator removing or
+  // re-adding them as a member, or their own leave
+  isRevocation(creator, entry) {
+    if (entry.pubkey === creator) return false;
+    if (entry.author === creator) {
+      return entry.action === GROUP_MEMBERSHIP_ACTIONS.REMOVE ||
+        (entry.action === GROUP_MEMBERSHIP_ACTIONS.ADD && entry.role !== GROUP_ROLES.ADMIN);
+    }
+    return entry.author === entry.pubkey && entry.action === GROUP_MEMBERSHIP_ACTIONS.REMOVE;
+  }
+
+  // Adds and removes of others are what an admin's role allows, so what a revocation pins
+  isPinnable(entry) {
+    return entry.action === GROUP_MEMBERSHIP_ACTIONS.ADD ||
+      (entry.action === GROUP_MEMBERSHIP_ACTIONS.REMOVE && entry.pubkey !== entry.author);
+  }
+
+  // Ids of the pinnable entries we hold from an author, for a revocation to carry
+  getPinnableEntryIds(groupId, author) {
+    return Array.from(this.entries.get(groupId)?.values() || [])
+      .filter(entry => entry.author === author && this.isPinnable(entry))
+      .map(entry => entry.id);
+  }
+
+  // { id, groupId, action, pubkey, role, joinedAt, pins, author, timestamp }, or null if malformed
+  parseEntry(event) {
+    if (event?.kind !== EVENT_KINDS.GROUP_MEMBERSHIP || !nostrUtils.verifyEvent(event)) {
+      return null;
+    }
+
+    const tagValue = (name) => event.tags.find(tag => tag[0] === name)?.[1];
+    const groupId = event.tags.find(tag => tag[0] === 'e' && tag[3] === 'root')?.[1];
+    const pubkey = tagValue('p');
+    const action = tagValue('action');
+    if (!groupId || !nostrUtils.isValidPubkey(pubkey || '') || !Object.values(GROUP_MEMBERSHIP_ACTIONS).includes(action)) {
+      return null;
+    }
+
+    const joinedAt = parseInt(tagValue('joined_at'), 10);
+    return {
+      id: event.id,
+      groupId,
+      action,
+      pubkey,
+      role: tagValue('role') || GROUP_ROLES.MEMBER,
+      joinedAt: Number.isInteger(joinedAt) && joinedAt <= event.created_at ? joinedAt : null,
+      pins: event.tags.filter(tag => tag[0] === 'e' && tag[3] === 'mention' && tag[1]).map(tag => tag[1]),
+      author: event.pubkey,
+      timestamp: event.created_at
+    };
+  }
+
+  // Unsigned entry. options: role (add), joinedAt (add, when migrating an earlier join),
+  // pins (entry ids a revocation lets stand, see getPinnableEntryIds)
+  createEntryEvent(groupId, action, pubkey, { role = null, joinedAt = null, pins = [] } = {}) {
+    const tags = [
+      ['e', groupId, '', 'root'],
+      ['p', pubkey],
+      ['action', action]
+    ];
+    if (action === GROUP_MEMBERSHIP_ACTIONS.ADD) {
+      tags.push(['role', role || GROUP_ROLES.MEMBER]);
+    }
+    if (joinedAt) {
+      tags.push(['joined_at', joinedAt.toString()]);
+    }
+    pins.forEach(id => tags.push(['e', id, '', 'mention']));
+
+    return {
+      kind: EVENT_KINDS.GROUP_MEMBERSHIP,
+      created_at: Math.floor(Date.now() / 1000),
+      tags,
+      content: ''
+    };
+  }
+
+  // Members the old list events named: [{ pubkey, joinedAt, eventId, author }]. Only the
+  // creator's list says who is in the group; anyone can publish an accepted invitation, so
+  // one only dates the join of a member that list already names.
+  parseLegacyEvents(groupId, creator, events) {
+    const members = new Map();
+    const parsed = events
+      .filter(event => nostrUtils.verifyEvent(event))
+      .sort((a, b) => a.created_at - b.created_at)
+      .map(event => {
+        try {
+          const data = JSON.parse(event.content);
+          return data?.group_id === groupId ? { event, data } : null;
+        } catch (error) {
+          console.warn('Error parsing legacy member event:', error);
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    parsed
+      .filter(({ event, data }) => event.kind === LEGACY_MEMBER_LIST_KIND && event.pubkey === creator && Array.isArray(data.members))
+      .forEach(({ event, data }) => {
+        data.members
+          .filter(pubkey => nostrUtils.isValidPubkey(pubkey))
+          .forEach(pubkey => {
+            if (!members.has(pubkey)) {
+              members.set(pubkey, { pubkey, joinedAt: event.created_at, eventId: event.id, author: event.pubkey });
+            }
+          });
+      });
+
+    const accepted = new Set();
+    parsed
+      .filter(({ event, data }) => event.kind === LEGACY_MEMBERSHIP_KIND && data.action === 'accept_invitation')
+      .forEach(({ event, data }) => {
+        const member = members.get(event.pubkey);
+        if (!member || accepted.has(event.pubkey)) return;
+        accepted.add(event.pubkey);
+        const joinedAt = parseInt(data.joined_at, 10);
+        member.joinedAt = Number.isInteger(joinedAt) ? Math.min(joinedAt, event.created_at) : event.created_at;
+      });
+
+    return Array.from(members.values());
+  }
+
+  // The members to show: the entries' roster, or while a group has none, its old lists
+  listMembers(roster) {
+    if (!roster) {
+      return [];
+    }
+    if (roster.legacyMembers.length === 0) {
+      return roster.members;
+    }
+    return roster.legacyMembers.map(member => ({
+      pubkey: member.pubkey,
+      role: member.pubkey === roster.creator ? GROUP_ROLES.ADMIN : GROUP_ROLES.MEMBER,
+      addedBy: null,
+      addedAt: null,
+      joinedAt: member.joinedAt
+    }));
+  }
+
+  isAdmin(roster, pubkey) {
+    return !!roster && (pubkey === roster.creator ||
+      roster.members.some(member => member.pubkey === pubkey && member.role === GROUP_ROLES.ADMIN));
+  }
+
+  // Anyone listMembers shows, so groups still on their old lists count too
+  isMember(roster, pubkey) {
+    return this.listMembers(roster).some(member => member.pubkey === pubkey);
+  }
+
+  getMember(roster, pubkey) {
+    return roster?.members.find(member => member.pubkey === pubkey) || null;
+  }
+}
+
+export const groupMembershipService = new GroupMembershipService();
+export default groupMembershipService;
@@ -0,0 +1,345 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getPublicKey } from 'nostr-tools';
+import { randomBytes } from '@noble/hashes/utils';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bech32 } from '@scure/base';
+import { accountService } from './AccountService';
+import { STORAGE_KEYS, DEFAULT_SETTINGS } from '../utils/constants';
+import { scryptAsync } from '../utils/scrypt';
+
+// Keystore configuration
+const KEYSTORE_CONFIG = {
+  SCRYPT_LOG_N: 16,         // NIP-49 recommended work factor (64 MiB)
+  MIN_PASSPHRASE_LENGTH: 8,
+  NCRYPTSEC_VERSION: 0x02,
+  BECH32_LIMIT: 5000,
+};
+
+// NIP-49 key security byte: whether the key is known to have been handled insecurely
+const KEY_SECURITY = {
+  INSECURE: 0x00, // e.g. it sat in plain storage before being encrypted
+  SECURE: 0x01,
+  UNKNOWN: 0x02,
+};
+
+const hexToBytes = (hex) => new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
+const bytesToHex = (bytes) => Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+// NIP-49's scrypt step. It yields to the event loop as it goes, so the UI keeps rendering.
+// onProgress receives the fraction done, 0 to 1.
+const deriveKey = (passphrase, salt, logN, onProgress) => scryptAsync(passphrase.normalize('NFKC'), salt, {
+  N: 2 ** logN,
+  r: 8,
+  p: 1,
+  dkLen: 32,
+  onProgress
+});
+
+// ncryptsec layout: version, log N, 16-byte salt, 24-byte nonce, key security byte (also the
+// AAD), XChaCha20-Poly1305 ciphertext
+const sealNcryptsec = async (secretKey, passphrase, logN, keySecurity, onProgress) => {
+  const salt = randomBytes(16);
+  const nonce = randomBytes(24);
+  const aad = Uint8Array.from([keySecurity]);
+  const key = await deriveKey(passphrase, salt, logN, onProgress);
+  const ciphertext = xchacha20poly1305(key, nonce, aad).encrypt(secretKey);
+
+  const bytes = new Uint8Array([KEYSTORE_CONFIG.NCRYPTSEC_VERSION, logN, ...salt, ...nonce, ...aad, ...ciphertext]);
+  return bech32.encode('ncryptsec', bech32.toWords(bytes), KEYSTORE_CONFIG.BECH32_LIMIT);
+};
+
+const openNcryptsec = async (ncryptsec, passphrase, onProgress) => {
+  const { prefix, words } = bech32.decode(ncryptsec, KEYSTORE_CONFIG.BECH32_LIMIT);
+  const bytes = new Uint8Array(bech32.fromWords(words));
+  if (prefix !== 'ncryptsec' || bytes[0] !== KEYSTORE_CONFIG.NCRYPTSEC_VERSION) {
+    throw new Error('Not a version 2 ncryptsec');
+  }
+
+  const salt = bytes.slice(2, 18);
+  const nonce = bytes.slice(18, 42);
+  const aad = bytes.slice(42, 43);
+  const key = await deriveKey(passphrase, salt, bytes[1], onProgress);
+  return xchacha20poly1305(key, nonce, aad).decrypt(bytes.slice(43));
+};
+
+// Owns the active account's private key at rest. Without a passphrase it stays in AsyncStorage
+// as before; with one it's kept only as a NIP-49 ncryptsec and the decrypted key lives in memory
+// until the keystore is locked again (manually or after the auto-lock timeout). Unlocked keys are
+// remembered per account, so switching back to an account unlocked earlier doesn't ask again.
+// Everything that runs scrypt takes an onProgress option (see deriveKey).
+class KeystoreService {
+  constructor() {
+    this.encryptedKey = null;       // active account's ncryptsec when passphrase protection is on
+    this.unlockedKeys = new Map();  // pubkey -> hex private key while unlocked
+    this.autoLockMinutes = DEFAULT_SETTINGS.autoLockMinutes;
+    this.lockTimer = null;
+    this.listeners = new Set();
+    this.loaded = false;
+
+    // Don't keep the key of a removed account around until the next lock
+    accountService.addListener(() => {
+      for (const pubkey of this.unlockedKeys.keys()) {
+        if (!accountService.getAccount(pubkey)) {
+          this.unlockedKeys.delete(pubkey);
+        }
+      }
+    });
+  }
+
+  // The decrypted key of the active account, if it has been unlocked
+  get unlockedKey() {
+    return this.unlockedKeys.get(accountService.activePubkey) || null;
+  }
+
+  // (Re)reads the active account's key; called on start and after switching accounts
+  async load() {
+    try {
+      this.encryptedKey = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.ENCRYPTED_PRIVATE_KEY));
+
+      const storedSettings = await AsyncStorage.getItem(STORAGE_KEYS.SETTINGS);
+      const parsedSettings = storedSettings ? JSON.parse(storedSettings) : {};
+      this.autoLockMinutes = parsedSettings.autoLockMinutes ?? DEFAULT_SETTINGS.autoLockMinutes;
+
+      this.loaded = true;
+      console.log(`🔐 Keystore loaded (${this.encryptedKey ? 'passphrase protected' : 'unencrypted'})`);
+    } catch (error) {
+      console.error('Error loading keystore:', error);
+    }
+  }
+
+  // Listener receives 'locked' or 'unlocked'; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in keystore listener:', error);
+      }
+    });
+  }
+
+  isEncrypted() {
+    return !!this.encryptedKey;
+  }
+
+  isLocked() {
+    return this.isEncrypted() && !this.unlockedKey;
+  }
+
+  async hasKey() {
+    if (this.isEncrypted()) return true;
+    return !!(await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.PRIVATE_KEY)));
+  }
+
+  // Hex private key, or null when there is none or the keystore is locked
+  async getPrivateKey() {
+    if (this.isEncrypted()) {
+      return this.unlockedKey;
+    }
+    return await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.PRIVATE_KEY));
+  }
+
+  validatePassphrase(passphrase) {
+    if (!passphrase || passphrase.length < KEYSTORE_CONFIG.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${KEYSTORE_CONFIG.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+  }
+
+  async encryptKey(privateKeyHex, passphrase, { keySecurity = KEY_SECURITY.UNKNOWN, onProgress = null } = {}) {
+    this.validatePassphrase(passphrase);
+    return await sealNcryptsec(hexToBytes(privateKeyHex), passphrase, KEYSTORE_CONFIG.SCRYPT_LOG_N, keySecurity, onProgress);
+  }
+
+  // Throws on a wrong passphrase (NIP-49 uses authenticated encryption)
+  async decryptKey(ncryptsec, passphrase, { onProgress = null } = {}) {
+    try {
+      return bytesToHex(await openNcryptsec(ncryptsec.trim(), passphrase, onProgress));
+    } catch (error) {
+      throw new Error('Wrong passphrase or corrupted ncryptsec');
+    }
+  }
+
+  async unlock(passphrase, { onProgress = null } = {}) {
+    if (!this.isEncrypted()) {
+      return await this.getPrivateKey();
+    }
+
+    const privateKey = await this.decryptKey(this.encryptedKey, passphrase, { onProgress });
+
+    // Refuse a key that doesn't belong to the account we're unlocking
+    const activePubkey = accountService.activePubkey;
+    if (activePubkey && getPublicKey(hexToBytes(privateKey)) !== activePubkey) {
+      throw new Error('Encrypted key does not match the stored public key');
+    }
+
+    this.unlockedKeys.set(activePubkey, privateKey);
+    this.touch();
+    console.log('🔓 Keystore unlocked');
+    this.notifyListeners('unlocked');
+    return privateKey;
+  }
+
+  // Locks every account, not just the active one
+  lock() {
+    if (this.unlockedKeys.size === 0) return;
+
+    this.clearLockTimer();
+    this.unlockedKeys.clear();
+    console.log('🔒 Keystore locked');
+    this.notifyListeners('locked');
+  }
+
+  // Push the auto-lock back; called on user activity
+  touch() {
+    this.clearLockTimer();
+
+    if (this.unlockedKeys.size === 0 || !this.autoLockMinutes) {
+      return;
+    }
+
+    this.lockTimer = setTimeout(() => this.lock(), this.autoLockMinutes * 60 * 1000);
+  }
+
+  clearLockTimer() {
+    if (this.lockTimer) {
+      clearTimeout(this.lockTimer);
+      this.lockTimer = null;
+    }
+  }
+
+  setAutoLockMinutes(minutes) {
+    this.autoLockMinutes = minutes;
+    this.touch();
+  }
+
+  // Store the key of a (new) account and register it; switching to it is up to the caller.
+  // With a passphrase, or an ncryptsec that already holds the key, only the encrypted form is
+  // written; otherwise the key is stored in the clear as before.
+  async saveKey(privateKeyHex, publicKey, { passphrase = null, ncryptsec = null, onProgress = null } = {}) {
+    try {
+      const encryptedKey = ncryptsec || (passphrase ? await this.encryptKey(privateKeyHex, passphrase, { onProgress }) : null);
+      const encryptedStorageKey = accountService.key(STORAGE_KEYS.ENCRYPTED_PRIVATE_KEY, publicKey);
+      const plainStorageKey = accountService.key(STORAGE_KEYS.PRIVATE_KEY, publicKey);
+
+      if (!encryptedKey && await AsyncStorage.getItem(encryptedStorageKey)) {
+        throw new Error('A passphrase is required to replace a protected key');
+      }
+
+      await accountService.addAccount(publicKey);
+
+      if (encryptedKey) {
+        await AsyncStorage.setItem(encryptedStorageKey, encryptedKey);
+        await AsyncStorage.removeItem(plainStorageKey);
+        this.unlockedKeys.set(publicKey, privateKeyHex);
+        this.touch();
+      } else {
+        await AsyncStorage.setItem(plainStorageKey, privateKeyHex);
+      }
+
+      if (publicKey === accountService.activePubkey) {
+        this.encryptedKey = encryptedKey;
+      }
+    } catch (error) {
+      console.error('Error saving key:', error);
+      throw error;
+    }
+  }
+
+  async enableEncryption(passphrase, { onProgress = null } = {}) {
+    try {
+      if (this.isEncrypted()) {
+        throw new Error('Passphrase protection is already enabled');
+      }
+
+      const privateKey = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.PRIVATE_KEY));
+      if (!privateKey) {
+        throw new Error('No private key to protect');
+      }
+
+      // The key has been sitting in plain storage, so it is flagged as handled insecurely
+      const encryptedKey = await this.encryptKey(privateKey, passphrase, { keySecurity: KEY_SECURITY.INSECURE, onProgress });
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.ENCRYPTED_PRIVATE_KEY), encryptedKey);
+      await AsyncStorage.removeItem(accountService.key(STORAGE_KEYS.PRIVATE_KEY));
+
+      this.encryptedKey = encryptedKey;
+      this.unlockedKeys.set(accountService.activePubkey, privateKey);
+      this.touch();
+      console.log('🔐 Passphrase protection enabled');
+    } catch (error) {
+      console.error('Error enabling key encryption:', error);
+      throw error;
+    }
+  }
+
+  async disableEncryption(passphrase, { onProgress = null } = {}) {
+    try {
+      const privateKey = await this.decryptKey(this.encryptedKey, passphrase, { onProgress });
+
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.PRIVATE_KEY), privateKey);
+      await AsyncStorage.removeItem(accountService.key(STORAGE_KEYS.ENCRYPTED_PRIVATE_KEY));
+
+      this.encryptedKey = null;
+      this.unlockedKeys.delete(accountService.activePubkey);
+      this.touch();
+      console.log('🔓 Passphrase protection disabled');
+    } catch (error) {
+      console.error('Error disabling key encryption:', error);
+      throw error;
+    }
+  }
+
+  // Runs scrypt twice; onProgress goes from 0 to 1 over both
+  async changePassphrase(currentPassphrase, newPassphrase, { onProgress = null } = {}) {
+    try {
+      const privateKey = await this.decryptKey(this.encryptedKey, currentPassphrase, {
+        onProgress: onProgress && (progress => onProgress(progress / 2))
+      });
+      const encryptedKey = await this.encryptKey(privateKey, newPassphrase, {
+        onProgress: onProgress && (progress => onProgress(0.5 + progress / 2))
+      });
+
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.ENCRYPTED_PRIVATE_KEY), encryptedKey);
+      this.encryptedKey = encryptedKey;
+      console.log('🔐 Passphrase changed');
+    } catch (error) {
+      console.error('Error changing passphrase:', error);
+      throw error;
+    }
+  }
+
+  // ncryptsec for backup: the stored one when protected, otherwise encrypted with the given passphrase
+  async exportEncryptedKey(passphrase = null, { onProgress = null } = {}) {
+    if (this.isEncrypted()) {
+      return this.encryptedKey;
+    }
+
+    const privateKey = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.PRIVATE_KEY));
+    if (!privateKey) {
+      throw new Error('No private key to export');
+    }
+    return await this.encryptKey(privateKey, passphrase, { keySecurity: KEY_SECURITY.INSECURE, onProgress });
+  }
+
+  // Forget the active account entirely (e.g. forgotten passphrase). The account service
+  // then switches to another account, which reloads the keystore.
+  async reset() {
+    const pubkey = accountService.activePubkey;
+    this.unlockedKeys.delete(pubkey);
+    this.encryptedKey = null;
+
+    if (pubkey) {
+      await accountService.removeAccount(pubkey);
+    } else {
+      await AsyncStorage.removeItem(STORAGE_KEYS.ENCRYPTED_PRIVATE_KEY);
+      await AsyncStorage.removeItem(STORAGE_KEYS.PRIVATE_KEY);
+    }
+  }
+}
+
+export const keystoreService = new KeystoreService();
+export default keystoreService;
@@ -0,0 +1,341 @@
+import { Platform, Share } from 'react-native';
+import { groupEncryptionService } from './GroupEncryptionService';
+import { nostrUtils } from '../utils/nostrUtils';
+import { EVENT_KINDS, MESSAGE_TYPES, DELIVERY_STATES } from '../utils/constants';
+
+export const LOG_FORMATS = {
+  IRC: 'irc',     // irssi/weechat-style text log
+  JSONL: 'jsonl', // raw signed events, one per line
+  HTML: 'html'    // self-contained transcript
+};
+
+const FORMAT_FILES = {
+  [LOG_FORMATS.IRC]: { extension: 'log', mimeType: 'text/plain' },
+  [LOG_FORMATS.JSONL]: { extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  [LOG_FORMATS.HTML]: { extension: 'html', mimeType: 'text/html' }
+};
+
+// NIP-29 moderation events by their spec names
+const NIP29_ACTIONS = {
+  9000: 'put-user',
+  9001: 'remove-user',
+  9002: 'edit-metadata',
+  9005: 'delete-event',
+  9007: 'create-group',
+  9008: 'delete-group',
+  9009: 'create-invite'
+};
+
+const MODERATION_VERBS = {
+  kick: 'kicked',
+  ban: 'banned',
+  unban: 'unbanned',
+  mute: 'muted',
+  unmute: 'unmuted',
+  op: 'gave operator status to',
+  deop: 'took operator status from',
+  voice: 'gave voice to',
+  devoice: 'took voice from'
+};
+
+const MESSAGE_KINDS = [EVENT_KINDS.CHANNEL_MESSAGE, EVENT_KINDS.TEXT_NOTE, 9];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp * 1000);
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+const formatDay = (timestamp) => new Date(timestamp * 1000).toDateString();
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Turns a channel's history into a log file. Entries come from the raw events the relays
+// returned (which keep their signatures) plus messages only the screen has, such as
+// locally decrypted or not yet relayed ones.
+class LogExportService {
+  // Ciphertext stays ciphertext unless includeDecrypted: the caller must have asked the user
+  async buildLog({ channel, events = [], messages = [], format = LOG_FORMATS.IRC, since = null, until = null, includeDecrypted = false, nameOf = null }) {
+    try {
+      const inRange = (timestamp) => (since === null || timestamp >= since) && (until === null || timestamp < until);
+      const rangeEvents = events.filter(event => inRange(event.created_at));
+      const name = (pubkey) => (nameOf && nameOf(pubkey)) || `${pubkey.substring(0, 8)}...`;
+      const date = new Date().toISOString().substring(0, 10);
+      const safeName = (channel.channelName || channel.channelId.substring(0, 8)).replace(/[^a-z0-9_-]+/gi, '_');
+      const { extension, mimeType } = FORMAT_FILES[format];
+      const filename = `${safeName}-${date}.${extension}`;
+
+      if (format === LOG_FORMATS.JSONL) {
+        const content = rangeEvents
+          .map(event => JSON.stringify({
+            id: event.id,
+            pubkey: event.pubkey,
+            created_at: event.created_at,
+            kind: event.kind,
+            tags: event.tags,
+            content: event.content,
+            sig: event.sig
+          }))
+          .join('\n');
+        return { filename, mimeType, content: content ? `${content}\n` : '', count: rangeEvents.length };
+      }
+
+      const entries = await this.toEntries(channel, rangeEvents, messages.filter(message => inRange(message.timestamp)), includeDecrypted);
+      const content = format === LOG_FORMATS.HTML
+        ? this.formatHtml(channel, entries, name, { since, until })
+        : this.formatIrc(channel, entries, name);
+
+      console.log(`🗄️ Exported ${entries.length} entries of #${channel.channelName} as ${format}`);
+      return { filename, mimeType, content, count: entries.length };
+    } catch (error) {
+      console.error('Error building channel log:', error);
+      throw error;
+    }
+  }
+
+  // [{ id, timestamp, author, type: 'message' | 'action' | 'event', text }] oldest first
+  async toEntries(channel, events, messages, includeDecrypted) {
+    const loaded = new Map(messages.map(message => [message.id, message]));
+    const entries = [];
+
+    for (const event of events) {
+      const entry = MESSAGE_KINDS.includes(event.kind)
+        ? await this.toMessageEntry(channel, event, loaded.get(event.id), includeDecrypted)
+        : this.toEventEntry(channel, event);
+      if (entry) entries.push(entry);
+    }
+
+    // What only the screen has (events the relays didn't return, local bot replies)
+    const exported = new Set(events.map(event => event.id));
+    messages
+      .filter(message => !exported.has(message.id) && message.type !== MESSAGE_TYPES.SYSTEM &&
+        typeof message.content === 'string' && message.author &&
+        (!message.delivery || message.delivery.state === DELIVERY_STATES.SENT))
+      .forEach(message => {
+        // History pages carry encrypted messages undecrypted, with just the tag to tell
+        const ciphertext = !message.encrypted && !!message.tags && groupEncryptionService.isEncryptedMessage(message);
+        if ((message.encrypted && !includeDecrypted) || ciphertext || message.decryption_failed) {
+          entries.push({ id: message.id, timestamp: message.timestamp, author: message.author, type: 'message', text: '[encrypted]' });
+          return;
+        }
+        entries.push({
+          id: message.id,
+          timestamp: message.timestamp,
+          author: message.type === MESSAGE_TYPES.BOT_RESPONSE ? 'bot' : message.author,
+          type: message.type === MESSAGE_TYPES.ACTION ? 'action' : 'message',
+          text: message.content
+        });
+      });
+
+    return entries.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async toMessageEntry(channel, event, loadedMessage, includeDecrypted) {
+    const typeTag = event.tags.find(tag => tag[0] === 'message_type');
+    const entry = {
+      id: event.id,
+      timestamp: event.created_at,
+      author: event.pubkey,
+      type: typeTag?.[1] === MESSAGE_TYPES.ACTION ? 'action' : 'message',
+      text: event.content
+    };
+
+    if (!groupEncryptionService.isEncryptedMessage(event)) {
+      return entry;
+    }
+    if (!includeDecrypted) {
+      return { ...entry, text: '[encrypted]' };
+    }
+
+    const decrypted = loadedMessage?.encrypted && !loadedMessage.decryption_failed
+      ? loadedMessage
+      : await groupEncryptionService.decryptGroupMessage(event, channel.channelId);
+    return {
+      ...entry,
+      type: decrypted?.type === MESSAGE_TYPES.ACTION ? 'action' : entry.type,
+      text: decrypted?.content ?? '[encrypted]'
+    };
+  }
+
+  // Topic, moderation and mode events; the author is whoever made the change
+  toEventEntry(channel, event) {
+    const entry = { id: event.id, timestamp: event.created_at, author: event.pubkey, type: 'event' };
+    const target = (pubkey) => ({ pubkey });
+    const expiry = (expiresAt) => expiresAt ? ` for ${nostrUtils.formatDuration(expiresAt - event.created_at)}` : '';
+
+    switch (event.kind) {
+      case EVENT_KINDS.CHANNEL_METADATA: {
+        let metadata = {};
+        try {
+          metadata = JSON.parse(event.content || '{}');
+        } catch (error) {
+          return null;
+        }
+        return metadata.topic
+          ? { ...entry, parts: ['changed the topic of ', `#${channel.channelName}`, ' to: ', metadata.topic] }
+          : { ...entry, parts: ['updated the channel information'] };
+      }
+
+      case EVENT_KINDS.CHANNEL_HIDE_MESSAGE:
+      case EVENT_KINDS.CHANNEL_MUTE_USER: {
+        const parsed = nostrUtils.parseHideOrMuteEvent(event);
+        if (!parsed) return null;
+        const reason = parsed.reason ? ` [${parsed.reason}]` : '';
+        return parsed.action === 'hide'
+          ? { ...entry, parts: [`hid message ${parsed.messageId.substring(0, 8)}...${reason}`] }
+          : { ...entry, parts: ['muted ', target(parsed.target), `${expiry(parsed.expiresAt)}${reason}`] };
+      }
+
+      case EVENT_KINDS.CHANNEL_MODERATION: {
+        const parsed = nostrUtils.parseModerationEvent(event);
+        if (!parsed || !parsed.target) return null;
+        const reason = parsed.reason ? ` [${parsed.reason}]` : '';
+        return {
+          ...entry,
+          parts: [`${MODERATION_VERBS[parsed.action] || parsed.action} `, target(parsed.target), `${expiry(parsed.expiresAt)}${reason}`]
+        };
+      }
+
+      case EVENT_KINDS.CHANNEL_MODE: {
+        const changes = nostrUtils.getModeChanges(event);
+        if (changes.length === 0) return null;
+        return { ...entry, parts: [`set mode ${nostrUtils.formatModeChanges(changes)} on `, `#${channel.channelName}`] };
+      }
+
+      case 9021:
+        return { ...entry, parts: ['has joined ', `#${channel.channelName}`] };
+
+      case 9022:
+        return { ...entry, parts: ['has left ', `#${channel.channelName}`] };
+
+      default: {
+        if (!NIP29_ACTIONS[event.kind]) return null;
+        const targetTag = event.tags.find(tag => tag[0] === 'p');
+        const reasonTag = event.tags.find(tag => tag[0] === 'reason' && tag[1]);
+        const reason = reasonTag ? ` [${reasonTag[1]}]` : '';
+        return targetTag
+          ? { ...entry, parts: [`${NIP29_ACTIONS[event.kind]} `, target(targetTag[1]), reason] }
+          : { ...entry, parts: [`${NIP29_ACTIONS[event.kind]}${reason}`] };
+      }
+    }
+  }
+
+  describe(entry, name, escape = (text) => text) {
+    return entry.parts
+      .map(part => typeof part === 'string' ? escape(part) : escape(name(part.pubkey)))
+      .join('');
+  }
+
+  formatIrc(channel, entries, name) {
+    const lines = [];
+    let day = null;
+
+    lines.push(`--- Log opened ${new Date().toString()}`);
+    lines.push(`--- #${channel.channelName} (${channel.channelId})`);
+
+    entries.forEach(entry => {
+      const entryDay = formatDay(entry.timestamp);
+      if (entryDay !== day) {
+        lines.push(`--- Day changed ${entryDay}`);
+        day = entryDay;
+      }
+
+      const time = formatTime(entry.timestamp);
+      const author = entry.author === 'bot' ? 'bot' : name(entry.author);
+      const text = (entry.text || '').replace(/\n/g, ' ');
+
+      if (entry.type === 'action') {
+        lines.push(`${time}  * ${author} ${text}`);
+      } else if (entry.type === 'event') {
+        lines.push(`${time} -!- ${author} ${this.describe(entry, name)}`);
+      } else {
+        lines.push(`${time} <${author}> ${text}`);
+      }
+    });
+
+    lines.push(`--- Log closed ${new Date().toString()}`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  formatHtml(channel, entries, name, { since, until }) {
+    const range = since !== null || until !== null
+      ? ` · ${since !== null ? formatDay(since) : 'beginning'} – ${until !== null ? formatDay(until - 1) : 'now'}`
+      : '';
+    const rows = [];
+    let day = null;
+
+    entries.forEach(entry => {
+      const entryDay = formatDay(entry.timestamp);
+      if (entryDay !== day) {
+        rows.push(`<h2>${escapeHtml(entryDay)}</h2>`);
+        day = entryDay;
+      }
+
+      const time = `<time datetime="${new Date(entry.timestamp * 1000).toISOString()}">${formatTime(entry.timestamp)}</time>`;
+      const author = escapeHtml(entry.author === 'bot' ? 'bot' : name(entry.author));
+
+      if (entry.type === 'event') {
+        rows.push(`<div class="line event">${time} -!- <span class="nick">${author}</span> ${this.describe(entry, name, escapeHtml)}</div>`);
+      } else if (entry.type === 'action') {
+        rows.push(`<div class="line action">${time} * <span class="nick">${author}</span> ${escapeHtml(entry.text)}</div>`);
+      } else {
+        rows.push(`<div class="line">${time} <span class="nick">&lt;${author}&gt;</span> <span class="text">${escapeHtml(entry.text)}</span></div>`);
+      }
+    });
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>#${escapeHtml(channel.channelName)} log</title>
+<style>
+body { background: #111827; color: #f9fafb; font-family: monospace; margin: 24px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { color: #9ca3af; font-size: 13px; font-weight: normal; margin: 16px 0 4px; }
+.meta { color: #9ca3af; font-size: 13px; margin: 0 0 16px; }
+.line { white-space: pre-wrap; word-break: break-word; padding: 1px 0; }
+time { color: #6b7280; }
+.nick { color: #60a5fa; }
+.event { color: #f59e0b; }
+.action { font-style: italic; }
+</style>
+</head>
+<body>
+<h1>#${escapeHtml(channel.channelName)}</h1>
+<p class="meta">${escapeHtml(channel.channelId)} · ${entries.length} entries${escapeHtml(range)} · exported ${escapeHtml(new Date().toString())}</p>
+${rows.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  // Downloads the file on web; elsewhere hands the text to the share sheet
+  async save({ filename, content, mimeType }) {
+    try {
+      if (Platform.OS === 'web' && typeof document !== 'undefined') {
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return;
+      }
+
+      await Share.share({ title: filename, message: content });
+    } catch (error) {
+      console.error('Error saving channel log:', error);
+      throw error;
+    }
+  }
+}
+
+export const logExportService = new LogExportService();
+export default logExportService;
@@ -1,62 +1,79 @@
-import { SimplePool, getPublicKey, finalizeEvent, generateSecretKey, nip04 } from 'nostr-tools';
+import { getPublicKey, generateSecretKey, verifyEvent, getEventHash, nip59, nip05 } from 'nostr-tools';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { nostrUtils } from '../utils/nostrUtils';
 import { cacheService } from './CacheService';
 import { groupEncryptionService } from './GroupEncryptionService';
+import { relayManager, AuthenticatingPool } from './RelayManager';
+import { outboxService } from './OutboxService';
+import { powService } from './PowService';
+import { keystoreService } from './KeystoreService';
+import { signerService } from './SignerService';
+import { accountService } from './AccountService';
+import { relayListService } from './RelayListService';
+import { relayAuthService } from './RelayAuthService';
+import { searchService } from './SearchService';
+import { reactionService } from './ReactionService';
+import { senderKeyService } from './SenderKeyService';
+import { channelRoleService } from './ChannelRoleService';
+import { groupMembershipService } from './GroupMembershipService';
 import { 
   DEFAULT_RELAYS, 
   NIP29_RELAYS,
   STORAGE_KEYS, 
   EVENT_KINDS,
-  ERROR_MESSAGES 
+  ERROR_MESSAGES,
+  DEFAULT_SETTINGS,
+  PUBLISH_STATUS,
+  DELIVERY_STATES,
+  DM_PROTOCOLS,
+  SIGNER_TYPES,
+  CHANNEL_MODES,
+  NIP29_MODE_FLAGS,
+  GROUP_MEMBERSHIP_ACTIONS,
+  GROUP_ROLES
 } from '../utils/constants';
 
-// Simple proof-of-work calculation for Nostr events
-function calculateProofOfWork(event, targetDifficulty = 16) {
-  let nonce = 0;
-  const baseEvent = { ...event };
-  
-  while (true) {
-    // Add nonce tag
-    baseEvent.tags = (event.tags || []).filter(tag => tag[0] !== 'nonce');
-    baseEvent.tags.push(['nonce', nonce.toString(), targetDifficulty.toString()]);
-    
-    // Calculate event ID (hash)
-    const eventString = JSON.stringify([
-      0,
-      baseEvent.pubkey,
-      baseEvent.created_at,
-      baseEvent.kind,
-      baseEvent.tags,
-      baseEvent.content
-    ]);
-    
-    // Simple hash calculation (this is a simplified version)
-    let hash = 0;
-    for (let i = 0; i < eventString.length; i++) {
-      const char = eventString.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    
-    // Convert to hex and check leading zeros
-    const hexHash = Math.abs(hash).toString(16).padStart(8, '0');
-    const leadingZeros = hexHash.match(/^0*/)[0].length * 4; // Each hex digit = 4 bits
-    
-    if (leadingZeros >= targetDifficulty) {
-      console.log(`⛏️ Proof of work found: nonce=${nonce}, difficulty=${leadingZeros} bits`);
-      return { ...baseEvent, tags: baseEvent.tags };
-    }
-    
-    nonce++;
-    
-    // Prevent infinite loops
-    if (nonce > 100000) {
-      console.log('⚠️ Proof of work calculation timeout, using original event');
-      return event;
-    }
-  }
-}
+// NIP-59 backdates gift wraps by up to two days, so live subscriptions have to look back that far
+const GIFT_WRAP_MAX_SKEW = 2 * 24 * 60 * 60;
+const DM_RELAY_LIST_TTL = 10 * 60 * 1000; // Re-check kind 10050 inbox lists every 10 minutes
+const LOOKUP_WAIT = 5000; // How long /join and /whois wait for channels they look up
+
+// Channel scrollback
+const HISTORY_CONFIG = {
+  PAGE_SIZE: 50,       // Messages per relay per page
+  PAGE_WAIT: 6000,     // How long to wait for each relay's page
+  LOG_PAGE_SIZE: 200,  // Events per relay per page when exporting a log
+  LOG_MAX_PAGES: 100,  // Stop a log export after this many pages
+};
+
+// Reactions on channel messages
+const REACTION_CONFIG = {
+  QUERY_LIMIT: 500,     // Reactions fetched per page of messages
+  QUERY_WAIT: 6000,     // How long to wait for reactions and their deletions
+  DELETION_BATCH: 200,  // Reaction ids per kind 5 lookup
+};
+
+// Encrypted group keyrings, backed up as NIP-78 app data NIP-44 encrypted to ourselves
+const KEY_BACKUP_CONFIG = {
+  D_TAG: 'irc-on-nostr/group-keyrings',
+  SAVE_DELAY: 5000,     // Keyring changes within this long go out as one backup
+  QUERY_WAIT: 6000,     // How long to wait for our backup
+};
+
+// NIP-29 moderation (9000-9009) and join/leave requests (9021, 9022) kept in exported logs
+const NIP29_LOG_KINDS = [9000, 9001, 9002, 9003, 9004, 9005, 9006, 9007, 9008, 9009, 9021, 9022];
+
+// NIP-29 moderation events a group subscription passes on as they happen
+const NIP29_MODERATION_KINDS = [
+  EVENT_KINDS.GROUP_PUT_USER,
+  EVENT_KINDS.GROUP_REMOVE_USER,
+  EVENT_KINDS.GROUP_EDIT_METADATA,
+  EVENT_KINDS.GROUP_DELETE_EVENT,
+  EVENT_KINDS.GROUP_DELETE
+];
+
+// Kinds that are also delivered to the read relays (NIP-65 inboxes) of the users they p-tag
+const INBOX_DELIVERY_KINDS = [EVENT_KINDS.TEXT_NOTE, EVENT_KINDS.REPOST, EVENT_KINDS.REACTION];
 
 // Browser WebSocket polyfill
 if (typeof WebSocket === 'undefined') {
@@ -65,28 +82,74 @@ if (typeof WebSocket === 'undefined') {
 
 class NostrService {
   constructor() {
-    this.pool = new SimplePool();
-    this.relays = new Map();
+    this.pool = new AuthenticatingPool();
     this.subscriptions = new Map();
     this.eventHandlers = new Map();
     this.isConnected = false;
     this.privateKey = null;
     this.publicKey = null;
-    this.connectedRelays = new Set();
+    this.relayUrls = [];
+    this.nip29RelayUrls = NIP29_RELAYS;
+    this.dmInboxRelays = [];           // Our own kind 10050 DM inbox relays
+    this.dmRelayLists = new Map();     // pubkey -> { relays, fetchedAt }
+    this.unwrappedMessages = new Map(); // gift wrap id -> verified rumor
+    this.groupCreators = new Map(); // private or encrypted group id -> author of its kind 40
+    this.keyBackupTimer = null;
+    this.keyBackupSynced = false;      // Backup merged in once this session
+    
+    // Real socket state lives in the relay manager; isConnected follows it
+    relayManager.setPool(this.pool);
+    relayManager.addStatusListener(() => {
+      this.isConnected = this.connectedRelays.size > 0;
+    });
+    
+    // A locked keystore takes the private key away until it is unlocked again
+    keystoreService.addListener(async (event) => {
+      this.privateKey = event === 'unlocked' ? await keystoreService.getPrivateKey() : null;
+    });
+    
+    // The local signer signs with whatever key we hold right now
+    signerService.setLocalKeyProvider(() => this.privateKey);
+    
+    // New group keys are backed up so our other devices can read the groups too
+    groupEncryptionService.addKeyringListener(() => this.scheduleGroupKeyBackup());
+    
+    // Queued DMs only enter the conversation cache once a relay took them
+    outboxService.setPublisher(this);
+    outboxService.addListener((change) => {
+      if (change.type === 'sent' && change.item.type === 'dm') {
+        this.cacheSentPrivateMessage(
+          { id: change.item.id, created_at: change.item.createdAt },
+          change.item.content,
+          change.item.target
+        );
+      }
+    });
     
     // Rate limiting and retry management
     this.publishDelay = 3000; // 3 seconds between publishes (reduced from 5s for better responsiveness)
     this.maxRetries = 8; // Even more retries for better success rate  
     this.baseRetryDelay = 1500; // 1.5 second base delay
     this.lastGlobalPublish = 0; // timestamp of last publish
+    this.maxDeliveryRetries = 2; // Retries when relays time out or rate-limit us
+    this.publishQuorum = DEFAULT_SETTINGS.publishQuorum; // Relays that must accept an event
   }
 
   async initialize() {
     try {
       await this.loadKeys();
       await this.loadRelays();
+      await this.loadPublishSettings();
+      await powService.load();
+      await relayAuthService.load();
+      await outboxService.load();
+      await searchService.load();
+      await senderKeyService.removeStoredPlaintexts();
       await this.connectToRelays();
       this.isConnected = true;
+      await this.loadDMInboxRelays();
+      await this.loadRelayList();
+      this.syncGroupKeyBackup();
       console.log('NostrService initialized successfully');
     } catch (error) {
       console.error('Failed to initialize NostrService:', error);
@@ -97,7 +160,18 @@ class NostrService {
 
   async loadKeys() {
     try {
-      const privateKey = await AsyncStorage.getItem(STORAGE_KEYS.PRIVATE_KEY);
+      await signerService.load();
+      
+      // With an external signer we only ever know the public key
+      if (signerService.isExternal()) {
+        this.privateKey = null;
+        this.publicKey = signerService.publicKey;
+        console.log(`Using ${signerService.getDescription().label} for signing`);
+        return;
+      }
+      
+      // Null while a passphrase-protected key is still locked
+      const privateKey = await keystoreService.getPrivateKey();
       const publicKey = await AsyncStorage.getItem(STORAGE_KEYS.PUBLIC_KEY);
       
       if (privateKey && publicKey) {
@@ -117,16 +191,11 @@ class NostrService {
     }
   }
 
-  async generateAndSaveKeys() {
+  // Creates a new account and switches to it
+  async generateAndSaveKeys(passphrase = null) {
     try {
       const { privateKey, publicKey } = nostrUtils.generateKeyPair();
-      
-      await AsyncStorage.setItem(STORAGE_KEYS.PRIVATE_KEY, privateKey);
-      await AsyncStorage.setItem(STORAGE_KEYS.PUBLIC_KEY, publicKey);
-      
-      this.privateKey = privateKey;
-      this.publicKey = publicKey;
-      
+      await this.addLocalAccount(privateKey, publicKey, { passphrase });
       return { privateKey, publicKey };
     } catch (error) {
       console.error('Error generating keys:', error);
@@ -134,9 +203,91 @@ class NostrService {
     }
   }
 
+  // Store a key as an account (signing locally from now on) and switch to it.
+  // options are passed on to keystoreService.saveKey.
+  async addLocalAccount(privateKey, publicKey, options = {}) {
+    try {
+      await keystoreService.saveKey(privateKey, publicKey, options);
+      await signerService.useLocal(publicKey);
+      await this.activateAccount(publicKey);
+    } catch (error) {
+      console.error('Error adding account:', error);
+      throw error;
+    }
+  }
+
+  async activateAccount(publicKey) {
+    if (publicKey === accountService.activePubkey) {
+      // Same identity we're already using: only its key or signer changed
+      await keystoreService.load();
+      await signerService.reset();
+      await this.loadKeys();
+    } else {
+      await accountService.switchTo(publicKey);
+    }
+  }
+
+  // Add the identity behind a NIP-07 extension or NIP-46 bunker as an account and switch to it
+  async connectExternalSigner(type, bunkerInput = null) {
+    try {
+      const publicKey = type === SIGNER_TYPES.NIP07
+        ? await signerService.useExtension()
+        : await signerService.useBunker(bunkerInput);
+      
+      await this.activateAccount(publicKey);
+      return publicKey;
+    } catch (error) {
+      console.error('Error connecting external signer:', error);
+      throw error;
+    }
+  }
+
+  // Drop everything held for the active account before another one is loaded. Relay
+  // sockets stay open; the next account only dials the relays it doesn't share.
+  async teardown() {
+    try {
+      this.subscriptions.forEach(sub => sub.close());
+      this.subscriptions.clear();
+      
+      powService.cancelAll();
+      relayAuthService.reset();
+      outboxService.reset();
+      await searchService.reset();
+      await groupEncryptionService.clearKeys();
+      await signerService.reset();
+      
+      this.privateKey = null;
+      this.publicKey = null;
+      this.dmInboxRelays = [];
+      this.dmRelayLists.clear();
+      this.unwrappedMessages.clear();
+      this.groupCreators.clear();
+      clearTimeout(this.keyBackupTimer);
+      this.keyBackupTimer = null;
+      this.keyBackupSynced = false;
+      relayListService.reset();
+      channelRoleService.reset();
+      groupMembershipService.reset();
+      reactionService.reset();
+      
+      console.log('🔌 Account state torn down');
+    } catch (error) {
+      console.error('Error tearing down account state:', error);
+    }
+  }
+
+  canSign() {
+    return signerService.isReady();
+  }
+
+  // Every signature and NIP-04/NIP-44 operation for our identity goes through this
+  getSigner() {
+    return signerService.getSigner();
+  }
+
   async loadRelays() {
     try {
-      const savedRelays = await AsyncStorage.getItem(STORAGE_KEYS.RELAYS);
+      const savedRelays = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.RELAYS));
       const relayUrls = savedRelays ? JSON.parse(savedRelays) : DEFAULT_RELAYS;
       
       this.relayUrls = relayUrls;
@@ -144,18 +295,27 @@ class NostrService {
       console.error('Error loading relays:', error);
       this.relayUrls = DEFAULT_RELAYS;
     }
+
+    await this.loadNIP29RelayUrls();
+  }
+
+  // Standard relays with an open socket. Recomputed on every access so callers
+  // never publish to or subscribe on a relay that is still connecting or down.
+  get connectedRelays() {
+    return new Set(relayManager.getOpenRelays(this.relayUrls));
   }
 
   async connectToRelays() {
     try {
-      // For browser environment, we'll just mark all relays as "connected"
-      // The SimplePool will handle the actual connections
-      this.relayUrls.forEach(url => {
-        this.connectedRelays.add(url);
-        console.log(`Marked relay as available: ${url}`);
+      // NIP-29 relays are dialed alongside the standard ones but don't count towards isConnected
+      relayManager.ensureOpen(this.nip29RelayUrls).catch(error => {
+        console.warn('Error connecting to NIP-29 relays:', error);
       });
+
+      const openRelays = await relayManager.ensureOpen(this.relayUrls);
+      console.log(`✅ ${openRelays.length}/${this.relayUrls.length} relays open`);
       
-      if (this.connectedRelays.size === 0) {
+      if (openRelays.length === 0) {
         throw new Error(ERROR_MESSAGES.RELAY_CONNECTION_FAILED);
       }
     } catch (error) {
@@ -164,11 +324,165 @@ class NostrService {
     }
   }
 
-  async publishEvent(event, retryCount = 0, options = {}) {
+  async connectToRelay(url) {
+    try {
+      return await relayManager.connect(url);
+    } catch (error) {
+      console.error(`Error connecting to relay ${url}:`, error);
+      throw error;
+    }
+  }
+
+  // NIP-29 relays from settings, narrowed to the ones we actually reached
+  async getNIP29Relays() {
+    await this.loadNIP29RelayUrls();
+    
+    if (this.nip29RelayUrls.length === 0) {
+      return [];
+    }
+    
+    const openRelays = await relayManager.ensureOpen(this.nip29RelayUrls);
+    if (openRelays.length === 0) {
+      console.warn('⚠️ None of the configured NIP-29 relays are reachable:', this.nip29RelayUrls);
+    }
+    return openRelays;
+  }
+
+  async loadNIP29RelayUrls() {
+    try {
+      const nip29RelaysStored = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.NIP29_RELAYS));
+      this.nip29RelayUrls = nip29RelaysStored ? JSON.parse(nip29RelaysStored) : NIP29_RELAYS;
+    } catch (error) {
+      console.error('Error loading NIP-29 relays:', error);
+    }
+    return this.nip29RelayUrls;
+  }
+
+  // NIP-65: our own read/write relays. Write relays get everything we publish, read relays
+  // are where replies and mentions reach us; both stay open next to the standard relays.
+  async loadRelayList() {
+    await relayListService.load(this.publicKey, this.relayUrls);
+    relayListService.setPinnedRelays([...this.relayUrls, ...this.nip29RelayUrls]);
+    
+    const ownRelays = relayListService.getOwnRelays().map(entry => entry.url);
+    relayManager.ensureOpen(ownRelays).catch(error => {
+      console.warn('Error connecting to NIP-65 relays:', error);
+    });
+  }
+
+  async saveRelayList(entries) {
+    const relays = await relayListService.saveOwnRelays(entries);
+    relayListService.setPinnedRelays([...this.relayUrls, ...this.nip29RelayUrls]);
+    relayManager.ensureOpen(relays.map(entry => entry.url)).catch(error => {
+      console.warn('Error connecting to NIP-65 relays:', error);
+    });
+    return relays;
+  }
+
+  // Save and publish our kind 10002 relay list. entries: [{ url, read, write }]
+  async publishRelayList(entries) {
     try {
-      if (!this.privateKey) {
-        throw new Error(ERROR_MESSAGES.NO_PRIVATE_KEY);
+      const relays = await this.saveRelayList(entries);
+      const event = await this.publishEvent(relayListService.createRelayListTemplate(relays));
+      
+      relayListService.setRelayList(this.publicKey, relays);
+      console.log(`🧭 Published relay list with ${relays.length} relays`);
+      return event;
+    } catch (error) {
+      console.error('Error publishing relay list:', error);
+      throw error;
+    }
+  }
+
+  // Where our events go: the standard relays plus our NIP-65 write relays that are open
+  getPublishRelays() {
+    const writeRelays = relayManager.getOpenRelays(relayListService.getOwnWriteRelays());
+    return Array.from(new Set([...this.connectedRelays, ...writeRelays]));
+  }
+
+  // Best-effort copy of a note, repost or reaction to the read relays of everyone it p-tags,
+  // so replies and mentions reach people who don't share a relay with us
+  async deliverToInboxes(event) {
+    try {
+      const mentioned = Array.from(new Set(event.tags
+        .filter(tag => tag[0] === 'p' && tag[1] && tag[1] !== event.pubkey)
+        .map(tag => tag[1])));
+      if (mentioned.length === 0) return;
+      
+      const published = new Set(this.getPublishRelays());
+      const inboxes = (await relayListService.getInboxRelays(mentioned)).filter(url => !published.has(url));
+      if (inboxes.length === 0) return;
+      
+      const relays = await relayListService.openRelays(inboxes);
+      if (relays.length === 0) return;
+      
+      await relayManager.publish(relays, event);
+      console.log(`📨 Delivered ${event.id.substring(0, 8)} to ${relays.length} inbox relays`);
+    } catch (error) {
+      console.error('Error delivering event to inbox relays:', error);
+    }
+  }
+
+  // Relays to find a user's own events on: their NIP-65 write relays plus ours
+  async getAuthorRelays(pubkey) {
+    try {
+      const writeRelays = await relayListService.getWriteRelays(pubkey);
+      const openWriteRelays = await relayListService.openRelays(writeRelays);
+      return Array.from(new Set([...this.connectedRelays, ...openWriteRelays]));
+    } catch (error) {
+      console.error('Error resolving author relays:', error);
+      return Array.from(this.connectedRelays);
+    }
+  }
+
+  // querySync for many authors at once: the full filter goes to our relays, and each outbox
+  // relay in the plan is asked only about the authors who write there
+  async queryByAuthors(pubkeys, filter) {
+    const connected = Array.from(this.connectedRelays);
+    const plan = await relayListService.planAuthorQuery(pubkeys);
+    const outboxRelays = Array.from(plan.keys()).filter(url => !connected.includes(url));
+    const openOutboxRelays = await relayListService.openRelays(outboxRelays);
+    
+    const queries = [this.pool.querySync(connected, { ...filter, authors: pubkeys })];
+    openOutboxRelays.forEach(url => {
+      queries.push(this.pool.querySync([url], { ...filter, authors: plan.get(url) }).catch(error => {
+        console.warn(`Outbox query on ${url} failed:`, error);
+        return [];
+      }));
+    });
+    
+    const events = new Map();
+    (await Promise.all(queries)).flat().forEach(event => {
+      if (!events.has(event.id)) {
+        events.set(event.id, event);
       }
+    });
+    
+    return Array.from(events.values());
+  }
+
+  addRelayStatusListener(listener) {
+    return relayManager.addStatusListener(listener);
+  }
+
+  getRelayStatuses() {
+    return relayManager.getAllStatuses();
+  }
+
+  // NIP-11 summary for the relay inspector; options.refresh bypasses the cache
+  async getRelayCapabilities(url, options = {}) {
+    return await relayManager.getRelayCapabilities(url, options);
+  }
+
+  async relaySupportsNip(url, nip) {
+    return await relayManager.supportsNip(url, nip);
+  }
+
+  // options.signer publishes under another identity (e.g. a bot's) instead of ours
+  async publishEvent(event, retryCount = 0, options = {}) {
+    try {
+      const signer = options.signer || this.getSigner();
+      const pubkey = options.signer ? await signer.getPublicKey() : this.publicKey;
       
       // Create the event with proper structure
       let eventTemplate = {
@@ -178,18 +492,17 @@ class NostrService {
         content: event.content
       };
       
-      // Apply proof-of-work if requested (for bot messages that need higher delivery success)
-      if (options.useProofOfWork) {
-        console.log('⛏️ Calculating proof of work for better delivery...');
-        eventTemplate = calculateProofOfWork(eventTemplate, options.proofOfWorkDifficulty || 16);
-      }
+      const openRelays = this.getPublishRelays();
       
-      // Convert hex string to Uint8Array for nostr-tools
-      const privateKeyBytes = new Uint8Array(
-        this.privateKey.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-      );
+      // Mine NIP-13 proof of work if the caller or any of the relays asks for it
+      eventTemplate = await this.applyProofOfWork(eventTemplate, openRelays, { ...options, pubkey });
       
-      const finalEvent = finalizeEvent(eventTemplate, privateKeyBytes);
+      const finalEvent = await signer.signEvent(eventTemplate);
+      
+      // Let the caller show the message (with its real id) before relays answer
+      if (retryCount === 0 && options.onSigned) {
+        options.onSigned(finalEvent);
+      }
       
       // Apply rate limiting delay if requested
       if (retryCount === 0 && options.useRateLimit !== false) {
@@ -197,22 +510,27 @@ class NostrService {
       }
       
       // Publish using SimplePool (simple approach)
-      console.log(`📡 Publishing event to ${this.connectedRelays.size} relays (attempt ${retryCount + 1}/${this.maxRetries + 1})`);
+      console.log(`📡 Publishing event to ${openRelays.length} relays (attempt ${retryCount + 1}/${this.maxRetries + 1})`);
       
       try {
-        const pubs = this.pool.publish(Array.from(this.connectedRelays), finalEvent);
-        console.log('✅ Event published to relays');
-        return finalEvent;
+        const published = await this.publishOrQueue(finalEvent, openRelays, options);
+        
+        if (INBOX_DELIVERY_KINDS.includes(finalEvent.kind)) {
+          this.deliverToInboxes(finalEvent);
+        }
+        
+        return published;
       } catch (publishError) {
         console.log(`❌ Publish failed:`, publishError.message);
         
         // Retry with exponential backoff if we haven't exceeded max retries
-        if (retryCount < this.maxRetries) {
+        if (retryCount < this.maxRetries && this.shouldRetryPublish(publishError, retryCount)) {
           const delay = this.baseRetryDelay * Math.pow(2, retryCount);
           console.log(`⏳ Retrying in ${delay}ms...`);
           
           await new Promise(resolve => setTimeout(resolve, delay));
-          return await this.publishEvent(event, retryCount + 1, options);
+          // Retry the mined template so the proof of work isn't redone
+          return await this.publishEvent(eventTemplate, retryCount + 1, options);
         }
         
         throw publishError;
@@ -224,6 +542,277 @@ class NostrService {
     }
   }
 
+  // options.useProofOfWork/proofOfWorkDifficulty request a minimum; relays can raise it.
+  // options.signal cancels mining, options.powTimeBudget bounds it, options.onPowProgress reports it.
+  // options.pubkey mines for someone other than us (the id commits to the pubkey).
+  async applyProofOfWork(eventTemplate, relays, options = {}) {
+    const requested = options.useProofOfWork ? (options.proofOfWorkDifficulty || 16) : 0;
+    const required = await powService.getTargetDifficulty(relays);
+    const difficulty = Math.max(requested, required);
+    
+    if (difficulty <= 0) {
+      return eventTemplate;
+    }
+    
+    console.log(`⛏️ Mining ${difficulty} bits of proof of work for ${relays.length} relays...`);
+    // pubkey and created_at are part of the id, so they have to be fixed before mining
+    const template = {
+      ...eventTemplate,
+      pubkey: options.pubkey || this.publicKey,
+      created_at: eventTemplate.created_at || Math.floor(Date.now() / 1000)
+    };
+    
+    return await powService.mine(template, difficulty, {
+      signal: options.signal,
+      timeBudget: options.powTimeBudget,
+      onProgress: options.onPowProgress
+    });
+  }
+
+  async loadPublishSettings() {
+    try {
+      const storedSettings = await AsyncStorage.getItem(STORAGE_KEYS.SETTINGS);
+      const parsedSettings = storedSettings ? JSON.parse(storedSettings) : {};
+      this.setPublishQuorum(parsedSettings.publishQuorum ?? DEFAULT_SETTINGS.publishQuorum);
+    } catch (error) {
+      console.error('Error loading publish settings:', error);
+    }
+  }
+
+  setPublishQuorum(quorum) {
+    const parsed = parseInt(quorum, 10);
+    this.publishQuorum = Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_SETTINGS.publishQuorum;
+  }
+
+  // Publish an already signed event and wait for every relay's OK.
+  // Resolves with the event (delivery summary attached) once the quorum accepted it,
+  // otherwise throws an error carrying the same summary in error.delivery.
+  async publishSignedEvent(signedEvent, relays, options = {}) {
+    const results = await relayManager.publish(relays, signedEvent, options.publishTimeout);
+    const delivery = this.summarizeDelivery(signedEvent, results, options.quorum);
+    
+    this.attachDelivery(signedEvent, delivery);
+    
+    results.forEach(result => {
+      const icon = result.status === PUBLISH_STATUS.ACCEPTED ? '✅' : result.status === PUBLISH_STATUS.REJECTED ? '🚫' : '⌛';
+      console.log(`${icon} ${result.relay}: ${result.status}${result.message ? ` (${result.message})` : ''}`);
+    });
+    
+    if (delivery.state !== DELIVERY_STATES.SENT) {
+      const authRefusals = results.filter(result => relayManager.isAuthRequired(result));
+      if (authRefusals.length > 0 && delivery.accepted === 0) {
+        throw this.createAuthRequiredError(authRefusals, { delivery, event: signedEvent });
+      }
+      
+      const rejection = results.find(result => result.status === PUBLISH_STATUS.REJECTED);
+      const reason = rejection ? `${rejection.relay} said "${rejection.message}"` : 'relays did not respond';
+      const error = new Error(`Event accepted by ${delivery.accepted}/${delivery.quorum} required relays: ${reason}`);
+      error.delivery = delivery;
+      error.event = signedEvent;
+      throw error;
+    }
+    
+    console.log(`📬 Event ${signedEvent.id.substring(0, 8)} accepted by ${delivery.accepted}/${delivery.total} relays`);
+    return signedEvent;
+  }
+
+  // NIP-42: the relays refused us because we didn't (or weren't allowed to) authenticate
+  createAuthRequiredError(refusals, { delivery = null, event = null } = {}) {
+    const relays = refusals.map(result => result.relay);
+    const error = new Error(`${ERROR_MESSAGES.RELAY_AUTH_REQUIRED} (${relays.join(', ')})`);
+    error.code = 'AUTH_REQUIRED';
+    error.relays = relays;
+    error.delivery = delivery;
+    error.event = event;
+    return error;
+  }
+
+  summarizeDelivery(event, results, quorum = null) {
+    const accepted = results.filter(result => result.status === PUBLISH_STATUS.ACCEPTED).length;
+    const rejected = results.filter(result => result.status === PUBLISH_STATUS.REJECTED).length;
+    const timedOut = results.filter(result => result.status === PUBLISH_STATUS.TIMEOUT).length;
+    
+    // A quorum larger than the relays we could reach can never be met, so cap it
+    const requested = quorum || this.publishQuorum;
+    const effectiveQuorum = Math.max(1, Math.min(requested, results.length));
+    
+    return {
+      eventId: event.id,
+      state: accepted >= effectiveQuorum ? DELIVERY_STATES.SENT : DELIVERY_STATES.FAILED,
+      accepted,
+      rejected,
+      timedOut,
+      total: results.length,
+      quorum: effectiveQuorum,
+      results
+    };
+  }
+
+  // Non-enumerable so the summary never ends up in JSON sent to relays or written to caches
+  attachDelivery(event, delivery) {
+    Object.defineProperty(event, 'delivery', {
+      value: delivery,
+      enumerable: false,
+      configurable: true,
+      writable: true
+    });
+  }
+
+  shouldRetryPublish(error, retryCount) {
+    // No delivery summary means we never reached a relay (e.g. none open yet)
+    if (!error.delivery) {
+      return true;
+    }
+    
+    if (retryCount >= this.maxDeliveryRetries) {
+      return false;
+    }
+    
+    // Explicit rejections (blocked, invalid, restricted...) won't change on retry
+    return error.delivery.results.every(result =>
+      result.status !== PUBLISH_STATUS.REJECTED || result.message.startsWith('rate-limited:')
+    );
+  }
+
+  // Re-send a signed event (e.g. when the user taps a failed message). Relays that
+  // already stored it answer OK with "duplicate:", which still counts as accepted.
+  // relayUrls pins the event to specific relays (e.g. a recipient's DM inbox)
+  async retryPublish(signedEvent, { nip29 = false, quorum = null, relayUrls = null } = {}) {
+    try {
+      let relays;
+      if (relayUrls) {
+        relays = await relayManager.ensureOpen(relayUrls);
+      } else {
+        relays = nip29 ? await this.getNIP29Relays() : Array.from(this.connectedRelays);
+      }
+      
+      if (relays.length === 0) {
+        throw new Error(nip29 ? 'No NIP-29 relays connected' : ERROR_MESSAGES.RELAY_CONNECTION_FAILED);
+      }
+      
+      // A relay may have raised its proof-of-work bar since the event was mined
+      const accepting = await powService.getAcceptingRelays(signedEvent, relays);
+      if (accepting.length === 0) {
+        throw new Error(ERROR_MESSAGES.POW_TOO_LOW);
+      }
+      if (accepting.length < relays.length) {
+        console.warn(`⚠️ Skipping ${relays.length - accepting.length} relays that want more proof of work than the event carries`);
+      }
+      
+      return await this.publishSignedEvent(signedEvent, accepting, { quorum });
+    } catch (error) {
+      console.error('Error retrying publish:', error);
+      throw error;
+    }
+  }
+
+  // Like publishSignedEvent, but when options.outbox is given an event that no relay
+  // answered for is parked in the offline outbox instead of failing
+  async publishOrQueue(signedEvent, relays, options = {}) {
+    const { outbox } = options;
+    
+    // Earlier messages in this conversation are still waiting; don't overtake them
+    if (outbox && outboxService.hasPending(outbox.conversationKey)) {
+      return await this.queueEvent(signedEvent, outbox);
+    }
+    
+    try {
+      if (relays.length === 0) {
+        throw new Error(ERROR_MESSAGES.RELAY_CONNECTION_FAILED);
+      }
+      
+      return await this.publishSignedEvent(signedEvent, relays, options);
+    } catch (error) {
+      if (!outbox || !this.isUnreachableError(error)) {
+        throw error;
+      }
+      
+      return await this.queueEvent(signedEvent, outbox);
+    }
+  }
+
+  async queueEvent(signedEvent, outbox) {
+    await outboxService.enqueue(signedEvent, outbox);
+    this.attachDelivery(signedEvent, {
+      eventId: signedEvent.id,
+      state: DELIVERY_STATES.QUEUED,
+      accepted: 0,
+      rejected: 0,
+      timedOut: 0,
+      total: 0,
+      quorum: this.publishQuorum,
+      results: []
+    });
+    return signedEvent;
+  }
+
+  // True when no relay answered at all, as opposed to relays refusing the event
+  isUnreachableError(error) {
+    return !error.delivery || error.delivery.rejected === 0;
+  }
+
+  async signEventTemplate(eventTemplate) {
+    return await this.getSigner().signEvent({
+      kind: eventTemplate.kind,
+      created_at: eventTemplate.created_at || Math.floor(Date.now() / 1000),
+      tags: eventTemplate.tags || [],
+      content: eventTemplate.content
+    });
+  }
+
+  // Re-sign a queued message after it was edited. Returns { event } plus, for DMs, the
+  // message id, timestamp, target relays and self copy that go with the new gift wrap.
+  async signOutboxEvent(type, target, content, replyTo = null) {
+    switch (type) {
+      case 'channel':
+        return {
+          event: await this.signEventTemplate(await this.applyProofOfWork(
+            nostrUtils.createChannelMessageEvent(target, content, replyTo), this.relayUrls
+          ))
+        };
+      case 'nip29':
+        return {
+          event: await this.signEventTemplate(await this.applyProofOfWork(
+            this.createNIP29MessageTemplate(target, content, replyTo), this.nip29RelayUrls
+          ))
+        };
+      case 'dm': {
+        const { rumor, recipientWrap, selfWrap } = await this.createGiftWrappedMessage(target, content);
+        const inbox = await this.getDMRelays(target);
+        
+        return {
+          event: recipientWrap,
+          id: rumor.id,
+          createdAt: rumor.created_at,
+          relays: inbox.length > 0 ? inbox : null,
+          copies: [{ event: selfWrap, relays: this.dmInboxRelays.length > 0 ? this.dmInboxRelays : null }]
+        };
+      }
+      default:
+        throw new Error(`Unknown outbox message type: ${type}`);
+    }
+  }
+
+  // Best-effort publish of extra copies of an event (e.g. the gift wrap addressed to ourselves)
+  async publishCopies(copies) {
+    for (const copy of copies) {
+      try {
+        const relays = copy.relays
+          ? await relayManager.ensureOpen(copy.relays)
+          : Array.from(this.connectedRelays);
+        
+        if (relays.length === 0) {
+          console.warn(`⚠️ No relays open for copy ${copy.event.id.substring(0, 8)}`);
+          continue;
+        }
+        
+        await relayManager.publish(relays, copy.event);
+      } catch (error) {
+        console.error('Error publishing event copy:', error);
+      }
+    }
+  }
+
   async applyGlobalRateLimit() {
     const now = Date.now();
     const lastPublish = this.lastGlobalPublish || 0;
@@ -370,36 +959,24 @@ class NostrService {
       // Publish the group creation event
       const publishedGroupEvent = await this.publishEvent(groupData.groupEvent);
       
+      // The channel is opened, and its messages are tagged, by the kind 40 id, and that id is
+      // what proves who created the group, so the key and membership are kept under it
+      const groupId = publishedGroupEvent.id;
+      await groupEncryptionService.storeGroupKey(groupId, groupData.groupKey, groupData.keyVersion);
+      this.groupCreators.set(groupId, this.publicKey);
+      await this.initializePrivateGroupMembers(groupId, [this.publicKey, ...initialMemberPubkeys]);
+      
       // Distribute group key to initial members
       if (initialMemberPubkeys.length > 0) {
         console.log(`🔑 Distributing group key to ${initialMemberPubkeys.length} members...`);
-        
-        const keyDistribution = await groupEncryptionService.distributeGroupKey(
-          groupData.groupId,
-          groupData.groupKey,
-          groupData.keyVersion,
-          initialMemberPubkeys,
-          this // Pass NostrService instance
-        );
-        
-        // Publish key distribution DMs
-        for (const distribution of keyDistribution) {
-          if (distribution.success) {
-            try {
-              await this.publishEvent(distribution.keyEvent);
-              console.log(`✅ Key sent to ${distribution.member.substring(0, 8)}...`);
-            } catch (error) {
-              console.error(`❌ Failed to send key to ${distribution.member}:`, error);
-            }
-          }
-        }
+        await this.shareGroupKey(groupId, initialMemberPubkeys);
       }
       
-      console.log(`✅ Real encrypted group created: ${groupData.groupId}`);
+      console.log(`✅ Real encrypted group created: ${groupId}`);
       
       return {
         ...publishedGroupEvent,
-        groupId: groupData.groupId,
+        groupId,
         encrypted: true,
         keyVersion: groupData.keyVersion
       };
@@ -410,20 +987,192 @@ class NostrService {
     }
   }
 
-  // NEW: Send encrypted message to encrypted group
-  async sendEncryptedGroupMessage(groupId, message, replyTo = null) {
+  // Send our current key for an encrypted group to members, one NIP-04 DM each.
+  // Resolves with distributeGroupKey's results, success cleared where publishing failed.
+  async shareGroupKey(groupId, memberPubkeys) {
+    try {
+      const groupKey = await groupEncryptionService.getGroupKey(groupId);
+      if (!groupKey) {
+        throw new Error('Group key not found - cannot share it');
+      }
+      
+      const keyDistribution = await groupEncryptionService.distributeGroupKey(
+        groupId,
+        groupKey.key,
+        groupKey.version,
+        memberPubkeys,
+        this
+      );
+      
+      for (const distribution of keyDistribution) {
+        if (!distribution.success) continue;
+        try {
+          await this.publishEvent(distribution.keyEvent);
+          console.log(`✅ Key v${groupKey.version} sent to ${distribution.member.substring(0, 8)}...`);
+        } catch (error) {
+          console.error(`❌ Failed to send key to ${distribution.member}:`, error);
+          distribution.success = false;
+          distribution.error = error.message;
+        }
+      }
+      
+      return keyDistribution;
+    } catch (error) {
+      console.error('Error sharing group key:', error);
+      throw error;
+    }
+  }
+
+  // The author of a private or encrypted group's kind 40. Its id is the group id and commits
+  // to the author, so a verified event with that id can't have been made by anyone else.
+  // Resolves with null when no relay has it (or we aren't connected).
+  async resolveGroupCreator(groupId) {
+    if (this.groupCreators.has(groupId)) {
+      return this.groupCreators.get(groupId);
+    }
+    
+    try {
+      const events = await this.pool.querySync(Array.from(this.connectedRelays), {
+        ids: [groupId],
+        kinds: [EVENT_KINDS.CHANNEL_CREATION]
+      }, { maxWait: LOOKUP_WAIT });
+      
+      const creation = events.find(event => event.id === groupId && nostrUtils.verifyEvent(event));
+      if (!creation) return null;
+      
+      this.groupCreators.set(groupId, creation.pubkey);
+      return creation.pubkey;
+    } catch (error) {
+      console.error('Error resolving group creator:', error);
+      return null;
+    }
+  }
+
+  // Our latest keyring backup, or null
+  async queryGroupKeyBackup() {
+    const events = await this.pool.querySync(Array.from(this.connectedRelays), {
+      kinds: [EVENT_KINDS.APP_DATA],
+      authors: [this.publicKey],
+      '#d': [KEY_BACKUP_CONFIG.D_TAG]
+    }, { maxWait: KEY_BACKUP_CONFIG.QUERY_WAIT });
+    
+    return events.sort((a, b) => b.created_at - a.created_at)[0] || null;
+  }
+
+  // Merge the keyrings in our backup into ours. Resolves with { added, behind }: the keys
+  // restored, and whether the backup lacks keys we hold.
+  async restoreGroupKeys() {
+    if (!this.publicKey || !this.canSign()) {
+      return { added: 0, behind: false };
+    }
+    
+    try {
+      const backup = await this.queryGroupKeyBackup();
+      let backedUp = {};
+      let added = 0;
+      
+      if (backup) {
+        const data = JSON.parse(await this.getSigner().nip44Decrypt(this.publicKey, backup.content));
+        backedUp = data.keyrings || {};
+        added = await groupEncryptionService.importKeyrings(backedUp);
+      }
+      
+      const keyrings = await groupEncryptionService.exportKeyrings();
+      const behind = Object.entries(keyrings).some(([groupId, keyring]) =>
+        Object.keys(keyring.keys).some(version => !backedUp[groupId]?.keys?.[version])
+      );
+      
+      if (added > 0) {
+        console.log(`🗝️ Restored ${added} group keys from backup`);
+      }
+      return { added, behind };
+    } catch (error) {
+      console.error('Error restoring group keys:', error);
+      throw error;
+    }
+  }
+
+  // Publish every group keyring, encrypted to ourselves. Whatever the backup already holds
+  // (from another device) is merged in first, so no device overwrites another's keys.
+  async backupGroupKeys() {
+    if (!this.publicKey || !this.canSign()) {
+      return null;
+    }
+    
+    try {
+      await this.restoreGroupKeys();
+      const keyrings = await groupEncryptionService.exportKeyrings();
+      
+      const event = await this.publishEvent({
+        kind: EVENT_KINDS.APP_DATA,
+        tags: [['d', KEY_BACKUP_CONFIG.D_TAG]],
+        content: await this.getSigner().nip44Encrypt(this.publicKey, JSON.stringify({ version: 1, keyrings }))
+      });
+      
+      console.log(`🗝️ Backed up the keys of ${Object.keys(keyrings).length} encrypted groups`);
+      return event;
+    } catch (error) {
+      console.error('Error backing up group keys:', error);
+      throw error;
+    }
+  }
+
+  scheduleGroupKeyBackup() {
+    clearTimeout(this.keyBackupTimer);
+    this.keyBackupTimer = setTimeout(() => {
+      this.keyBackupTimer = null;
+      this.backupGroupKeys().catch(() => {});
+    }, KEY_BACKUP_CONFIG.SAVE_DELAY);
+  }
+
+  // Once per account and session: take in the keys our other devices backed up, and back
+  // ours up if the backup is missing some
+  async syncGroupKeyBackup() {
+    if (this.keyBackupSynced || !this.publicKey || !this.canSign()) return;
+    this.keyBackupSynced = true;
+    
+    try {
+      const { behind } = await this.restoreGroupKeys();
+      if (behind) {
+        this.scheduleGroupKeyBackup();
+      }
+    } catch (error) {
+      // Logged already; tried again on the next initialize
+      this.keyBackupSynced = false;
+    }
+  }
+
+  // Send encrypted message to encrypted group with our sender chain. Members who don't have
+  // the chain yet get it first. options are publishEvent's, plus messageType (e.g. 'action').
+  // There's no offline outbox here: a queued message would have to be re-encrypted.
+  async sendEncryptedGroupMessage(groupId, message, replyTo = null, options = {}) {
     try {
       console.log(`🔐 Sending encrypted message to group ${groupId}...`);
       
+      const groupKey = await groupEncryptionService.getGroupKey(groupId);
+      if (!groupKey) {
+        throw new Error('Group key not found - cannot encrypt message');
+      }
+      
+      const chain = await senderKeyService.getOwnChain(groupId, groupKey.version);
+      await this.shareSenderKey(groupId, chain);
+      
       // Create encrypted message using GroupEncryptionService
-      const encryptedEvent = await groupEncryptionService.createEncryptedGroupMessage(
+      const { event, payload } = await groupEncryptionService.createEncryptedGroupMessage(
         groupId,
         message,
-        replyTo
+        replyTo,
+        { sender: this.publicKey, messageType: options.messageType }
       );
       
-      // Publish encrypted message
-      const publishedEvent = await this.publishEvent(encryptedEvent);
+      // Our message key is gone once it's used, so our own copy is kept before relays echo it
+      const publishedEvent = await this.publishEvent(event, 0, {
+        ...options,
+        onSigned: (signedEvent) => {
+          senderKeyService.rememberPlaintext(signedEvent.id, payload);
+          options.onSigned?.(signedEvent);
+        }
+      });
       
       console.log('✅ Encrypted message sent successfully');
       return publishedEvent;
@@ -434,14 +1183,37 @@ class NostrService {
     }
   }
 
+  // DM our sender chain to the members that don't have it yet
+  async shareSenderKey(groupId, chain) {
+    const members = await this.getPrivateGroupMembers(groupId);
+    const recipients = members.filter(pubkey => pubkey !== this.publicKey && !chain.distributedTo.includes(pubkey));
+    if (recipients.length === 0) return;
+    
+    console.log(`🔗 Sharing sender chain with ${recipients.length} members...`);
+    const shares = await groupEncryptionService.createSenderKeyShares(groupId, chain, recipients, this);
+    const delivered = [];
+    
+    for (const share of shares) {
+      if (!share.success) continue;
+      try {
+        await this.publishEvent(share.keyEvent);
+        delivered.push(share.member);
+      } catch (error) {
+        console.error(`❌ Failed to send sender key to ${share.member}:`, error);
+      }
+    }
+    
+    await senderKeyService.markDistributed(groupId, chain.keyVersion, delivered);
+  }
+
   // NEW: Add member to encrypted group (triggers key rotation)
   async addMemberToEncryptedGroup(groupId, newMemberPubkey) {
     try {
       console.log(`👥 Adding member to encrypted group ${groupId}...`);
       
-      // Get current group members (would need to be tracked)
-      const currentMembers = await this.getGroupMembers(groupId);
-      const newMembers = [...currentMembers, newMemberPubkey];
+      await this.addPrivateGroupMember(groupId, newMemberPubkey);
+      const currentMembers = await this.getPrivateGroupMembers(groupId);
+      const newMembers = [...new Set([...currentMembers, newMemberPubkey])];
       
       // Rotate group key for forward secrecy
       const keyRotation = await groupEncryptionService.rotateGroupKey(
@@ -475,8 +1247,7 @@ class NostrService {
     try {
       console.log(`👥 Removing member from encrypted group ${groupId}...`);
       
-      // Get current group members
-      const currentMembers = await this.getGroupMembers(groupId);
+      const currentMembers = await this.getPrivateGroupMembers(groupId);
       const newMembers = currentMembers.filter(m => m !== removeMemberPubkey);
       
       // Rotate group key for backward secrecy
@@ -506,33 +1277,48 @@ class NostrService {
     }
   }
 
+  // The creator's first membership entries: themselves as admin, the rest as invited members
   async initializePrivateGroupMembers(groupId, initialMembers = []) {
     try {
-      // Create initial member list event (kind 30000 for member management)
-      const memberEvent = {
-        kind: 30000, // Parameterized replaceable event
-        created_at: Math.floor(Date.now() / 1000),
-        tags: [
-          ['d', `private_group_members_${groupId}`], // Replaceable event identifier
-          ['group', groupId],
-          ['action', 'init_members']
-        ],
-        content: JSON.stringify({
-          group_id: groupId,
-          members: initialMembers,
-          created_at: Math.floor(Date.now() / 1000),
-          created_by: this.publicKey
-        }),
-        pubkey: this.publicKey
-      };
-
-      await this.publishEvent(memberEvent);
+      this.groupCreators.set(groupId, this.publicKey);
+      await this.publishGroupMembershipEntry(groupId, GROUP_MEMBERSHIP_ACTIONS.ADD, this.publicKey, { role: GROUP_ROLES.ADMIN });
+      
+      for (const member of initialMembers.filter(pubkey => pubkey !== this.publicKey)) {
+        await this.publishGroupMembershipEntry(groupId, GROUP_MEMBERSHIP_ACTIONS.ADD, member, { role: GROUP_ROLES.MEMBER });
+      }
       console.log('✅ Private group member list initialized');
     } catch (error) {
       console.error('Error initializing private group members:', error);
     }
   }
 
+  // Publish one membership entry (see GroupMembershipService) and apply it to the roster.
+  // A remove or a member add pins the target's own adds and removes that we hold, so the
+  // ones they made as an admin still count if this takes the role away.
+  async publishGroupMembershipEntry(groupId, action, pubkey, options = {}) {
+    const revokes = action === GROUP_MEMBERSHIP_ACTIONS.REMOVE ||
+      (action === GROUP_MEMBERSHIP_ACTIONS.ADD && options.role !== GROUP_ROLES.ADMIN);
+    const template = groupMembershipService.createEntryEvent(groupId, action, pubkey, {
+      ...options,
+      pins: revokes ? groupMembershipService.getPinnableEntryIds(groupId, pubkey) : []
+    });
+    const published = await this.publishEvent(template);
+    groupMembershipService.applyEntry(groupId, published);
+    return published;
+  }
+
+  // Admins add people to the roster with a membership entry; resolves false when we aren't
+  // an admin or they are in it already
+  async addPrivateGroupMember(groupId, pubkey) {
+    const roster = await this.getPrivateGroupRoster(groupId);
+    if (!groupMembershipService.isAdmin(roster, this.publicKey) || groupMembershipService.getMember(roster, pubkey)) {
+      return false;
+    }
+    
+    await this.publishGroupMembershipEntry(groupId, GROUP_MEMBERSHIP_ACTIONS.ADD, pubkey, { role: GROUP_ROLES.MEMBER });
+    return true;
+  }
+
   async inviteToPrivateGroup(groupId, inviteePubkey, personalMessage = '') {
     try {
       console.log(`📨 Inviting ${inviteePubkey.substring(0, 8)}... to private group ${groupId.substring(0, 8)}...`);
@@ -558,7 +1344,7 @@ class NostrService {
       });
 
       // Encrypt the invitation using NIP-04 (basic encryption for invites only)
-      const encryptedContent = await nip04.encrypt(this.privateKey, inviteePubkey, invitationContent);
+      const encryptedContent = await this.getSigner().nip04Encrypt(inviteePubkey, invitationContent);
 
       const inviteEvent = {
         kind: 4, // Direct message for invitation
@@ -572,6 +1358,9 @@ class NostrService {
         pubkey: this.publicKey
       };
 
+      // From anyone but an admin the invitation is only a DM
+      await this.addPrivateGroupMember(groupId, inviteePubkey);
+      
       await this.publishEvent(inviteEvent);
       console.log('✅ Private group invitation sent');
       
@@ -582,30 +1371,12 @@ class NostrService {
     }
   }
 
+  // Counts once an admin added us (inviting does); sets our join date
   async acceptPrivateGroupInvitation(groupId, inviterPubkey) {
     try {
-      console.log(`✅ Accepting invitation to private group ${groupId.substring(0, 8)}...`);
+      console.log(`✅ Accepting invitation from ${inviterPubkey.substring(0, 8)}... to private group ${groupId.substring(0, 8)}...`);
       
-      // Create acceptance event
-      const acceptEvent = {
-        kind: 30001, // Custom event for group membership
-        created_at: Math.floor(Date.now() / 1000),
-        tags: [
-          ['d', `group_membership_${groupId}`],
-          ['group', groupId],
-          ['action', 'join'],
-          ['invited_by', inviterPubkey]
-        ],
-        content: JSON.stringify({
-          group_id: groupId,
-          action: 'accept_invitation',
-          invited_by: inviterPubkey,
-          joined_at: Math.floor(Date.now() / 1000)
-        }),
-        pubkey: this.publicKey
-      };
-
-      await this.publishEvent(acceptEvent);
+      await this.publishGroupMembershipEntry(groupId, GROUP_MEMBERSHIP_ACTIONS.JOIN, this.publicKey);
       console.log('✅ Private group invitation accepted');
       
       return true;
@@ -615,51 +1386,31 @@ class NostrService {
     }
   }
 
-  // NIP-29 Group Invitation
-  async inviteToNIP29Group(groupId, inviteePubkey, personalMessage = '') {
+  // Admins only; the creator can also remove other admins
+  async removeMemberFromPrivateGroup(groupId, memberPubkey) {
     try {
-      console.log(`🏛️ Inviting ${inviteePubkey.substring(0, 8)}... to NIP-29 group ${groupId}`);
-      
-      // Try to get the group name by querying NIP-29 groups
-      let groupName = null;
-      try {
-        const metadata = await this.getNIP29GroupMetadata(groupId);
-        groupName = metadata.name || null;
-      } catch (error) {
-        console.warn('Could not fetch NIP-29 group name for invitation:', error);
-      }
-      
-      // Get NIP-29 relays
-      const nip29RelaysStored = await AsyncStorage.getItem('nip29_relays');
-      const nip29Relays = nip29RelaysStored ? JSON.parse(nip29RelaysStored) : NIP29_RELAYS;
-      
-      if (nip29Relays.length === 0) {
-        throw new Error('No NIP-29 relays configured');
+      const roster = await this.getPrivateGroupRoster(groupId);
+      if (!groupMembershipService.isAdmin(roster, this.publicKey)) {
+        throw new Error('Only group admins can remove members');
       }
       
-      // Create NIP-29 invitation event (kind 9009)
-      const inviteEvent = {
-        kind: 9009, // NIP-29 group invitation
-        created_at: Math.floor(Date.now() / 1000),
-        tags: [
-          ['h', groupId], // group identifier
-          ['p', inviteePubkey], // invitee pubkey
-        ],
-        content: personalMessage || `You've been invited to join the NIP-29 group: ${groupName || groupId}`
-      };
+      await this.publishGroupMembershipEntry(groupId, GROUP_MEMBERSHIP_ACTIONS.REMOVE, memberPubkey);
+      console.log(`🚫 Removed ${memberPubkey.substring(0, 8)}... from private group ${groupId.substring(0, 8)}...`);
+      return true;
+    } catch (error) {
+      console.error('Error removing private group member:', error);
+      throw error;
+    }
+  }
 
-      // Sign and publish the event to NIP-29 relays
-      const signedEvent = finalizeEvent(inviteEvent, this.privateKey);
+  // NIP-29 Group Invitation
+  // NIP-29 has no invitation to a person: an admin puts them in the group (9000), which lets
+  // them into closed groups. The personal message goes along as the event's reason.
+  async inviteToNIP29Group(groupId, inviteePubkey, personalMessage = '') {
+    try {
+      console.log(`🏛️ Inviting ${inviteePubkey.substring(0, 8)}... to NIP-29 group ${groupId}`);
       
-      // Publish to NIP-29 relays specifically
-      await Promise.all(nip29Relays.map(async (relayUrl) => {
-        try {
-          await this.pool.publish([relayUrl], signedEvent);
-          console.log(`✅ NIP-29 invitation published to ${relayUrl}`);
-        } catch (error) {
-          console.warn(`⚠️ Failed to publish invitation to ${relayUrl}:`, error);
-        }
-      }));
+      await this.putNIP29User(groupId, inviteePubkey, [], personalMessage);
       
       console.log('✅ NIP-29 group invitation sent');
       return true;
@@ -674,12 +1425,11 @@ class NostrService {
     try {
       console.log('🏛️ Creating NIP-29 managed group...');
       
-      // Get NIP-29 relays from storage
-      const nip29RelaysStored = await AsyncStorage.getItem('nip29_relays');
-      const nip29Relays = nip29RelaysStored ? JSON.parse(nip29RelaysStored) : NIP29_RELAYS;
+      // Get open NIP-29 relays
+      const nip29Relays = await this.getNIP29Relays();
       
       if (nip29Relays.length === 0) {
-        throw new Error('No NIP-29 relays configured. Please add a NIP-29 relay in settings.');
+        throw new Error('No NIP-29 relays connected. Please add or check your NIP-29 relays in settings.');
       }
       
       // Generate a random group ID for NIP-29
@@ -705,20 +1455,15 @@ class NostrService {
           type: 'closed',
           created_by: this.publicKey
         })
-        // Note: pubkey will be added by finalizeEvent
+        // Note: pubkey will be added by the signer
       };
 
-      // Convert private key to proper format for finalizeEvent
-      if (!this.privateKey) {
-        throw new Error('No private key available for signing');
+      if (!this.canSign()) {
+        throw new Error('No signer available for signing');
       }
       
-      const privateKeyBytes = new Uint8Array(
-        this.privateKey.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-      );
-      
       // Sign the event properly
-      const signedGroupEvent = finalizeEvent(groupEvent, privateKeyBytes);
+      const signedGroupEvent = await this.signEventTemplate(groupEvent);
 
       // Publish to NIP-29 relays specifically
       let publishedEvent = null;
@@ -728,9 +1473,9 @@ class NostrService {
         try {
           console.log(`📡 Publishing NIP-29 group to relay: ${relay}`);
           
-          // Create a temporary pool for this specific relay
-          const tempPool = new SimplePool();
-          publishedEvent = await tempPool.publish([relay], signedGroupEvent);
+          // Wait for the relay to accept the event before treating it as created
+          await Promise.all(this.pool.publish([relay], signedGroupEvent));
+          publishedEvent = signedGroupEvent;
           
           if (publishedEvent) {
             console.log(`✅ NIP-29 group published to ${relay}`);
@@ -792,55 +1537,61 @@ class NostrService {
     return result;
   }
 
-  async getPrivateGroupMembers(groupId) {
+  // The group's roster rebuilt from its membership entries (see GroupMembershipService).
+  // Groups that only have the old NIP-51 list events are migrated the first time an admin
+  // opens them: the members are republished as entries and the admin's old events deleted.
+  async getPrivateGroupRoster(groupId, { refresh = false } = {}) {
     try {
-      // Check cache first
-      const cachedMembers = await cacheService.getGroupMembers(groupId);
-      if (cachedMembers) {
-        console.log(`💾 Group members cache hit for ${groupId.substring(0, 8)}... (${cachedMembers.length} members)`);
-        return cachedMembers;
-      }
-
-      console.log(`🌐 Fetching group members from network for ${groupId.substring(0, 8)}...`);
-
-      // Query for member management events
-      const memberEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
-        kinds: [30000, 30001], // Member management events
-        '#group': [groupId],
-        limit: 100
+      const creator = await this.resolveGroupCreator(groupId);
+      const roster = await groupMembershipService.resolve(groupId, {
+        creator,
+        relays: Array.from(this.connectedRelays),
+        refresh
       });
-
-      const members = new Set();
       
-      // Process member events to build current member list
-      for (const event of memberEvents) {
-        try {
-          const data = JSON.parse(event.content);
-          if (data.group_id === groupId) {
-            if (event.kind === 30000 && data.members) {
-              // Initial member list
-              data.members.forEach(member => members.add(member));
-            } else if (event.kind === 30001 && data.action === 'accept_invitation') {
-              // Member joining
-              members.add(event.pubkey);
-            }
-          }
-        } catch (error) {
-          console.warn('Error parsing member event:', error);
-        }
+      if (roster.legacyMembers.length > 0 && groupMembershipService.isAdmin(roster, this.publicKey)) {
+        return await this.migratePrivateGroupMembers(groupId, roster);
       }
-
-      const membersList = Array.from(members);
-      
-      // Cache the member list
-      await cacheService.setGroupMembers(groupId, membersList);
-      console.log(`💾 Cached ${membersList.length} group members for ${groupId.substring(0, 8)}...`);
-
-      return membersList;
+      return roster;
     } catch (error) {
-      console.error('Error getting private group members:', error);
-      return [];
+      console.error('Error getting private group roster:', error);
+      return groupMembershipService.getRoster(groupId);
+    }
+  }
+
+  async migratePrivateGroupMembers(groupId, roster) {
+    console.log(`📦 Migrating ${roster.legacyMembers.length} members of ${groupId.substring(0, 8)}... to membership entries`);
+    
+    await this.publishGroupMembershipEntry(groupId, GROUP_MEMBERSHIP_ACTIONS.ADD, this.publicKey, { role: GROUP_ROLES.ADMIN });
+    for (const legacy of roster.legacyMembers.filter(member => member.pubkey !== this.publicKey)) {
+      await this.publishGroupMembershipEntry(groupId, GROUP_MEMBERSHIP_ACTIONS.ADD, legacy.pubkey, {
+        role: GROUP_ROLES.MEMBER,
+        joinedAt: legacy.joinedAt
+      });
+    }
+    
+    // Our old list events would keep showing up in other clients' follow and bookmark sets
+    const ownLegacyEvents = roster.legacyMembers
+      .filter(member => member.author === this.publicKey)
+      .map(member => member.eventId);
+    if (ownLegacyEvents.length > 0) {
+      try {
+        await this.publishEvent({
+          kind: EVENT_KINDS.DELETE,
+          tags: [...new Set(ownLegacyEvents)].map(id => ['e', id]),
+          content: 'Moved to private group membership entries'
+        });
+      } catch (error) {
+        console.warn('Could not delete legacy member events:', error);
+      }
     }
+    
+    return groupMembershipService.getRoster(groupId);
+  }
+
+  async getPrivateGroupMembers(groupId) {
+    const roster = await this.getPrivateGroupRoster(groupId);
+    return groupMembershipService.listMembers(roster).map(member => member.pubkey);
   }
 
   async updateChannelMetadata(channelId, metadata) {
@@ -853,7 +1604,7 @@ class NostrService {
     }
   }
 
-  async sendChannelMessage(channelId, message, replyTo = null, messageType = null) {
+  async sendChannelMessage(channelId, message, replyTo = null, messageType = null, options = {}) {
     try {
       const event = nostrUtils.createChannelMessageEvent(channelId, message, replyTo);
       
@@ -864,7 +1615,19 @@ class NostrService {
       }
       
       // Use enhanced publishing with proof-of-work for bot responses
-      const publishOptions = {};
+      const publishOptions = { ...options };
+      
+      // Plain user messages survive being offline; bot traffic is not worth replaying later
+      if (!messageType) {
+        publishOptions.outbox = {
+          type: 'channel',
+          conversationKey: `channel:${channelId}`,
+          target: channelId,
+          content: message,
+          replyTo
+        };
+      }
+      
       if (messageType === 'bot_response') {
         publishOptions.useProofOfWork = true;
         publishOptions.proofOfWorkDifficulty = 16; // Moderate difficulty for better delivery
@@ -880,33 +1643,108 @@ class NostrService {
 
   async sendDirectMessage(recipientPubkey, message) {
     try {
-      const event = nostrUtils.createDirectMessageEvent(
-        recipientPubkey, 
-        message, 
-        this.privateKey
-      );
-      return await this.publishEvent(event);
+      return await this.sendPrivateMessage(recipientPubkey, message);
     } catch (error) {
       console.error('Error sending direct message:', error);
       throw error;
     }
   }
 
-  async performModerationAction(channelId, action, targetPubkey, reason = '') {
+  // expiresAt (unix seconds) makes a ban or mute timed
+  async performModerationAction(channelId, action, targetPubkey, reason = '', expiresAt = null) {
     try {
       const event = nostrUtils.createModerationEvent(
         channelId, 
         action, 
         targetPubkey, 
-        reason
+        reason,
+        expiresAt
       );
-      return await this.publishEvent(event);
+      return await this.publishChannelStateEvent(channelId, event);
     } catch (error) {
       console.error('Error performing moderation action:', error);
       throw error;
     }
   }
 
+  // NIP-28 kind 43: hide a message for every client that honours the channel's operators
+  async hideChannelMessage(channelId, messageId, reason = '') {
+    return await this.publishChannelStateEvent(channelId, nostrUtils.createHideMessageEvent(channelId, messageId, reason));
+  }
+
+  // NIP-28 kind 44: hide a user's messages in the channel (what /kick does outside NIP-29)
+  async muteChannelUser(channelId, targetPubkey, reason = '', expiresAt = null) {
+    return await this.publishChannelStateEvent(channelId, nostrUtils.createMuteUserEvent(channelId, targetPubkey, reason, expiresAt));
+  }
+
+  // Outside NIP-29 a ban is a kind 44 mute (honoured from any operator) plus the kind 45 ban record;
+  // a timed ban puts the same expiration on both
+  async banChannelUser(channelId, targetPubkey, reason = '', expiresAt = null) {
+    await this.muteChannelUser(channelId, targetPubkey, reason, expiresAt);
+    return await this.performModerationAction(channelId, 'ban', targetPubkey, reason, expiresAt);
+  }
+
+  // Kind 44 can't be taken back, so the creator lifts mutes and bans with kind 45 events
+  async unmuteChannelUser(channelId, targetPubkey, reason = '') {
+    await this.performModerationAction(channelId, 'unban', targetPubkey, reason);
+    return await this.performModerationAction(channelId, 'unmute', targetPubkey, reason);
+  }
+
+  async publishChannelStateEvent(channelId, event) {
+    try {
+      const published = await this.publishEvent(event);
+      
+      // Our own action counts right away instead of when the relay echoes it back
+      if (published?.id) {
+        channelRoleService.applyModerationEvent(channelId, published);
+      }
+      return published;
+    } catch (error) {
+      console.error('Error publishing channel moderation:', error);
+      throw error;
+    }
+  }
+
+  // Operators, voiced, muted and banned users of a channel, resolved from its creator's
+  // moderation events (NIP-28) or the relay's admin and member lists (NIP-29)
+  async getChannelRoles(channelId, { protocol = 'public', creator = null, refresh = false } = {}) {
+    const relays = protocol === 'nip29'
+      ? await this.getNIP29Relays()
+      : Array.from(this.connectedRelays);
+
+    return await channelRoleService.resolve(channelId, { protocol, creator, relays, refresh });
+  }
+
+  // changes: [{ mode, enabled }]. NIP-28 channels get an operator-signed kind 47 event;
+  // NIP-29 groups get a 9002 edit-metadata with the matching flags, which the relay enforces.
+  async setChannelModes(channelId, changes, { protocol = 'public' } = {}) {
+    try {
+      if (protocol === 'nip29') {
+        return await this.setNIP29GroupFlags(channelId, changes);
+      }
+      
+      return await this.publishChannelStateEvent(channelId, nostrUtils.createChannelModeEvent(channelId, changes));
+    } catch (error) {
+      console.error('Error setting channel modes:', error);
+      throw error;
+    }
+  }
+
+  // Modes without a NIP-29 flag (+t, +n) are rejected rather than silently dropped
+  async setNIP29GroupFlags(groupId, changes) {
+    const unsupported = changes.filter(change => !NIP29_MODE_FLAGS[change.mode]);
+    if (unsupported.length > 0) {
+      throw new Error(`NIP-29 groups have no equivalent for ${nostrUtils.formatModeChanges(unsupported)}`);
+    }
+    
+    const finalEvent = await this.publishToNIP29Relays(nostrUtils.createGroupMetadataEvent(groupId, {
+      flags: changes.map(change => change.enabled ? NIP29_MODE_FLAGS[change.mode].on : NIP29_MODE_FLAGS[change.mode].off)
+    }));
+    
+    console.log(`🏛️ Group ${groupId} flags updated: ${nostrUtils.formatModeChanges(changes)}`);
+    return finalEvent;
+  }
+
   async sendBotCommand(channelId, command, args = []) {
     try {
       const event = nostrUtils.createBotCommandEvent(channelId, command, args);
@@ -927,7 +1765,7 @@ class NostrService {
     }
   }
 
-  subscribeToChannel(channelId, onMessage, onMetadata, onModeration) {
+  subscribeToChannel(channelId, onMessage, onMetadata, onModeration, onMode) {
     const filters = nostrUtils.createChannelSubscription(channelId);
     
     return this.subscribe(filters, async (event) => {
@@ -974,12 +1812,36 @@ class NostrService {
           break;
           
         case EVENT_KINDS.CHANNEL_MODERATION:
+          channelRoleService.applyModerationEvent(channelId, event);
           if (onModeration) {
             const modEvent = nostrUtils.parseModerationEvent(event);
             onModeration(modEvent);
           }
           break;
           
+        case EVENT_KINDS.CHANNEL_HIDE_MESSAGE:
+        case EVENT_KINDS.CHANNEL_MUTE_USER: {
+          const roles = channelRoleService.applyModerationEvent(channelId, event);
+          const action = nostrUtils.parseHideOrMuteEvent(event);
+          
+          // Announce mutes by operators; hidden messages just disappear
+          if (onModeration && action?.action === 'mute' && channelRoleService.isOperator(roles, event.pubkey)) {
+            onModeration(action);
+          }
+          break;
+        }
+          
+        case EVENT_KINDS.CHANNEL_MODE:
+          channelRoleService.applyModerationEvent(channelId, event);
+          if (onMode) {
+            onMode(event);
+          }
+          break;
+          
+        case EVENT_KINDS.REACTION:
+          reactionService.add(channelId, await this.parseChannelReaction(channelId, event));
+          break;
+          
         case EVENT_KINDS.BOT_COMMAND:
           // Handle bot commands if needed
           break;
@@ -995,8 +1857,12 @@ class NostrService {
         try {
           // Check if this is a group key share
           const isGroupKeyShare = event.tags.some(tag => tag[0] === 'group_key_share');
+          const isSenderKeyShare = event.tags.some(tag => tag[0] === 'sender_key_share');
           
-          if (isGroupKeyShare) {
+          if (isSenderKeyShare) {
+            // A member's sender chain; nothing to show
+            await groupEncryptionService.processSenderKeyShare(event, this);
+          } else if (isGroupKeyShare) {
             console.log('🔑 Received group key share DM');
             const processed = await groupEncryptionService.processGroupKeyShare(event, this);
             
@@ -1015,10 +1881,7 @@ class NostrService {
             }
           } else {
             // Regular encrypted DM
-            const decryptedContent = nostrUtils.decryptDirectMessage(
-              event, 
-              this.privateKey
-            );
+            const decryptedContent = await this.getSigner().nip04Decrypt(event.pubkey, event.content);
             
             if (decryptedContent && onMessage) {
               onMessage({
@@ -1057,13 +1920,14 @@ class NostrService {
     });
   }
 
-  async queryChannels(limit = 200) {
+  // hideSecret: leave out +s channels we don't operate (for channel discovery)
+  async queryChannels(limit = 200, { hideSecret = false } = {}) {
     try {
       console.log('Querying channels from relays...');
       console.log('Connected relays:', Array.from(this.connectedRelays));
       
       // Only query real channels from relays
-      return new Promise((resolve) => {
+      const found = await new Promise((resolve) => {
         const channels = [];
         let timeoutId;
         
@@ -1118,6 +1982,22 @@ class NostrService {
           resolve(sortedChannels);
         }, 12000);
       });
+      
+      if (!hideSecret || found.length === 0) {
+        return found;
+      }
+      
+      const roles = await channelRoleService.resolveMany(found, Array.from(this.connectedRelays));
+      const visible = found.filter(channel => {
+        const channelRoles = roles.get(channel.id);
+        return !channelRoleService.hasMode(channelRoles, CHANNEL_MODES.SECRET) ||
+          channelRoleService.isOperator(channelRoles, this.publicKey);
+      });
+      
+      if (visible.length < found.length) {
+        console.log(`🙈 Hiding ${found.length - visible.length} secret (+s) channels`);
+      }
+      return visible;
     } catch (error) {
       console.error('Error querying channels:', error);
       return [];
@@ -1191,6 +2071,86 @@ class NostrService {
     }
   }
 
+  // What /join points at: a channel name (a joined NIP-29 group of that id first, else the
+  // newest channel with exactly that name), a kind 40 id or nevent, or a NIP-29 group naddr.
+  // Resolves with the channel ({ id, name, protocol, groupId, ... }) or null.
+  async resolveChannel(input) {
+    try {
+      const reference = nostrUtils.parseChannelReference(input);
+      if (!reference) return null;
+      
+      const asGroup = (groupId) => ({ id: groupId, groupId, name: groupId, protocol: 'nip29' });
+      
+      if (reference.type === 'group') {
+        return asGroup(reference.groupId);
+      }
+      
+      if (reference.type === 'channel') {
+        const hinted = await relayListService.openRelays(reference.relays);
+        const relays = Array.from(new Set([...this.connectedRelays, ...hinted]));
+        const events = await this.pool.querySync(relays, {
+          ids: [reference.id],
+          kinds: [EVENT_KINDS.CHANNEL_CREATION]
+        }, { maxWait: LOOKUP_WAIT });
+        
+        return events.length > 0 ? nostrUtils.parseChannelEvent(events[0]) : null;
+      }
+      
+      const name = reference.name.toLowerCase();
+      const joinedGroups = await this.getJoinedNIP29Groups();
+      const groupId = joinedGroups.find(id => id.toLowerCase() === name);
+      if (groupId) {
+        return asGroup(groupId);
+      }
+      
+      const matches = await this.searchChannels(reference.name);
+      return matches.find(channel => channel.name?.toLowerCase() === name) || null;
+    } catch (error) {
+      console.error('Error resolving channel:', error);
+      throw error;
+    }
+  }
+
+  // Channels both we and pubkey have recently posted in, their latest activity first: [{ id, name }]
+  async getSharedChannels(pubkey, limit = 500) {
+    try {
+      if (!this.publicKey || pubkey === this.publicKey) return [];
+      
+      const relays = Array.from(this.connectedRelays);
+      const events = await this.pool.querySync(relays, {
+        kinds: [EVENT_KINDS.CHANNEL_MESSAGE],
+        authors: [pubkey, this.publicKey],
+        limit
+      }, { maxWait: LOOKUP_WAIT });
+      
+      // author -> Map<channel id, latest message timestamp>
+      const activity = new Map([[pubkey, new Map()], [this.publicKey, new Map()]]);
+      events.forEach(event => {
+        const channels = activity.get(event.pubkey);
+        const channelId = nostrUtils.getChannelIdFromTags(event.tags);
+        if (!channels || !channelId) return;
+        channels.set(channelId, Math.max(channels.get(channelId) || 0, event.created_at));
+      });
+      
+      const theirs = activity.get(pubkey);
+      const shared = Array.from(theirs.keys()).filter(channelId => activity.get(this.publicKey).has(channelId));
+      if (shared.length === 0) return [];
+      
+      const creations = await this.pool.querySync(relays, {
+        kinds: [EVENT_KINDS.CHANNEL_CREATION],
+        ids: shared
+      }, { maxWait: LOOKUP_WAIT });
+      const names = new Map(creations.map(event => [event.id, nostrUtils.parseChannelEvent(event)?.name]));
+      
+      return shared
+        .sort((a, b) => theirs.get(b) - theirs.get(a))
+        .map(channelId => ({ id: channelId, name: names.get(channelId) || `${channelId.substring(0, 8)}...` }));
+    } catch (error) {
+      console.error('Error finding shared channels:', error);
+      return [];
+    }
+  }
+
   async getUserPosts(userPubkey, limit = 500) {
     try {
       // Check cache first
@@ -1211,129 +2171,372 @@ class NostrService {
       
       console.log('User posts filters:', filters);
       
-      // Use querySync for better reliability in getting historical posts
-      const posts = await this.pool.querySync(Array.from(this.connectedRelays), filters);
+      // Use querySync for better reliability in getting historical posts
+      const posts = await this.pool.querySync(await this.getAuthorRelays(userPubkey), filters);
+      
+      console.log('📬 Found', posts.length, 'total posts/replies for user');
+      
+      // Remove duplicates (just in case)
+      const uniquePosts = [];
+      const seenIds = new Set();
+      
+      for (const post of posts) {
+        if (!seenIds.has(post.id)) {
+          seenIds.add(post.id);
+          uniquePosts.push(post);
+        }
+      }
+      
+      // Cache the posts
+      await cacheService.setUserPosts(userPubkey, uniquePosts);
+      console.log(`💾 Cached ${uniquePosts.length} posts for ${userPubkey.substring(0, 8)}...`);
+      
+      return uniquePosts;
+    } catch (error) {
+      console.error('Error querying user posts:', error);
+      return [];
+    }
+  }
+
+  // Newest messages of a NIP-28 channel, or the ones up to `until` (unix seconds)
+  async queryChannelMessages(channelId, limit = HISTORY_CONFIG.PAGE_SIZE, until = null) {
+    const page = await this.queryChannelHistory(channelId, { limit, until });
+    return page.messages;
+  }
+
+  // One page of scrollback, oldest first: the newest messages, or those up to `until` (unix
+  // seconds). Pages are cached, and read back from the cache when no relay answers.
+  // Resolves with { messages, until (cursor for the next page), exhausted, offline }.
+  async queryChannelHistory(channelId, { protocol = 'public', until = null, limit = HISTORY_CONFIG.PAGE_SIZE } = {}) {
+    const isNIP29 = protocol === 'nip29';
+    
+    try {
+      const page = await this.queryChannelEventPage(channelId, { protocol, until, limit });
+      if (!page) {
+        console.log(`📴 No relay answered for ${channelId.substring(0, 8)}..., reading cached history`);
+        return await this.getCachedChannelHistory(channelId, until, limit);
+      }
+      
+      const messages = [];
+      const cached = [];
+      for (const event of page.events) {
+        if (isNIP29) {
+          messages.push(this.toNIP29Message(event, channelId));
+          cached.push(messages[messages.length - 1]);
+        } else if (groupEncryptionService.isEncryptedMessage(event)) {
+          // Oldest first, so sender chains ratchet forward without skipping. Only the
+          // ciphertext is cached; it's decrypted again when read back.
+          messages.push(await this.toEncryptedGroupMessage(event, channelId));
+          cached.push({ id: event.id, timestamp: event.created_at, encryptedEvent: event });
+        } else {
+          messages.push(this.toChannelMessage(event, channelId));
+          cached.push(messages[messages.length - 1]);
+        }
+      }
+      
+      await cacheService.addChannelMessages(channelId, cached, { exhausted: page.exhausted });
+      console.log(`📜 History of ${channelId.substring(0, 8)}...: ${messages.length} messages${until !== null ? ` before ${until}` : ''}${page.exhausted ? ', reached the beginning' : ''}`);
+      
+      return { messages, until: page.until, exhausted: page.exhausted, offline: false };
+    } catch (error) {
+      console.error('Error querying channel history:', error);
+      return await this.getCachedChannelHistory(channelId, until, limit);
+    }
+  }
+  
+  // One page of a channel's raw events, oldest first (messages unless other kinds are asked
+  // for). Each relay is asked on its own because one that filled the page may hold more
+  // below its oldest event; the page only reaches down to the highest such floor and the
+  // rest comes with the next page. Resolves with { events, until, exhausted }, or null when
+  // no relay answered.
+  async queryChannelEventPage(channelId, { protocol = 'public', kinds = null, since = null, until = null, limit = HISTORY_CONFIG.PAGE_SIZE } = {}) {
+    const isNIP29 = protocol === 'nip29';
+    const relays = isNIP29 ? await this.getNIP29Relays() : Array.from(this.connectedRelays);
+    const filter = isNIP29
+      ? { kinds: kinds || [9], '#h': [channelId], limit } // NIP-29 group messages
+      : { kinds: kinds || [EVENT_KINDS.CHANNEL_MESSAGE, EVENT_KINDS.TEXT_NOTE], '#e': [channelId], limit };
+    if (since !== null) {
+      filter.since = since;
+    }
+    if (until !== null) {
+      filter.until = until;
+    }
+    
+    const pages = await Promise.all(relays.map(async (url) => {
+      try {
+        return await this.pool.querySync([url], filter, { maxWait: HISTORY_CONFIG.PAGE_WAIT });
+      } catch (error) {
+        console.warn(`⚠️ Could not load history from ${url}:`, error?.message || error);
+        return null;
+      }
+    }));
+    
+    const answered = pages.filter(Boolean);
+    if (answered.length === 0) return null;
+    
+    const floors = answered
+      .filter(events => events.length >= limit)
+      .map(events => Math.min(...events.map(event => event.created_at)));
+    const floor = floors.length > 0 ? Math.max(...floors) : null;
+    
+    const byId = new Map();
+    answered.flat().forEach(event => {
+      if (floor !== null && event.created_at < floor) return;
+      // Relays don't all honour tag filters
+      const tagName = isNIP29 ? 'h' : 'e';
+      if (!event.tags.some(tag => tag[0] === tagName && tag[1] === channelId)) return;
+      byId.set(event.id, event);
+    });
+    
+    // A page full of events from one second would come back again; step past that second
+    let nextUntil = floor;
+    if (floor !== null && until !== null && floor >= until) {
+      nextUntil = until - 1;
+    }
+    
+    return {
+      events: Array.from(byId.values()).sort((a, b) => a.created_at - b.created_at),
+      until: nextUntil,
+      exhausted: floor === null
+    };
+  }
+  
+  // Every event of a channel between `since` and `until` (unix seconds, either open-ended),
+  // oldest first, paged like scrollback. Used for log exports, which want the raw signed
+  // events and the moderation and topic history alongside the messages.
+  async queryChannelLog(channelId, { protocol = 'public', since = null, until = null, onProgress = null } = {}) {
+    try {
+      const kinds = protocol === 'nip29'
+        ? [9, ...NIP29_LOG_KINDS]
+        : [
+            EVENT_KINDS.CHANNEL_MESSAGE,
+            EVENT_KINDS.TEXT_NOTE,
+            EVENT_KINDS.CHANNEL_METADATA,
+            EVENT_KINDS.CHANNEL_HIDE_MESSAGE,
+            EVENT_KINDS.CHANNEL_MUTE_USER,
+            EVENT_KINDS.CHANNEL_MODERATION,
+            EVENT_KINDS.CHANNEL_MODE
+          ];
+      
+      const byId = new Map();
+      let cursor = until;
+      let answered = false;
+      
+      for (let pages = 0; pages < HISTORY_CONFIG.LOG_MAX_PAGES; pages++) {
+        const page = await this.queryChannelEventPage(channelId, {
+          protocol,
+          kinds,
+          since,
+          until: cursor,
+          limit: HISTORY_CONFIG.LOG_PAGE_SIZE
+        });
+        if (!page) break;
+        
+        answered = true;
+        page.events.forEach(event => byId.set(event.id, event));
+        onProgress?.(byId.size);
+        
+        if (page.exhausted || page.until === null) break;
+        cursor = page.until;
+      }
+      
+      if (!answered) {
+        throw new Error('No relay answered');
+      }
       
-      console.log('📬 Found', posts.length, 'total posts/replies for user');
+      console.log(`🗄️ Log of ${channelId.substring(0, 8)}...: ${byId.size} events`);
+      return Array.from(byId.values()).sort((a, b) => a.created_at - b.created_at);
+    } catch (error) {
+      console.error('Error querying channel log:', error);
+      throw error;
+    }
+  }
+  
+  // Reactions to the given messages (and their authors' kind 5 withdrawals), fed into
+  // reactionService. Encrypted groups' reactions only name the group, so the group's
+  // reactions since the oldest of the messages are fetched and decrypted instead.
+  async loadChannelReactions(channelId, messages, { protocol = 'public' } = {}) {
+    const messageIds = messages.filter(message => !message.isLocal).map(message => message.id);
+    if (messageIds.length === 0) return;
+    
+    try {
+      const isNIP29 = protocol === 'nip29';
+      const relays = isNIP29 ? await this.getNIP29Relays() : Array.from(this.connectedRelays);
+      if (relays.length === 0) return;
+      
+      let filter;
+      if (isNIP29) {
+        filter = { kinds: [EVENT_KINDS.REACTION], '#h': [channelId], '#e': messageIds };
+      } else if (protocol === 'encrypted') {
+        const since = Math.min(...messages.map(message => message.timestamp));
+        filter = { kinds: [EVENT_KINDS.REACTION], '#e': [channelId], since, limit: REACTION_CONFIG.QUERY_LIMIT };
+      } else {
+        filter = { kinds: [EVENT_KINDS.REACTION], '#e': messageIds, limit: REACTION_CONFIG.QUERY_LIMIT };
+      }
       
-      // Remove duplicates (just in case)
-      const uniquePosts = [];
-      const seenIds = new Set();
+      const events = await this.pool.querySync(relays, filter, { maxWait: REACTION_CONFIG.QUERY_WAIT });
       
-      for (const post of posts) {
-        if (!seenIds.has(post.id)) {
-          seenIds.add(post.id);
-          uniquePosts.push(post);
+      const reactions = [];
+      for (const event of events) {
+        const reaction = await this.parseChannelReaction(channelId, event);
+        if (reaction && messageIds.includes(reaction.messageId)) {
+          reactions.push(reaction);
         }
       }
       
-      // Cache the posts
-      await cacheService.setUserPosts(userPubkey, uniquePosts);
-      console.log(`💾 Cached ${uniquePosts.length} posts for ${userPubkey.substring(0, 8)}...`);
+      // Withdrawals first, so reactions that were taken back never show up
+      for (let i = 0; i < reactions.length; i += REACTION_CONFIG.DELETION_BATCH) {
+        const batch = reactions.slice(i, i + REACTION_CONFIG.DELETION_BATCH);
+        const deletions = await this.pool.querySync(relays, {
+          kinds: [EVENT_KINDS.DELETE],
+          '#e': batch.map(reaction => reaction.id),
+          authors: [...new Set(batch.map(reaction => reaction.author))]
+        }, { maxWait: REACTION_CONFIG.QUERY_WAIT });
+        deletions.forEach(deletion => reactionService.applyDeletion(deletion));
+      }
       
-      return uniquePosts;
+      reactions.forEach(reaction => reactionService.add(channelId, reaction));
+      console.log(`😀 ${reactions.length} reactions on ${messageIds.length} messages of ${channelId.substring(0, 8)}...`);
     } catch (error) {
-      console.error('Error querying user posts:', error);
-      return [];
+      console.error('Error loading channel reactions:', error);
     }
   }
-
-  async queryChannelMessages(channelId, limit = 100, since = null) {
+  
+  // A kind 7 seen in a channel, decrypted first when it belongs to an encrypted group
+  async parseChannelReaction(channelId, event) {
+    if (!groupEncryptionService.isEncryptedMessage(event)) {
+      return nostrUtils.parseReactionEvent(event);
+    }
+    
+    const payload = await groupEncryptionService.decryptReaction(event, channelId);
+    return payload ? nostrUtils.parseReactionEvent(event, payload) : null;
+  }
+  
+  // NIP-25 reaction to a channel message; emoji { shortcode, url } sends a NIP-30 custom emoji.
+  // NIP-29 groups get the 'h' tag and their own relays; in encrypted groups the reaction is
+  // encrypted with the group key like the messages are.
+  async sendReaction(channelId, message, content, { protocol = 'public', emoji = null } = {}) {
     try {
-      const queryId = Math.random().toString(36).substring(2, 8);
-      console.log(`🔄 FRESH QUERY [${queryId}] for channel ${channelId}...`);
-      console.log('Channel ID length:', channelId.length);
-      console.log('Channel ID sample:', channelId.substring(0, 20) + '...');
+      let published;
+      let payload = null;
       
-      return new Promise((resolve) => {
-        const messages = [];
-        let timeoutId;
-        let subscription;
-        
-        // Try both: with and without channel filtering to compare
-        const filters = [
-          // Filter 1: Official channel messages for this specific channel
-          {
-            kinds: [EVENT_KINDS.CHANNEL_MESSAGE],
-            '#e': [channelId],
-            limit: 50
-          },
-          // Filter 2: Text notes that reference this channel
-          {
-            kinds: [EVENT_KINDS.TEXT_NOTE],
-            '#e': [channelId], 
-            limit: 50
-          }
-        ];
-        
-        console.log('Message query filters:', filters);
-        
-        subscription = this.pool.subscribeMany(
-          Array.from(this.connectedRelays),
-          filters,
-          {
-            onevent: (event) => {
-              console.log(`🔍 [${queryId}] CHANNEL-SPECIFIC EVENT found:`);
-              console.log('🔍 Kind:', event.kind);
-              console.log('🔍 Content:', event.content);
-              console.log('🔍 Tags:', JSON.stringify(event.tags, null, 2));
-              console.log('🔍 Target channel:', channelId);
-              
-              // Verify this event actually references our channel
-              const referencesChannel = event.tags.some(tag => 
-                tag[0] === 'e' && tag[1] === channelId
-              );
-              
-              if (referencesChannel) {
-                const message = {
-                  id: event.id,
-                  content: event.content,
-                  author: event.pubkey,
-                  channelId: channelId,
-                  timestamp: event.created_at,
-                  kind: event.kind,
-                  tags: event.tags
-                };
-                
-                messages.push(message);
-                console.log(`✅ [${queryId}] Added VALID channel message - Total:`, messages.length);
-              } else {
-                console.log(`❌ [${queryId}] Event does not reference target channel`);
-              }
-            },
-            oneose: () => {
-              console.log('📬 End of stored events for channel', channelId);
-              clearTimeout(timeoutId);
-              if (subscription) {
-                subscription.close();
-                subscription = null;
-              }
-              
-              // Sort by timestamp (oldest first)
-              const sortedMessages = messages.sort((a, b) => a.timestamp - b.timestamp);
-              console.log('🎯 Returning', sortedMessages.length, 'messages for channel', channelId);
-              resolve(sortedMessages);
-            }
-          }
+      if (protocol === 'nip29') {
+        published = await this.publishToNIP29Relays(
+          nostrUtils.createReactionEvent(channelId, message, content, { groupId: channelId, emoji })
         );
-        
-        // Timeout after 5 seconds
-        timeoutId = setTimeout(() => {
-          console.log('⏰ Query timeout for channel', channelId, '- returning', messages.length, 'messages');
-          if (subscription) {
-            subscription.close();
-            subscription = null;
-          }
-          
-          // Sort by timestamp (oldest first)
-          const sortedMessages = messages.sort((a, b) => a.timestamp - b.timestamp);
-          resolve(sortedMessages);
-        }, 5000);
-      });
+      } else if (protocol === 'encrypted') {
+        payload = { target: message.id, content: emoji ? `:${emoji.shortcode}:` : content, emoji };
+        published = await this.publishEvent(
+          await groupEncryptionService.createEncryptedReaction(channelId, message.id, payload.content, emoji)
+        );
+      } else {
+        published = await this.publishEvent(nostrUtils.createReactionEvent(channelId, message, content, { emoji }));
+      }
+      
+      reactionService.add(channelId, nostrUtils.parseReactionEvent(published, payload));
+      return published;
     } catch (error) {
-      console.error('Error querying channel messages:', error);
-      return [];
+      console.error('Error sending reaction:', error);
+      throw error;
+    }
+  }
+  
+  // Withdraw our reactions with a kind 5 (several when the same emoji was sent twice)
+  async removeReactions(channelId, reactionIds, { protocol = 'public' } = {}) {
+    try {
+      const isNIP29 = protocol === 'nip29';
+      const template = nostrUtils.createReactionDeletionEvent(reactionIds, isNIP29 ? channelId : null);
+      const published = isNIP29
+        ? await this.publishToNIP29Relays(template)
+        : await this.publishEvent(template);
+      
+      reactionService.applyDeletion(published);
+      return published;
+    } catch (error) {
+      console.error('Error removing reaction:', error);
+      throw error;
+    }
+  }
+  
+  // Sign and publish to the NIP-29 relays; at least one of them has to take it
+  async publishToNIP29Relays(eventTemplate) {
+    const nip29Relays = await this.getNIP29Relays();
+    if (nip29Relays.length === 0) {
+      throw new Error('No NIP-29 relays connected');
+    }
+    
+    const finalEvent = await this.signEventTemplate(eventTemplate);
+    const results = await relayManager.publish(nip29Relays, finalEvent);
+    if (!results.some(result => result.status === PUBLISH_STATUS.ACCEPTED)) {
+      const authRefusals = results.filter(result => relayManager.isAuthRequired(result));
+      if (authRefusals.length > 0) {
+        throw this.createAuthRequiredError(authRefusals, { event: finalEvent });
+      }
+      throw new Error(results.find(result => result.message)?.message || 'No NIP-29 relay accepted the event');
+    }
+    
+    return finalEvent;
+  }
+
+  // Same page shape from the cache. Running out of cached messages only means the channel
+  // has no more history when the cache reached its beginning.
+  async getCachedChannelHistory(channelId, until, limit) {
+    const cached = await cacheService.getChannelMessages(channelId);
+    const older = (cached?.messages || []).filter(message => until === null || message.timestamp < until);
+    
+    const messages = [];
+    for (const entry of older.slice(-limit)) {
+      messages.push(entry.encryptedEvent ? await this.toEncryptedGroupMessage(entry.encryptedEvent, channelId) : entry);
+    }
+    
+    return {
+      messages,
+      until: messages.length > 0 ? messages[0].timestamp : until,
+      exhausted: older.length <= limit && !!cached?.exhausted,
+      offline: true
+    };
+  }
+
+  async toEncryptedGroupMessage(event, channelId) {
+    return await groupEncryptionService.decryptGroupMessage(event, channelId) || {
+      ...this.toChannelMessage(event, channelId),
+      content: '[🔒 Encrypted message - no access]',
+      encrypted: true,
+      decryption_failed: true
+    };
+  }
+
+  toChannelMessage(event, channelId) {
+    return {
+      id: event.id,
+      content: event.content,
+      author: event.pubkey,
+      channelId: channelId,
+      timestamp: event.created_at,
+      kind: event.kind,
+      tags: event.tags
+    };
+  }
+
+  toNIP29Message(event, groupId) {
+    const message = {
+      id: event.id,
+      author: event.pubkey,
+      content: event.content,
+      timestamp: event.created_at,
+      type: 'normal',
+      protocol: 'nip29',
+      groupId: groupId,
+      tags: event.tags || []
+    };
+    
+    // Check for reply references
+    const replyTag = event.tags?.find(tag => tag[0] === 'e' && tag[3] === 'reply');
+    if (replyTag) {
+      message.replyTo = replyTag[1];
     }
+    
+    return message;
   }
 
   async queryUserProfile(pubkey) {
@@ -1341,7 +2544,7 @@ class NostrService {
       console.log(`🔍 Querying profile for ${pubkey.substring(0, 8)}...`);
       
       // Query for user profile metadata (kind 0)
-      const profileEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
+      const profileEvents = await this.pool.querySync(await this.getAuthorRelays(pubkey), {
         kinds: [0],
         authors: [pubkey],
         limit: 1
@@ -1369,6 +2572,35 @@ class NostrService {
     }
   }
 
+  // NIP-05: true when the identifier's domain lists this pubkey under that name
+  async verifyNip05(pubkey, identifier) {
+    try {
+      return await nip05.isValid(pubkey, identifier);
+    } catch (error) {
+      console.warn(`NIP-05 check for ${identifier} failed:`, error.message);
+      return false;
+    }
+  }
+
+  // /nick: set display_name in our kind 0, keeping every other field of the latest profile
+  async updateDisplayName(displayName) {
+    try {
+      const stored = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.PROFILE));
+      const current = await this.queryUserProfile(this.publicKey) || (stored ? JSON.parse(stored) : {});
+      const profile = { ...current, display_name: displayName };
+      
+      await this.publishEvent(nostrUtils.createEvent(EVENT_KINDS.METADATA, JSON.stringify(profile)));
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.PROFILE), JSON.stringify(profile));
+      await cacheService.setProfile(this.publicKey, profile);
+      
+      console.log(`🏷️ Display name changed to ${displayName}`);
+      return profile;
+    } catch (error) {
+      console.error('Error updating display name:', error);
+      throw error;
+    }
+  }
+
   generateSubscriptionId() {
     return Math.random().toString(36).substring(2, 15);
   }
@@ -1376,8 +2608,9 @@ class NostrService {
   getConnectionStatus() {
     return {
       isConnected: this.isConnected,
-      connectedRelays: Array.from(this.connectedRelays || []),
-      totalRelays: (this.relayUrls || []).length
+      connectedRelays: Array.from(this.connectedRelays),
+      totalRelays: (this.relayUrls || []).length,
+      relayStatuses: relayManager.getAllStatuses()
     };
   }
 
@@ -1385,7 +2618,8 @@ class NostrService {
     try {
       if (!this.relayUrls.includes(url)) {
         this.relayUrls.push(url);
-        await AsyncStorage.setItem(STORAGE_KEYS.RELAYS, JSON.stringify(this.relayUrls));
+        await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.RELAYS), JSON.stringify(this.relayUrls));
+        relayListService.setPinnedRelays([...this.relayUrls, ...this.nip29RelayUrls]);
         await this.connectToRelay(url);
       }
     } catch (error) {
@@ -1399,13 +2633,13 @@ class NostrService {
       const index = this.relayUrls.indexOf(url);
       if (index > -1) {
         this.relayUrls.splice(index, 1);
-        await AsyncStorage.setItem(STORAGE_KEYS.RELAYS, JSON.stringify(this.relayUrls));
+        await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.RELAYS), JSON.stringify(this.relayUrls));
+        
+        relayListService.setPinnedRelays([...this.relayUrls, ...this.nip29RelayUrls]);
         
-        const relay = this.relays.get(url);
-        if (relay) {
-          relay.close();
-          this.relays.delete(url);
-          this.connectedRelays.delete(url);
+        // Keep the socket if the same URL is also configured as a NIP-29 relay or in our relay list
+        if (!relayListService.isPinned(url)) {
+          relayManager.removeRelay(url);
         }
       }
     } catch (error) {
@@ -1417,7 +2651,7 @@ class NostrService {
   // Read status tracking methods
   async getLastReadTimestamp(contactPubkey) {
     try {
-      const timestamps = await AsyncStorage.getItem(STORAGE_KEYS.DM_LAST_READ_TIMESTAMPS);
+      const timestamps = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.DM_LAST_READ_TIMESTAMPS));
       const readTimestamps = timestamps ? JSON.parse(timestamps) : {};
       const timestamp = readTimestamps[contactPubkey] || 0;
       
@@ -1438,13 +2672,13 @@ class NostrService {
   async setLastReadTimestamp(contactPubkey, timestamp) {
     try {
       console.log(`💾 Setting read timestamp for ${contactPubkey.substring(0, 8)}... to ${timestamp}`);
-      const timestamps = await AsyncStorage.getItem(STORAGE_KEYS.DM_LAST_READ_TIMESTAMPS);
+      const timestamps = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.DM_LAST_READ_TIMESTAMPS));
       const readTimestamps = timestamps ? JSON.parse(timestamps) : {};
       readTimestamps[contactPubkey] = timestamp;
-      await AsyncStorage.setItem(STORAGE_KEYS.DM_LAST_READ_TIMESTAMPS, JSON.stringify(readTimestamps));
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.DM_LAST_READ_TIMESTAMPS), JSON.stringify(readTimestamps));
       
       // Verify the write was successful by reading it back
-      const verification = await AsyncStorage.getItem(STORAGE_KEYS.DM_LAST_READ_TIMESTAMPS);
+      const verification = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.DM_LAST_READ_TIMESTAMPS));
       const verifiedTimestamps = verification ? JSON.parse(verification) : {};
       const verifiedTimestamp = verifiedTimestamps[contactPubkey];
       
@@ -1593,48 +2827,284 @@ class NostrService {
     }
   }
 
-  // Private messaging methods (NIP-04)
-  async sendPrivateMessage(recipientPubkey, content) {
-    if (!this.privateKey) {
-      throw new Error('No private key available for encryption');
+  // Private messaging (NIP-17 gift-wrapped DMs; legacy NIP-04 kind 4 is only read for old history)
+
+  // NIP-17: an unsigned kind 14 rumor, sealed (kind 13) by our signer and gift wrapped (kind 1059)
+  // under a throwaway key. One wrap goes to the recipient, one to ourselves for our other devices.
+  async createGiftWrappedMessage(recipientPubkey, content) {
+    const rumor = {
+      kind: EVENT_KINDS.PRIVATE_DIRECT_MESSAGE,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', recipientPubkey]],
+      content,
+      pubkey: this.publicKey
+    };
+    rumor.id = getEventHash(rumor);
+    
+    return {
+      rumor,
+      recipientWrap: nip59.createWrap(await this.createSeal(rumor, recipientPubkey), recipientPubkey),
+      selfWrap: nip59.createWrap(await this.createSeal(rumor, this.publicKey), this.publicKey)
+    };
+  }
+
+  // Same as nip59.createSeal, but signed and encrypted by the active signer
+  async createSeal(rumor, recipientPubkey) {
+    const signer = this.getSigner();
+    
+    return await signer.signEvent({
+      kind: EVENT_KINDS.SEAL,
+      // NIP-59 backdates seals by up to two days so timing doesn't give the message away
+      created_at: Math.floor(Date.now() / 1000) - Math.floor(Math.random() * GIFT_WRAP_MAX_SKEW),
+      tags: [],
+      content: await signer.nip44Encrypt(recipientPubkey, JSON.stringify(rumor))
+    });
+  }
+
+  // Open a gift wrap addressed to us. nip59.unwrapEvent believes whatever author the rumor
+  // claims, so the seal's signature is checked and has to come from that same author.
+  async unwrapGiftWrap(wrap) {
+    const cached = this.unwrappedMessages.get(wrap.id);
+    if (cached) {
+      return cached;
+    }
+    
+    const signer = this.getSigner();
+    const seal = JSON.parse(await signer.nip44Decrypt(wrap.pubkey, wrap.content));
+    if (seal.kind !== EVENT_KINDS.SEAL || !verifyEvent(seal)) {
+      throw new Error('Gift wrap does not contain a valid seal');
+    }
+    
+    const rumor = JSON.parse(await signer.nip44Decrypt(seal.pubkey, seal.content));
+    if (rumor.pubkey !== seal.pubkey || rumor.id !== getEventHash(rumor)) {
+      throw new Error('Gift wrap rumor does not match its seal');
+    }
+    
+    this.unwrappedMessages.set(wrap.id, rumor);
+    return rumor;
+  }
+
+  // Map a kind 14 rumor onto our message shape. Returns { message, otherPubkey }, or null for
+  // rumors we don't show (other kinds, group chats with more than one other participant).
+  parsePrivateMessageRumor(rumor) {
+    if (rumor.kind !== EVENT_KINDS.PRIVATE_DIRECT_MESSAGE) {
+      return null;
+    }
+    
+    const isFromMe = rumor.pubkey === this.publicKey;
+    const participants = new Set(rumor.tags.filter(tag => tag[0] === 'p').map(tag => tag[1]));
+    participants.delete(this.publicKey);
+    if (!isFromMe) {
+      participants.add(rumor.pubkey);
+    }
+    
+    if (participants.size > 1) {
+      return null;
+    }
+    
+    // A note to self has no other participant
+    const otherPubkey = participants.size === 1 ? Array.from(participants)[0] : this.publicKey;
+    
+    return {
+      otherPubkey,
+      message: {
+        id: rumor.id,
+        content: rumor.content,
+        author: rumor.pubkey,
+        recipient: isFromMe ? otherPubkey : this.publicKey,
+        timestamp: rumor.created_at,
+        isFromMe,
+        protocol: DM_PROTOCOLS.NIP17
+      }
+    };
+  }
+
+  // Where gift wraps for us can turn up: our inbox relays plus whatever we're connected to
+  getDMReadRelays() {
+    return Array.from(new Set([
+      ...this.connectedRelays,
+      ...this.dmInboxRelays,
+      ...relayManager.getOpenRelays(relayListService.getOwnReadRelays())
+    ]));
+  }
+
+  async fetchGiftWrappedMessages(limit = 1000) {
+    const wraps = await this.pool.querySync(this.getDMReadRelays(), {
+      kinds: [EVENT_KINDS.GIFT_WRAP],
+      '#p': [this.publicKey],
+      limit
+    });
+    
+    // The same rumor arrives once per wrap (ours and the copy to ourselves), so key by rumor id
+    const messages = new Map();
+    for (const wrap of wraps) {
+      try {
+        const parsed = this.parsePrivateMessageRumor(await this.unwrapGiftWrap(wrap));
+        if (parsed) {
+          messages.set(parsed.message.id, parsed);
+        }
+      } catch (unwrapError) {
+        console.warn('Failed to unwrap private message:', unwrapError.message);
+      }
+    }
+    
+    return Array.from(messages.values());
+  }
+
+  // NIP-17 kind 10050: relays a user wants to receive DMs on
+  async getDMRelays(pubkey, { refresh = false } = {}) {
+    const cached = this.dmRelayLists.get(pubkey);
+    if (cached && !refresh && Date.now() - cached.fetchedAt < DM_RELAY_LIST_TTL) {
+      return cached.relays;
+    }
+    
+    try {
+      const events = await this.pool.querySync(Array.from(this.connectedRelays), {
+        kinds: [EVENT_KINDS.DM_RELAY_LIST],
+        authors: [pubkey],
+        limit: 1
+      });
+      
+      const latest = events.sort((a, b) => b.created_at - a.created_at)[0];
+      const relays = latest
+        ? latest.tags.filter(tag => tag[0] === 'relay' && tag[1]).map(tag => tag[1])
+        : [];
+      
+      this.dmRelayLists.set(pubkey, { relays, fetchedAt: Date.now() });
+      return relays;
+    } catch (error) {
+      console.error('Error fetching DM relay list:', error);
+      return cached?.relays || [];
     }
+  }
+
+  async loadDMInboxRelays() {
+    if (!this.publicKey) return;
+    
+    this.dmInboxRelays = await this.getDMRelays(this.publicKey);
+    console.log(`📥 DM inbox relays: ${this.dmInboxRelays.length > 0 ? this.dmInboxRelays.join(', ') : 'none published'}`);
+  }
 
+  async publishDMRelayList(relays) {
     try {
-      // Encrypt the message using NIP-04
-      const encryptedContent = await nip04.encrypt(this.privateKey, recipientPubkey, content);
+      const event = await this.publishEvent({
+        kind: EVENT_KINDS.DM_RELAY_LIST,
+        tags: relays.map(url => ['relay', url]),
+        content: ''
+      });
       
-      // Create the encrypted direct message event
-      const event = {
-        kind: 4, // NIP-04 encrypted direct message
-        created_at: Math.floor(Date.now() / 1000),
-        tags: [['p', recipientPubkey]],
-        content: encryptedContent,
-      };
+      this.dmInboxRelays = [...relays];
+      this.dmRelayLists.set(this.publicKey, { relays: [...relays], fetchedAt: Date.now() });
+      console.log(`📥 Published ${relays.length} DM inbox relays`);
+      return event;
+    } catch (error) {
+      console.error('Error publishing DM relay list:', error);
+      throw error;
+    }
+  }
 
-      const signedEvent = finalizeEvent(event, this.privateKey);
+  async sendPrivateMessage(recipientPubkey, content, options = {}) {
+    if (!this.canSign()) {
+      throw new Error('No signer available for encryption');
+    }
+
+    try {
+      const { rumor, recipientWrap, selfWrap } = await this.createGiftWrappedMessage(recipientPubkey, content);
+      
+      // The rumor is the message both sides see; its id and timestamp are stable, the wraps' aren't
+      if (options.onSigned) {
+        options.onSigned(rumor);
+      }
+      
+      // NIP-17 wants the recipient's inbox relays; without a published list ours are the best guess
+      const inbox = await this.getDMRelays(recipientPubkey);
+      const relays = inbox.length > 0
+        ? await relayManager.ensureOpen(inbox)
+        : Array.from(this.connectedRelays);
+      const selfCopy = {
+        event: selfWrap,
+        relays: this.dmInboxRelays.length > 0 ? this.dmInboxRelays : null
+      };
+      
+      // Publish to relays and wait for the quorum to accept it; park it in the outbox if we're offline
+      await this.publishOrQueue(recipientWrap, relays, {
+        ...options,
+        outbox: {
+          type: 'dm',
+          id: rumor.id,
+          createdAt: rumor.created_at,
+          conversationKey: `dm:${recipientPubkey}`,
+          target: recipientPubkey,
+          content,
+          relays: inbox.length > 0 ? inbox : null,
+          copies: [selfCopy]
+        }
+      });
+      
+      this.attachDelivery(rumor, recipientWrap.delivery);
+      
+      if (rumor.delivery?.state === DELIVERY_STATES.QUEUED) {
+        console.log('📮 Private message queued until relays are reachable:', recipientPubkey.substring(0, 8) + '...');
+        return rumor;
+      }
       
-      // Publish to relays
-      await this.pool.publish(Array.from(this.connectedRelays), signedEvent);
+      await this.publishCopies([selfCopy]);
+      await this.cacheSentPrivateMessage(rumor, content, recipientPubkey);
       
+      console.log('Private message sent and cached:', recipientPubkey.substring(0, 8) + '...');
+      return rumor;
+    } catch (error) {
+      console.error('Error sending private message:', error);
+      throw error;
+    }
+  }
+
+  async cacheSentPrivateMessage(sentMessage, content, recipientPubkey) {
+    try {
       // Create message object for cache update
       const newMessage = {
-        id: signedEvent.id,
+        id: sentMessage.id,
         content: content,
         author: this.publicKey,
         recipient: recipientPubkey,
-        timestamp: signedEvent.created_at,
-        isFromMe: true
+        timestamp: sentMessage.created_at,
+        isFromMe: true,
+        protocol: DM_PROTOCOLS.NIP17
       };
 
       // Update cache with new message (for real-time updates with proper unread count)
       await this.updateConversationCacheWithNewMessage(newMessage, recipientPubkey);
-      
-      console.log('Private message sent and cached:', recipientPubkey.substring(0, 8) + '...');
-      return signedEvent;
     } catch (error) {
-      console.error('Error sending private message:', error);
-      throw error;
+      console.error('Error caching sent private message:', error);
+    }
+  }
+
+  // Legacy NIP-04 kind 4 message, for history sent before the move to NIP-17
+  async decryptLegacyPrivateMessage(event) {
+    const isFromMe = event.pubkey === this.publicKey;
+    let otherPubkey = event.pubkey;
+    
+    if (isFromMe) {
+      // Message sent by me, find recipient
+      const pTag = event.tags.find(tag => tag[0] === 'p');
+      if (!pTag) return null;
+      otherPubkey = pTag[1];
     }
+    
+    const decryptedContent = await this.getSigner().nip04Decrypt(otherPubkey, event.content);
+    
+    return {
+      otherPubkey,
+      message: {
+        id: event.id,
+        content: decryptedContent,
+        author: event.pubkey,
+        recipient: isFromMe ? otherPubkey : this.publicKey,
+        timestamp: event.created_at,
+        isFromMe: isFromMe,
+        protocol: DM_PROTOCOLS.NIP04
+      }
+    };
   }
 
   async getPrivateConversations() {
@@ -1669,15 +3139,15 @@ class NostrService {
 
       console.log('🌐 Fetching private conversations from network...');
 
-      // Query for both sent and received DMs
+      // Query for both sent and received legacy DMs
       const sentEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
-        kinds: [4],
+        kinds: [EVENT_KINDS.ENCRYPTED_DM],
         authors: [this.publicKey],
         limit: 1000
       });
 
       const receivedEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
-        kinds: [4],
+        kinds: [EVENT_KINDS.ENCRYPTED_DM],
         '#p': [this.publicKey],
         limit: 1000
       });
@@ -1685,55 +3155,41 @@ class NostrService {
       // Combine and process messages
       const allEvents = [...sentEvents, ...receivedEvents];
       const conversations = new Map();
+      
+      const addToConversation = ({ otherPubkey, message }) => {
+        if (!conversations.has(otherPubkey)) {
+          conversations.set(otherPubkey, {
+            pubkey: otherPubkey,
+            messages: [],
+            lastMessage: null,
+            unreadCount: 0
+          });
+        }
+
+        const conversation = conversations.get(otherPubkey);
+        conversation.messages.push(message);
+        
+        // Update last message if this is newer
+        if (!conversation.lastMessage || message.timestamp > conversation.lastMessage.timestamp) {
+          conversation.lastMessage = message;
+        }
+      };
 
       for (const event of allEvents) {
         try {
-          let otherPubkey;
-          let isFromMe = event.pubkey === this.publicKey;
-          
-          if (isFromMe) {
-            // Message sent by me, find recipient
-            const pTag = event.tags.find(tag => tag[0] === 'p');
-            if (!pTag) continue;
-            otherPubkey = pTag[1];
-          } else {
-            // Message received by me
-            otherPubkey = event.pubkey;
-          }
-
-          // Decrypt message
-          const decryptedContent = await nip04.decrypt(this.privateKey, otherPubkey, event.content);
-          
-          const message = {
-            id: event.id,
-            content: decryptedContent,
-            author: event.pubkey,
-            recipient: isFromMe ? otherPubkey : this.publicKey,
-            timestamp: event.created_at,
-            isFromMe: isFromMe
-          };
-
-          if (!conversations.has(otherPubkey)) {
-            conversations.set(otherPubkey, {
-              pubkey: otherPubkey,
-              messages: [],
-              lastMessage: null,
-              unreadCount: 0
-            });
-          }
-
-          const conversation = conversations.get(otherPubkey);
-          conversation.messages.push(message);
-          
-          // Update last message if this is newer
-          if (!conversation.lastMessage || message.timestamp > conversation.lastMessage.timestamp) {
-            conversation.lastMessage = message;
+          const legacy = await this.decryptLegacyPrivateMessage(event);
+          if (legacy) {
+            addToConversation(legacy);
           }
         } catch (decryptError) {
           console.warn('Failed to decrypt message:', decryptError);
           // Skip messages that can't be decrypted
         }
       }
+      
+      // NIP-17 gift-wrapped messages, both received and our own copies of sent ones
+      const giftWrapped = await this.fetchGiftWrappedMessages();
+      giftWrapped.forEach(addToConversation);
 
       // Sort messages in each conversation and calculate unread count
       const conversationsList = [];
@@ -1779,7 +3235,7 @@ class NostrService {
   }
 
   async getPrivateMessages(contactPubkey, limit = 100) {
-    if (!this.publicKey || !this.privateKey) {
+    if (!this.publicKey || !this.canSign()) {
       throw new Error('No keys available');
     }
 
@@ -1793,16 +3249,16 @@ class NostrService {
 
       console.log(`🌐 Fetching messages from network for ${contactPubkey.substring(0, 8)}...`);
 
-      // Query for messages between me and the contact
+      // Query for legacy messages between me and the contact
       const sentEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
-        kinds: [4],
+        kinds: [EVENT_KINDS.ENCRYPTED_DM],
         authors: [this.publicKey],
         '#p': [contactPubkey],
         limit: limit
       });
 
       const receivedEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
-        kinds: [4],
+        kinds: [EVENT_KINDS.ENCRYPTED_DM],
         authors: [contactPubkey],
         '#p': [this.publicKey],
         limit: limit
@@ -1813,19 +3269,20 @@ class NostrService {
 
       for (const event of allEvents) {
         try {
-          const decryptedContent = await nip04.decrypt(this.privateKey, contactPubkey, event.content);
-          
-          messages.push({
-            id: event.id,
-            content: decryptedContent,
-            author: event.pubkey,
-            timestamp: event.created_at,
-            isFromMe: event.pubkey === this.publicKey
-          });
+          const legacy = await this.decryptLegacyPrivateMessage(event);
+          if (legacy) {
+            messages.push(legacy.message);
+          }
         } catch (decryptError) {
           console.warn('Failed to decrypt message:', decryptError);
         }
       }
+      
+      // Gift wraps can't be filtered by sender on the relay, so pick this contact's out locally
+      const giftWrapped = await this.fetchGiftWrappedMessages();
+      giftWrapped
+        .filter(parsed => parsed.otherPubkey === contactPubkey)
+        .forEach(parsed => messages.push(parsed.message));
 
       // Sort by timestamp
       messages.sort((a, b) => a.timestamp - b.timestamp);
@@ -1847,29 +3304,38 @@ class NostrService {
     }
 
     const subscriptionId = `dm_${contactPubkey}`;
+    const since = Math.floor(Date.now() / 1000);
     
     // Subscribe to new messages from contact
-    const sub = this.pool.subscribeMany(Array.from(this.connectedRelays), [
+    const sub = this.pool.subscribeMany(this.getDMReadRelays(), [
       {
-        kinds: [4],
+        kinds: [EVENT_KINDS.ENCRYPTED_DM],
         authors: [contactPubkey],
         '#p': [this.publicKey],
-        since: Math.floor(Date.now() / 1000)
+        since
+      },
+      {
+        kinds: [EVENT_KINDS.GIFT_WRAP],
+        '#p': [this.publicKey],
+        since: since - GIFT_WRAP_MAX_SKEW
       }
     ], {
       onevent: async (event) => {
         try {
-          const decryptedContent = await nip04.decrypt(this.privateKey, contactPubkey, event.content);
+          if (event.kind === EVENT_KINDS.GIFT_WRAP) {
+            const parsed = this.parsePrivateMessageRumor(await this.unwrapGiftWrap(event));
+            
+            // Backdated wraps bring old messages along; only surface ones written since we subscribed
+            if (parsed && parsed.otherPubkey === contactPubkey && parsed.message.timestamp >= since) {
+              onNewMessage(parsed.message);
+            }
+            return;
+          }
           
-          const message = {
-            id: event.id,
-            content: decryptedContent,
-            author: event.pubkey,
-            timestamp: event.created_at,
-            isFromMe: false
-          };
-
-          onNewMessage(message);
+          const legacy = await this.decryptLegacyPrivateMessage(event);
+          if (legacy) {
+            onNewMessage(legacy.message);
+          }
         } catch (error) {
           console.error('Error decrypting new private message:', error);
         }
@@ -1895,7 +3361,7 @@ class NostrService {
       console.log(`🌐 Fetching profile from network for ${pubkey.substring(0, 8)}...`);
       
       // Query for user profile metadata (kind 0)
-      const profileEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
+      const profileEvents = await this.pool.querySync(await this.getAuthorRelays(pubkey), {
         kinds: [0],
         authors: [pubkey],
         limit: 1
@@ -1938,7 +3404,7 @@ class NostrService {
       console.log(`🌐 Fetching following list from network for ${pubkey.substring(0, 8)}...`);
       
       // Query for contact list (kind 3)
-      const contactEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
+      const contactEvents = await this.pool.querySync(await this.getAuthorRelays(pubkey), {
         kinds: [3],
         authors: [pubkey],
         limit: 1
@@ -2034,9 +3500,8 @@ class NostrService {
       }
 
       // Query for missing profiles from network
-      const profileEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
+      const profileEvents = await this.queryByAuthors(missingPubkeys, {
         kinds: [0],
-        authors: missingPubkeys,
         limit: missingPubkeys.length * 2
       });
 
@@ -2096,10 +3561,9 @@ class NostrService {
 
       console.log(`🌐 Fetching feed from network (${followingPubkeys.length} followed users)...`);
       
-      // Query for text notes (kind 1) from followed users
-      const feedEvents = await this.pool.querySync(Array.from(this.connectedRelays), {
+      // Query for text notes (kind 1) from followed users, on their outbox relays too
+      const feedEvents = await this.queryByAuthors(followingPubkeys, {
         kinds: [1], // Text notes
-        authors: followingPubkeys,
         limit: limit,
         since: Math.floor(Date.now() / 1000) - (7 * 24 * 60 * 60) // Last 7 days
       });
@@ -2153,13 +3617,23 @@ class NostrService {
     
     console.log(`🔄 Subscribing to feed posts from ${followingPubkeys.length} users...`);
     
-    const subscription = this.pool.subscribeMany(Array.from(this.connectedRelays), [
-      {
-        kinds: [1], // Text notes
-        authors: followingPubkeys,
-        since: Math.floor(Date.now() / 1000) // Only new posts from now
-      }
-    ], {
+    const filter = {
+      kinds: [1], // Text notes
+      since: Math.floor(Date.now() / 1000) // Only new posts from now
+    };
+    
+    // Our relays get everyone; outbox relays from relay lists already looked up (e.g. by
+    // getFeedPosts) only get the authors who write there
+    const connected = Array.from(this.connectedRelays);
+    const requests = connected.map(url => ({ url, filter: { ...filter, authors: followingPubkeys } }));
+    const plan = relayListService.planAuthorRelays(followingPubkeys);
+    const outboxRelays = Array.from(plan.keys()).filter(url => !connected.includes(url));
+    relayListService.openRelays(outboxRelays).catch(() => {});
+    outboxRelays.forEach(url => {
+      requests.push({ url, filter: { ...filter, authors: plan.get(url) } });
+    });
+    
+    const subscription = this.pool.subscribeMap(requests, {
       onevent: (event) => {
         console.log(`📝 New feed post received from ${event.pubkey.substring(0, 8)}...`);
         
@@ -2194,15 +3668,35 @@ class NostrService {
     
     console.log(`🔄 Subscribing to all private messages for user ${this.publicKey.substring(0, 8)}...`);
     
-    const subscription = this.pool.subscribeMany(Array.from(this.connectedRelays), [
+    const since = Math.floor(Date.now() / 1000);
+    const subscription = this.pool.subscribeMany(this.getDMReadRelays(), [
       {
-        kinds: [4], // Encrypted direct messages
+        kinds: [EVENT_KINDS.ENCRYPTED_DM], // Legacy NIP-04 DMs (group invitations still use these)
         '#p': [this.publicKey], // Messages sent to me
-        since: Math.floor(Date.now() / 1000) // Only new messages from now
+        since // Only new messages from now
+      },
+      {
+        kinds: [EVENT_KINDS.GIFT_WRAP], // NIP-17 DMs
+        '#p': [this.publicKey],
+        since: since - GIFT_WRAP_MAX_SKEW
       }
     ], {
       onevent: async (event) => {
         try {
+          if (event.kind === EVENT_KINDS.GIFT_WRAP) {
+            const parsed = this.parsePrivateMessageRumor(await this.unwrapGiftWrap(event));
+            
+            // Skip our own copies and messages older than this subscription
+            if (!parsed || parsed.message.isFromMe || parsed.message.timestamp < since) {
+              return;
+            }
+            
+            console.log(`💬 New private message received from ${parsed.otherPubkey.substring(0, 8)}...`);
+            await this.updateConversationCacheWithNewMessage(parsed.message, parsed.otherPubkey);
+            onNewMessage(parsed.message, parsed.otherPubkey);
+            return;
+          }
+          
           console.log(`💬 New private message received from ${event.pubkey.substring(0, 8)}...`);
           
           // Check if this is a group invitation by looking at tags
@@ -2212,7 +3706,7 @@ class NostrService {
           );
           
           // Decrypt the message
-          const decryptedContent = await nip04.decrypt(this.privateKey, event.pubkey, event.content);
+          const decryptedContent = await this.getSigner().nip04Decrypt(event.pubkey, event.content);
           
           // Handle group invitations separately
           if (isGroupInvitation) {
@@ -2226,7 +3720,8 @@ class NostrService {
             author: event.pubkey,
             recipient: this.publicKey,
             timestamp: event.created_at,
-            isFromMe: false
+            isFromMe: false,
+            protocol: DM_PROTOCOLS.NIP04
           };
           
           // Update cache with new message for real-time updates (with proper unread count)
@@ -2435,13 +3930,13 @@ class NostrService {
     try {
       console.log('🔍 NostrService.likePost called with:', { postId, authorPubkey });
       console.log('🔍 Service state:', { 
-        hasPrivateKey: !!this.privateKey, 
+        canSign: this.canSign(), 
         isConnected: this.isConnected,
         connectedRelays: this.connectedRelays.size 
       });
       
-      if (!this.privateKey) {
-        throw new Error('No private key available for liking posts');
+      if (!this.canSign()) {
+        throw new Error('No signer available for liking posts');
       }
 
       if (!this.isConnected || this.connectedRelays.size === 0) {
@@ -2479,8 +3974,8 @@ class NostrService {
     try {
       console.log('🔍 NostrService.unlikePost called with:', { postId, authorPubkey });
       
-      if (!this.privateKey) {
-        throw new Error('No private key available for unliking posts');
+      if (!this.canSign()) {
+        throw new Error('No signer available for unliking posts');
       }
 
       if (!this.isConnected || this.connectedRelays.size === 0) {
@@ -2532,8 +4027,8 @@ class NostrService {
 
   async repostPost(postId, authorPubkey, content = '') {
     try {
-      if (!this.privateKey) {
-        throw new Error('No private key available for reposting');
+      if (!this.canSign()) {
+        throw new Error('No signer available for reposting');
       }
 
       console.log(`Reposting post ${postId}...`);
@@ -2568,8 +4063,8 @@ class NostrService {
 
   async replyToPost(postId, authorPubkey, content) {
     try {
-      if (!this.privateKey) {
-        throw new Error('No private key available for replying');
+      if (!this.canSign()) {
+        throw new Error('No signer available for replying');
       }
 
       if (!content || !content.trim()) {
@@ -2608,8 +4103,8 @@ class NostrService {
 
   async createTextNote(content) {
     try {
-      if (!this.privateKey) {
-        throw new Error('No private key available for posting');
+      if (!this.canSign()) {
+        throw new Error('No signer available for posting');
       }
 
       if (!content || !content.trim()) {
@@ -2832,8 +4327,8 @@ class NostrService {
   // Follow/Unfollow methods
   async followUser(targetPubkey) {
     try {
-      if (!this.privateKey) {
-        throw new Error('No private key available for following users');
+      if (!this.canSign()) {
+        throw new Error('No signer available for following users');
       }
 
       console.log(`👤 Following user ${targetPubkey.substring(0, 8)}...`);
@@ -2876,8 +4371,8 @@ class NostrService {
 
   async unfollowUser(targetPubkey) {
     try {
-      if (!this.privateKey) {
-        throw new Error('No private key available for unfollowing users');
+      if (!this.canSign()) {
+        throw new Error('No signer available for unfollowing users');
       }
 
       console.log(`👤 Unfollowing user ${targetPubkey.substring(0, 8)}...`);
@@ -2922,9 +4417,9 @@ class NostrService {
   async invalidateInteractionCaches(postId) {
     try {
       // Invalidate all caches related to interactions
-      const interactionCacheKey = `cache_interactions_${postId}`;
-      const userLikesCacheKey = 'cache_user_likes';
-      const userRepostsCacheKey = 'cache_user_reposts';
+      const interactionCacheKey = cacheService.accountKey(`cache_interactions_${postId}`);
+      const userLikesCacheKey = cacheService.accountKey('cache_user_likes');
+      const userRepostsCacheKey = cacheService.accountKey('cache_user_reposts');
       
       // Remove from memory cache
       cacheService.memoryCache.delete(interactionCacheKey);
@@ -2971,15 +4466,13 @@ class NostrService {
     try {
       console.log('🏛️ ==> QUERYING NIP-29 GROUPS FROM RELAYS...');
       
-      // Get NIP-29 relays from storage
-      const nip29RelaysStored = await AsyncStorage.getItem('nip29_relays');
-      const nip29Relays = nip29RelaysStored ? JSON.parse(nip29RelaysStored) : NIP29_RELAYS;
+      // Get open NIP-29 relays
+      const nip29Relays = await this.getNIP29Relays();
       
-      console.log('💾 NIP-29 relays from storage:', nip29RelaysStored);
       console.log('🔗 Using NIP-29 relays:', nip29Relays);
       
       if (nip29Relays.length === 0) {
-        console.log('❌ No NIP-29 relays configured, returning empty array');
+        console.log('❌ No NIP-29 relays connected, returning empty array');
         return [];
       }
       
@@ -3112,7 +4605,7 @@ class NostrService {
         return;
       }
       
-      const nip29Relays = NIP29_RELAYS;
+      const nip29Relays = await this.getNIP29Relays();
       
       const groupQuery = this.pool.subscribeMany(
         nip29Relays,
@@ -3232,7 +4725,8 @@ class NostrService {
   }
 
   // NIP-29 Group Joining Methods
-  async joinNIP29Group(groupId) {
+  // inviteCode: a code from the group's create-invite (9009), for closed groups
+  async joinNIP29Group(groupId, { inviteCode = null } = {}) {
     try {
       console.log(`🏛️ Sending join request for NIP-29 group: ${groupId}`);
       
@@ -3263,14 +4757,13 @@ class NostrService {
         await this.initialize();
       }
       
-      // Get NIP-29 relays from storage
-      const nip29RelaysStored = await AsyncStorage.getItem('nip29_relays');
-      const nip29Relays = nip29RelaysStored ? JSON.parse(nip29RelaysStored) : NIP29_RELAYS;
+      // Get open NIP-29 relays
+      const nip29Relays = await this.getNIP29Relays();
       
       console.log(`📡 Using NIP-29 relays:`, nip29Relays);
       
       if (nip29Relays.length === 0) {
-        throw new Error('No NIP-29 relays configured');
+        throw new Error('No NIP-29 relays connected');
       }
       
       // Create NIP-29 join request event (kind 9021)
@@ -3282,64 +4775,40 @@ class NostrService {
         ],
         content: '' // Empty content for join requests
       };
+      if (inviteCode) {
+        joinEvent.tags.push(['code', inviteCode]);
+      }
       
       console.log(`📝 Created join event:`, joinEvent);
       
-      // Convert private key to proper format for finalizeEvent
-      if (!this.privateKey) {
-        throw new Error('No private key available for signing');
+      if (!this.canSign()) {
+        throw new Error('No signer available for signing');
       }
       
-      const privateKeyBytes = new Uint8Array(
-        this.privateKey.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-      );
-      
       // Sign and publish to NIP-29 relays
-      const finalEvent = finalizeEvent(joinEvent, privateKeyBytes);
+      const finalEvent = await this.signEventTemplate(joinEvent);
       
       console.log(`✍️ Signed join event:`, finalEvent.id);
       
-      let successCount = 0;
-      const publishPromises = [];
-      
-      for (const relay of nip29Relays) {
-        try {
-          console.log(`📤 Publishing join request to ${relay}...`);
-          const publishPromise = this.pool.publish([relay], finalEvent);
-          publishPromises.push(publishPromise);
-          console.log(`✅ Join request sent to ${relay}`);
-          successCount++;
-        } catch (relayError) {
-          console.warn(`⚠️ Failed to send join request to ${relay}:`, relayError.message);
-        }
-      }
+      // The relay manager answers NIP-42 AUTH challenges and sends the request again
+      const results = await relayManager.publish(nip29Relays, finalEvent);
+      results.forEach(result => {
+        console.log(`📤 Join request to ${result.relay}: ${result.status}${result.message ? ` (${result.message})` : ''}`);
+      });
       
-      // Wait for all publish attempts to complete
-      try {
-        const results = await Promise.allSettled(publishPromises);
-        console.log(`📊 All publish attempts completed:`, results);
-        
-        // Check if any result indicates we're already a member
-        const alreadyMemberError = results.find(result => 
-          result.status === 'rejected' && 
-          result.reason?.message?.includes('already a member')
-        );
-        
-        if (alreadyMemberError) {
-          console.log(`✅ Already a member of group ${cleanGroupId}`);
-          return { alreadyMember: true, event: finalEvent };
-        }
-        
-      } catch (publishError) {
-        // Check if the error indicates we're already a member
-        if (publishError.message?.includes('already a member')) {
-          console.log(`✅ Already a member of group ${cleanGroupId}`);
-          return { alreadyMember: true, event: finalEvent };
-        }
-        console.warn(`⚠️ Some publish attempts failed:`, publishError);
+      // Relays answer OK false with "already a member" when we're in the group already
+      if (results.some(result => result.message?.includes('already a member'))) {
+        console.log(`✅ Already a member of group ${cleanGroupId}`);
+        return { alreadyMember: true, event: finalEvent };
       }
       
+      // A relay that didn't answer in time may still have taken the request
+      const successCount = results.filter(result => result.status !== PUBLISH_STATUS.REJECTED).length;
       if (successCount === 0) {
+        const authRefusals = results.filter(result => relayManager.isAuthRequired(result));
+        if (authRefusals.length > 0) {
+          throw this.createAuthRequiredError(authRefusals, { event: finalEvent });
+        }
         throw new Error('Failed to send join request to any NIP-29 relay');
       }
       
@@ -3357,18 +4826,56 @@ class NostrService {
   }
 
 
+  // NIP-29 leave request (kind 9022); the group is forgotten locally either way
+  async leaveNIP29Group(groupId) {
+    try {
+      const nip29Relays = await this.getNIP29Relays();
+      if (nip29Relays.length === 0) {
+        throw new Error('No NIP-29 relays connected');
+      }
+      
+      const leaveEvent = await this.signEventTemplate({
+        kind: 9022, // NIP-29 leave request
+        tags: [['h', groupId]],
+        content: ''
+      });
+      
+      const results = await relayManager.publish(nip29Relays, leaveEvent);
+      const accepted = results.filter(result => result.status === PUBLISH_STATUS.ACCEPTED).length;
+      console.log(`👋 Leave request for group ${groupId} accepted by ${accepted}/${results.length} relay(s)`);
+      
+      await this.removeJoinedNIP29Group(groupId);
+      return leaveEvent;
+    } catch (error) {
+      console.error('Error leaving NIP-29 group:', error);
+      throw error;
+    }
+  }
+
+  async removeJoinedNIP29Group(groupId) {
+    try {
+      const joinedGroups = await this.getJoinedNIP29Groups();
+      await AsyncStorage.setItem(
+        accountService.key(STORAGE_KEYS.JOINED_NIP29_GROUPS),
+        JSON.stringify(joinedGroups.filter(id => id !== groupId))
+      );
+    } catch (error) {
+      console.error('Error removing joined NIP-29 group:', error);
+    }
+  }
+
   // Local storage for joined NIP-29 groups
   async storeJoinedNIP29Group(groupId) {
     try {
       console.log(`💾 Storing joined NIP-29 group: ${groupId}`);
       
-      const existingGroups = await AsyncStorage.getItem('joined_nip29_groups');
+      const existingGroups = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.JOINED_NIP29_GROUPS));
       const joinedGroups = existingGroups ? JSON.parse(existingGroups) : [];
       
       // Add the group if not already stored
       if (!joinedGroups.includes(groupId)) {
         joinedGroups.push(groupId);
-        await AsyncStorage.setItem('joined_nip29_groups', JSON.stringify(joinedGroups));
+        await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.JOINED_NIP29_GROUPS), JSON.stringify(joinedGroups));
         console.log(`✅ Stored joined group ${groupId}, total: ${joinedGroups.length}`);
       } else {
         console.log(`📝 Group ${groupId} already stored`);
@@ -3380,7 +4887,7 @@ class NostrService {
 
   async getJoinedNIP29Groups() {
     try {
-      const existingGroups = await AsyncStorage.getItem('joined_nip29_groups');
+      const existingGroups = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.JOINED_NIP29_GROUPS));
       const joinedGroups = existingGroups ? JSON.parse(existingGroups) : [];
       console.log(`📋 Retrieved ${joinedGroups.length} joined NIP-29 groups from storage:`, joinedGroups);
       return joinedGroups;
@@ -3479,7 +4986,7 @@ class NostrService {
     try {
       console.log(`🔍 Fetching metadata for NIP-29 group: ${groupId}`);
       
-      const nip29Relays = NIP29_RELAYS;
+      const nip29Relays = await this.getNIP29Relays();
       
       return new Promise((resolve, reject) => {
         let metadata = {};
@@ -3597,108 +5104,31 @@ class NostrService {
   }
 
   // NIP-29 Group Messaging Methods
-  async queryNIP29GroupMessages(groupId, limit = 100) {
-    try {
-      console.log(`🏛️ Querying NIP-29 group messages for group: ${groupId}`);
-      
-      // Get NIP-29 relays from storage
-      const nip29RelaysStored = await AsyncStorage.getItem('nip29_relays');
-      const nip29Relays = nip29RelaysStored ? JSON.parse(nip29RelaysStored) : NIP29_RELAYS;
-      
-      if (nip29Relays.length === 0) {
-        console.log('❌ No NIP-29 relays configured');
-        return [];
-      }
-      
-      return new Promise((resolve) => {
-        const messages = [];
-        let timeoutId;
-        
-        // Query for NIP-29 group messages (kind 9)
-        const filters = {
-          kinds: [9], // NIP-29 group messages
-          '#h': [groupId], // group reference tag
-          limit: limit
-        };
-        
-        console.log('🔍 NIP-29 message query filters:', filters);
-        
-        const subscription = this.pool.subscribeMany(
-          nip29Relays,
-          [filters],
-          {
-            onevent: (event) => {
-              try {
-                console.log('📨 Found NIP-29 message:', event.id.substring(0, 16) + '...');
-                
-                // Parse the message event
-                const message = {
-                  id: event.id,
-                  author: event.pubkey,
-                  content: event.content,
-                  timestamp: event.created_at,
-                  type: 'normal',
-                  protocol: 'nip29',
-                  groupId: groupId,
-                  tags: event.tags || []
-                };
-                
-                // Check for reply references
-                const replyTag = event.tags?.find(tag => tag[0] === 'e' && tag[3] === 'reply');
-                if (replyTag) {
-                  message.replyTo = replyTag[1];
-                }
-                
-                messages.push(message);
-                
-              } catch (error) {
-                console.error('Error processing NIP-29 message:', error);
-              }
-            },
-            oneose: () => {
-              console.log('📨 End of NIP-29 messages, found:', messages.length);
-              if (timeoutId) {
-                clearTimeout(timeoutId);
-              }
-              subscription.close();
-              
-              // Sort messages by timestamp
-              messages.sort((a, b) => a.timestamp - b.timestamp);
-              
-              console.log('✅ Returning', messages.length, 'NIP-29 messages');
-              resolve(messages);
-            }
-          }
-        );
-        
-        // Set timeout to prevent hanging
-        timeoutId = setTimeout(() => {
-          console.log('⏰ NIP-29 message query timeout');
-          subscription.close();
-          messages.sort((a, b) => a.timestamp - b.timestamp);
-          resolve(messages);
-        }, 10000);
-      });
-      
-    } catch (error) {
-      console.error('Error querying NIP-29 group messages:', error);
-      return [];
-    }
+  async queryNIP29GroupMessages(groupId, limit = HISTORY_CONFIG.PAGE_SIZE, until = null) {
+    const page = await this.queryChannelHistory(groupId, { protocol: 'nip29', limit, until });
+    return page.messages;
   }
 
   subscribeToNIP29Group(groupId, onMessage, onModeration) {
     console.log(`🏛️ Setting up real-time subscription for NIP-29 group: ${groupId}`);
     
     const filters = {
-      kinds: [9, 9001, 9002, 9003], // Messages and moderation events
+      kinds: [EVENT_KINDS.GROUP_MESSAGE, ...NIP29_MODERATION_KINDS, EVENT_KINDS.REACTION, EVENT_KINDS.DELETE], // Messages, moderation events and reactions
       '#h': [groupId], // group reference tag
       since: Math.floor(Date.now() / 1000) // Only new messages from now
     };
     
+    // Metadata, admin, member and role lists the relay republishes after every change
+    const roleFilters = {
+      kinds: [EVENT_KINDS.GROUP_METADATA, EVENT_KINDS.GROUP_ADMINS, EVENT_KINDS.GROUP_MEMBERS, EVENT_KINDS.GROUP_ROLES],
+      '#d': [groupId],
+      since: Math.floor(Date.now() / 1000)
+    };
+    
     console.log('🔍 NIP-29 subscription filters:', filters);
     
-    // Use NIP-29 relays instead of regular relays
-    const nip29Relays = NIP29_RELAYS;
+    // Use open NIP-29 relays instead of regular relays
+    const nip29Relays = relayManager.getOpenRelays(this.nip29RelayUrls);
     console.log('📡 Subscribing to NIP-29 relays:', nip29Relays);
     
     const subscriptionId = Math.random().toString(36).substring(2, 8);
@@ -3706,12 +5136,20 @@ class NostrService {
     
     const subscription = this.pool.subscribeMany(
       nip29Relays,
-      [filters],
+      [filters, roleFilters],
       {
         onevent: async (event) => {
           console.log(`📨 NIP-29 event received [${subscriptionId}]:`, event.kind, event.id.substring(0, 8));
           
           switch (event.kind) {
+            case EVENT_KINDS.GROUP_METADATA: // flags become channel modes
+            case EVENT_KINDS.GROUP_ADMINS:
+            case EVENT_KINDS.GROUP_MEMBERS:
+            case EVENT_KINDS.GROUP_ROLES:
+              channelRoleService.applyGroupList(groupId, event);
+              break;
+              
+
             case 9: // NIP-29 group message
               if (onMessage) {
                 console.log('📨 Processing new NIP-29 message in real-time');
@@ -3737,14 +5175,27 @@ class NostrService {
               }
               break;
               
-            case 9001: // NIP-29 kick
-            case 9002: // NIP-29 ban
-            case 9003: // NIP-29 admin action
-              if (onModeration) {
-                console.log('🛡️ NIP-29 moderation event received');
-                onModeration(event);
+            case EVENT_KINDS.REACTION:
+              reactionService.applyEvent(groupId, event);
+              break;
+              
+            case EVENT_KINDS.DELETE: // Reactions being taken back
+              reactionService.applyDeletion(event);
+              break;
+              
+            case EVENT_KINDS.GROUP_PUT_USER:
+            case EVENT_KINDS.GROUP_REMOVE_USER:
+            case EVENT_KINDS.GROUP_EDIT_METADATA:
+            case EVENT_KINDS.GROUP_DELETE_EVENT:
+            case EVENT_KINDS.GROUP_DELETE: {
+              // The relay only passes on the ones it accepted from an admin
+              const moderation = nostrUtils.parseGroupModerationEvent(event);
+              if (moderation && onModeration) {
+                console.log(`🛡️ NIP-29 ${moderation.action} received`);
+                onModeration(moderation);
               }
               break;
+            }
           }
         },
         oneose: () => {
@@ -3763,179 +5214,187 @@ class NostrService {
     };
   }
 
-  async sendNIP29GroupMessage(groupId, message, replyTo = null) {
+  createNIP29MessageTemplate(groupId, message, replyTo = null, messageType = null) {
+    // Create NIP-29 group message event (kind 9)
+    const messageEvent = {
+      kind: 9, // NIP-29 group message  
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [
+        ['h', groupId], // group reference (NIP-29 standard)
+      ],
+      content: message
+      // Note: pubkey will be added by the signer
+    };
+    
+    if (replyTo) {
+      messageEvent.tags.push(['e', replyTo, '', 'reply']);
+    }
+    
+    // Same marker channel messages use, e.g. for /me actions
+    if (messageType) {
+      messageEvent.tags.push(['message_type', messageType]);
+    }
+    
+    return messageEvent;
+  }
+
+  async sendNIP29GroupMessage(groupId, message, replyTo = null, options = {}) {
     try {
       console.log('🏛️ Sending NIP-29 group message...');
       
-      // Get NIP-29 relays from storage
-      const nip29RelaysStored = await AsyncStorage.getItem('nip29_relays');
-      const nip29Relays = nip29RelaysStored ? JSON.parse(nip29RelaysStored) : NIP29_RELAYS;
+      // Get open NIP-29 relays
+      const nip29Relays = await this.getNIP29Relays();
       
-      if (nip29Relays.length === 0) {
+      // Nothing to wait for if no NIP-29 relay is configured at all
+      if (this.nip29RelayUrls.length === 0) {
         throw new Error('No NIP-29 relays configured');
       }
       
-      // Create NIP-29 group message event (kind 9)
-      const messageEvent = {
-        kind: 9, // NIP-29 group message  
-        created_at: Math.floor(Date.now() / 1000),
-        tags: [
-          ['h', groupId], // group reference (NIP-29 standard)
-        ],
-        content: message
-        // Note: pubkey will be added by finalizeEvent
-      };
-      
-      if (replyTo) {
-        messageEvent.tags.push(['e', replyTo, '', 'reply']);
-      }
-      
-      // Convert private key to proper format for finalizeEvent
-      if (!this.privateKey) {
-        throw new Error('No private key available for signing');
+      if (!this.canSign()) {
+        throw new Error('No signer available for signing');
       }
       
-      const privateKeyBytes = new Uint8Array(
-        this.privateKey.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
+      const template = await this.applyProofOfWork(
+        this.createNIP29MessageTemplate(groupId, message, replyTo, options.messageType), nip29Relays, options
       );
+      const finalEvent = await this.signEventTemplate(template);
       
-      // Publish to NIP-29 relays
-      const finalEvent = finalizeEvent(messageEvent, privateKeyBytes);
-      
-      let successCount = 0;
-      let lastError = null;
-      
-      for (const relay of nip29Relays) {
-        try {
-          this.pool.publish([relay], finalEvent);
-          console.log(`✅ NIP-29 message sent to ${relay}`);
-          successCount++;
-        } catch (relayError) {
-          console.warn(`⚠️ Failed to send to ${relay}:`, relayError.message);
-          lastError = relayError;
-        }
-      }
-      
-      // If no relays succeeded, fail with clear error message
-      if (successCount === 0) {
-        throw new Error(`Failed to send NIP-29 message: All NIP-29 relays unreachable. NIP-29 groups require specialized relay infrastructure. Last error: ${lastError?.message || 'Unknown error'}`);
+      if (options.onSigned) {
+        options.onSigned(finalEvent);
       }
       
-      return finalEvent;
+      // NIP-29 relays answer with an OK false (e.g. "restricted:") when we aren't a member
+      // Queued messages are re-signed as plain messages when edited, so typed ones aren't queued
+      return await this.publishOrQueue(finalEvent, nip29Relays, {
+        ...options,
+        outbox: options.messageType ? null : {
+          type: 'nip29',
+          conversationKey: `nip29:${groupId}`,
+          target: groupId,
+          content: message,
+          replyTo
+        }
+      });
     } catch (error) {
       console.error('Error sending NIP-29 group message:', error);
       throw error;
     }
   }
 
-  async performNIP29ModerationAction(groupId, action, targetPubkey, reason = '') {
+  // IRC moderation commands in NIP-29 terms. NIP-29 has no mutes or timed bans; removing a
+  // user is what the relay enforces, and putting them back lifts it. Operator status is a
+  // role on put-user: /op gives `role` (the relay's admin role by default), /deop puts the
+  // user back without roles.
+  async performNIP29ModerationAction(groupId, action, targetPubkey, reason = '', { role = null } = {}) {
     try {
       console.log(`🏛️ Performing NIP-29 ${action} action...`);
       
-      // Get NIP-29 relays from storage
-      const nip29RelaysStored = await AsyncStorage.getItem('nip29_relays');
-      const nip29Relays = nip29RelaysStored ? JSON.parse(nip29RelaysStored) : NIP29_RELAYS;
-      
-      if (nip29Relays.length === 0) {
-        throw new Error('No NIP-29 relays configured');
-      }
-      
-      // Create NIP-29 moderation event based on action
-      let moderationEvent;
-      
       switch (action) {
         case 'kick':
-        case 'mute':
-          moderationEvent = {
-            kind: 9004, // NIP-29 mute action
-            created_at: Math.floor(Date.now() / 1000),
-            tags: [
-              ['h', groupId], // group reference
-              ['p', targetPubkey], // target user
-              ['reason', reason] // reason for action
-            ],
-            content: reason || `User muted in group`
-            // Note: pubkey will be added by finalizeEvent
-          };
-          break;
+        case 'ban':
+          return await this.removeNIP29User(groupId, targetPubkey, reason);
           
         case 'unkick':
-        case 'unmute':
-          moderationEvent = {
-            kind: 9005, // NIP-29 unmute action
-            created_at: Math.floor(Date.now() / 1000),
-            tags: [
-              ['h', groupId], // group reference
-              ['p', targetPubkey], // target user
-              ['reason', reason] // reason for action
-            ],
-            content: reason || `User unmuted in group`
-            // Note: pubkey will be added by finalizeEvent
-          };
-          break;
-          
-        case 'ban':
-          moderationEvent = {
-            kind: 9002, // NIP-29 ban action (permanent removal)
-            created_at: Math.floor(Date.now() / 1000),
-            tags: [
-              ['h', groupId], // group reference
-              ['p', targetPubkey], // target user
-              ['reason', reason] // reason for action
-            ],
-            content: reason || `User banned from group`
-            // Note: pubkey will be added by finalizeEvent
-          };
-          break;
+        case 'unban':
+        case 'voice':
+        case 'deop':
+          return await this.putNIP29User(groupId, targetPubkey, [], reason);
           
         case 'op':
-        case 'deop':
-          moderationEvent = {
-            kind: 9003, // admin action
-            created_at: Math.floor(Date.now() / 1000),
-            tags: [
-              ['h', groupId], // group reference
-              ['p', targetPubkey], // target user
-              ['action', action], // op or deop
-              ['reason', reason] // reason for action
-            ],
-            content: `User ${action === 'op' ? 'granted operator status' : 'operator status removed'}`
-            // Note: pubkey will be added by finalizeEvent
-          };
-          break;
+          return await this.putNIP29User(groupId, targetPubkey, [
+            role || channelRoleService.getAdminRole(channelRoleService.getRoles(groupId))
+          ], reason);
           
         default:
-          throw new Error(`Unsupported NIP-29 moderation action: ${action}`);
-      }
-      
-      // Convert private key to proper format for finalizeEvent
-      if (!this.privateKey) {
-        throw new Error('No private key available for signing');
-      }
-      
-      const privateKeyBytes = new Uint8Array(
-        this.privateKey.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-      );
-      
-      // Publish to NIP-29 relays
-      const finalEvent = finalizeEvent(moderationEvent, privateKeyBytes);
-      
-      for (const relay of nip29Relays) {
-        try {
-          this.pool.publish([relay], finalEvent);
-          console.log(`✅ NIP-29 ${action} action sent to ${relay}`);
-        } catch (relayError) {
-          console.warn(`⚠️ Failed to send ${action} to ${relay}:`, relayError.message);
-        }
+          throw new Error(`NIP-29 groups have no ${action}; use /kick to remove the user or +m to let only members speak`);
       }
-      
-      return finalEvent;
     } catch (error) {
       console.error(`Error performing NIP-29 ${action}:`, error);
       throw error;
     }
   }
 
+  // NIP-29 put-user (9000): adds the user, or sets their roles (none: a plain member)
+  async putNIP29User(groupId, pubkey, roles = [], reason = '') {
+    try {
+      const event = await this.publishToNIP29Relays(nostrUtils.createGroupPutUserEvent(groupId, pubkey, roles, reason));
+      console.log(`🏛️ Put ${pubkey.substring(0, 8)}... in group ${groupId}${roles.length > 0 ? ` as ${roles.join(', ')}` : ''}`);
+      return event;
+    } catch (error) {
+      console.error('Error putting NIP-29 user:', error);
+      throw error;
+    }
+  }
+
+  // NIP-29 remove-user (9001)
+  async removeNIP29User(groupId, pubkey, reason = '') {
+    try {
+      const event = await this.publishToNIP29Relays(nostrUtils.createGroupRemoveUserEvent(groupId, pubkey, reason));
+      console.log(`🏛️ Removed ${pubkey.substring(0, 8)}... from group ${groupId}`);
+      return event;
+    } catch (error) {
+      console.error('Error removing NIP-29 user:', error);
+      throw error;
+    }
+  }
+
+  // NIP-29 edit-metadata (9002). changes: { name, picture, about, open, public }, only the
+  // fields to change
+  async editNIP29GroupMetadata(groupId, changes) {
+    try {
+      const event = await this.publishToNIP29Relays(nostrUtils.createGroupMetadataEvent(groupId, changes));
+      console.log(`🏛️ Group ${groupId} metadata updated: ${Object.keys(changes).join(', ')}`);
+      return event;
+    } catch (error) {
+      console.error('Error editing NIP-29 group metadata:', error);
+      throw error;
+    }
+  }
+
+  // NIP-29 delete-event (9005): the relay drops the event for everyone
+  async deleteNIP29Event(groupId, eventId, reason = '') {
+    try {
+      const event = await this.publishToNIP29Relays(nostrUtils.createGroupDeleteEventEvent(groupId, eventId, reason));
+      reactionService.remove(eventId);
+      console.log(`🗑️ Deleted event ${eventId.substring(0, 8)}... from group ${groupId}`);
+      return event;
+    } catch (error) {
+      console.error('Error deleting NIP-29 event:', error);
+      throw error;
+    }
+  }
+
+  // NIP-29 create-invite (9009). Resolves with { code, address }: whoever has both can join a
+  // closed group with /join <address> <code>. address is the group's naddr once we have the
+  // relay's metadata, else the bare group id.
+  async createNIP29Invite(groupId) {
+    try {
+      const code = this.generateRandomGroupId();
+      await this.publishToNIP29Relays(nostrUtils.createGroupInviteEvent(groupId, code));
+      console.log(`🎟️ Invite code created for group ${groupId}`);
+      
+      const group = channelRoleService.getRoles(groupId)?.group;
+      const address = nostrUtils.encodeGroupAddress(groupId, group?.relayPubkey, this.nip29RelayUrls) || groupId;
+      return { code, address };
+    } catch (error) {
+      console.error('Error creating NIP-29 invite:', error);
+      throw error;
+    }
+  }
+
+  // NIP-29 delete-group (9008); the relay drops the group and its events, we forget it
+  async deleteNIP29Group(groupId, reason = '') {
+    try {
+      const event = await this.publishToNIP29Relays(nostrUtils.createGroupDeletionEvent(groupId, reason));
+      await this.removeJoinedNIP29Group(groupId);
+      console.log(`💥 Group ${groupId} deleted`);
+      return event;
+    } catch (error) {
+      console.error('Error deleting NIP-29 group:', error);
+      throw error;
+    }
+  }
+
 
   disconnect() {
     try {
@@ -3944,9 +5403,7 @@ class NostrService {
       this.subscriptions.clear();
       
       // Close all relay connections
-      this.relays.forEach(relay => relay.close());
-      this.relays.clear();
-      this.connectedRelays.clear();
+      relayManager.disconnect();
       
       this.isConnected = false;
     } catch (error) {
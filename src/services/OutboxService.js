@@ -0,0 +1,284 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { relayManager } from './RelayManager';
+import { accountService } from './AccountService';
+import { STORAGE_KEYS, RELAY_STATES } from '../utils/constants';
+
+// Outbox retry configuration
+const OUTBOX_CONFIG = {
+  BASE_RETRY_DELAY: 2000,          // 2 seconds, doubled per failed attempt
+  MAX_RETRY_DELAY: 5 * 60 * 1000,  // 5 minutes
+};
+
+// Durable queue of signed events that couldn't reach any relay. Items are kept per
+// conversation in send order; a conversation only advances once its oldest item is out.
+class OutboxService {
+  constructor() {
+    this.items = [];            // Ordered queue of outbox items
+    this.publisher = null;      // NostrService, attached at construction to avoid an import cycle
+    this.listeners = new Set();
+    this.loaded = false;
+    this.flushing = false;
+    this.flushTimer = null;
+
+    // A relay coming back is the best moment to retry
+    relayManager.addStatusListener((status) => {
+      if (status.state === RELAY_STATES.OPEN && this.items.length > 0) {
+        this.flush();
+      }
+    });
+  }
+
+  setPublisher(publisher) {
+    this.publisher = publisher;
+  }
+
+  // Listener receives { type: 'queued' | 'sent' | 'failed' | 'updated' | 'removed', item, ... }
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(change) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Error in outbox listener:', error);
+      }
+    });
+  }
+
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.OUTBOX));
+      const storedItems = stored ? JSON.parse(stored) : [];
+
+      // Keep anything queued in memory before the load finished
+      const known = new Set(this.items.map(item => item.id));
+      this.items = [...storedItems.filter(item => !known.has(item.id)), ...this.items];
+      this.loaded = true;
+
+      console.log(`📮 Outbox loaded with ${this.items.length} queued events`);
+      if (this.items.length > 0) {
+        this.flush();
+      }
+    } catch (error) {
+      console.error('Error loading outbox:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.OUTBOX), JSON.stringify(this.items));
+    } catch (error) {
+      console.error('Error saving outbox:', error);
+    }
+  }
+
+  // Drop the in-memory queue when switching accounts; what's stored stays with its account
+  reset() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.items = [];
+    this.loaded = false;
+  }
+
+  getItems(conversationKey = null) {
+    return this.items.filter(item => !conversationKey || item.conversationKey === conversationKey);
+  }
+
+  getItem(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  hasPending(conversationKey) {
+    return this.items.some(item => item.conversationKey === conversationKey);
+  }
+
+  // meta: { type: 'channel' | 'nip29' | 'dm', conversationKey, target, content, replyTo }, and optionally
+  // id/createdAt of the message as shown (a DM's rumor rather than its gift wrap), relays to publish
+  // to instead of the defaults, and copies: [{ event, relays }] to publish once the event is out
+  async enqueue(signedEvent, meta) {
+    const id = meta.id || signedEvent.id;
+
+    // Same message queued twice (e.g. a retry racing the first attempt)
+    const existing = this.getItem(id);
+    if (existing) {
+      return existing;
+    }
+
+    const item = {
+      id,
+      event: signedEvent,
+      createdAt: meta.createdAt || signedEvent.created_at,
+      type: meta.type,
+      conversationKey: meta.conversationKey,
+      target: meta.target,
+      content: meta.content,
+      replyTo: meta.replyTo || null,
+      relays: meta.relays || null,
+      copies: meta.copies || [],
+      queuedAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null
+    };
+
+    this.items.push(item);
+    await this.save();
+
+    console.log(`📮 Queued ${item.type} event ${item.id.substring(0, 8)} for ${item.conversationKey}`);
+    this.notifyListeners({ type: 'queued', item: { ...item } });
+    this.scheduleFlush(OUTBOX_CONFIG.BASE_RETRY_DELAY);
+    return item;
+  }
+
+  async cancel(id) {
+    const item = this.getItem(id);
+    if (!item) return false;
+
+    this.items = this.items.filter(queued => queued.id !== id);
+    await this.save();
+
+    this.notifyListeners({ type: 'removed', item });
+    return true;
+  }
+
+  // Editing re-signs the message, so the item gets a new id but keeps its place in the queue
+  async edit(id, newContent) {
+    try {
+      const index = this.items.findIndex(item => item.id === id);
+      if (index === -1) {
+        throw new Error('Message is no longer queued');
+      }
+
+      if (!this.publisher) {
+        throw new Error('Outbox has no publisher attached');
+      }
+
+      const item = this.items[index];
+      const signed = await this.publisher.signOutboxEvent(item.type, item.target, newContent, item.replyTo);
+      const updated = {
+        ...item,
+        id: signed.id || signed.event.id,
+        event: signed.event,
+        createdAt: signed.createdAt || signed.event.created_at,
+        relays: signed.relays !== undefined ? signed.relays : item.relays,
+        copies: signed.copies || [],
+        content: newContent,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null
+      };
+
+      this.items[index] = updated;
+      await this.save();
+
+      this.notifyListeners({ type: 'updated', previousId: id, item: { ...updated } });
+      this.flush();
+      return updated;
+    } catch (error) {
+      console.error('Error editing queued message:', error);
+      throw error;
+    }
+  }
+
+  scheduleFlush(delay) {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(
+      OUTBOX_CONFIG.BASE_RETRY_DELAY * Math.pow(2, Math.max(0, attempts - 1)),
+      OUTBOX_CONFIG.MAX_RETRY_DELAY
+    );
+  }
+
+  async flush() {
+    if (this.flushing || !this.publisher || this.items.length === 0) {
+      return;
+    }
+
+    this.flushing = true;
+
+    try {
+      const now = Date.now();
+      const conversations = [...new Set(this.items.map(item => item.conversationKey))];
+
+      for (const conversationKey of conversations) {
+        // Walk the conversation oldest-first and stop at the first event that won't go out
+        for (const item of this.getItems(conversationKey)) {
+          if (item.nextAttemptAt > now) break;
+
+          const sent = await this.sendItem(item);
+          if (!sent) break;
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+
+    // Wake up again for the earliest item still waiting
+    if (this.items.length > 0) {
+      const nextAttemptAt = Math.min(...this.items.map(item => item.nextAttemptAt));
+      this.scheduleFlush(Math.max(nextAttemptAt - Date.now(), OUTBOX_CONFIG.BASE_RETRY_DELAY));
+    }
+  }
+
+  async sendItem(item) {
+    try {
+      const sentEvent = await this.publisher.retryPublish(item.event, {
+        nip29: item.type === 'nip29',
+        relayUrls: item.relays
+      });
+
+      this.items = this.items.filter(queued => queued.id !== item.id);
+      await this.save();
+
+      if (item.copies?.length > 0) {
+        await this.publisher.publishCopies(item.copies);
+      }
+
+      console.log(`📤 Outbox delivered ${item.id.substring(0, 8)} to ${sentEvent.delivery?.accepted || 0} relays`);
+      this.notifyListeners({ type: 'sent', item, delivery: sentEvent.delivery });
+      return true;
+    } catch (error) {
+      // A relay that explicitly refused the event won't take it on a later attempt either
+      if (error.delivery && !this.publisher.shouldRetryPublish(error, 0)) {
+        this.items = this.items.filter(queued => queued.id !== item.id);
+        await this.save();
+
+        console.warn(`🚫 Outbox dropped ${item.id.substring(0, 8)}: ${error.message}`);
+        this.notifyListeners({ type: 'failed', item, delivery: error.delivery });
+        return true;
+      }
+
+      const attempts = item.attempts + 1;
+      const updated = {
+        ...item,
+        attempts,
+        nextAttemptAt: Date.now() + this.getRetryDelay(attempts),
+        lastError: error.message
+      };
+
+      this.items = this.items.map(queued => queued.id === item.id ? updated : queued);
+      await this.save();
+
+      console.log(`📮 Outbox attempt ${attempts} for ${item.id.substring(0, 8)} failed: ${error.message}`);
+      this.notifyListeners({ type: 'updated', previousId: item.id, item: { ...updated } });
+      return false;
+    }
+  }
+}
+
+export const outboxService = new OutboxService();
+export default outboxService;
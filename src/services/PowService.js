@@ -0,0 +1,288 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { nip13, getEventHash } from 'nostr-tools';
+import { relayManager } from './RelayManager';
+import { nostrUtils } from '../utils/nostrUtils';
+import { STORAGE_KEYS, ERROR_MESSAGES } from '../utils/constants';
+
+// Proof-of-work configuration
+const POW_CONFIG = {
+  DEFAULT_TIME_BUDGET: 20000, // Give up mining after 20 seconds
+  MAX_DIFFICULTY: 32,         // Anything above this takes far too long on a phone
+  CHUNK_SIZE: 2000,           // Hashes per slice when mining on the JS thread
+  PROGRESS_INTERVAL: 5000,    // Hashes between progress reports
+};
+
+// Runs inside a Web Worker, so it can't import anything: hashes with WebCrypto and
+// serializes the event exactly like nostr-tools' getEventHash
+const WORKER_SOURCE = `
+const encoder = new TextEncoder();
+
+const leadingZeroBits = (bytes) => {
+  let count = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      count += 8;
+      continue;
+    }
+    count += Math.clz32(byte) - 24;
+    break;
+  }
+  return count;
+};
+
+self.onmessage = async ({ data }) => {
+  const { event, difficulty, deadline, progressInterval } = data;
+  const tag = ['nonce', '0', String(difficulty)];
+  const tags = [...event.tags, tag];
+
+  for (let nonce = 0; ; nonce++) {
+    tag[1] = String(nonce);
+    const serialized = JSON.stringify([0, event.pubkey, event.created_at, event.kind, tags, event.content]);
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(serialized)));
+
+    if (leadingZeroBits(hash) >= difficulty) {
+      self.postMessage({ type: 'done', tags, hashes: nonce + 1 });
+      return;
+    }
+
+    if (nonce > 0 && nonce % progressInterval === 0) {
+      if (Date.now() > deadline) {
+        self.postMessage({ type: 'timeout', hashes: nonce });
+        return;
+      }
+      self.postMessage({ type: 'progress', hashes: nonce });
+    }
+  }
+};
+`;
+
+const createPowError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// NIP-13 mining. Target difficulty is worked out per relay: a value the user set for that
+// relay wins, otherwise whatever the relay advertises in its NIP-11 limitation block.
+class PowService {
+  constructor() {
+    this.relayDifficulties = new Map(); // url -> user-configured difficulty
+    this.activeJobs = new Set();        // cancel functions of running mining jobs
+    this.workerUrl = null;
+    this.workersUnavailable = false;
+  }
+
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.POW_DIFFICULTIES);
+      this.relayDifficulties = new Map(Object.entries(stored ? JSON.parse(stored) : {}));
+    } catch (error) {
+      console.error('Error loading proof-of-work settings:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.POW_DIFFICULTIES,
+        JSON.stringify(Object.fromEntries(this.relayDifficulties))
+      );
+    } catch (error) {
+      console.error('Error saving proof-of-work settings:', error);
+    }
+  }
+
+  // Pass null to go back to whatever the relay advertises
+  async setRelayDifficulty(url, difficulty) {
+    if (difficulty == null) {
+      this.relayDifficulties.delete(url);
+    } else {
+      this.relayDifficulties.set(url, Math.max(0, Math.min(POW_CONFIG.MAX_DIFFICULTY, parseInt(difficulty, 10) || 0)));
+    }
+    await this.save();
+  }
+
+  getConfiguredDifficulty(url) {
+    return this.relayDifficulties.has(url) ? this.relayDifficulties.get(url) : null;
+  }
+
+  async getAdvertisedDifficulty(url) {
+    const info = await relayManager.getRelayInfo(url);
+    return info?.limitation?.min_pow_difficulty || 0;
+  }
+
+  async getRelayDifficulty(url) {
+    const configured = this.getConfiguredDifficulty(url);
+    return configured != null ? configured : await this.getAdvertisedDifficulty(url);
+  }
+
+  // Highest difficulty any of the relays asks for, so one mined event satisfies them all
+  async getTargetDifficulty(relays) {
+    const difficulties = await Promise.all(relays.map(url => this.getRelayDifficulty(url)));
+    const target = Math.max(0, ...difficulties);
+
+    if (target > POW_CONFIG.MAX_DIFFICULTY) {
+      console.warn(`⚠️ Relays ask for ${target} bits of proof of work; capping at ${POW_CONFIG.MAX_DIFFICULTY}`);
+      return POW_CONFIG.MAX_DIFFICULTY;
+    }
+    return target;
+  }
+
+  // The relays whose difficulty a signed event already meets. Its id is fixed, so it can't be
+  // mined any further, and the other relays would only refuse it.
+  async getAcceptingRelays(event, relays) {
+    const difficulties = await Promise.all(relays.map(url => this.getRelayDifficulty(url)));
+    return relays.filter((url, index) =>
+      difficulties[index] <= 0 || nostrUtils.meetsProofOfWork(event, difficulties[index])
+    );
+  }
+
+  // Mine a nonce tag for an unsigned event (pubkey must be set, since it is part of the id).
+  // Resolves with a copy of the template carrying the nonce; rejects with code POW_CANCELLED
+  // when options.signal aborts and POW_TIMEOUT when the time budget runs out.
+  async mine(template, difficulty, options = {}) {
+    const { signal = null, timeBudget = POW_CONFIG.DEFAULT_TIME_BUDGET, onProgress = null } = options;
+
+    if (!template.pubkey) {
+      throw new Error('Cannot mine proof of work without a pubkey');
+    }
+
+    const event = {
+      ...template,
+      tags: (template.tags || []).filter(tag => tag[0] !== 'nonce')
+    };
+
+    // Already good enough (e.g. a retry of an event we mined a moment ago)
+    const existingNonce = (template.tags || []).find(tag => tag[0] === 'nonce');
+    if (existingNonce && nip13.getPow(getEventHash(template)) >= difficulty) {
+      return { ...template };
+    }
+
+    if (signal?.aborted) {
+      throw createPowError('POW_CANCELLED', ERROR_MESSAGES.POW_CANCELLED);
+    }
+
+    const startedAt = Date.now();
+    const deadline = startedAt + timeBudget;
+    onProgress?.({ difficulty, hashes: 0 });
+
+    const tags = await this.runJob(event, difficulty, deadline, signal, (hashes) => {
+      onProgress?.({ difficulty, hashes });
+    });
+
+    console.log(`⛏️ Mined ${difficulty} bits of proof of work in ${Date.now() - startedAt}ms`);
+    return { ...event, tags };
+  }
+
+  runJob(event, difficulty, deadline, signal, reportProgress) {
+    return new Promise((resolve, reject) => {
+      let finished = false;
+      let stop = () => {};
+
+      const finish = (callback, value) => {
+        if (finished) return;
+        finished = true;
+        stop();
+        this.activeJobs.delete(cancel);
+        signal?.removeEventListener?.('abort', cancel);
+        callback(value);
+      };
+
+      const cancel = () => finish(reject, createPowError('POW_CANCELLED', ERROR_MESSAGES.POW_CANCELLED));
+      const handlers = {
+        done: tags => finish(resolve, tags),
+        timeout: () => finish(reject, createPowError('POW_TIMEOUT', ERROR_MESSAGES.POW_TIMEOUT)),
+        error: error => finish(reject, error),
+        progress: reportProgress
+      };
+
+      this.activeJobs.add(cancel);
+      signal?.addEventListener?.('abort', cancel);
+
+      const worker = this.createWorker();
+      stop = worker
+        ? this.mineInWorker(worker, event, difficulty, deadline, handlers)
+        : this.mineInChunks(event, difficulty, deadline, handlers);
+    });
+  }
+
+  createWorker() {
+    if (this.workersUnavailable) return null;
+
+    try {
+      if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || !globalThis.crypto?.subtle) {
+        this.workersUnavailable = true;
+        return null;
+      }
+
+      if (!this.workerUrl) {
+        this.workerUrl = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'application/javascript' }));
+      }
+      return new Worker(this.workerUrl);
+    } catch (error) {
+      // Native builds and strict CSPs end up here; mine on the JS thread instead
+      console.warn('⚠️ Proof-of-work worker unavailable, mining on the main thread:', error?.message || error);
+      this.workersUnavailable = true;
+      return null;
+    }
+  }
+
+  mineInWorker(worker, event, difficulty, deadline, handlers) {
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'done') {
+        handlers.done(data.tags);
+      } else if (data.type === 'timeout') {
+        handlers.timeout();
+      } else {
+        handlers.progress(data.hashes);
+      }
+    };
+    worker.onerror = (error) => handlers.error(new Error(error?.message || 'Proof-of-work worker failed'));
+
+    worker.postMessage({ event, difficulty, deadline, progressInterval: POW_CONFIG.PROGRESS_INTERVAL });
+    return () => worker.terminate();
+  }
+
+  // Fallback without workers: hash in small slices and yield between them so input stays responsive
+  mineInChunks(event, difficulty, deadline, handlers) {
+    const tag = ['nonce', '0', String(difficulty)];
+    const candidate = { ...event, tags: [...event.tags, tag] };
+    let nonce = 0;
+    let timer = null;
+
+    const step = () => {
+      try {
+        const sliceEnd = nonce + POW_CONFIG.CHUNK_SIZE;
+        for (; nonce < sliceEnd; nonce++) {
+          tag[1] = String(nonce);
+          if (nip13.getPow(getEventHash(candidate)) >= difficulty) {
+            handlers.done(candidate.tags);
+            return;
+          }
+        }
+
+        if (Date.now() > deadline) {
+          handlers.timeout();
+          return;
+        }
+
+        if (nonce % POW_CONFIG.PROGRESS_INTERVAL < POW_CONFIG.CHUNK_SIZE) {
+          handlers.progress(nonce);
+        }
+        timer = setTimeout(step, 0);
+      } catch (error) {
+        handlers.error(error);
+      }
+    };
+
+    timer = setTimeout(step, 0);
+    return () => clearTimeout(timer);
+  }
+
+  cancelAll() {
+    Array.from(this.activeJobs).forEach(cancel => cancel());
+  }
+}
+
+export const powService = new PowService();
+export default powService;
@@ -0,0 +1,179 @@
+import { nostrUtils } from '../utils/nostrUtils';
+
+// Reaction aggregation configuration
+const REACTION_CONFIG = {
+  MAX_CUSTOM_EMOJI: 24,   // Custom emoji offered in the picker per channel
+};
+
+// NIP-25 reactions on channel and group messages, aggregated per message. A reaction counts
+// once per author and emoji; a kind 5 from the reaction's own author withdraws it, even if the
+// deletion arrives before the reaction does. Nothing here touches relays - NostrService queries
+// and publishes, then feeds the events in.
+class ReactionService {
+  constructor() {
+    this.reactions = new Map();   // channel id -> Map<message id, Map<reaction id, reaction>>
+    this.reactionIndex = new Map(); // reaction id -> { channelId, messageId }
+    this.deletions = new Map();   // reaction id -> pubkey that deleted it
+    this.customEmoji = new Map(); // channel id -> Map<shortcode, url>
+    this.listeners = new Set();
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(channelId, messageId) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(channelId, messageId);
+      } catch (error) {
+        console.error('Error in reaction listener:', error);
+      }
+    });
+  }
+
+  // reaction: a nostrUtils.parseReactionEvent result. Returns false for duplicates and
+  // reactions that were already withdrawn.
+  add(channelId, reaction) {
+    if (!reaction || this.reactionIndex.has(reaction.id)) {
+      return false;
+    }
+    if (this.deletions.get(reaction.id) === reaction.author) {
+      return false;
+    }
+
+    if (!this.reactions.has(channelId)) {
+      this.reactions.set(channelId, new Map());
+    }
+    const messages = this.reactions.get(channelId);
+    if (!messages.has(reaction.messageId)) {
+      messages.set(reaction.messageId, new Map());
+    }
+
+    messages.get(reaction.messageId).set(reaction.id, reaction);
+    this.reactionIndex.set(reaction.id, { channelId, messageId: reaction.messageId });
+
+    if (reaction.emoji) {
+      this.rememberEmoji(channelId, reaction.emoji);
+    }
+
+    this.notifyListeners(channelId, reaction.messageId);
+    return true;
+  }
+
+  // Kind 5: only the reactions its author published are removed
+  applyDeletion(event) {
+    event.tags
+      .filter(tag => tag[0] === 'e')
+      .forEach(([, reactionId]) => {
+        this.deletions.set(reactionId, event.pubkey);
+
+        const location = this.reactionIndex.get(reactionId);
+        const reaction = location && this.reactions.get(location.channelId)?.get(location.messageId)?.get(reactionId);
+        if (reaction && reaction.author === event.pubkey) {
+          this.remove(reactionId);
+        }
+      });
+  }
+
+  remove(reactionId) {
+    const location = this.reactionIndex.get(reactionId);
+    if (!location) {
+      return;
+    }
+
+    this.reactionIndex.delete(reactionId);
+    this.reactions.get(location.channelId)?.get(location.messageId)?.delete(reactionId);
+    this.notifyListeners(location.channelId, location.messageId);
+  }
+
+  // Reaction ids we have for a channel (to look for deletions of them)
+  getReactionIds(channelId) {
+    const ids = [];
+    this.reactions.get(channelId)?.forEach(reactions => ids.push(...reactions.keys()));
+    return ids;
+  }
+
+  // [{ key, content, emoji, count, reactors, ownReactionId }], most used first.
+  // reactors are pubkeys in the order they reacted; ownReactionId is set when we reacted.
+  getReactions(channelId, messageId, ownPubkey = null) {
+    const reactions = this.reactions.get(channelId)?.get(messageId);
+    if (!reactions || reactions.size === 0) {
+      return [];
+    }
+
+    const groups = new Map();
+    Array.from(reactions.values())
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(reaction => {
+        if (!groups.has(reaction.key)) {
+          groups.set(reaction.key, {
+            key: reaction.key,
+            content: reaction.content,
+            emoji: reaction.emoji,
+            reactors: [],
+            ownReactionId: null
+          });
+        }
+
+        const group = groups.get(reaction.key);
+        if (group.reactors.includes(reaction.author)) {
+          return;
+        }
+        group.reactors.push(reaction.author);
+        if (reaction.author === ownPubkey) {
+          group.ownReactionId = reaction.id;
+        }
+      });
+
+    return Array.from(groups.values())
+      .map(group => ({ ...group, count: group.reactors.length }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  // Every reaction we published with this emoji, so toggling off also clears duplicates
+  getOwnReactionIds(channelId, messageId, key, ownPubkey) {
+    const reactions = this.reactions.get(channelId)?.get(messageId);
+    if (!reactions) {
+      return [];
+    }
+
+    return Array.from(reactions.values())
+      .filter(reaction => reaction.key === key && reaction.author === ownPubkey)
+      .map(reaction => reaction.id);
+  }
+
+  rememberEmoji(channelId, emoji) {
+    if (!this.customEmoji.has(channelId)) {
+      this.customEmoji.set(channelId, new Map());
+    }
+
+    const known = this.customEmoji.get(channelId);
+    if (known.size < REACTION_CONFIG.MAX_CUSTOM_EMOJI && !known.has(emoji.shortcode)) {
+      known.set(emoji.shortcode, emoji.url);
+    }
+  }
+
+  // Custom emoji people used in this channel, for the reaction picker: [{ shortcode, url }]
+  getCustomEmoji(channelId) {
+    return Array.from(this.customEmoji.get(channelId)?.entries() || [])
+      .map(([shortcode, url]) => ({ shortcode, url }));
+  }
+
+  // Convenience for plain (unencrypted) kind 7 events
+  applyEvent(channelId, event) {
+    return this.add(channelId, nostrUtils.parseReactionEvent(event));
+  }
+
+  // Account switch: decrypted reactions from encrypted groups must not outlive it
+  reset() {
+    this.reactions.clear();
+    this.reactionIndex.clear();
+    this.deletions.clear();
+    this.customEmoji.clear();
+  }
+}
+
+export const reactionService = new ReactionService();
+export default reactionService;
@@ -0,0 +1,163 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { relayManager } from './RelayManager';
+import { signerService } from './SignerService';
+import { accountService } from './AccountService';
+import { STORAGE_KEYS, RELAY_AUTH_POLICIES, DEFAULT_SETTINGS } from '../utils/constants';
+
+// nostr-tools hands us normalized URLs (with a trailing slash); settings store them without
+const policyKey = (url) => (url || '').trim().replace(/\/+$/, '');
+
+// NIP-42: proves to a relay which identity is connected by signing its challenge (kind 22242).
+// Authenticating tells the relay who we are, so every relay gets a policy: always answer,
+// ask the first time it refuses us, or never. Policies are stored per account.
+class RelayAuthService {
+  constructor() {
+    this.policies = new Map();         // url -> policy the user picked
+    this.sessionDecisions = new Map(); // url -> answer to an "ask" prompt, until the app restarts
+    this.pendingPrompts = new Map();   // url -> Promise<boolean> while the user decides
+    this.promptHandler = null;         // (url) => Promise<'once' | 'always' | 'never' | null>
+    this.listeners = new Set();
+
+    relayManager.setAuthHandler(this);
+  }
+
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.RELAY_AUTH_POLICIES));
+      this.policies = new Map(Object.entries(stored ? JSON.parse(stored) : {}));
+      this.sessionDecisions.clear();
+    } catch (error) {
+      console.error('Error loading relay auth policies:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(
+        accountService.key(STORAGE_KEYS.RELAY_AUTH_POLICIES),
+        JSON.stringify(Object.fromEntries(this.policies))
+      );
+    } catch (error) {
+      console.error('Error saving relay auth policies:', error);
+    }
+  }
+
+  // Forget the active account's policies before switching
+  reset() {
+    this.policies.clear();
+    this.sessionDecisions.clear();
+  }
+
+  // Listener receives (url, policy) whenever a policy changes; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(url, policy) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(url, policy);
+      } catch (error) {
+        console.error('Error in relay auth listener:', error);
+      }
+    });
+  }
+
+  getPolicy(url) {
+    return this.policies.get(policyKey(url)) || DEFAULT_SETTINGS.relayAuthPolicy;
+  }
+
+  hasPolicy(url) {
+    return this.policies.has(policyKey(url));
+  }
+
+  // Pass null to go back to the default (ask)
+  async setPolicy(url, policy) {
+    const key = policyKey(url);
+    if (policy == null) {
+      this.policies.delete(key);
+    } else {
+      this.policies.set(key, policy);
+    }
+    this.sessionDecisions.delete(key);
+    await this.save();
+    this.notifyListeners(key, this.getPolicy(key));
+  }
+
+  // The UI registers how to ask the user; returns an unsubscribe function
+  setPromptHandler(handler) {
+    this.promptHandler = handler;
+    return () => {
+      if (this.promptHandler === handler) {
+        this.promptHandler = null;
+      }
+    };
+  }
+
+  // Answer a challenge as soon as it arrives, before the relay refuses anything
+  shouldAuthenticateEagerly(url) {
+    return this.getPolicy(url) === RELAY_AUTH_POLICIES.ALWAYS;
+  }
+
+  // Called once the relay refused us with "auth-required:"
+  async isAllowed(url) {
+    const key = policyKey(url);
+
+    switch (this.getPolicy(key)) {
+      case RELAY_AUTH_POLICIES.ALWAYS:
+        return true;
+      case RELAY_AUTH_POLICIES.NEVER:
+        return false;
+      default:
+        if (this.sessionDecisions.has(key)) {
+          return this.sessionDecisions.get(key);
+        }
+        return await this.ask(key);
+    }
+  }
+
+  // One prompt per relay at a time; every request waiting on it gets the same answer
+  ask(url) {
+    if (this.pendingPrompts.has(url)) {
+      return this.pendingPrompts.get(url);
+    }
+
+    if (!this.promptHandler) {
+      console.warn(`🔐 ${url} wants authentication, but there is nobody to ask`);
+      return Promise.resolve(false);
+    }
+
+    const prompt = (async () => {
+      try {
+        const decision = await this.promptHandler(url);
+
+        if (decision === RELAY_AUTH_POLICIES.ALWAYS || decision === RELAY_AUTH_POLICIES.NEVER) {
+          await this.setPolicy(url, decision);
+          return decision === RELAY_AUTH_POLICIES.ALWAYS;
+        }
+
+        // 'once' or dismissed: remember it for this session so the prompt doesn't come back
+        const allowed = decision === 'once';
+        this.sessionDecisions.set(url, allowed);
+        return allowed;
+      } catch (error) {
+        console.error('Error asking about relay authentication:', error);
+        return false;
+      } finally {
+        this.pendingPrompts.delete(url);
+      }
+    })();
+
+    this.pendingPrompts.set(url, prompt);
+    return prompt;
+  }
+
+  // Signs the kind 22242 event nostr-tools builds for the challenge with the active identity
+  async signAuthEvent(template) {
+    return await signerService.getSigner().signEvent(template);
+  }
+}
+
+export const relayAuthService = new RelayAuthService();
+export default relayAuthService;
@@ -0,0 +1,337 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { relayManager } from './RelayManager';
+import { accountService } from './AccountService';
+import { EVENT_KINDS, STORAGE_KEYS, RELAY_LIST_INDEXERS } from '../utils/constants';
+
+// NIP-65 configuration
+const RELAY_LIST_CONFIG = {
+  LIST_TTL: 30 * 60 * 1000,  // Re-check other users' relay lists after 30 minutes
+  RELAYS_PER_USER: 3,        // How many of a user's read or write relays we use
+  MAX_QUERY_RELAYS: 8,       // Extra relays a single query or delivery may open
+  MAX_POOL_SIZE: 20,         // Extra relay connections kept open; least recently used are closed first
+  LOOKUP_BATCH: 150,         // Authors per kind 10002 query
+  OPEN_WAIT: 3000,           // How long to wait for extra relays to connect
+};
+
+const normalizeRelayUrl = (url) => {
+  const trimmed = (url || '').trim();
+  return /^wss?:\/\/[^\s]+$/i.test(trimmed) ? trimmed.replace(/\/+$/, '') : null;
+};
+
+// NIP-65 relay lists (kind 10002): where we and the people we talk to read and write.
+// Notes are fetched from their authors' write relays and mentions are delivered to the
+// mentioned users' read relays. Relays outside our own lists are opened through a bounded,
+// least-recently-used pool so following many people doesn't mean hundreds of sockets.
+class RelayListService {
+  constructor() {
+    this.relayLists = new Map();    // pubkey -> { read, write, createdAt, fetchedAt }
+    this.ownRelays = [];            // [{ url, read, write }] of the active account
+    this.pinnedRelays = new Set();  // Relays the app keeps open anyway; never trimmed
+    this.poolUsage = new Map();     // extra relay url -> last used timestamp
+    this.listeners = new Set();
+  }
+
+  get pool() {
+    return relayManager.pool;
+  }
+
+  // Listener receives the own relay list whenever it changes; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const relays = this.getOwnRelays();
+    this.listeners.forEach(listener => {
+      try {
+        listener(relays);
+      } catch (error) {
+        console.error('Error in relay list listener:', error);
+      }
+    });
+  }
+
+  // Our own list: what we saved, else what we published from another client, else our relays
+  async load(publicKey, fallbackRelays = []) {
+    try {
+      const stored = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.RELAY_LIST));
+
+      if (stored) {
+        this.ownRelays = JSON.parse(stored);
+      } else {
+        const published = publicKey ? await this.getRelayList(publicKey, { refresh: true }) : null;
+        this.ownRelays = published && (published.read.length > 0 || published.write.length > 0)
+          ? this.toEntries(published)
+          : fallbackRelays.map(url => ({ url, read: true, write: true }));
+      }
+
+      console.log(`🧭 Relay list: ${this.getOwnReadRelays().length} read, ${this.getOwnWriteRelays().length} write`);
+      this.notifyListeners();
+    } catch (error) {
+      console.error('Error loading relay list:', error);
+    }
+  }
+
+  // Forget the active account's list before switching; other users' lists stay cached
+  reset() {
+    this.ownRelays = [];
+    this.pinnedRelays.clear();
+  }
+
+  getOwnRelays() {
+    return this.ownRelays.map(entry => ({ ...entry }));
+  }
+
+  getOwnReadRelays() {
+    return this.ownRelays.filter(entry => entry.read).map(entry => entry.url);
+  }
+
+  getOwnWriteRelays() {
+    return this.ownRelays.filter(entry => entry.write).map(entry => entry.url);
+  }
+
+  // entries: [{ url, read, write }]; relays that are neither read nor write are dropped
+  normalizeEntries(entries) {
+    const byUrl = new Map();
+    entries.forEach(entry => {
+      const url = normalizeRelayUrl(entry.url);
+      if (!url || (!entry.read && !entry.write)) return;
+
+      const existing = byUrl.get(url);
+      byUrl.set(url, {
+        url,
+        read: !!entry.read || !!existing?.read,
+        write: !!entry.write || !!existing?.write
+      });
+    });
+    return Array.from(byUrl.values());
+  }
+
+  async saveOwnRelays(entries) {
+    try {
+      this.ownRelays = this.normalizeEntries(entries);
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.RELAY_LIST), JSON.stringify(this.ownRelays));
+      this.notifyListeners();
+      return this.getOwnRelays();
+    } catch (error) {
+      console.error('Error saving relay list:', error);
+      throw error;
+    }
+  }
+
+  // Unsigned kind 10002 event for the given entries (a relay used both ways carries no marker)
+  createRelayListTemplate(entries) {
+    return {
+      kind: EVENT_KINDS.RELAY_LIST,
+      tags: this.normalizeEntries(entries).map(entry => {
+        if (entry.read && entry.write) return ['r', entry.url];
+        return ['r', entry.url, entry.read ? 'read' : 'write'];
+      }),
+      content: ''
+    };
+  }
+
+  parseRelayList(event) {
+    const read = [];
+    const write = [];
+
+    event.tags.forEach(tag => {
+      if (tag[0] !== 'r') return;
+      const url = normalizeRelayUrl(tag[1]);
+      if (!url) return;
+
+      if (tag[2] !== 'write' && !read.includes(url)) read.push(url);
+      if (tag[2] !== 'read' && !write.includes(url)) write.push(url);
+    });
+
+    return { read, write, createdAt: event.created_at };
+  }
+
+  toEntries(list) {
+    return this.normalizeEntries([
+      ...list.read.map(url => ({ url, read: true, write: false })),
+      ...list.write.map(url => ({ url, read: false, write: true }))
+    ]);
+  }
+
+  // Relays everyone's relay lists are looked up on: ours plus a couple of indexers
+  async getDiscoveryRelays() {
+    const indexers = await this.openRelays(RELAY_LIST_INDEXERS);
+    return Array.from(new Set([...relayManager.getOpenRelays(Array.from(this.pinnedRelays)), ...indexers]));
+  }
+
+  // Resolves with a Map of pubkey -> { read, write } (empty lists when a user has none)
+  async fetchRelayLists(pubkeys, { refresh = false } = {}) {
+    const unique = Array.from(new Set(pubkeys));
+    const now = Date.now();
+    const missing = unique.filter(pubkey => {
+      const cached = this.relayLists.get(pubkey);
+      return refresh || !cached || now - cached.fetchedAt >= RELAY_LIST_CONFIG.LIST_TTL;
+    });
+
+    if (missing.length > 0 && this.pool) {
+      const relays = await this.getDiscoveryRelays();
+
+      for (let i = 0; i < missing.length && relays.length > 0; i += RELAY_LIST_CONFIG.LOOKUP_BATCH) {
+        const batch = missing.slice(i, i + RELAY_LIST_CONFIG.LOOKUP_BATCH);
+
+        try {
+          const events = await this.pool.querySync(relays, {
+            kinds: [EVENT_KINDS.RELAY_LIST],
+            authors: batch
+          });
+
+          const latest = new Map();
+          events.forEach(event => {
+            if (!latest.has(event.pubkey) || latest.get(event.pubkey).created_at < event.created_at) {
+              latest.set(event.pubkey, event);
+            }
+          });
+
+          // Remember users without a list too, so they aren't looked up on every query
+          batch.forEach(pubkey => {
+            const event = latest.get(pubkey);
+            const list = event ? this.parseRelayList(event) : { read: [], write: [], createdAt: null };
+            this.relayLists.set(pubkey, { ...list, fetchedAt: Date.now() });
+          });
+        } catch (error) {
+          console.error('Error fetching relay lists:', error);
+        }
+      }
+    }
+
+    return new Map(unique.map(pubkey => [pubkey, this.relayLists.get(pubkey) || null]));
+  }
+
+  async getRelayList(pubkey, options = {}) {
+    const lists = await this.fetchRelayLists([pubkey], options);
+    return lists.get(pubkey);
+  }
+
+  // Remember a list we just published so we don't have to look it up again
+  setRelayList(pubkey, entries) {
+    const normalized = this.normalizeEntries(entries);
+    this.relayLists.set(pubkey, {
+      read: normalized.filter(entry => entry.read).map(entry => entry.url),
+      write: normalized.filter(entry => entry.write).map(entry => entry.url),
+      createdAt: Math.floor(Date.now() / 1000),
+      fetchedAt: Date.now()
+    });
+  }
+
+  pickRelays(list, marker) {
+    return list ? list[marker].slice(0, RELAY_LIST_CONFIG.RELAYS_PER_USER) : [];
+  }
+
+  // Where a user publishes (their outbox)
+  async getWriteRelays(pubkey) {
+    return this.pickRelays(await this.getRelayList(pubkey), 'write');
+  }
+
+  // Where a user expects to be mentioned (their inbox)
+  async getReadRelays(pubkey) {
+    return this.pickRelays(await this.getRelayList(pubkey), 'read');
+  }
+
+  // Spread authors over their write relays using only cached lists, picking the relays that
+  // cover the most authors first so a query needs few connections. Resolves with
+  // Map<relay, authors>; authors left out are only found on our own relays.
+  planAuthorRelays(pubkeys) {
+    const candidates = new Map();
+    pubkeys.forEach(pubkey => {
+      this.pickRelays(this.relayLists.get(pubkey), 'write').forEach(url => {
+        if (!candidates.has(url)) candidates.set(url, new Set());
+        candidates.get(url).add(pubkey);
+      });
+    });
+
+    const plan = new Map();
+    const covered = new Set();
+
+    while (plan.size < RELAY_LIST_CONFIG.MAX_QUERY_RELAYS) {
+      let best = null;
+      let bestCount = 0;
+
+      candidates.forEach((authors, url) => {
+        if (plan.has(url)) return;
+        const count = Array.from(authors).filter(pubkey => !covered.has(pubkey)).length;
+        if (count > bestCount) {
+          best = url;
+          bestCount = count;
+        }
+      });
+
+      if (!best) break;
+
+      const authors = Array.from(candidates.get(best));
+      authors.forEach(pubkey => covered.add(pubkey));
+      plan.set(best, authors);
+    }
+
+    return plan;
+  }
+
+  // Same as planAuthorRelays, but looks up missing relay lists first
+  async planAuthorQuery(pubkeys) {
+    await this.fetchRelayLists(pubkeys);
+    return this.planAuthorRelays(pubkeys);
+  }
+
+  // Inbox relays for everyone mentioned in an event, bounded like a query
+  async getInboxRelays(pubkeys) {
+    const lists = await this.fetchRelayLists(pubkeys);
+    const relays = new Set();
+
+    lists.forEach(list => {
+      this.pickRelays(list, 'read').forEach(url => relays.add(url));
+    });
+
+    return Array.from(relays).slice(0, RELAY_LIST_CONFIG.MAX_QUERY_RELAYS);
+  }
+
+  // Relays of our own (standard, NIP-29, NIP-65) are opened by NostrService and never trimmed
+  setPinnedRelays(urls) {
+    this.pinnedRelays = new Set(urls);
+    this.ownRelays.forEach(entry => this.pinnedRelays.add(entry.url));
+    this.pinnedRelays.forEach(url => this.poolUsage.delete(url));
+  }
+
+  isPinned(url) {
+    return this.pinnedRelays.has(url);
+  }
+
+  // Open extra relays through the relay manager and resolve with the ones that made it.
+  // Marks them as used; the least recently used beyond MAX_POOL_SIZE are closed.
+  async openRelays(urls) {
+    if (urls.length === 0) return [];
+
+    const now = Date.now();
+    urls.filter(url => !this.isPinned(url)).forEach(url => this.poolUsage.set(url, now));
+    this.trimPool(urls);
+
+    return await relayManager.ensureOpen(urls, RELAY_LIST_CONFIG.OPEN_WAIT);
+  }
+
+  trimPool(inUse = []) {
+    const overflow = this.poolUsage.size - RELAY_LIST_CONFIG.MAX_POOL_SIZE;
+    if (overflow <= 0) return;
+
+    const idle = Array.from(this.poolUsage.entries())
+      .filter(([url]) => !inUse.includes(url))
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, overflow);
+
+    idle.forEach(([url]) => {
+      this.poolUsage.delete(url);
+      relayManager.removeRelay(url);
+    });
+
+    if (idle.length > 0) {
+      console.log(`🧹 Closed ${idle.length} idle outbox relays`);
+    }
+  }
+}
+
+export const relayListService = new RelayListService();
+export default relayListService;
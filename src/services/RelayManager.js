@@ -0,0 +1,552 @@
+import { SimplePool, nip42, utils } from 'nostr-tools';
+import { cacheService } from './CacheService';
+import { RELAY_STATES, PUBLISH_STATUS } from '../utils/constants';
+
+// Relay connection configuration
+const RELAY_CONFIG = {
+  CONNECTION_TIMEOUT: 8000,       // 8 seconds to complete the websocket handshake
+  INITIAL_WAIT: 5000,             // How long ensureOpen waits for pending connections
+  BASE_RETRY_DELAY: 1000,         // 1 second, doubled on every failed attempt
+  MAX_RETRY_DELAY: 5 * 60 * 1000, // Never wait more than 5 minutes between attempts
+  PUBLISH_TIMEOUT: 10000,         // How long to wait for a relay's OK before giving up on it
+  INFO_TTL: 60 * 60 * 1000,       // Re-fetch NIP-11 documents after an hour
+  INFO_TIMEOUT: 5000,             // How long a NIP-11 request may take
+};
+
+class RelayManager {
+  constructor() {
+    this.pool = null;
+    this.statuses = new Map();        // url -> { url, state, latency, lastError, attempts, ... }
+    this.connections = new Map();     // url -> AbstractRelay handed out by the pool
+    this.pendingConnections = new Map(); // url -> Promise<boolean>
+    this.reconnectTimers = new Map(); // url -> timeout id
+    this.relayInfo = new Map();       // url -> { info, fetchedAt } from NIP-11
+    this.fetchImplementation = typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null;
+    this.authHandler = null;          // Decides and signs NIP-42 AUTH (see RelayAuthService)
+    this.listeners = new Set();
+  }
+
+  setPool(pool) {
+    this.pool = pool;
+  }
+
+  // handler: { shouldAuthenticateEagerly(url), isAllowed(url), signAuthEvent(template) }
+  setAuthHandler(handler) {
+    this.authHandler = handler;
+  }
+
+  // Listener receives (status, allStatuses) on every state change; returns an unsubscribe function
+  addStatusListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(status) {
+    const allStatuses = this.getAllStatuses();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status, allStatuses);
+      } catch (error) {
+        console.error('Error in relay status listener:', error);
+      }
+    });
+  }
+
+  getStatus(url) {
+    const status = this.statuses.get(url);
+    return status ? { ...status } : null;
+  }
+
+  getAllStatuses() {
+    const result = {};
+    this.statuses.forEach((status, url) => {
+      result[url] = { ...status };
+    });
+    return result;
+  }
+
+  // Only the given relays (or every tracked relay) whose socket is actually open
+  getOpenRelays(urls = null) {
+    const candidates = urls || Array.from(this.statuses.keys());
+    return candidates.filter(url => this.statuses.get(url)?.state === RELAY_STATES.OPEN);
+  }
+
+  isOpen(url) {
+    return this.statuses.get(url)?.state === RELAY_STATES.OPEN;
+  }
+
+  updateStatus(url, changes) {
+    const previous = this.statuses.get(url) || {
+      url,
+      state: RELAY_STATES.CLOSED,
+      latency: null,
+      lastError: null,
+      attempts: 0,
+      connectedAt: null,
+      nextRetryAt: null,
+      authenticated: false    // NIP-42: whether this connection proved our identity
+    };
+    const status = { ...previous, ...changes };
+    this.statuses.set(url, status);
+
+    if (previous.state !== status.state) {
+      console.log(`📡 Relay ${url}: ${previous.state} → ${status.state}`);
+    }
+
+    this.notifyListeners({ ...status });
+    return status;
+  }
+
+  addRelay(url) {
+    if (!this.statuses.has(url)) {
+      this.updateStatus(url, {});
+    }
+  }
+
+  connectAll(urls) {
+    return Promise.all(urls.map(url => this.connect(url)));
+  }
+
+  async connect(url) {
+    if (!this.pool) {
+      throw new Error('RelayManager has no pool attached');
+    }
+
+    if (this.isOpen(url)) {
+      return true;
+    }
+
+    if (this.pendingConnections.has(url)) {
+      return this.pendingConnections.get(url);
+    }
+
+    this.clearReconnectTimer(url);
+
+    const attempt = this.openConnection(url);
+    this.pendingConnections.set(url, attempt);
+
+    try {
+      return await attempt;
+    } finally {
+      this.pendingConnections.delete(url);
+    }
+  }
+
+  async openConnection(url) {
+    const previous = this.statuses.get(url);
+    this.updateStatus(url, { state: RELAY_STATES.CONNECTING, nextRetryAt: null });
+
+    // A relay that failed before its socket opened keeps a rejected connection promise
+    // inside the pool, so it has to be dropped before the pool will dial it again
+    if (previous && previous.state !== RELAY_STATES.CLOSED) {
+      this.dropConnection(url);
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      const relay = await this.pool.ensureRelay(url, {
+        connectionTimeout: RELAY_CONFIG.CONNECTION_TIMEOUT
+      });
+
+      // Relay was removed while we were still dialing it
+      if (!this.statuses.has(url)) {
+        relay.close();
+        return false;
+      }
+
+      relay.onclose = () => this.handleClose(url, relay);
+      // nostr-tools has no public hook for incoming challenges; _onauth is why package.json
+      // pins its exact version
+      relay._onauth = () => this.handleAuthChallenge(url, relay);
+      this.connections.set(url, relay);
+
+      this.updateStatus(url, {
+        state: RELAY_STATES.OPEN,
+        latency: Date.now() - startedAt,
+        lastError: null,
+        attempts: 0,
+        connectedAt: Date.now(),
+        authenticated: false
+      });
+
+      // The challenge may have arrived together with the connection
+      if (relay.challenge) {
+        this.handleAuthChallenge(url, relay);
+      }
+      return true;
+    } catch (error) {
+      if (!this.statuses.has(url)) {
+        return false;
+      }
+
+      const message = typeof error === 'string' ? error : (error?.message || 'Connection failed');
+      const status = this.updateStatus(url, {
+        state: RELAY_STATES.ERROR,
+        lastError: message,
+        attempts: (this.statuses.get(url)?.attempts || 0) + 1
+      });
+      console.warn(`⚠️ Failed to connect to ${url} (attempt ${status.attempts}):`, message);
+
+      this.scheduleReconnect(url);
+      return false;
+    }
+  }
+
+  handleClose(url, relay) {
+    // Ignore close notifications from connections we already replaced or removed
+    if (this.connections.get(url) !== relay) {
+      return;
+    }
+
+    this.connections.delete(url);
+    this.updateStatus(url, {
+      state: RELAY_STATES.CLOSED,
+      lastError: 'Connection closed by relay',
+      connectedAt: null,
+      authenticated: false
+    });
+
+    this.scheduleReconnect(url);
+  }
+
+  scheduleReconnect(url) {
+    const status = this.statuses.get(url);
+    if (!status) return;
+
+    this.clearReconnectTimer(url);
+
+    const exponent = Math.max(0, status.attempts - 1);
+    const backoff = Math.min(
+      RELAY_CONFIG.BASE_RETRY_DELAY * Math.pow(2, exponent),
+      RELAY_CONFIG.MAX_RETRY_DELAY
+    );
+    // Jitter keeps every relay from being redialed in the same tick
+    const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+
+    this.updateStatus(url, { nextRetryAt: Date.now() + delay });
+    console.log(`⏳ Reconnecting to ${url} in ${delay}ms`);
+
+    const timer = setTimeout(() => {
+      this.reconnectTimers.delete(url);
+      this.connect(url).catch(error => {
+        console.error(`Error reconnecting to ${url}:`, error);
+      });
+    }, delay);
+
+    this.reconnectTimers.set(url, timer);
+  }
+
+  clearReconnectTimer(url) {
+    const timer = this.reconnectTimers.get(url);
+    if (timer) {
+      clearTimeout(timer);
+      this.reconnectTimers.delete(url);
+    }
+  }
+
+  dropConnection(url) {
+    const relay = this.connections.get(url);
+    this.connections.delete(url);
+
+    if (relay) {
+      relay.onclose = null;
+    }
+
+    if (!this.pool) return;
+
+    try {
+      this.pool.close([url]);
+      // SimplePool keeps closed relays around by normalized URL; forget it so the next
+      // ensureRelay opens a fresh socket instead of reusing the dead one
+      this.pool.relays?.delete(utils.normalizeURL(url));
+    } catch (error) {
+      console.warn(`Error dropping relay connection ${url}:`, error);
+    }
+  }
+
+  // Start connecting every relay and wait (bounded) for the attempts to settle
+  async ensureOpen(urls, timeout = RELAY_CONFIG.INITIAL_WAIT) {
+    urls.forEach(url => this.addRelay(url));
+
+    const attempts = this.connectAll(urls);
+    let timeoutId;
+    const timer = new Promise(resolve => {
+      timeoutId = setTimeout(resolve, timeout);
+    });
+
+    try {
+      await Promise.race([attempts, timer]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    return this.getOpenRelays(urls);
+  }
+
+  // Relays that only talk to authenticated clients send a challenge; relays we always
+  // authenticate to get an answer right away, the rest only once they refuse us
+  handleAuthChallenge(url, relay) {
+    if (this.connections.get(url) !== relay) return;
+
+    console.log(`🔐 ${url} sent an AUTH challenge`);
+    this.updateStatus(url, { authenticated: false });
+
+    if (this.authHandler?.shouldAuthenticateEagerly(url)) {
+      this.authenticate(url).catch(error => {
+        console.warn(`⚠️ Could not authenticate to ${url}:`, error.message);
+      });
+    }
+  }
+
+  // Signs a kind 22242 event for the relay's challenge, if the relay's auth policy allows it
+  async signAuthEvent(template) {
+    if (!this.authHandler) {
+      throw new Error('Relay authentication is not available');
+    }
+
+    const url = template.tags.find(tag => tag[0] === 'relay')?.[1];
+    if (!(await this.authHandler.isAllowed(url))) {
+      throw new Error('Authentication declined');
+    }
+    return await this.authHandler.signAuthEvent(template);
+  }
+
+  // NIP-42 handshake on an open connection. Resolves once the relay accepted our AUTH event.
+  async authenticate(url) {
+    const relay = this.connections.get(url) || await this.pool.ensureRelay(url);
+    if (!relay.challenge) {
+      throw new Error('Relay has not sent an AUTH challenge');
+    }
+
+    // Signed up front: nostr-tools never settles relay.auth() when the signer throws, so a
+    // declined or failed signature would leave us waiting forever
+    const authEvent = await this.signAuthEvent(nip42.makeAuthEvent(relay.url, relay.challenge));
+
+    try {
+      await relay.auth(async () => authEvent);
+      this.updateStatus(url, { authenticated: true });
+      console.log(`🔓 Authenticated to ${url}`);
+    } catch (error) {
+      // nostr-tools keeps the failed attempt around; forget it so we can try again later
+      relay.authPromise = undefined;
+      throw error;
+    }
+  }
+
+  // A NIP-20 OK false with an "auth-required:" prefix
+  isAuthRequired(result) {
+    return result.status === PUBLISH_STATUS.REJECTED && (result.message || '').startsWith('auth-required:');
+  }
+
+  // Send a signed event to each relay and collect its NIP-20 OK response.
+  // Never rejects: every relay resolves to { relay, status, message }.
+  async publish(relays, event, timeout = RELAY_CONFIG.PUBLISH_TIMEOUT) {
+    if (!this.pool) {
+      throw new Error('RelayManager has no pool attached');
+    }
+
+    const send = (relay) => {
+      try {
+        return this.pool.publish([relay], event)[0];
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    const results = await Promise.all(relays.map(relay =>
+      this.awaitAck(relay, send(relay), timeout)
+    ));
+
+    // A relay that wants to know who we are says so in its OK; authenticate and send again
+    return Promise.all(results.map(async (result) => {
+      if (!this.isAuthRequired(result)) {
+        return result;
+      }
+
+      try {
+        await this.authenticate(result.relay);
+      } catch (error) {
+        console.warn(`🔐 Not authenticating to ${result.relay}:`, error.message);
+        return result;
+      }
+
+      return await this.awaitAck(result.relay, send(result.relay), timeout);
+    }));
+  }
+
+  async awaitAck(relay, publish, timeout) {
+    let timeoutId;
+    const timer = new Promise(resolve => {
+      timeoutId = setTimeout(() => resolve({
+        relay,
+        status: PUBLISH_STATUS.TIMEOUT,
+        message: 'No OK received from relay'
+      }), timeout);
+    });
+
+    const ack = publish.then(
+      reason => ({ relay, status: PUBLISH_STATUS.ACCEPTED, message: reason || '' }),
+      error => {
+        const message = typeof error === 'string' ? error : (error?.message || 'Publish failed');
+        // nostr-tools reports a missing OK as an error with this exact message
+        const status = message === 'publish timed out' ? PUBLISH_STATUS.TIMEOUT : PUBLISH_STATUS.REJECTED;
+        return { relay, status, message };
+      }
+    );
+
+    try {
+      return await Promise.race([ack, timer]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // NIP-11 documents are fetched with this; swap it to point lookups at a stub server
+  setFetchImplementation(fetchImplementation) {
+    this.fetchImplementation = fetchImplementation;
+  }
+
+  // NIP-11 is served over HTTP(S) from the relay's own URL
+  getRelayInfoUrl(url) {
+    return url.replace(/^ws:\/\//i, 'http://').replace(/^wss:\/\//i, 'https://');
+  }
+
+  async fetchRelayInfo(url, timeout = RELAY_CONFIG.INFO_TIMEOUT) {
+    if (!this.fetchImplementation) {
+      throw new Error('No fetch implementation available');
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeoutId = setTimeout(() => controller?.abort(), timeout);
+
+    try {
+      const response = await this.fetchImplementation(this.getRelayInfoUrl(url), {
+        headers: { Accept: 'application/nostr+json' },
+        signal: controller?.signal
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      // Relays that ignore the Accept header answer with their web page
+      const contentType = response.headers?.get?.('content-type') || '';
+      if (contentType && !/json/i.test(contentType)) {
+        throw new Error(`Unexpected content type ${contentType}`);
+      }
+
+      const info = await response.json();
+      if (!info || typeof info !== 'object' || Array.isArray(info)) {
+        throw new Error('Not a relay information document');
+      }
+      return info;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // NIP-11 relay information document, cached per relay. Resolves null if the relay doesn't serve one.
+  async getRelayInfo(url, { refresh = false } = {}) {
+    const cached = this.relayInfo.get(url);
+    if (cached && !refresh && Date.now() - cached.fetchedAt < RELAY_CONFIG.INFO_TTL) {
+      return cached.info;
+    }
+
+    if (!refresh) {
+      const stored = await cacheService.getRelayInfo(url);
+      if (stored) {
+        this.relayInfo.set(url, { info: stored, fetchedAt: Date.now() });
+        return stored;
+      }
+    }
+
+    try {
+      const info = await this.fetchRelayInfo(url);
+      this.relayInfo.set(url, { info, fetchedAt: Date.now() });
+      await cacheService.setRelayInfo(url, info);
+      return info;
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch relay information for ${url}:`, error?.message || error);
+      // Remember the miss too, so a relay without NIP-11 isn't asked on every publish
+      this.relayInfo.set(url, { info: null, fetchedAt: Date.now() });
+      return null;
+    }
+  }
+
+  // What a relay says about itself, in the shape the UI and services need. Resolves null
+  // when the relay has no NIP-11 document.
+  async getRelayCapabilities(url, options = {}) {
+    const info = await this.getRelayInfo(url, options);
+    if (!info) return null;
+
+    const limitation = info.limitation || {};
+    const supportedNips = Array.isArray(info.supported_nips)
+      ? info.supported_nips.map(nip => parseInt(nip, 10)).filter(nip => !isNaN(nip))
+      : [];
+
+    return {
+      url,
+      name: info.name || null,
+      description: info.description || null,
+      pubkey: info.pubkey || null,
+      contact: info.contact || null,
+      software: info.software || null,
+      version: info.version || null,
+      supportedNips,
+      authRequired: !!limitation.auth_required,
+      paymentRequired: !!limitation.payment_required,
+      restrictedWrites: !!limitation.restricted_writes,
+      paymentsUrl: info.payments_url || null,
+      limits: {
+        maxMessageLength: limitation.max_message_length ?? null,
+        maxSubscriptions: limitation.max_subscriptions ?? null,
+        maxFilters: limitation.max_filters ?? null,
+        maxLimit: limitation.max_limit ?? null,
+        maxEventTags: limitation.max_event_tags ?? null,
+        maxContentLength: limitation.max_content_length ?? null,
+        minPowDifficulty: limitation.min_pow_difficulty ?? null,
+      }
+    };
+  }
+
+  // true/false from the relay's supported_nips, or null when it doesn't publish NIP-11
+  async supportsNip(url, nip) {
+    const capabilities = await this.getRelayCapabilities(url);
+    return capabilities ? capabilities.supportedNips.includes(nip) : null;
+  }
+
+  removeRelay(url) {
+    this.clearReconnectTimer(url);
+    this.dropConnection(url);
+    this.statuses.delete(url);
+    this.notifyListeners({ url, state: RELAY_STATES.CLOSED, removed: true });
+  }
+
+  disconnect() {
+    Array.from(this.statuses.keys()).forEach(url => {
+      this.clearReconnectTimer(url);
+      this.dropConnection(url);
+      this.updateStatus(url, {
+        state: RELAY_STATES.CLOSED,
+        lastError: null,
+        connectedAt: null,
+        nextRetryAt: null
+      });
+    });
+  }
+}
+
+// SimplePool whose subscriptions and queries answer "auth-required:" CLOSED messages:
+// nostr-tools authenticates through doauth and sends the REQ again. Later nostr-tools
+// releases replaced doauth with onauth, so keep the pinned version in mind when upgrading.
+export class AuthenticatingPool extends SimplePool {
+  subscribeMap(requests, params) {
+    return super.subscribeMap(requests, {
+      doauth: (template) => relayManager.signAuthEvent(template),
+      ...params
+    });
+  }
+}
+
+export const relayManager = new RelayManager();
+export default relayManager;
@@ -0,0 +1,532 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { nip19 } from 'nostr-tools';
+import { relayManager } from './RelayManager';
+import { relayListService } from './RelayListService';
+import { accountService } from './AccountService';
+import { nostrUtils } from '../utils/nostrUtils';
+import { EVENT_KINDS, STORAGE_KEYS, SEARCH_RELAYS, MESSAGE_TYPES, DELIVERY_STATES } from '../utils/constants';
+
+// Search index configuration
+const SEARCH_CONFIG = {
+  MAX_DOCUMENTS: 10000,     // Oldest messages are dropped from the index beyond this
+  MIN_TOKEN_LENGTH: 2,      // Shorter words aren't indexed
+  SAVE_DELAY: 2000,         // Batch index writes (2 seconds)
+  MAX_RESULTS: 100,
+  SNIPPET_LENGTH: 140,
+  REMOTE_LIMIT: 50,         // Events asked from each NIP-50 relay
+  REMOTE_WAIT: 6000,        // How long to wait for NIP-50 relays to answer
+};
+
+export const SEARCH_SOURCES = {
+  CHANNEL: 'channel',
+  DM: 'dm',
+  FEED: 'feed'
+};
+
+const LINK_PATTERN = /https?:\/\/\S+/i;
+
+const tokenize = (text) => (typeof text === 'string' ? text.toLowerCase() : '')
+  .split(/[^a-z0-9\u00c0-\uffff]+/)
+  .filter(token => token.length >= SEARCH_CONFIG.MIN_TOKEN_LENGTH);
+
+// Local full-text index over channel messages, decrypted DMs and feed posts the app has
+// shown. Documents are kept per account on this device only: the index is never published,
+// and DMs or encrypted group messages are never part of a relay (NIP-50) query. Encrypted
+// group messages aren't written to storage at all.
+class SearchService {
+  constructor() {
+    this.documents = new Map();  // id -> { id, source, conversationId, conversationName, author, authorName, content, timestamp, encrypted, ... }
+    this.postings = new Map();   // token -> Set of document ids
+    this.storageKey = null;      // Where the active account's index is stored
+    this.saveTimer = null;
+    this.loaded = false;
+  }
+
+  async load() {
+    try {
+      this.storageKey = accountService.key(STORAGE_KEYS.SEARCH_INDEX);
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      const documents = stored ? JSON.parse(stored) : [];
+
+      // Keep anything indexed in memory before the load finished
+      documents.filter(doc => !this.documents.has(doc.id)).forEach(doc => this.insert(doc));
+      this.loaded = true;
+
+      console.log(`🔎 Search index loaded with ${this.documents.size} messages`);
+    } catch (error) {
+      console.error('Error loading search index:', error);
+    }
+  }
+
+  async save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.storageKey) return;
+
+    const documents = Array.from(this.documents.values())
+      .filter(doc => !(doc.source === SEARCH_SOURCES.CHANNEL && doc.encrypted));
+
+    try {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(documents));
+    } catch (error) {
+      console.error('Error saving search index:', error);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SEARCH_CONFIG.SAVE_DELAY);
+  }
+
+  // Write what's pending for the account that is going away, then forget it
+  async reset() {
+    if (this.saveTimer) {
+      await this.save();
+    }
+    this.documents.clear();
+    this.postings.clear();
+    this.storageKey = null;
+    this.loaded = false;
+  }
+
+  // Forget everything indexed for the active account
+  async clear() {
+    try {
+      this.documents.clear();
+      this.postings.clear();
+      if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+      }
+      if (this.storageKey) {
+        await AsyncStorage.removeItem(this.storageKey);
+      }
+      console.log('🗑️ Search index cleared');
+    } catch (error) {
+      console.error('Error clearing search index:', error);
+      throw error;
+    }
+  }
+
+  getStats() {
+    const stats = { total: this.documents.size, channel: 0, dm: 0, feed: 0 };
+    this.documents.forEach(doc => {
+      stats[doc.source] = (stats[doc.source] || 0) + 1;
+    });
+    return stats;
+  }
+
+  insert(doc) {
+    this.documents.set(doc.id, doc);
+    new Set(tokenize(doc.content)).forEach(token => {
+      if (!this.postings.has(token)) this.postings.set(token, new Set());
+      this.postings.get(token).add(doc.id);
+    });
+  }
+
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return;
+
+    tokenize(doc.content).forEach(token => {
+      const ids = this.postings.get(token);
+      if (!ids) return;
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(token);
+    });
+    this.documents.delete(id);
+  }
+
+  // Add documents that aren't indexed yet. Names learned later (profiles load after the
+  // messages) are filled in on documents that are already there.
+  addDocuments(docs) {
+    let changed = 0;
+
+    docs.forEach(doc => {
+      if (!doc.id || !doc.content) return;
+
+      const existing = this.documents.get(doc.id);
+      if (existing) {
+        if (doc.authorName && existing.authorName !== doc.authorName) {
+          existing.authorName = doc.authorName;
+          changed++;
+        }
+        if (doc.conversationName && existing.conversationName !== doc.conversationName) {
+          existing.conversationName = doc.conversationName;
+          changed++;
+        }
+        return;
+      }
+
+      this.insert(doc);
+      changed++;
+    });
+
+    if (changed === 0) return 0;
+
+    const overflow = this.documents.size - SEARCH_CONFIG.MAX_DOCUMENTS;
+    if (overflow > 0) {
+      Array.from(this.documents.values())
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(0, overflow)
+        .forEach(doc => this.remove(doc.id));
+    }
+
+    this.scheduleSave();
+    return changed;
+  }
+
+  // channel: { channelId, channelName, protocol, groupId, encrypted }
+  indexChannelMessages(channel, messages, nameOf = () => null) {
+    return this.addDocuments(messages
+      .filter(message => typeof message.content === 'string' && message.author &&
+        message.type !== MESSAGE_TYPES.SYSTEM && message.type !== MESSAGE_TYPES.BOT_RESPONSE &&
+        (!message.delivery || message.delivery.state === DELIVERY_STATES.SENT))
+      .map(message => ({
+        id: message.id,
+        source: SEARCH_SOURCES.CHANNEL,
+        conversationId: channel.channelId,
+        conversationName: channel.channelName,
+        protocol: channel.protocol || 'public',
+        groupId: channel.groupId || null,
+        author: message.author,
+        authorName: nameOf(message.author),
+        content: message.content,
+        timestamp: message.timestamp,
+        encrypted: !!channel.encrypted
+      })));
+  }
+
+  // Decrypted DMs with one contact; these stay in this index and nowhere else
+  indexDirectMessages(contact, messages) {
+    return this.addDocuments(messages
+      .filter(message => typeof message.content === 'string' && !message.pending && !message.queued)
+      .map(message => ({
+        id: message.id,
+        source: SEARCH_SOURCES.DM,
+        conversationId: contact.pubkey,
+        conversationName: contact.name,
+        author: message.author,
+        authorName: message.isFromMe ? null : contact.name,
+        content: message.content,
+        timestamp: message.timestamp,
+        encrypted: true
+      })));
+  }
+
+  indexFeedPosts(posts, profiles = new Map()) {
+    return this.addDocuments(posts
+      .filter(post => post.kind === undefined || post.kind === EVENT_KINDS.TEXT_NOTE)
+      .map(post => {
+        const profile = profiles.get(post.pubkey);
+        return {
+          id: post.id,
+          source: SEARCH_SOURCES.FEED,
+          conversationId: null,
+          conversationName: null,
+          author: post.pubkey,
+          authorName: profile?.name || profile?.display_name || null,
+          content: post.content,
+          timestamp: post.created_at,
+          encrypted: false
+        };
+      }));
+  }
+
+  // Splits a query into words and filters:
+  //   from:<name|npub|hex|me>  in:#channel  in:@contact  in:dm  in:feed
+  //   before:<YYYY-MM-DD|7d>   after:<YYYY-MM-DD|7d>     has:link   "exact phrase"
+  parseQuery(text) {
+    const query = {
+      terms: [],
+      phrases: [],
+      from: null,
+      in: null,
+      before: null,
+      after: null,
+      hasLink: false
+    };
+
+    const parts = (text || '').match(/"[^"]*"|\S+/g) || [];
+    parts.forEach(part => {
+      if (part.startsWith('"')) {
+        const phrase = part.replace(/"/g, '').trim().toLowerCase();
+        if (phrase) {
+          query.phrases.push(phrase);
+          query.terms.push(...tokenize(phrase));
+        }
+        return;
+      }
+
+      const filter = part.match(/^(from|in|before|after|has):(.+)$/i);
+      if (!filter) {
+        query.terms.push(...tokenize(part));
+        return;
+      }
+
+      const [, name, value] = filter;
+      switch (name.toLowerCase()) {
+        case 'from':
+          query.from = value;
+          break;
+        case 'in':
+          query.in = this.parseScope(value);
+          break;
+        case 'before':
+          query.before = this.parseDate(value, false);
+          break;
+        case 'after':
+          query.after = this.parseDate(value, true);
+          break;
+        case 'has':
+          if (value.toLowerCase() === 'link') {
+            query.hasLink = true;
+          } else {
+            query.terms.push(...tokenize(value));
+          }
+          break;
+      }
+    });
+
+    return query;
+  }
+
+  parseScope(value) {
+    const lower = value.toLowerCase();
+    if (lower === 'dm' || lower === 'dms') return { source: SEARCH_SOURCES.DM, name: null };
+    if (lower === 'feed') return { source: SEARCH_SOURCES.FEED, name: null };
+    if (value.startsWith('@')) return { source: SEARCH_SOURCES.DM, name: value.substring(1) };
+    if (value.startsWith('npub1')) return { source: SEARCH_SOURCES.DM, name: value };
+    return { source: SEARCH_SOURCES.CHANNEL, name: value.replace(/^#/, '') };
+  }
+
+  // Unix seconds. A date on its own is exclusive on both ends (before: means earlier than that
+  // day, after: later than it); a duration such as 7d counts back from now.
+  parseDate(value, isAfter) {
+    const range = nostrUtils.parseDateRange(value);
+    if (!range) return null;
+    return isAfter && !range.relative ? range.end : range.start;
+  }
+
+  // from: as pubkeys. Names are matched against the authors we've indexed.
+  resolveAuthors(value) {
+    if (!value) return null;
+
+    if (value.toLowerCase() === 'me') {
+      return accountService.activePubkey ? [accountService.activePubkey] : [];
+    }
+    if (/^[0-9a-f]{64}$/i.test(value)) {
+      return [value.toLowerCase()];
+    }
+    if (value.startsWith('npub1')) {
+      try {
+        const decoded = nip19.decode(value);
+        return decoded.type === 'npub' ? [decoded.data] : [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    const name = value.replace(/^@/, '').toLowerCase();
+    const pubkeys = new Set();
+    this.documents.forEach(doc => {
+      if (doc.authorName?.toLowerCase() === name || doc.author.startsWith(name)) {
+        pubkeys.add(doc.author);
+      }
+    });
+    return Array.from(pubkeys);
+  }
+
+  // contacts: pubkeys an in:@contact scope resolved to
+  matchesScope(doc, scope, contacts = []) {
+    if (!scope) return true;
+    if (doc.source !== scope.source) return false;
+    if (!scope.name) return true;
+
+    const name = scope.name.toLowerCase();
+    if (scope.source === SEARCH_SOURCES.DM) {
+      return contacts.includes(doc.conversationId) || doc.conversationName?.toLowerCase() === name;
+    }
+    return doc.conversationName?.toLowerCase() === name || doc.conversationId === scope.name;
+  }
+
+  // Ids of documents with a word starting with the term
+  lookup(term) {
+    const ids = new Set();
+    this.postings.forEach((postingIds, token) => {
+      if (token.startsWith(term)) {
+        postingIds.forEach(id => ids.add(id));
+      }
+    });
+    return ids;
+  }
+
+  matchesFilters(doc, query, authors, contacts) {
+    if (authors && !authors.includes(doc.author)) return false;
+    if (!this.matchesScope(doc, query.in, contacts)) return false;
+    if (query.before !== null && doc.timestamp >= query.before) return false;
+    if (query.after !== null && doc.timestamp < query.after) return false;
+    if (query.hasLink && !LINK_PATTERN.test(doc.content)) return false;
+
+    const content = doc.content.toLowerCase();
+    return query.phrases.every(phrase => content.includes(phrase));
+  }
+
+  isEmptyQuery(query) {
+    return query.terms.length === 0 && !query.from && !query.in &&
+      query.before === null && query.after === null && !query.hasLink;
+  }
+
+  // Newest matches first; every word has to match (as a word prefix) and every filter apply
+  search(text, { limit = SEARCH_CONFIG.MAX_RESULTS } = {}) {
+    const query = this.parseQuery(text);
+    if (this.isEmptyQuery(query)) return [];
+
+    let candidates = null;
+    for (const term of new Set(query.terms)) {
+      const ids = this.lookup(term);
+      candidates = candidates ? new Set(Array.from(candidates).filter(id => ids.has(id))) : ids;
+      if (candidates.size === 0) return [];
+    }
+
+    const authors = this.resolveAuthors(query.from);
+    const contacts = query.in?.source === SEARCH_SOURCES.DM ? this.resolveAuthors(query.in.name) || [] : [];
+    const docs = candidates
+      ? Array.from(candidates).map(id => this.documents.get(id))
+      : Array.from(this.documents.values());
+
+    return docs
+      .filter(doc => this.matchesFilters(doc, query, authors, contacts))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit)
+      .map(doc => ({ ...doc, snippet: this.getSnippet(doc.content, query.terms) }));
+  }
+
+  // The part of the content around the first matching word
+  getSnippet(content, terms) {
+    const text = content.replace(/\s+/g, ' ').trim();
+    if (text.length <= SEARCH_CONFIG.SNIPPET_LENGTH) return text;
+
+    const lower = text.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+    const hit = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, hit - Math.floor(SEARCH_CONFIG.SNIPPET_LENGTH / 3));
+    const end = Math.min(text.length, start + SEARCH_CONFIG.SNIPPET_LENGTH);
+
+    return `${start > 0 ? '…' : ''}${text.substring(start, end)}${end < text.length ? '…' : ''}`;
+  }
+
+  // Relays we're connected to or know of that advertise NIP-50 search in their NIP-11 document
+  async getSearchRelays() {
+    const extra = await relayListService.openRelays(SEARCH_RELAYS);
+    const candidates = Array.from(new Set([...relayManager.getOpenRelays(), ...extra]));
+    const supported = await Promise.all(candidates.map(url => relayManager.supportsNip(url, 50)));
+    return candidates.filter((url, index) => supported[index] === true);
+  }
+
+  // NIP-50 search for public notes and channel messages. Only the words and the public
+  // filters leave the device; DM scopes are never sent and nothing found is indexed.
+  async searchRelays(text, { limit = SEARCH_CONFIG.REMOTE_LIMIT } = {}) {
+    try {
+      const query = this.parseQuery(text);
+      if (query.in?.source === SEARCH_SOURCES.DM) return [];
+
+      const search = [...query.terms.filter(term => !query.phrases.some(phrase => phrase.includes(term))),
+        ...query.phrases.map(phrase => `"${phrase}"`)].join(' ');
+      if (!search || !relayManager.pool) return [];
+
+      const relays = await this.getSearchRelays();
+      if (relays.length === 0) {
+        console.log('🔎 No NIP-50 search relays available');
+        return [];
+      }
+
+      const filter = {
+        kinds: query.in?.source === SEARCH_SOURCES.FEED ? [EVENT_KINDS.TEXT_NOTE]
+          : query.in?.source === SEARCH_SOURCES.CHANNEL ? [EVENT_KINDS.CHANNEL_MESSAGE]
+          : [EVENT_KINDS.TEXT_NOTE, EVENT_KINDS.CHANNEL_MESSAGE],
+        search,
+        limit
+      };
+
+      const authors = this.resolveAuthors(query.from);
+      if (authors) {
+        if (authors.length === 0) return [];
+        filter.authors = authors;
+      }
+      if (query.after !== null) filter.since = query.after;
+      if (query.before !== null) filter.until = query.before - 1;
+
+      // A channel we know by name can be narrowed down to its id
+      if (query.in?.source === SEARCH_SOURCES.CHANNEL && query.in.name) {
+        const channelIds = new Set();
+        this.documents.forEach(doc => {
+          if (doc.source === SEARCH_SOURCES.CHANNEL && doc.protocol !== 'nip29' && !doc.encrypted &&
+              this.matchesScope(doc, query.in)) {
+            channelIds.add(doc.conversationId);
+          }
+        });
+        if (channelIds.size === 0) return [];
+        filter['#e'] = Array.from(channelIds);
+      }
+
+      const events = await relayManager.pool.querySync(relays, filter, { maxWait: SEARCH_CONFIG.REMOTE_WAIT });
+      console.log(`🔎 ${events.length} results from ${relays.length} NIP-50 relays`);
+
+      const unique = new Map();
+      events.forEach(event => unique.set(event.id, event));
+
+      return Array.from(unique.values())
+        .map(event => this.toRemoteResult(event))
+        .filter(doc => doc && (!query.hasLink || LINK_PATTERN.test(doc.content)))
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .map(doc => ({ ...doc, snippet: this.getSnippet(doc.content, query.terms) }));
+    } catch (error) {
+      console.error('Error searching relays:', error);
+      throw error;
+    }
+  }
+
+  toRemoteResult(event) {
+    if (event.kind === EVENT_KINDS.CHANNEL_MESSAGE) {
+      const rootTag = event.tags.find(tag => tag[0] === 'e' && tag[3] === 'root') ||
+        event.tags.find(tag => tag[0] === 'e');
+      if (!rootTag) return null;
+
+      const known = Array.from(this.documents.values()).find(doc => doc.conversationId === rootTag[1]);
+      return {
+        id: event.id,
+        source: SEARCH_SOURCES.CHANNEL,
+        conversationId: rootTag[1],
+        conversationName: known?.conversationName || `${rootTag[1].substring(0, 8)}...`,
+        protocol: 'public',
+        groupId: null,
+        author: event.pubkey,
+        authorName: null,
+        content: event.content,
+        timestamp: event.created_at,
+        encrypted: false,
+        remote: true
+      };
+    }
+
+    return {
+      id: event.id,
+      source: SEARCH_SOURCES.FEED,
+      conversationId: null,
+      conversationName: null,
+      author: event.pubkey,
+      authorName: null,
+      content: event.content,
+      timestamp: event.created_at,
+      encrypted: false,
+      remote: true,
+      event
+    };
+  }
+}
+
+export const searchService = new SearchService();
+export default searchService;
@@ -0,0 +1,285 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { accountService } from './AccountService';
+import { STORAGE_KEYS } from '../utils/constants';
+
+// Sender key configuration
+const SENDER_KEY_CONFIG = {
+  MAX_SKIP: 1000,           // Message keys kept for one chain's out-of-order messages
+  KEEP_VERSIONS: 2,         // Key versions (epochs) whose receiving chains are kept
+  MAX_PLAINTEXTS: 2000,     // Decrypted messages remembered in memory while the app runs
+};
+
+// HMAC inputs separating the two keys derived from a chain key (as in Signal's sender keys)
+const MESSAGE_KEY_SEED = new Uint8Array([0x01]);
+const CHAIN_KEY_SEED = new Uint8Array([0x02]);
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (text) => new Uint8Array(atob(text).split('').map(char => char.charCodeAt(0)));
+const toHex = (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+
+const randomBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return bytes;
+};
+
+// HMAC-SHA256 over WebCrypto
+const hmac = async (keyBytes, data) => {
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, data));
+};
+
+// One ratchet step: the message key for this index and the chain key for the next one.
+// Deterministic, so both ends derive the same keys from the same chain key.
+export const ratchetStep = async (chainKey) => ({
+  messageKey: await hmac(chainKey, MESSAGE_KEY_SEED),
+  nextChainKey: await hmac(chainKey, CHAIN_KEY_SEED)
+});
+
+// Binds a ciphertext to its group, sender and position in the chain
+const additionalData = (groupId, sender, chainId, index) =>
+  new TextEncoder().encode(`${groupId}|${sender}|${chainId}|${index}`);
+
+// Sender keys for encrypted groups. Every member encrypts with their own chain, hash-ratcheted
+// forward one step per message; the chain key is handed to the other members (see
+// GroupEncryptionService.processSenderKeyShare) and each message key is deleted once used, so
+// the stored chains can't decrypt earlier ciphertexts again. A member can't write under someone
+// else's name: receivers pick the chain by the Nostr signer of the event.
+// A chain belongs to one key version; rotating the group key starts new chains.
+// Decrypted messages are remembered in memory only, so a message read before stays readable
+// until the app closes and nothing decrypted ever reaches storage.
+class SenderKeyService {
+  constructor() {
+    this.states = new Map();  // group id -> { own: { [version]: chain }, chains: { [pubkey:chainId]: chain } }
+    this.locks = new Map();   // group id -> Promise, so two messages never take the same index
+    this.plaintexts = new Map(); // event id -> decrypted payload
+  }
+
+  // Run fn with the group's state, one at a time per group; fn's changes are saved
+  async withState(groupId, fn) {
+    const previous = this.locks.get(groupId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+      const state = await this.loadState(groupId);
+      const result = await fn(state);
+      await AsyncStorage.setItem(accountService.key(`sender_keys_${groupId}`), JSON.stringify(state));
+      return result;
+    });
+    this.locks.set(groupId, run);
+    return await run;
+  }
+
+  async loadState(groupId) {
+    if (this.states.has(groupId)) {
+      return this.states.get(groupId);
+    }
+
+    let state = { own: {}, chains: {} };
+    try {
+      const stored = await AsyncStorage.getItem(accountService.key(`sender_keys_${groupId}`));
+      if (stored) {
+        state = JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error('Error loading sender keys:', error);
+    }
+    this.states.set(groupId, state);
+    return state;
+  }
+
+  // Our chain for this key version, started fresh (and older versions' chains dropped) if
+  // we have none yet. Returns a copy: { chainId, chainKey, index, keyVersion, distributedTo }.
+  async getOwnChain(groupId, keyVersion) {
+    return await this.withState(groupId, async (state) => {
+      if (!state.own[keyVersion]) {
+        state.own = {
+          [keyVersion]: {
+            chainId: toHex(randomBytes(16)),
+            chainKey: toBase64(randomBytes(32)),
+            index: 0,
+            keyVersion,
+            distributedTo: []
+          }
+        };
+        console.log(`🔗 Started sender chain for group ${groupId.substring(0, 8)}... (key v${keyVersion})`);
+      }
+      return { ...state.own[keyVersion] };
+    });
+  }
+
+  async markDistributed(groupId, keyVersion, pubkeys) {
+    await this.withState(groupId, async (state) => {
+      const chain = state.own[keyVersion];
+      if (chain) {
+        chain.distributedTo = Array.from(new Set([...chain.distributedTo, ...pubkeys]));
+      }
+    });
+  }
+
+  // A member's chain from their key share. Only new chains are taken: a share for a chain we
+  // already follow would move it back (or skip it ahead) for no reason.
+  async addReceivingChain(groupId, sender, { chainId, chainKey, index, keyVersion }) {
+    return await this.withState(groupId, async (state) => {
+      const id = `${sender}:${chainId}`;
+      if (state.chains[id]) {
+        return false;
+      }
+
+      state.chains[id] = { sender, chainId, chainKey, index, keyVersion, skipped: {} };
+
+      // Chains of key versions long rotated away are no use anymore
+      const newest = Math.max(...Object.values(state.chains).map(chain => chain.keyVersion));
+      Object.entries(state.chains).forEach(([chainName, chain]) => {
+        if (chain.keyVersion <= newest - SENDER_KEY_CONFIG.KEEP_VERSIONS) {
+          delete state.chains[chainName];
+        }
+      });
+      return true;
+    });
+  }
+
+  // Encrypt with the next message key of our chain, then forget that key.
+  // Resolves with { content, chainId, index }.
+  async encrypt(groupId, sender, keyVersion, plaintext) {
+    return await this.withState(groupId, async (state) => {
+      const chain = state.own[keyVersion];
+      if (!chain) {
+        throw new Error('No sender chain for this key version');
+      }
+
+      const index = chain.index;
+      const { messageKey, nextChainKey } = await ratchetStep(fromBase64(chain.chainKey));
+      chain.chainKey = toBase64(nextChainKey);
+      chain.index = index + 1;
+
+      const content = await this.seal(messageKey, plaintext, additionalData(groupId, sender, chain.chainId, index));
+      return { content, chainId: chain.chainId, index };
+    });
+  }
+
+  // Decrypt a message from sender's chain at index. Keys of messages we skipped over are kept
+  // (up to MAX_SKIP) for when they arrive; every key is deleted once it decrypted its message.
+  // The chain only moves once the message opened, so a forged or corrupted one costs no key.
+  // Resolves with the plaintext, or null when we don't have the key (anymore).
+  async decrypt(groupId, sender, chainId, index, content) {
+    return await this.withState(groupId, async (state) => {
+      const chain = state.chains[`${sender}:${chainId}`];
+      if (!chain) {
+        return null;
+      }
+
+      let messageKey;
+      let advanced = null; // { chainKey, index, skipped } to take on once the message opened
+      if (index < chain.index) {
+        if (!chain.skipped[index]) {
+          return null;
+        }
+        messageKey = fromBase64(chain.skipped[index]);
+      } else {
+        if (index - chain.index > SENDER_KEY_CONFIG.MAX_SKIP) {
+          console.warn(`⚠️ Sender chain ${chainId.substring(0, 8)} jumped ${index - chain.index} messages ahead, not following`);
+          return null;
+        }
+
+        const skipped = { ...chain.skipped };
+        let chainKey = fromBase64(chain.chainKey);
+        for (let i = chain.index; i <= index; i++) {
+          const step = await ratchetStep(chainKey);
+          if (i === index) {
+            messageKey = step.messageKey;
+          } else {
+            skipped[i] = toBase64(step.messageKey);
+          }
+          chainKey = step.nextChainKey;
+        }
+
+        // Oldest skipped keys go first
+        const skippedIndexes = Object.keys(skipped).map(Number).sort((a, b) => a - b);
+        skippedIndexes
+          .slice(0, Math.max(0, skippedIndexes.length - SENDER_KEY_CONFIG.MAX_SKIP))
+          .forEach(oldest => delete skipped[oldest]);
+
+        advanced = { chainKey: toBase64(chainKey), index: index + 1, skipped };
+      }
+
+      let plaintext;
+      try {
+        plaintext = await this.open(messageKey, content, additionalData(groupId, sender, chainId, index));
+      } catch (error) {
+        console.error('Error decrypting sender key message:', error);
+        return null;
+      }
+
+      if (advanced) {
+        Object.assign(chain, advanced);
+      } else {
+        delete chain.skipped[index];
+      }
+      return plaintext;
+    });
+  }
+
+  // AES-256-GCM; base64 of a 12-byte IV followed by the ciphertext
+  async seal(keyBytes, plaintext, aad) {
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt']);
+    const iv = randomBytes(12);
+    const encrypted = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: aad },
+      key,
+      new TextEncoder().encode(plaintext)
+    ));
+
+    const combined = new Uint8Array(iv.length + encrypted.length);
+    combined.set(iv);
+    combined.set(encrypted, iv.length);
+    return toBase64(combined);
+  }
+
+  async open(keyBytes, content, aad) {
+    const combined = fromBase64(content);
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['decrypt']);
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: combined.slice(0, 12), additionalData: aad },
+      key,
+      combined.slice(12)
+    );
+    return new TextDecoder().decode(decrypted);
+  }
+
+  // Decrypted payload of a message we read (or sent) before, or null
+  getPlaintext(eventId) {
+    return this.plaintexts.get(eventId) || null;
+  }
+
+  rememberPlaintext(eventId, payload) {
+    this.plaintexts.set(eventId, payload);
+
+    // Maps keep insertion order, so the first entries are the oldest
+    while (this.plaintexts.size > SENDER_KEY_CONFIG.MAX_PLAINTEXTS) {
+      this.plaintexts.delete(this.plaintexts.keys().next().value);
+    }
+  }
+
+  // Earlier versions kept the plaintexts in storage; drop every account's copy
+  async removeStoredPlaintexts() {
+    try {
+      const allKeys = await AsyncStorage.getAllKeys();
+      const stored = allKeys.filter(key => key.split(':')[0] === STORAGE_KEYS.GROUP_PLAINTEXTS);
+      if (stored.length > 0) {
+        await AsyncStorage.multiRemove(stored);
+        console.log(`🧹 Removed ${stored.length} stored group plaintext copies`);
+      }
+    } catch (error) {
+      console.warn('Error removing stored group plaintexts:', error);
+    }
+  }
+
+  // Account switch: the in-memory copies are dropped; the stored chains stay with their account
+  reset() {
+    this.states.clear();
+    this.locks.clear();
+    this.plaintexts.clear();
+  }
+}
+
+export const senderKeyService = new SenderKeyService();
+export default senderKeyService;
@@ -0,0 +1,348 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform, Linking } from 'react-native';
+import { finalizeEvent, getPublicKey, generateSecretKey, nip04, nip44 } from 'nostr-tools';
+import { BunkerSigner, parseBunkerInput } from 'nostr-tools/nip46';
+import { accountService } from './AccountService';
+import { STORAGE_KEYS, SIGNER_TYPES, ERROR_MESSAGES } from '../utils/constants';
+
+// Signer configuration
+const SIGNER_CONFIG = {
+  EXTENSION_WAIT: 3000,   // Extensions inject window.nostr some time after page load
+  EXTENSION_POLL: 100,
+  BUNKER_TIMEOUT: 60000,  // Long enough to approve the connection on the other device
+};
+
+const hexToBytes = (hex) => new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
+const bytesToHex = (bytes) => Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+// The timer is cleared however the race ends, so answered calls don't leave it pending
+const withTimeout = async (promise, ms, message) => {
+  let timer = null;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Every signer below has the same async surface as nostr-tools' BunkerSigner:
+// getPublicKey, signEvent, nip04Encrypt/nip04Decrypt and nip44Encrypt/nip44Decrypt.
+
+// Raw key held by the app. The key is read on every call so a locked keystore stops it at once.
+class LocalSigner {
+  constructor(getPrivateKey) {
+    this.getPrivateKey = getPrivateKey;
+  }
+
+  getSecretKey() {
+    const privateKey = this.getPrivateKey();
+    if (!privateKey) {
+      throw new Error(ERROR_MESSAGES.NO_PRIVATE_KEY);
+    }
+    return hexToBytes(privateKey);
+  }
+
+  async getPublicKey() {
+    return getPublicKey(this.getSecretKey());
+  }
+
+  async signEvent(eventTemplate) {
+    return finalizeEvent(eventTemplate, this.getSecretKey());
+  }
+
+  async nip04Encrypt(pubkey, plaintext) {
+    return await nip04.encrypt(this.getSecretKey(), pubkey, plaintext);
+  }
+
+  async nip04Decrypt(pubkey, ciphertext) {
+    return await nip04.decrypt(this.getSecretKey(), pubkey, ciphertext);
+  }
+
+  async nip44Encrypt(pubkey, plaintext) {
+    return nip44.encrypt(plaintext, nip44.getConversationKey(this.getSecretKey(), pubkey));
+  }
+
+  async nip44Decrypt(pubkey, ciphertext) {
+    return nip44.decrypt(ciphertext, nip44.getConversationKey(this.getSecretKey(), pubkey));
+  }
+}
+
+// NIP-07 browser extension
+class ExtensionSigner {
+  get nostr() {
+    if (typeof window === 'undefined' || !window.nostr) {
+      throw new Error('No NIP-07 extension found');
+    }
+    return window.nostr;
+  }
+
+  getEncryption(scheme) {
+    const encryption = this.nostr[scheme];
+    if (!encryption) {
+      throw new Error(`Your extension does not support ${scheme.toUpperCase()} encryption`);
+    }
+    return encryption;
+  }
+
+  async getPublicKey() {
+    return await this.nostr.getPublicKey();
+  }
+
+  async signEvent(eventTemplate) {
+    return await this.nostr.signEvent(eventTemplate);
+  }
+
+  async nip04Encrypt(pubkey, plaintext) {
+    return await this.getEncryption('nip04').encrypt(pubkey, plaintext);
+  }
+
+  async nip04Decrypt(pubkey, ciphertext) {
+    return await this.getEncryption('nip04').decrypt(pubkey, ciphertext);
+  }
+
+  async nip44Encrypt(pubkey, plaintext) {
+    return await this.getEncryption('nip44').encrypt(pubkey, plaintext);
+  }
+
+  async nip44Decrypt(pubkey, ciphertext) {
+    return await this.getEncryption('nip44').decrypt(pubkey, ciphertext);
+  }
+}
+
+// Picks the signer every event and encryption goes through: the app's own key, a NIP-07
+// extension or a NIP-46 remote signer. With an external signer the app never sees the key.
+// The choice is stored per account; load() picks up the active account's.
+class SignerService {
+  constructor() {
+    this.type = SIGNER_TYPES.LOCAL;
+    this.localKeyProvider = () => null; // NostrService hands over the keystore's key
+    this.localSigner = new LocalSigner(() => this.localKeyProvider());
+    this.remoteSigner = null;           // ExtensionSigner or BunkerSigner while one is active
+    this.publicKey = null;              // Pubkey reported by the external signer
+    this.bunker = null;                 // { pointer, clientSecretKey } for NIP-46
+    this.listeners = new Set();
+    this.loaded = false;
+  }
+
+  setLocalKeyProvider(provider) {
+    this.localKeyProvider = provider;
+  }
+
+  // Listener receives the new signer description whenever the active signer changes
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const description = this.getDescription();
+    this.listeners.forEach(listener => {
+      try {
+        listener(description);
+      } catch (error) {
+        console.error('Error in signer listener:', error);
+      }
+    });
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      const stored = await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.SIGNER));
+      if (!stored) return;
+
+      const { type, publicKey, bunker } = JSON.parse(stored);
+      this.type = type;
+      this.publicKey = publicKey;
+      this.bunker = bunker || null;
+
+      if (type === SIGNER_TYPES.NIP07) {
+        if (!(await this.waitForExtension())) {
+          console.warn('⚠️ NIP-07 extension selected but not available');
+        }
+        this.remoteSigner = new ExtensionSigner();
+      } else if (type === SIGNER_TYPES.NIP46) {
+        // The bunker already knows our client key from the first connect, so no new handshake
+        this.remoteSigner = this.createBunkerSigner(hexToBytes(bunker.clientSecretKey), bunker.pointer);
+      }
+
+      console.log(`✍️ Signer loaded: ${this.getDescription().label}`);
+    } catch (error) {
+      console.error('Error loading signer:', error);
+    }
+  }
+
+  // Store the signer an account uses; it takes effect when that account is loaded
+  async save(publicKey, type, bunker = null) {
+    try {
+      await AsyncStorage.setItem(accountService.key(STORAGE_KEYS.SIGNER, publicKey), JSON.stringify({
+        type,
+        publicKey,
+        bunker
+      }));
+    } catch (error) {
+      console.error('Error saving signer:', error);
+      throw error;
+    }
+  }
+
+  // Forget the loaded signer before switching accounts
+  async reset() {
+    await this.closeRemoteSigner();
+    this.type = SIGNER_TYPES.LOCAL;
+    this.publicKey = null;
+    this.bunker = null;
+    this.loaded = false;
+    this.notifyListeners();
+  }
+
+  isExternal() {
+    return this.type !== SIGNER_TYPES.LOCAL;
+  }
+
+  isReady() {
+    return this.isExternal() ? !!this.remoteSigner : !!this.localKeyProvider();
+  }
+
+  getSigner() {
+    if (!this.isReady()) {
+      throw new Error(this.isExternal() ? ERROR_MESSAGES.SIGNER_UNAVAILABLE : ERROR_MESSAGES.NO_PRIVATE_KEY);
+    }
+    return this.isExternal() ? this.remoteSigner : this.localSigner;
+  }
+
+  // For identities the app owns outright, like bots
+  createLocalSigner(privateKeyHex) {
+    return new LocalSigner(() => privateKeyHex);
+  }
+
+  getDescription() {
+    switch (this.type) {
+      case SIGNER_TYPES.NIP07:
+        return { type: this.type, label: 'Browser extension (NIP-07)', detail: null };
+      case SIGNER_TYPES.NIP46:
+        return { type: this.type, label: 'Remote signer (NIP-46)', detail: this.bunker?.pointer?.relays?.join(', ') || null };
+      default:
+        return { type: this.type, label: 'Local key', detail: null };
+    }
+  }
+
+  isExtensionAvailable() {
+    return Platform.OS === 'web' && typeof window !== 'undefined' && !!window.nostr;
+  }
+
+  async waitForExtension() {
+    if (Platform.OS !== 'web') return false;
+
+    const deadline = Date.now() + SIGNER_CONFIG.EXTENSION_WAIT;
+    while (!this.isExtensionAvailable() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, SIGNER_CONFIG.EXTENSION_POLL));
+    }
+    return this.isExtensionAvailable();
+  }
+
+  // Registers the extension's identity as an account and resolves with its pubkey
+  async useExtension() {
+    try {
+      if (!(await this.waitForExtension())) {
+        throw new Error('No NIP-07 extension found. Install one (e.g. Alby or nos2x) and reload.');
+      }
+
+      const publicKey = await new ExtensionSigner().getPublicKey();
+      await this.addSignerAccount(publicKey, SIGNER_TYPES.NIP07);
+      return publicKey;
+    } catch (error) {
+      console.error('Error connecting NIP-07 extension:', error);
+      throw error;
+    }
+  }
+
+  // input is a bunker:// URI or a NIP-05 address of a bunker. Registers the remote identity as
+  // an account and resolves with its pubkey.
+  async useBunker(input) {
+    try {
+      const pointer = await parseBunkerInput(input.trim());
+      if (!pointer) {
+        throw new Error('Invalid bunker URI or NIP-05 address');
+      }
+
+      const clientSecretKey = generateSecretKey();
+      const signer = this.createBunkerSigner(clientSecretKey, pointer);
+
+      let publicKey;
+      try {
+        await withTimeout(signer.connect(), SIGNER_CONFIG.BUNKER_TIMEOUT, 'Remote signer did not answer');
+        publicKey = await withTimeout(signer.getPublicKey(), SIGNER_CONFIG.BUNKER_TIMEOUT, 'Remote signer did not answer');
+      } finally {
+        // load() reconnects with the same client key once the account is active
+        signer.close().catch(() => {});
+      }
+
+      // The connect secret is single use; don't keep it around
+      const bunker = { pointer: { ...pointer, secret: null }, clientSecretKey: bytesToHex(clientSecretKey) };
+      await this.addSignerAccount(publicKey, SIGNER_TYPES.NIP46, bunker);
+      return publicKey;
+    } catch (error) {
+      console.error('Error connecting remote signer:', error);
+      throw error;
+    }
+  }
+
+  createBunkerSigner(clientSecretKey, pointer) {
+    return new BunkerSigner(clientSecretKey, pointer, {
+      // Some bunkers want the user to approve us on a web page first
+      onauth: (url) => {
+        console.log('🔐 Remote signer asks for approval at', url);
+        if (Platform.OS === 'web') {
+          window.open(url, '_blank');
+        } else {
+          Linking.openURL(url);
+        }
+      }
+    });
+  }
+
+  async addSignerAccount(publicKey, type, bunker = null) {
+    await accountService.addAccount(publicKey, { signerType: type });
+    await this.save(publicKey, type, bunker);
+    console.log(`✍️ ${publicKey.substring(0, 8)}... signs with ${type === SIGNER_TYPES.NIP07 ? 'a browser extension' : 'a remote signer'}`);
+  }
+
+  // Sign with the account's own key again (e.g. after importing it)
+  async useLocal(publicKey = accountService.activePubkey) {
+    await AsyncStorage.removeItem(accountService.key(STORAGE_KEYS.SIGNER, publicKey));
+    await accountService.updateAccount(publicKey, { signerType: SIGNER_TYPES.LOCAL });
+
+    if (publicKey === accountService.activePubkey && this.isExternal()) {
+      await this.closeRemoteSigner();
+      this.type = SIGNER_TYPES.LOCAL;
+      this.publicKey = null;
+      this.bunker = null;
+      console.log('✍️ Signing with the local key');
+      this.notifyListeners();
+    }
+  }
+
+  async closeRemoteSigner() {
+    const signer = this.remoteSigner;
+    this.remoteSigner = null;
+
+    if (signer?.close) {
+      try {
+        await signer.close();
+      } catch (error) {
+        console.warn('Error closing remote signer:', error);
+      }
+    }
+  }
+}
+
+export const signerService = new SignerService();
+export default signerService;
@@ -0,0 +1,105 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { accountService } from '../AccountService';
+import { STORAGE_KEYS, SIGNER_TYPES } from '../../utils/constants';
+
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+
+describe('AccountService', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    accountService.accounts = [];
+    accountService.activePubkey = null;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('namespaces keys with the active account, or the one given', async () => {
+    expect(accountService.key(STORAGE_KEYS.RELAYS)).toBe(STORAGE_KEYS.RELAYS);
+
+    await accountService.addAccount(ALICE);
+    await accountService.switchTo(ALICE);
+
+    expect(accountService.key(STORAGE_KEYS.RELAYS)).toBe(`${STORAGE_KEYS.RELAYS}:${ALICE}`);
+    expect(accountService.key(STORAGE_KEYS.RELAYS, BOB)).toBe(`${STORAGE_KEYS.RELAYS}:${BOB}`);
+  });
+
+  it('moves data stored before accounts existed to the first account only', async () => {
+    await AsyncStorage.multiSet([
+      [STORAGE_KEYS.RELAYS, '["wss://mine.example"]'],
+      ['group_key_g1', 'key'],
+      [STORAGE_KEYS.THEME, 'dark']
+    ]);
+
+    await accountService.addAccount(ALICE);
+    await accountService.addAccount(BOB);
+
+    expect(await AsyncStorage.getItem(`${STORAGE_KEYS.RELAYS}:${ALICE}`)).toBe('["wss://mine.example"]');
+    expect(await AsyncStorage.getItem(`group_key_g1:${ALICE}`)).toBe('key');
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.RELAYS)).toBeNull();
+    expect(await AsyncStorage.getItem(`${STORAGE_KEYS.RELAYS}:${BOB}`)).toBeNull();
+    // Device-wide settings stay where they are
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.THEME)).toBe('dark');
+  });
+
+  it('updates an account it already knows instead of adding it twice', async () => {
+    await accountService.addAccount(ALICE, { name: 'alice' });
+    await accountService.addAccount(ALICE, { signerType: SIGNER_TYPES.NIP07 });
+
+    expect(accountService.getAccounts()).toHaveLength(1);
+    expect(accountService.getAccount(ALICE)).toMatchObject({ name: 'alice', signerType: SIGNER_TYPES.NIP07 });
+  });
+
+  it('switches by pointing PUBLIC_KEY at the account and telling listeners', async () => {
+    const changes = [];
+    const unsubscribe = accountService.addListener(change => changes.push(change));
+    await accountService.addAccount(ALICE);
+    await accountService.addAccount(BOB);
+    changes.length = 0;
+
+    await accountService.switchTo(BOB);
+    await accountService.switchTo(BOB);
+    unsubscribe();
+    await accountService.switchTo(ALICE);
+
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.PUBLIC_KEY)).toBe(ALICE);
+    expect(accountService.getAccount(BOB).lastUsedAt).not.toBeNull();
+    expect(changes).toEqual([{ type: 'updated', pubkey: BOB }, { type: 'switched', pubkey: BOB }]);
+  });
+
+  it('removes only the removed account\'s data and falls back to the last one used', async () => {
+    await accountService.addAccount(ALICE);
+    await accountService.addAccount(BOB);
+    await accountService.switchTo(ALICE);
+    await accountService.switchTo(BOB);
+    await AsyncStorage.multiSet([
+      [`${STORAGE_KEYS.RELAYS}:${BOB}`, '[]'],
+      [`sender_keys_g1:${BOB}`, '{}'],
+      [`${STORAGE_KEYS.RELAYS}:${ALICE}`, '[]']
+    ]);
+
+    await accountService.removeAccount(BOB);
+
+    expect(accountService.getAccounts().map(account => account.pubkey)).toEqual([ALICE]);
+    expect(accountService.activePubkey).toBe(ALICE);
+    expect(await AsyncStorage.getItem(`${STORAGE_KEYS.RELAYS}:${BOB}`)).toBeNull();
+    expect(await AsyncStorage.getItem(`sender_keys_g1:${BOB}`)).toBeNull();
+    expect(await AsyncStorage.getItem(`${STORAGE_KEYS.RELAYS}:${ALICE}`)).toBe('[]');
+  });
+
+  it('registers the pubkey of a single-account install when loading', async () => {
+    await AsyncStorage.multiSet([
+      [STORAGE_KEYS.PUBLIC_KEY, ALICE],
+      [STORAGE_KEYS.PRIVATE_KEY, 'secret']
+    ]);
+
+    await accountService.load();
+
+    expect(accountService.activePubkey).toBe(ALICE);
+    expect(accountService.getAccount(ALICE)).not.toBeNull();
+    expect(await AsyncStorage.getItem(`${STORAGE_KEYS.PRIVATE_KEY}:${ALICE}`)).toBe('secret');
+  });
+});
@@ -0,0 +1,356 @@
+import { channelRoleService } from '../ChannelRoleService';
+import { relayManager } from '../RelayManager';
+import { nostrUtils } from '../../utils/nostrUtils';
+import { CHANNEL_MODES, EVENT_KINDS, NIP29_ADMIN_ROLE } from '../../utils/constants';
+
+const CHANNEL_ID = 'c'.repeat(64);
+const CREATOR = 'a'.repeat(64);
+const TIMED_BAN = 'b'.repeat(64);
+const TIMED_MUTE = 'd'.repeat(64);
+const BANNED = 'e'.repeat(64);
+
+let eventCount = 0;
+const moderationEvent = (kind, content, tags = []) => ({
+  id: `${++eventCount}`.padStart(64, '0'),
+  kind,
+  pubkey: CREATOR,
+  created_at: 500 + eventCount,
+  tags: [['e', CHANNEL_ID, '', 'root'], ...tags],
+  content: JSON.stringify(content)
+});
+
+// A ban running out at 1000, a kind 44 mute running out at 2000 and a permanent ban
+const resolveRoles = () => {
+  channelRoleService.addToLog(CHANNEL_ID, [
+    moderationEvent(EVENT_KINDS.CHANNEL_MODERATION, { action: 'ban', target: TIMED_BAN }, [['expiration', '1000']]),
+    moderationEvent(EVENT_KINDS.CHANNEL_MUTE_USER, { reason: 'flooding' }, [['p', TIMED_MUTE], ['expiration', '2000']]),
+    moderationEvent(EVENT_KINDS.CHANNEL_MODERATION, { action: 'ban', target: BANNED })
+  ]);
+  return channelRoleService.replay(CHANNEL_ID, 'public', CREATOR);
+};
+
+describe('ChannelRoleService NIP-40 expiry', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 900;
+    channelRoleService.setClock(() => now);
+  });
+
+  afterEach(() => {
+    channelRoleService.setClock(null);
+    channelRoleService.reset();
+    jest.useRealTimers();
+  });
+
+  it('counts bans and mutes until their expiration', () => {
+    const roles = resolveRoles();
+
+    expect(channelRoleService.isBanned(roles, TIMED_BAN)).toBe(true);
+    expect(channelRoleService.isMuted(roles, TIMED_MUTE)).toBe(true);
+    expect(channelRoleService.getHiddenReason(roles, { id: 'x', author: TIMED_BAN })).toBe('banned');
+  });
+
+  it('ignores them once the expiration has passed', () => {
+    const roles = resolveRoles();
+
+    now = 1000;
+    expect(channelRoleService.isBanned(roles, TIMED_BAN)).toBe(false);
+    expect(channelRoleService.isMuted(roles, TIMED_MUTE)).toBe(true);
+    expect(channelRoleService.getHiddenReason(roles, { id: 'x', author: TIMED_BAN })).toBeNull();
+
+    now = 2001;
+    expect(channelRoleService.isMuted(roles, TIMED_MUTE)).toBe(false);
+    expect(channelRoleService.isBanned(roles, BANNED)).toBe(true);
+  });
+
+  it('lists the bans in effect, soonest to expire first', () => {
+    const roles = resolveRoles();
+
+    expect(channelRoleService.getBanList(roles).map(entry => [entry.pubkey, entry.type])).toEqual([
+      [TIMED_BAN, 'ban'],
+      [TIMED_MUTE, 'mute'],
+      [BANNED, 'ban']
+    ]);
+
+    now = 1500;
+    expect(channelRoleService.getBanList(roles).map(entry => entry.pubkey)).toEqual([TIMED_MUTE, BANNED]);
+  });
+
+  it('tells listeners when a ban runs out', () => {
+    jest.useFakeTimers({ now: 900 * 1000 });
+    channelRoleService.setClock(null);
+
+    const listener = jest.fn();
+    const removeListener = channelRoleService.addListener(listener);
+    const roles = channelRoleService.setRoles(CHANNEL_ID, resolveRoles());
+    listener.mockClear();
+
+    jest.advanceTimersByTime(99 * 1000);
+    expect(listener).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(listener).toHaveBeenCalledTimes(1);
+    const [channelId, updated] = listener.mock.calls[0];
+    expect(channelId).toBe(CHANNEL_ID);
+    expect(updated).not.toBe(roles);
+    expect(channelRoleService.isBanned(updated, TIMED_BAN)).toBe(false);
+
+    removeListener();
+  });
+});
+
+describe('ChannelRoleService channel modes', () => {
+  const OPERATOR = '1'.repeat(64);
+  const VOICED = '2'.repeat(64);
+  const USER = '3'.repeat(64);
+
+  // Kind 47 mode change signed by author, e.g. modeEvent(CREATOR, '+m')
+  const modeEvent = (author, modeString) => ({
+    ...nostrUtils.createChannelModeEvent(CHANNEL_ID, nostrUtils.parseModeChanges([modeString]).channelModes),
+    id: `${++eventCount}`.padStart(64, '0'),
+    pubkey: author,
+    created_at: 500 + eventCount
+  });
+
+  // Made up front so they predate every mode change below
+  const grants = [
+    moderationEvent(EVENT_KINDS.CHANNEL_MODERATION, { action: 'op', target: OPERATOR }),
+    moderationEvent(EVENT_KINDS.CHANNEL_MODERATION, { action: 'voice', target: VOICED })
+  ];
+
+  const replayWith = (events) => {
+    channelRoleService.addToLog(CHANNEL_ID, [...grants, ...events]);
+    return channelRoleService.replay(CHANNEL_ID, 'public', CREATOR);
+  };
+
+  afterEach(() => {
+    channelRoleService.reset();
+  });
+
+  it('applies mode changes by operators in order', () => {
+    const roles = replayWith([modeEvent(OPERATOR, '+mti'), modeEvent(CREATOR, '-i')]);
+
+    expect(channelRoleService.formatModes(roles)).toBe('+mt');
+  });
+
+  it('ignores mode changes by anyone else', () => {
+    const roles = replayWith([modeEvent(USER, '+m')]);
+
+    expect(channelRoleService.hasMode(roles, CHANNEL_MODES.MODERATED)).toBe(false);
+    expect(channelRoleService.formatModes(roles)).toBe('');
+  });
+
+  it('lets only operators and voiced users speak in a moderated channel', () => {
+    const roles = replayWith([modeEvent(CREATOR, '+m')]);
+
+    expect(channelRoleService.canSpeak(roles, OPERATOR)).toBe(true);
+    expect(channelRoleService.canSpeak(roles, VOICED)).toBe(true);
+    expect(channelRoleService.getHiddenReason(roles, { id: 'x', author: USER })).toBe('moderated');
+  });
+
+  it('leaves the topic to operators once it is locked', () => {
+    expect(channelRoleService.canSetTopic(replayWith([]), USER)).toBe(true);
+    channelRoleService.reset();
+
+    const roles = replayWith([modeEvent(CREATOR, '+t')]);
+    expect(channelRoleService.canSetTopic(roles, USER)).toBe(false);
+    expect(channelRoleService.canSetTopic(roles, OPERATOR)).toBe(true);
+  });
+});
+
+describe('ChannelRoleService NIP-28 hides and mutes', () => {
+  const OPERATOR = '1'.repeat(64);
+  const USER = '3'.repeat(64);
+  const MESSAGE_ID = '7'.repeat(64);
+
+  // Made up front so it predates the hides and mutes below
+  const opGrant = moderationEvent(EVENT_KINDS.CHANNEL_MODERATION, { action: 'op', target: OPERATOR });
+
+  const signedBy = (author, event) => ({
+    ...event,
+    id: `${++eventCount}`.padStart(64, '0'),
+    pubkey: author,
+    created_at: 500 + eventCount
+  });
+  const hide = (author) => signedBy(author, nostrUtils.createHideMessageEvent(CHANNEL_ID, MESSAGE_ID, 'spam'));
+  const mute = (author, target) => signedBy(author, nostrUtils.createMuteUserEvent(CHANNEL_ID, target, 'flooding'));
+
+  const replayWith = (events) => {
+    channelRoleService.addToLog(CHANNEL_ID, [opGrant, ...events]);
+    return channelRoleService.replay(CHANNEL_ID, 'public', CREATOR);
+  };
+
+  afterEach(() => {
+    channelRoleService.reset();
+  });
+
+  it('hides messages and mutes users when an operator says so', () => {
+    const roles = replayWith([hide(OPERATOR), mute(OPERATOR, USER)]);
+
+    expect(channelRoleService.getHiddenReason(roles, { id: MESSAGE_ID, author: CREATOR })).toBe('hidden');
+    expect(channelRoleService.isMuted(roles, USER)).toBe(true);
+    expect(channelRoleService.getHiddenReason(roles, { id: 'x', author: USER })).toBe('muted');
+  });
+
+  it('ignores hides and mutes from anyone else', () => {
+    const roles = replayWith([hide(USER), mute(USER, OPERATOR)]);
+
+    expect(channelRoleService.getHiddenReason(roles, { id: MESSAGE_ID, author: CREATOR })).toBeNull();
+    expect(channelRoleService.isMuted(roles, OPERATOR)).toBe(false);
+  });
+
+  it('never mutes the channel creator', () => {
+    expect(channelRoleService.isMuted(replayWith([mute(OPERATOR, CREATOR)]), CREATOR)).toBe(false);
+  });
+
+  it('applies a hide that arrives after the roles were resolved', () => {
+    channelRoleService.setRoles(CHANNEL_ID, replayWith([]));
+
+    const roles = channelRoleService.applyModerationEvent(CHANNEL_ID, hide(OPERATOR));
+
+    expect(channelRoleService.getHiddenReason(roles, { id: MESSAGE_ID, author: CREATOR })).toBe('hidden');
+  });
+});
+
+describe('ChannelRoleService NIP-29 group state', () => {
+  const GROUP_ID = 'group1';
+  const RELAY = 'f'.repeat(64);
+  const ADMIN = '1'.repeat(64);
+  const MODERATOR = '2'.repeat(64);
+  const MEMBER = '3'.repeat(64);
+
+  const groupList = (kind, tags, createdAt = 100) => ({
+    id: `${kind}`.padStart(64, '0'),
+    kind,
+    pubkey: RELAY,
+    created_at: createdAt,
+    tags: [['d', GROUP_ID], ...tags],
+    content: ''
+  });
+
+  const lists = {
+    metadata: groupList(EVENT_KINDS.GROUP_METADATA, [
+      ['name', 'Pizza lovers'],
+      ['about', 'All about pizza'],
+      ['closed'],
+      ['restricted'],
+      ['public']
+    ], 300),
+    admins: groupList(EVENT_KINDS.GROUP_ADMINS, [['p', ADMIN, 'ceo'], ['p', MODERATOR, 'moderator', '']], 200),
+    members: groupList(EVENT_KINDS.GROUP_MEMBERS, [['p', ADMIN], ['p', MODERATOR], ['p', MEMBER], ['p']]),
+    roles: groupList(EVENT_KINDS.GROUP_ROLES, [['role', 'moderator', 'Can delete messages'], ['role', 'ceo']], 400)
+  };
+
+  it('reads the metadata, lists and roles the relay signed', () => {
+    expect(channelRoleService.buildGroupState(lists)).toEqual({
+      name: 'Pizza lovers',
+      picture: '',
+      about: 'All about pizza',
+      open: false,
+      public: true,
+      flags: ['closed', 'restricted', 'public'],
+      admins: [{ pubkey: ADMIN, roles: ['ceo'] }, { pubkey: MODERATOR, roles: ['moderator'] }],
+      members: [ADMIN, MODERATOR, MEMBER],
+      roles: [{ name: 'moderator', description: 'Can delete messages' }, { name: 'ceo', description: '' }],
+      relayPubkey: RELAY,
+      updatedAt: 400
+    });
+  });
+
+  it('treats a group without metadata as open and public', () => {
+    expect(channelRoleService.buildGroupState({})).toMatchObject({
+      name: '',
+      open: true,
+      public: true,
+      flags: [],
+      admins: [],
+      members: [],
+      relayPubkey: null,
+      updatedAt: null
+    });
+  });
+
+  it('turns the lists into operators, members and channel modes', () => {
+    const roles = channelRoleService.buildGroupRoles(GROUP_ID, lists);
+
+    expect(roles.protocol).toBe('nip29');
+    expect(Array.from(roles.operators)).toEqual([ADMIN, MODERATOR]);
+    expect(Array.from(roles.members)).toEqual([ADMIN, MODERATOR, MEMBER]);
+    expect(Array.from(roles.modes).sort()).toEqual([CHANNEL_MODES.INVITE_ONLY, CHANNEL_MODES.MODERATED]);
+    expect(roles.group.name).toBe('Pizza lovers');
+  });
+
+  it('hands out the relay\'s admin-like role on /op', () => {
+    const rolesNamed = (...names) => ({ group: { roles: names.map(name => ({ name, description: '' })) } });
+
+    expect(channelRoleService.getAdminRole(rolesNamed('moderator', 'Group Admin'))).toBe('Group Admin');
+    expect(channelRoleService.getAdminRole(rolesNamed('ceo', 'moderator'))).toBe('ceo');
+    expect(channelRoleService.getAdminRole(rolesNamed())).toBe(NIP29_ADMIN_ROLE);
+    expect(channelRoleService.getAdminRole(null)).toBe(NIP29_ADMIN_ROLE);
+  });
+
+  describe('relay signature', () => {
+    const RELAY_URL = 'wss://groups.test';
+    const FORGER = '9'.repeat(64);
+    const forged = (event) => ({ ...event, id: '9'.repeat(64), pubkey: FORGER, created_at: event.created_at + 1000 });
+    const forgedAdmins = () => forged(groupList(EVENT_KINDS.GROUP_ADMINS, [['p', FORGER, 'admin']]));
+
+    let relayInfo;
+    let relayEvents;
+
+    beforeEach(() => {
+      relayInfo = { pubkey: RELAY };
+      relayEvents = [lists.metadata, lists.admins, lists.members];
+      jest.spyOn(relayManager, 'getRelayInfo').mockImplementation(async () => relayInfo);
+      relayManager.setPool({ querySync: jest.fn(async () => relayEvents) });
+    });
+
+    afterEach(() => {
+      channelRoleService.reset();
+      jest.restoreAllMocks();
+    });
+
+    const resolve = () => channelRoleService.resolve(GROUP_ID, { protocol: 'nip29', relays: [RELAY_URL], refresh: true });
+
+    it('only takes the lists the relay key signed', async () => {
+      relayEvents.push(forgedAdmins());
+
+      const roles = await resolve();
+      expect(Array.from(roles.operators)).toEqual([ADMIN, MODERATOR]);
+      expect(channelRoleService.isOperator(roles, FORGER)).toBe(false);
+    });
+
+    it('resolves no admins or members when the relay names no pubkey', async () => {
+      relayInfo = { name: 'Groups' };
+      relayEvents = [forgedAdmins(), lists.admins, lists.members];
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const roles = await resolve();
+      expect(roles.operators.size).toBe(0);
+      expect(roles.members.size).toBe(0);
+      expect(roles.group.updatedAt).toBeNull();
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining(RELAY_URL));
+    });
+
+    it('ignores a live list from anyone but the relay', async () => {
+      await resolve();
+
+      const roles = channelRoleService.applyGroupList(GROUP_ID, forgedAdmins());
+      expect(Array.from(roles.operators)).toEqual([ADMIN, MODERATOR]);
+
+      const update = { ...groupList(EVENT_KINDS.GROUP_ADMINS, [['p', MEMBER, 'admin']]), created_at: 500 };
+      expect(Array.from(channelRoleService.applyGroupList(GROUP_ID, update).operators)).toEqual([MEMBER]);
+    });
+
+    it('ignores every live list when the relay names no pubkey', async () => {
+      relayInfo = null;
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await resolve();
+
+      const roles = channelRoleService.applyGroupList(GROUP_ID, forgedAdmins());
+      expect(roles.operators.size).toBe(0);
+      expect(channelRoleService.applyGroupList(GROUP_ID, { ...lists.admins, created_at: 500 }).operators.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { finalizeEvent, generateSecretKey, getPublicKey } from 'nostr-tools';
+import { groupEncryptionService } from '../GroupEncryptionService';
+import { groupMembershipService } from '../GroupMembershipService';
+import { senderKeyService } from '../SenderKeyService';
+import { GROUP_MEMBERSHIP_ACTIONS, GROUP_ROLES, STORAGE_KEYS } from '../../utils/constants';
+
+const creatorKey = generateSecretKey();
+const adminKey = generateSecretKey();
+const memberKey = generateSecretKey();
+const outsiderKey = generateSecretKey();
+const CREATOR = getPublicKey(creatorKey);
+const ADMIN = getPublicKey(adminKey);
+const MEMBER = getPublicKey(memberKey);
+const OUTSIDER = getPublicKey(outsiderKey);
+const GROUP_ID = '1'.repeat(64);
+const GROUP_KEY = btoa('g'.repeat(32));
+
+// Stands in for NostrService: the DM content stays in the clear (the signer hands it back as
+// if it had decrypted it) and the roster is whatever entries the test applied
+const nostrService = {
+  publicKey: OUTSIDER,
+  getSigner: () => ({ nip04Decrypt: async (pubkey, content) => content }),
+  resolveGroupCreator: async () => CREATOR,
+  getPrivateGroupRoster: async (groupId) => groupMembershipService.getRoster(groupId)
+};
+
+let createdAt = 1700000000;
+const addEntry = (secretKey, action, pubkey, options) => {
+  const template = groupMembershipService.createEntryEvent(GROUP_ID, action, pubkey, options);
+  const event = finalizeEvent({ ...template, created_at: createdAt++ }, secretKey);
+  groupMembershipService.addEntry(GROUP_ID, event);
+  groupMembershipService.rebuild(GROUP_ID, CREATOR);
+};
+
+const keyShareDM = (secretKey, type, share) => finalizeEvent({
+  kind: 4,
+  created_at: createdAt++,
+  tags: [[type, share.group_id || GROUP_ID]],
+  content: JSON.stringify({ type, group_id: GROUP_ID, ...share })
+}, secretKey);
+
+const senderKeyShare = (secretKey, share = {}) => keyShareDM(secretKey, 'sender_key_share', {
+  chain_id: 'c'.repeat(32),
+  chain_key: btoa('k'.repeat(32)),
+  index: 0,
+  key_version: 1,
+  ...share
+});
+
+const groupKeyShare = (secretKey, share = {}) => keyShareDM(secretKey, 'group_key_share', {
+  group_key: GROUP_KEY,
+  key_version: 1,
+  shared_by: getPublicKey(secretKey),
+  ...share
+});
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  await groupEncryptionService.clearKeys();
+  groupMembershipService.reset();
+
+  // The creator makes ADMIN an admin and adds MEMBER
+  addEntry(creatorKey, GROUP_MEMBERSHIP_ACTIONS.ADD, CREATOR, { role: GROUP_ROLES.ADMIN });
+  addEntry(creatorKey, GROUP_MEMBERSHIP_ACTIONS.ADD, ADMIN, { role: GROUP_ROLES.ADMIN });
+  addEntry(creatorKey, GROUP_MEMBERSHIP_ACTIONS.ADD, MEMBER, { role: GROUP_ROLES.MEMBER });
+});
+
+describe('GroupEncryptionService.processSenderKeyShare', () => {
+  it('takes the chain of a group member', async () => {
+    expect(await groupEncryptionService.processSenderKeyShare(senderKeyShare(memberKey), nostrService)).toBe(true);
+  });
+
+  it('refuses and logs a share from someone outside the group', async () => {
+    const dm = senderKeyShare(outsiderKey);
+
+    expect(await groupEncryptionService.processSenderKeyShare(dm, nostrService)).toBe(false);
+    expect(await groupEncryptionService.getSecurityLog(GROUP_ID)).toEqual([
+      expect.objectContaining({ id: dm.id, sender: OUTSIDER, reason: 'the sender is not a member of the group' })
+    ]);
+
+    // Nothing to decrypt the outsider's messages with
+    expect(await senderKeyService.decrypt(GROUP_ID, OUTSIDER, 'c'.repeat(32), 0, 'AAAA')).toBeNull();
+  });
+
+  it('refuses a share from a member who was removed', async () => {
+    addEntry(creatorKey, GROUP_MEMBERSHIP_ACTIONS.REMOVE, MEMBER);
+
+    expect(await groupEncryptionService.processSenderKeyShare(senderKeyShare(memberKey), nostrService)).toBe(false);
+  });
+
+  it('refuses a share whose DM is tagged for another group', async () => {
+    const dm = senderKeyShare(memberKey, { group_id: '2'.repeat(64) });
+
+    expect(await groupEncryptionService.processSenderKeyShare(dm, nostrService)).toBe(false);
+  });
+});
+
+describe('GroupEncryptionService.processGroupKeyShare', () => {
+  it('takes a key from the creator', async () => {
+    expect(await groupEncryptionService.processGroupKeyShare(groupKeyShare(creatorKey), nostrService)).toBe(true);
+    expect(await groupEncryptionService.getGroupKey(GROUP_ID)).toMatchObject({ key: GROUP_KEY, version: 1 });
+  });
+
+  it('takes a key from an admin of the membership entries', async () => {
+    expect(await groupEncryptionService.processGroupKeyShare(groupKeyShare(adminKey), nostrService)).toBe(true);
+  });
+
+  it('refuses a key from a member who is not an admin', async () => {
+    const dm = groupKeyShare(memberKey);
+
+    expect(await groupEncryptionService.processGroupKeyShare(dm, nostrService)).toBe(false);
+    expect(await groupEncryptionService.getGroupKey(GROUP_ID)).toBeNull();
+    expect((await groupEncryptionService.getSecurityLog(GROUP_ID))[0])
+      .toMatchObject({ id: dm.id, reason: 'the sender is neither the group creator nor an admin' });
+  });
+
+  it('refuses a key from an admin another admin named', async () => {
+    // Only the creator grants the admin role; ADMIN's entry only adds a member
+    addEntry(adminKey, GROUP_MEMBERSHIP_ACTIONS.ADD, OUTSIDER, { role: GROUP_ROLES.ADMIN });
+
+    expect(await groupEncryptionService.processGroupKeyShare(groupKeyShare(outsiderKey), nostrService)).toBe(false);
+  });
+});
+
+describe('GroupEncryptionService keyring', () => {
+  const OTHER_GROUP_ID = '2'.repeat(64);
+  const keyFor = (version) => btoa(`${version}`.repeat(32));
+
+  const storeVersions = async (groupId, versions) => {
+    for (const version of versions) {
+      await groupEncryptionService.storeGroupKey(groupId, keyFor(version), version);
+    }
+  };
+
+  it('keeps every version when the history setting is 0', async () => {
+    await storeVersions(GROUP_ID, [1, 2, 3, 4]);
+
+    expect(await groupEncryptionService.getKeyVersions(GROUP_ID)).toEqual([4, 3, 2, 1]);
+    expect(await groupEncryptionService.getGroupKey(GROUP_ID)).toMatchObject({ key: keyFor(4), version: 4 });
+  });
+
+  it('drops the versions past the history setting as new keys arrive', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify({ groupKeyHistory: 1 }));
+    await storeVersions(GROUP_ID, [1, 2, 3]);
+
+    expect(await groupEncryptionService.getKeyVersions(GROUP_ID)).toEqual([3, 2]);
+    expect(await groupEncryptionService.getGroupKey(GROUP_ID, 1)).toBeNull();
+  });
+
+  it('prunes every group when the history setting is lowered', async () => {
+    await storeVersions(GROUP_ID, [1, 2, 3, 4]);
+    await storeVersions(OTHER_GROUP_ID, [1, 2]);
+    const listener = jest.fn();
+    const unsubscribe = groupEncryptionService.addKeyringListener(listener);
+
+    await groupEncryptionService.setKeyHistoryLimit(1);
+    unsubscribe();
+
+    expect(await groupEncryptionService.getKeyVersions(GROUP_ID)).toEqual([4, 3]);
+    expect(await groupEncryptionService.getKeyVersions(OTHER_GROUP_ID)).toEqual([2, 1]);
+    // Only the group that lost a key is saved again
+    expect(listener.mock.calls).toEqual([[GROUP_ID]]);
+
+    // The pruned keyring is what a fresh load finds
+    await groupEncryptionService.clearKeys();
+    expect(await groupEncryptionService.getKeyVersions(GROUP_ID)).toEqual([4, 3]);
+  });
+
+  it('adds the backup versions we lack and keeps our own keys', async () => {
+    await storeVersions(GROUP_ID, [2]);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const added = await groupEncryptionService.importKeyrings({
+      [GROUP_ID]: {
+        current: 3,
+        keys: {
+          1: { key: keyFor(1), stored_at: 1 },
+          2: { key: 'a different key', stored_at: 2 },
+          3: { key: keyFor(3), stored_at: 3 },
+          nope: { key: keyFor(5) },
+          4: { key: 4 }
+        }
+      },
+      [OTHER_GROUP_ID]: { current: 1, keys: { 1: { key: keyFor(1), stored_at: 1 } } }
+    });
+
+    expect(added).toBe(3);
+    expect(await groupEncryptionService.getKeyVersions(GROUP_ID)).toEqual([3, 2, 1]);
+    expect(await groupEncryptionService.getGroupKey(GROUP_ID, 2)).toMatchObject({ key: keyFor(2) });
+    expect(await groupEncryptionService.getGroupKey(GROUP_ID)).toMatchObject({ version: 3, stored_at: 3 });
+    expect(await groupEncryptionService.getGroupKey(OTHER_GROUP_ID)).toMatchObject({ key: keyFor(1), version: 1 });
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  it('does not lower the current version for an older backup', async () => {
+    await storeVersions(GROUP_ID, [3]);
+
+    expect(await groupEncryptionService.importKeyrings({
+      [GROUP_ID]: { current: 1, keys: { 1: { key: keyFor(1), stored_at: 1 } } }
+    })).toBe(1);
+    expect(await groupEncryptionService.getGroupKeyVersion(GROUP_ID)).toBe(3);
+  });
+
+  it('applies the history setting to imported versions', async () => {
+    await groupEncryptionService.setKeyHistoryLimit(1);
+
+    await groupEncryptionService.importKeyrings({
+      [GROUP_ID]: { current: 3, keys: { 1: { key: keyFor(1) }, 2: { key: keyFor(2) }, 3: { key: keyFor(3) } } }
+    });
+
+    expect(await groupEncryptionService.getKeyVersions(GROUP_ID)).toEqual([3, 2]);
+  });
+
+  it('restores an exported keyring into an empty store', async () => {
+    await storeVersions(GROUP_ID, [1, 2]);
+    await storeVersions(OTHER_GROUP_ID, [5]);
+    const backup = JSON.parse(JSON.stringify(await groupEncryptionService.exportKeyrings()));
+
+    await AsyncStorage.clear();
+    await groupEncryptionService.clearKeys();
+    expect(await groupEncryptionService.importKeyrings(backup)).toBe(3);
+
+    expect(await groupEncryptionService.exportKeyrings()).toEqual(backup);
+  });
+});
@@ -0,0 +1,277 @@
+import { finalizeEvent, generateSecretKey, getPublicKey } from 'nostr-tools';
+import { groupMembershipService } from '../GroupMembershipService';
+import { GROUP_MEMBERSHIP_ACTIONS, GROUP_ROLES } from '../../utils/constants';
+
+const { ADD, REMOVE, JOIN } = GROUP_MEMBERSHIP_ACTIONS;
+const CREATOR = 'c'.repeat(64);
+const ADMIN = 'a'.repeat(64);
+const ALICE = '1'.repeat(64);
+const BOB = '2'.repeat(64);
+const GROUP_ID = 'f'.repeat(64);
+
+// Parsed entries as parseEntry returns them; each one a second after the last
+let entryCount = 0;
+const entry = (author, action, pubkey, { role = GROUP_ROLES.MEMBER, joinedAt = null, pins = [] } = {}) => {
+  entryCount++;
+  return {
+    id: entryCount.toString(16).padStart(64, '0'),
+    groupId: GROUP_ID,
+    action,
+    pubkey,
+    role,
+    joinedAt,
+    pins,
+    author,
+    timestamp: 1700000000 + entryCount
+  };
+};
+
+const build = (entries) => groupMembershipService.buildMembers(CREATOR, entries);
+const roleOf = (members, pubkey) => members.find(member => member.pubkey === pubkey)?.role;
+const pubkeys = (members) => members.map(member => member.pubkey);
+
+describe('GroupMembershipService.buildMembers', () => {
+  it('always lists the creator as an admin', () => {
+    expect(build([])).toEqual([
+      { pubkey: CREATOR, role: GROUP_ROLES.ADMIN, addedBy: CREATOR, addedAt: null, joinedAt: null }
+    ]);
+
+    // Not even the creator's own entries demote or remove them
+    const members = build([
+      entry(CREATOR, ADD, CREATOR, { role: GROUP_ROLES.MEMBER }),
+      entry(CREATOR, REMOVE, CREATOR)
+    ]);
+    expect(roleOf(members, CREATOR)).toBe(GROUP_ROLES.ADMIN);
+  });
+
+  it('only lets the creator grant the admin role', () => {
+    const members = build([
+      entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.ADMIN }),
+      entry(ADMIN, ADD, ALICE, { role: GROUP_ROLES.ADMIN })
+    ]);
+
+    expect(roleOf(members, ADMIN)).toBe(GROUP_ROLES.ADMIN);
+    expect(roleOf(members, ALICE)).toBe(GROUP_ROLES.MEMBER);
+  });
+
+  it('ignores adds by someone who is not an admin', () => {
+    const members = build([
+      entry(CREATOR, ADD, ALICE),
+      entry(ALICE, ADD, BOB),
+      entry(BOB, ADD, BOB)
+    ]);
+
+    expect(pubkeys(members)).toEqual([CREATOR, ALICE]);
+  });
+
+  it('lets members leave and admins remove members but not other admins', () => {
+    const members = build([
+      entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.ADMIN }),
+      entry(CREATOR, ADD, '3'.repeat(64), { role: GROUP_ROLES.ADMIN }),
+      entry(CREATOR, ADD, ALICE),
+      entry(CREATOR, ADD, BOB),
+      entry(ALICE, REMOVE, ALICE),
+      entry(ADMIN, REMOVE, BOB),
+      entry(ADMIN, REMOVE, '3'.repeat(64))
+    ]);
+
+    expect(pubkeys(members).sort()).toEqual(['3'.repeat(64), ADMIN, CREATOR]);
+  });
+
+  it('ignores a remove by a member', () => {
+    const members = build([
+      entry(CREATOR, ADD, ALICE),
+      entry(CREATOR, ADD, BOB),
+      entry(ALICE, REMOVE, BOB)
+    ]);
+
+    expect(pubkeys(members)).toContain(BOB);
+  });
+
+  it('takes a join only from the invited member themselves', () => {
+    const added = entry(CREATOR, ADD, ALICE);
+    const othersJoin = entry(BOB, JOIN, ALICE);
+    const ownJoin = entry(ALICE, JOIN, ALICE);
+    const laterJoin = entry(ALICE, JOIN, ALICE);
+
+    expect(build([added, othersJoin])[1]).toMatchObject({ pubkey: ALICE, joinedAt: null, addedBy: CREATOR });
+    expect(build([added, othersJoin, ownJoin, laterJoin])[1]).toMatchObject({ joinedAt: ownJoin.timestamp });
+  });
+
+  it('ignores a join from someone who was never added', () => {
+    expect(pubkeys(build([entry(ALICE, JOIN, ALICE)]))).toEqual([CREATOR]);
+  });
+
+  it('ignores an add a demoted admin backdated to before the demotion', () => {
+    const promoted = entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.ADMIN });
+    const addedAlice = entry(ADMIN, ADD, ALICE);
+    const demoted = entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.MEMBER, pins: [addedAlice.id] });
+    // Published after the demotion, dated between the promotion and Alice's add
+    const backdated = { ...entry(ADMIN, ADD, BOB), timestamp: addedAlice.timestamp };
+
+    const members = build([promoted, addedAlice, demoted, backdated]);
+    expect(pubkeys(members)).toEqual([CREATOR, ADMIN, ALICE]);
+    expect(roleOf(members, ADMIN)).toBe(GROUP_ROLES.MEMBER);
+  });
+
+  it('ignores a remove an admin backdated after the creator removed them', () => {
+    const promoted = entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.ADMIN });
+    const addedAlice = entry(CREATOR, ADD, ALICE);
+    const removed = entry(CREATOR, REMOVE, ADMIN);
+    const backdated = { ...entry(ADMIN, REMOVE, ALICE), timestamp: addedAlice.timestamp };
+
+    expect(pubkeys(build([promoted, addedAlice, removed, backdated]))).toEqual([CREATOR, ALICE]);
+  });
+
+  it('ignores what an admin backdated to before their own leave', () => {
+    const promoted = entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.ADMIN });
+    const addedAlice = entry(ADMIN, ADD, ALICE);
+    const left = entry(ADMIN, REMOVE, ADMIN, { pins: [addedAlice.id] });
+    const backdated = { ...entry(ADMIN, ADD, BOB), timestamp: promoted.timestamp };
+
+    expect(pubkeys(build([promoted, addedAlice, left, backdated]))).toEqual([CREATOR, ALICE]);
+  });
+
+  it('still counts an admin\'s entries dated after they were made admin again', () => {
+    const promoted = entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.ADMIN });
+    const demoted = entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.MEMBER });
+    const promotedAgain = entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.ADMIN });
+    const addedAlice = entry(ADMIN, ADD, ALICE);
+
+    expect(pubkeys(build([promoted, demoted, promotedAgain, addedAlice])).sort()).toEqual([ALICE, ADMIN, CREATOR]);
+  });
+
+  it('gives the same members whatever order the entries arrive in', () => {
+    const entries = [
+      entry(CREATOR, ADD, ADMIN, { role: GROUP_ROLES.ADMIN }),
+      entry(ADMIN, ADD, ALICE),
+      entry(ALICE, JOIN, ALICE),
+      entry(ADMIN, ADD, BOB),
+      entry(ADMIN, REMOVE, BOB)
+    ];
+    entries.push(entry(CREATOR, REMOVE, ADMIN, { pins: [entries[1].id, entries[3].id, entries[4].id] }));
+
+    const expected = build(entries);
+    expect(pubkeys(expected)).toEqual([CREATOR, ALICE]);
+    expect(build([...entries].reverse())).toEqual(expected);
+    expect(build([entries[3], entries[0], entries[5], entries[2], entries[4], entries[1]])).toEqual(expected);
+  });
+});
+
+describe('GroupMembershipService.parseEntry', () => {
+  const secretKey = generateSecretKey();
+  const template = (action = ADD, pubkey = ALICE, options) =>
+    groupMembershipService.createEntryEvent(GROUP_ID, action, pubkey, options);
+
+  it('reads a signed entry', () => {
+    const event = finalizeEvent(template(ADD, ALICE, { role: GROUP_ROLES.ADMIN }), secretKey);
+
+    expect(groupMembershipService.parseEntry(event)).toEqual({
+      id: event.id,
+      groupId: GROUP_ID,
+      action: ADD,
+      pubkey: ALICE,
+      role: GROUP_ROLES.ADMIN,
+      joinedAt: null,
+      pins: [],
+      author: getPublicKey(secretKey),
+      timestamp: event.created_at
+    });
+  });
+
+  it('reads the entries a revocation pins', () => {
+    const pinned = ['1'.repeat(64), '2'.repeat(64)];
+    const event = finalizeEvent(template(REMOVE, ALICE, { pins: pinned }), secretKey);
+
+    expect(groupMembershipService.parseEntry(event)).toMatchObject({ groupId: GROUP_ID, pins: pinned });
+  });
+
+  it('keeps a joined_at only if it is not after the entry', () => {
+    const event = finalizeEvent({ ...template(ADD, ALICE, { joinedAt: 1000 }), created_at: 2000 }, secretKey);
+    const future = finalizeEvent({ ...template(ADD, ALICE, { joinedAt: 3000 }), created_at: 2000 }, secretKey);
+
+    expect(groupMembershipService.parseEntry(event).joinedAt).toBe(1000);
+    expect(groupMembershipService.parseEntry(future).joinedAt).toBeNull();
+  });
+
+  it('rejects an entry whose signature does not match', () => {
+    // As it would come off a relay: finalizeEvent marks its result verified, and a copy
+    // would carry that mark along
+    const event = JSON.parse(JSON.stringify(finalizeEvent(template(), secretKey)));
+
+    expect(groupMembershipService.parseEntry({ ...event, tags: [...event.tags, ['role', GROUP_ROLES.ADMIN]] })).toBeNull();
+    expect(groupMembershipService.parseEntry({ ...event, pubkey: CREATOR })).toBeNull();
+  });
+
+  it('rejects an entry missing its group, member or action', () => {
+    const withoutTag = (name) => {
+      const base = template();
+      return finalizeEvent({ ...base, tags: base.tags.filter(tag => tag[0] !== name) }, secretKey);
+    };
+
+    expect(groupMembershipService.parseEntry(withoutTag('e'))).toBeNull();
+    expect(groupMembershipService.parseEntry(withoutTag('p'))).toBeNull();
+    expect(groupMembershipService.parseEntry(withoutTag('action'))).toBeNull();
+    expect(groupMembershipService.parseEntry(finalizeEvent(template('promote'), secretKey))).toBeNull();
+    expect(groupMembershipService.parseEntry(finalizeEvent(template(ADD, 'not a pubkey'), secretKey))).toBeNull();
+  });
+
+  it('rejects other kinds', () => {
+    expect(groupMembershipService.parseEntry(finalizeEvent({ ...template(), kind: 1 }, secretKey))).toBeNull();
+  });
+});
+
+describe('GroupMembershipService.parseLegacyEvents', () => {
+  const creatorKey = generateSecretKey();
+  const aliceKey = generateSecretKey();
+  const strangerKey = generateSecretKey();
+  const LEGACY_CREATOR = getPublicKey(creatorKey);
+  const LEGACY_ALICE = getPublicKey(aliceKey);
+
+  const memberList = (secretKey, members, createdAt = 1000) => finalizeEvent({
+    kind: 30000,
+    created_at: createdAt,
+    tags: [['d', `private_group_members_${GROUP_ID}`]],
+    content: JSON.stringify({ group_id: GROUP_ID, members })
+  }, secretKey);
+
+  const acceptance = (secretKey, createdAt = 2000, joinedAt = createdAt) => finalizeEvent({
+    kind: 30001,
+    created_at: createdAt,
+    tags: [['d', `group_membership_${GROUP_ID}`]],
+    content: JSON.stringify({ group_id: GROUP_ID, action: 'accept_invitation', joined_at: joinedAt })
+  }, secretKey);
+
+  const parse = (events) => groupMembershipService.parseLegacyEvents(GROUP_ID, LEGACY_CREATOR, events);
+
+  it('takes the members from the creator\'s list', () => {
+    const list = memberList(creatorKey, [LEGACY_CREATOR, LEGACY_ALICE, 'not a pubkey']);
+
+    expect(parse([list])).toEqual([
+      { pubkey: LEGACY_CREATOR, joinedAt: 1000, eventId: list.id, author: LEGACY_CREATOR },
+      { pubkey: LEGACY_ALICE, joinedAt: 1000, eventId: list.id, author: LEGACY_CREATOR }
+    ]);
+  });
+
+  it('ignores a list published by anyone but the creator', () => {
+    expect(parse([memberList(strangerKey, [getPublicKey(strangerKey)])])).toEqual([]);
+  });
+
+  it('does not let an accepted invitation add its author', () => {
+    const roster = {
+      creator: LEGACY_CREATOR,
+      members: [],
+      legacyMembers: parse([memberList(creatorKey, [LEGACY_CREATOR]), acceptance(strangerKey)])
+    };
+
+    expect(roster.legacyMembers.map(member => member.pubkey)).toEqual([LEGACY_CREATOR]);
+    expect(groupMembershipService.isMember(roster, getPublicKey(strangerKey))).toBe(false);
+  });
+
+  it('dates a listed member\'s join by their first acceptance', () => {
+    const list = memberList(creatorKey, [LEGACY_CREATOR, LEGACY_ALICE]);
+
+    const members = parse([acceptance(aliceKey, 3000), acceptance(aliceKey, 2000, 1500), list]);
+    expect(members[1]).toEqual({ pubkey: LEGACY_ALICE, joinedAt: 1500, eventId: list.id, author: LEGACY_CREATOR });
+  });
+});
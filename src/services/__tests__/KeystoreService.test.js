@@ -0,0 +1,75 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateSecretKey } from 'nostr-tools';
+import * as nip49 from 'nostr-tools/nip49';
+import { keystoreService } from '../KeystoreService';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+// scrypt at the NIP-49 work factor takes a moment per key
+jest.setTimeout(30000);
+
+const PASSPHRASE = 'correct horse battery';
+const PRIVATE_KEY = Array.from(generateSecretKey()).map(byte => byte.toString(16).padStart(2, '0')).join('');
+const hexToBytes = (hex) => new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+
+describe('KeystoreService NIP-49', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await keystoreService.load();
+  });
+
+  // Also stops the auto-lock timer
+  afterEach(() => {
+    keystoreService.lock();
+  });
+
+  it('decrypts an ncryptsec back to the same key', async () => {
+    const ncryptsec = await keystoreService.encryptKey(PRIVATE_KEY, PASSPHRASE);
+
+    expect(ncryptsec).toMatch(/^ncryptsec1/);
+    expect(await keystoreService.decryptKey(ncryptsec, PASSPHRASE)).toBe(PRIVATE_KEY);
+    await expect(keystoreService.decryptKey(ncryptsec, 'wrong passphrase')).rejects.toThrow('Wrong passphrase or corrupted ncryptsec');
+  });
+
+  it('reads and writes the same ncryptsec as nostr-tools', async () => {
+    const theirs = nip49.encrypt(hexToBytes(PRIVATE_KEY), PASSPHRASE, 16, 0x01);
+    expect(await keystoreService.decryptKey(theirs, PASSPHRASE)).toBe(PRIVATE_KEY);
+
+    const ours = await keystoreService.encryptKey(PRIVATE_KEY, PASSPHRASE);
+    expect(nip49.decrypt(ours, PASSPHRASE)).toEqual(hexToBytes(PRIVATE_KEY));
+  });
+
+  it('reports progress and leaves the event loop running while deriving the key', async () => {
+    const fractions = [];
+    let ticks = 0;
+    const ticker = setInterval(() => ticks++, 0);
+
+    await keystoreService.encryptKey(PRIVATE_KEY, PASSPHRASE, { onProgress: fraction => fractions.push(fraction) });
+    clearInterval(ticker);
+
+    expect(ticks).toBeGreaterThan(0);
+    expect(fractions.length).toBeGreaterThan(1);
+    expect(fractions[fractions.length - 1]).toBe(1);
+  });
+
+  it('refuses short passphrases', async () => {
+    await expect(keystoreService.encryptKey(PRIVATE_KEY, 'short')).rejects.toThrow('Passphrase must be at least 8 characters');
+  });
+
+  it('keeps only the encrypted key once protected, and forgets it on lock', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.PRIVATE_KEY, PRIVATE_KEY);
+
+    await keystoreService.enableEncryption(PASSPHRASE);
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.PRIVATE_KEY)).toBeNull();
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.ENCRYPTED_PRIVATE_KEY)).toMatch(/^ncryptsec1/);
+    expect(await keystoreService.getPrivateKey()).toBe(PRIVATE_KEY);
+
+    keystoreService.lock();
+    expect(keystoreService.isLocked()).toBe(true);
+    expect(await keystoreService.getPrivateKey()).toBeNull();
+
+    await keystoreService.load();
+    expect(keystoreService.isEncrypted()).toBe(true);
+    expect(await keystoreService.unlock(PASSPHRASE)).toBe(PRIVATE_KEY);
+    expect(keystoreService.isLocked()).toBe(false);
+  });
+});
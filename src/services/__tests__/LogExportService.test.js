@@ -0,0 +1,117 @@
+import { logExportService, LOG_FORMATS } from '../LogExportService';
+import { EVENT_KINDS, MESSAGE_TYPES } from '../../utils/constants';
+
+// react-native itself doesn't load under node; the export only touches these
+jest.mock('react-native', () => ({
+  Platform: { OS: 'ios' },
+  Share: { share: jest.fn() },
+  Linking: { openURL: jest.fn() }
+}));
+
+const CHANNEL_ID = 'c'.repeat(64);
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+const channel = { channelId: CHANNEL_ID, channelName: 'pizza' };
+
+// Local time on 2024-01-15 (or the day given), in unix seconds
+const at = (hours, minutes, date = 15) => Math.floor(new Date(2024, 0, date, hours, minutes).getTime() / 1000);
+
+let eventCount = 0;
+const event = (kind, pubkey, created_at, content, tags = []) => ({
+  id: `${++eventCount}`.padStart(64, '0'),
+  kind,
+  pubkey,
+  created_at,
+  tags: [['e', CHANNEL_ID, '', 'root'], ...tags],
+  content,
+  sig: 'f'.repeat(128)
+});
+
+const events = [
+  event(EVENT_KINDS.CHANNEL_MESSAGE, ALICE, at(9, 5), 'hello\nworld'),
+  event(EVENT_KINDS.CHANNEL_MESSAGE, BOB, at(9, 6), 'waves', [['message_type', MESSAGE_TYPES.ACTION]]),
+  event(EVENT_KINDS.CHANNEL_MODERATION, ALICE, at(9, 7), JSON.stringify({ action: 'ban', target: BOB, reason: 'spam' })),
+  event(EVENT_KINDS.CHANNEL_MESSAGE, BOB, at(9, 8), 'ciphertext', [['encrypted', 'true']]),
+  event(EVENT_KINDS.CHANNEL_MESSAGE, ALICE, at(10, 0, 16), '<script>alert("hi")</script> & more')
+];
+
+const nameOf = (pubkey) => ({ [ALICE]: 'alice', [BOB]: 'bob' })[pubkey];
+
+const build = (options) => logExportService.buildLog({ channel, events, nameOf, ...options });
+
+describe('LogExportService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes an irssi-style text log with day changes, actions and events', async () => {
+    const { content, count, filename, mimeType } = await build({ format: LOG_FORMATS.IRC });
+    const lines = content.trim().split('\n');
+
+    expect(filename).toMatch(/^pizza-\d{4}-\d{2}-\d{2}\.log$/);
+    expect(mimeType).toBe('text/plain');
+    expect(count).toBe(5);
+    expect(lines.slice(1, -1)).toEqual([
+      `--- #pizza (${CHANNEL_ID})`,
+      `--- Day changed ${new Date(2024, 0, 15).toDateString()}`,
+      '09:05:00 <alice> hello world',
+      '09:06:00  * bob waves',
+      '09:07:00 -!- alice banned bob [spam]',
+      '09:08:00 <bob> [encrypted]',
+      `--- Day changed ${new Date(2024, 0, 16).toDateString()}`,
+      '10:00:00 <alice> <script>alert("hi")</script> & more'
+    ]);
+  });
+
+  it('exports the raw signed events as JSON lines', async () => {
+    const { content, count, mimeType } = await build({ format: LOG_FORMATS.JSONL });
+    const lines = content.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(mimeType).toBe('application/x-ndjson');
+    expect(count).toBe(5);
+    expect(lines).toEqual(events);
+  });
+
+  it('escapes everything it puts into the HTML transcript', async () => {
+    const { content } = await build({ format: LOG_FORMATS.HTML });
+
+    expect(content).not.toContain('<script>');
+    expect(content).toContain('&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt; &amp; more');
+    expect(content).toContain('<span class="nick">&lt;alice&gt;</span>');
+    expect(content).toContain('<title>#pizza log</title>');
+  });
+
+  it('keeps only the entries inside the date range and names it', async () => {
+    const since = at(0, 0, 16);
+    const until = at(0, 0, 17);
+
+    const irc = await build({ format: LOG_FORMATS.IRC, since, until });
+    expect(irc.count).toBe(1);
+    expect(irc.content).toContain('<alice> <script>');
+    expect(irc.content).not.toContain('hello world');
+
+    const jsonl = await build({ format: LOG_FORMATS.JSONL, until: since });
+    expect(jsonl.count).toBe(4);
+
+    const html = await build({ format: LOG_FORMATS.HTML, since, until });
+    expect(html.content).toContain(`1 entries · ${new Date(2024, 0, 16).toDateString()} – ${new Date(2024, 0, 16).toDateString()}`);
+  });
+
+  it('adds messages only the screen has, decrypted only when asked to', async () => {
+    const messages = [
+      { id: 'local', author: ALICE, content: 'not relayed yet', timestamp: at(9, 30), encrypted: true },
+      { id: 'system', author: ALICE, content: 'joined', timestamp: at(9, 31), type: MESSAGE_TYPES.SYSTEM }
+    ];
+
+    const hidden = await build({ format: LOG_FORMATS.IRC, events: [], messages });
+    const shown = await build({ format: LOG_FORMATS.IRC, events: [], messages, includeDecrypted: true });
+
+    expect(hidden.content).toContain('09:30:00 <alice> [encrypted]');
+    expect(shown.content).toContain('09:30:00 <alice> not relayed yet');
+    expect(shown.count).toBe(1);
+  });
+});
@@ -0,0 +1,61 @@
+import { nostrService } from '../NostrService';
+import { EVENT_KINDS } from '../../utils/constants';
+
+// react-native itself doesn't load under node; the services only touch these
+jest.mock('react-native', () => ({
+  Platform: { OS: 'web' },
+  Linking: { openURL: jest.fn() },
+  Share: { share: jest.fn() }
+}));
+
+const ME = 'a'.repeat(64);
+const THEM = 'b'.repeat(64);
+const PIZZA = '1'.repeat(64);
+const CHESS = '2'.repeat(64);
+const MINE_ONLY = '3'.repeat(64);
+
+const message = (author, channelId, created_at) => ({
+  kind: EVENT_KINDS.CHANNEL_MESSAGE,
+  pubkey: author,
+  created_at,
+  tags: [['e', channelId, '', 'root']],
+  content: 'hi'
+});
+
+const creation = (id, name) => ({ kind: EVENT_KINDS.CHANNEL_CREATION, id, pubkey: ME, created_at: 1, tags: [], content: JSON.stringify({ name }) });
+
+describe('NostrService /whois shared channels', () => {
+  let querySync;
+
+  beforeEach(() => {
+    nostrService.publicKey = ME;
+    querySync = jest.fn(async (relays, filter) => filter.kinds[0] === EVENT_KINDS.CHANNEL_CREATION
+      ? [creation(PIZZA, 'pizza')]
+      : [
+          message(THEM, PIZZA, 100),
+          message(THEM, CHESS, 300),
+          message(ME, PIZZA, 50),
+          message(ME, CHESS, 60),
+          message(ME, MINE_ONLY, 70)
+        ]);
+    nostrService.pool = { querySync };
+  });
+
+  afterEach(() => {
+    nostrService.publicKey = null;
+  });
+
+  it('lists the channels both have written in, where they spoke most recently first', async () => {
+    expect(await nostrService.getSharedChannels(THEM)).toEqual([
+      { id: CHESS, name: `${CHESS.substring(0, 8)}...` },
+      { id: PIZZA, name: 'pizza' }
+    ]);
+    // Names are only looked up for the shared channels
+    expect([...querySync.mock.calls[1][1].ids].sort()).toEqual([PIZZA, CHESS]);
+  });
+
+  it('has nothing to compare for ourselves', async () => {
+    expect(await nostrService.getSharedChannels(ME)).toEqual([]);
+    expect(querySync).not.toHaveBeenCalled();
+  });
+});
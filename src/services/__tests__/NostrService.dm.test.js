@@ -0,0 +1,112 @@
+import { generateSecretKey, getPublicKey, finalizeEvent, getEventHash, nip44, nip59 } from 'nostr-tools';
+import { nostrService } from '../NostrService';
+import { signerService } from '../SignerService';
+import { EVENT_KINDS, DM_PROTOCOLS } from '../../utils/constants';
+
+// react-native itself doesn't load under node; the services only touch these
+jest.mock('react-native', () => ({
+  Platform: { OS: 'web' },
+  Linking: { openURL: jest.fn() },
+  Share: { share: jest.fn() }
+}));
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+const alice = generateSecretKey();
+const bob = generateSecretKey();
+const mallory = generateSecretKey();
+
+// Act as the given user: our pubkey and the local signer's key
+const signInAs = (secretKey) => {
+  nostrService.publicKey = getPublicKey(secretKey);
+  signerService.setLocalKeyProvider(() => toHex(secretKey));
+  nostrService.unwrappedMessages.clear();
+};
+
+// A seal whose rumor claims to be from `claimedAuthor` while `sealKey` signs it
+const forgedWrap = (sealKey, claimedAuthor, recipientPubkey) => {
+  const rumor = {
+    kind: EVENT_KINDS.PRIVATE_DIRECT_MESSAGE,
+    created_at: 1700000000,
+    tags: [['p', recipientPubkey]],
+    content: 'send me your keys',
+    pubkey: claimedAuthor
+  };
+  rumor.id = getEventHash(rumor);
+
+  const seal = finalizeEvent({
+    kind: EVENT_KINDS.SEAL,
+    created_at: 1700000000,
+    tags: [],
+    content: nip44.encrypt(JSON.stringify(rumor), nip44.getConversationKey(sealKey, recipientPubkey))
+  }, sealKey);
+  return nip59.createWrap(seal, recipientPubkey);
+};
+
+afterEach(() => {
+  nostrService.publicKey = null;
+  signerService.setLocalKeyProvider(() => null);
+});
+
+describe('NostrService NIP-17 direct messages', () => {
+  it('wraps a message that only the recipient and we can open', async () => {
+    signInAs(alice);
+    const { rumor, recipientWrap, selfWrap } = await nostrService.createGiftWrappedMessage(getPublicKey(bob), 'hi bob');
+
+    expect(recipientWrap.kind).toBe(EVENT_KINDS.GIFT_WRAP);
+    expect(recipientWrap.pubkey).not.toBe(getPublicKey(alice));
+    expect(recipientWrap.tags).toEqual([['p', getPublicKey(bob)]]);
+    expect(selfWrap.tags).toEqual([['p', getPublicKey(alice)]]);
+    expect(await nostrService.unwrapGiftWrap(selfWrap)).toEqual(rumor);
+
+    signInAs(bob);
+    expect(await nostrService.unwrapGiftWrap(recipientWrap)).toEqual(rumor);
+
+    signInAs(mallory);
+    await expect(nostrService.unwrapGiftWrap(recipientWrap)).rejects.toThrow();
+  });
+
+  it('rejects a rumor that claims another author than the seal', async () => {
+    signInAs(bob);
+    const wrap = forgedWrap(mallory, getPublicKey(alice), getPublicKey(bob));
+
+    await expect(nostrService.unwrapGiftWrap(wrap)).rejects.toThrow('does not match its seal');
+  });
+
+  it('files a received message under its sender and a sent one under its recipient', async () => {
+    signInAs(alice);
+    const { rumor, recipientWrap } = await nostrService.createGiftWrappedMessage(getPublicKey(bob), 'hi bob');
+
+    expect(nostrService.parsePrivateMessageRumor(rumor)).toEqual({
+      otherPubkey: getPublicKey(bob),
+      message: {
+        id: rumor.id,
+        content: 'hi bob',
+        author: getPublicKey(alice),
+        recipient: getPublicKey(bob),
+        timestamp: rumor.created_at,
+        isFromMe: true,
+        protocol: DM_PROTOCOLS.NIP17
+      }
+    });
+
+    signInAs(bob);
+    const received = nostrService.parsePrivateMessageRumor(await nostrService.unwrapGiftWrap(recipientWrap));
+    expect(received.otherPubkey).toBe(getPublicKey(alice));
+    expect(received.message).toMatchObject({ isFromMe: false, recipient: getPublicKey(bob) });
+  });
+
+  it('leaves out group chats and other rumor kinds', () => {
+    signInAs(alice);
+    const rumor = {
+      kind: EVENT_KINDS.PRIVATE_DIRECT_MESSAGE,
+      created_at: 1700000000,
+      tags: [['p', getPublicKey(bob)], ['p', getPublicKey(mallory)]],
+      content: 'hi all',
+      pubkey: getPublicKey(alice)
+    };
+
+    expect(nostrService.parsePrivateMessageRumor(rumor)).toBeNull();
+    expect(nostrService.parsePrivateMessageRumor({ ...rumor, kind: 1, tags: [] })).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { outboxService } from '../OutboxService';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const event = (id, created_at = 1700000000) => ({ id: id.padEnd(64, '0'), kind: 42, created_at, tags: [], content: id });
+
+const meta = (conversationKey) => ({ type: 'channel', conversationKey, target: conversationKey, content: '' });
+
+// Publishes everything except the events in failing, and notes what went out
+const failing = new Set();
+let sent = [];
+const publisher = {
+  retryPublish: jest.fn(async (signedEvent) => {
+    if (failing.has(signedEvent.id)) {
+      throw new Error('No relay accepted the event');
+    }
+    sent.push(signedEvent.content);
+    return { ...signedEvent, delivery: { accepted: 1 } };
+  }),
+  shouldRetryPublish: () => true,
+  publishCopies: jest.fn()
+};
+
+describe('OutboxService', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    await AsyncStorage.clear();
+    failing.clear();
+    sent = [];
+    outboxService.setPublisher(publisher);
+  });
+
+  afterEach(() => {
+    outboxService.reset();
+    jest.useRealTimers();
+  });
+
+  it('queues the same message only once', async () => {
+    const first = await outboxService.enqueue(event('a'), meta('#one'));
+    const second = await outboxService.enqueue(event('a'), meta('#one'));
+
+    expect(second).toBe(first);
+    expect(outboxService.getItems()).toHaveLength(1);
+    expect(JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.OUTBOX))).toHaveLength(1);
+  });
+
+  it('sends each conversation in order', async () => {
+    await outboxService.enqueue(event('a1'), meta('#one'));
+    await outboxService.enqueue(event('b1'), meta('#two'));
+    await outboxService.enqueue(event('a2'), meta('#one'));
+
+    await outboxService.flush();
+
+    expect(sent).toEqual(['a1', 'a2', 'b1']);
+    expect(outboxService.getItems()).toEqual([]);
+  });
+
+  it('holds a conversation back behind its oldest unsent message', async () => {
+    await outboxService.enqueue(event('a1'), meta('#one'));
+    await outboxService.enqueue(event('a2'), meta('#one'));
+    await outboxService.enqueue(event('b1'), meta('#two'));
+    failing.add(event('a1').id);
+
+    await outboxService.flush();
+
+    // a2 waits for a1; the other conversation isn't held up
+    expect(sent).toEqual(['b1']);
+    expect(outboxService.getItems('#one').map(item => item.event.content)).toEqual(['a1', 'a2']);
+    expect(outboxService.getItem(event('a1').id)).toMatchObject({ attempts: 1, lastError: 'No relay accepted the event' });
+
+    failing.clear();
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(sent).toEqual(['b1', 'a1', 'a2']);
+    expect(outboxService.getItems()).toEqual([]);
+  });
+
+  it('waits twice as long after every failed attempt, up to five minutes', () => {
+    expect([1, 2, 3, 4].map(attempts => outboxService.getRetryDelay(attempts))).toEqual([2000, 4000, 8000, 16000]);
+    expect(outboxService.getRetryDelay(20)).toBe(5 * 60 * 1000);
+  });
+
+  it('keeps what was queued before the stored queue loaded, without duplicates', async () => {
+    await outboxService.enqueue(event('m1'), meta('#one'));
+    await outboxService.enqueue(event('m2'), meta('#one'));
+
+    // Stored by an earlier run, which had queued m1 as well; s1 isn't due yet
+    await AsyncStorage.setItem(STORAGE_KEYS.OUTBOX, JSON.stringify([
+      { id: event('s1').id, event: event('s1'), conversationKey: '#one', nextAttemptAt: Date.now() + 60000 },
+      { id: event('m1').id, event: event('m1'), conversationKey: '#one', nextAttemptAt: Date.now() + 60000 }
+    ]));
+
+    await outboxService.load();
+
+    expect(outboxService.getItems().map(item => item.event.content)).toEqual(['s1', 'm1', 'm2']);
+  });
+
+  it('queues a DM under its rumor id and sends the copy to ourselves after it', async () => {
+    const wrap = event('wrap');
+    const selfCopy = { event: event('self'), relays: ['wss://mine.example'] };
+    const dm = {
+      type: 'dm',
+      conversationKey: 'dm:bob',
+      target: 'bob',
+      content: 'hi',
+      id: 'rumor'.padEnd(64, '0'),
+      createdAt: 1690000000,
+      relays: ['wss://bob-inbox.example'],
+      copies: [selfCopy]
+    };
+
+    const item = await outboxService.enqueue(wrap, dm);
+    expect(item).toMatchObject({ id: dm.id, createdAt: 1690000000 });
+    expect(await outboxService.enqueue(event('rewrapped'), dm)).toBe(item);
+
+    await outboxService.flush();
+
+    expect(publisher.retryPublish).toHaveBeenLastCalledWith(wrap, { nip29: false, relayUrls: ['wss://bob-inbox.example'] });
+    expect(publisher.publishCopies).toHaveBeenCalledWith([selfCopy]);
+    expect(outboxService.getItems()).toEqual([]);
+  });
+});
@@ -0,0 +1,73 @@
+import { nip13, getEventHash, generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools';
+import { powService } from '../PowService';
+
+const template = {
+  kind: 1,
+  pubkey: 'a'.repeat(64),
+  created_at: 1700000000,
+  tags: [['t', 'nostr']],
+  content: 'hello'
+};
+
+describe('PowService.mine', () => {
+  it('adds a nonce tag that meets the difficulty', async () => {
+    const mined = await powService.mine(template, 8);
+    const nonce = mined.tags.find(tag => tag[0] === 'nonce');
+
+    expect(nonce[2]).toBe('8');
+    expect(nip13.getPow(getEventHash(mined))).toBeGreaterThanOrEqual(8);
+    expect(mined.tags).toContainEqual(['t', 'nostr']);
+  });
+
+  it('returns an already mined event as is', async () => {
+    const mined = await powService.mine(template, 8);
+    const again = await powService.mine(mined, 8);
+
+    expect(again).toEqual(mined);
+  });
+
+  it('rejects with POW_CANCELLED when aborted', async () => {
+    const controller = new AbortController();
+    const mining = powService.mine(template, 30, { signal: controller.signal });
+    controller.abort();
+
+    await expect(mining).rejects.toMatchObject({ code: 'POW_CANCELLED' });
+  });
+
+  it('rejects with POW_TIMEOUT when the time budget runs out', async () => {
+    await expect(powService.mine(template, 30, { timeBudget: 0 })).rejects.toMatchObject({ code: 'POW_TIMEOUT' });
+  });
+});
+
+describe('PowService.getAcceptingRelays', () => {
+  const STRICT = 'wss://strict.example';
+  const LAX = 'wss://lax.example';
+  const secretKey = generateSecretKey();
+  // minePow pushes its nonce onto the template's tags, so give it a copy
+  const mined = (difficulty) => finalizeEvent(
+    nip13.minePow({ ...template, tags: [...template.tags], pubkey: getPublicKey(secretKey) }, difficulty),
+    secretKey
+  );
+
+  beforeEach(async () => {
+    await powService.setRelayDifficulty(STRICT, 12);
+    await powService.setRelayDifficulty(LAX, 0);
+  });
+
+  afterEach(async () => {
+    await powService.setRelayDifficulty(STRICT, null);
+    await powService.setRelayDifficulty(LAX, null);
+  });
+
+  it('leaves out relays that want more work than a signed event carries', async () => {
+    const event = mined(8);
+
+    expect(await powService.getAcceptingRelays(event, [STRICT, LAX])).toEqual([LAX]);
+  });
+
+  it('keeps relays whose difficulty the event meets', async () => {
+    const event = mined(12);
+
+    expect(await powService.getAcceptingRelays(event, [STRICT, LAX])).toEqual([STRICT, LAX]);
+  });
+});
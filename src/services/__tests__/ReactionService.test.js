@@ -0,0 +1,92 @@
+import { reactionService } from '../ReactionService';
+import { EVENT_KINDS } from '../../utils/constants';
+
+const CHANNEL_ID = 'c'.repeat(64);
+const MESSAGE_ID = 'm'.repeat(64);
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+const CAROL = 'd'.repeat(64);
+
+let eventCount = 0;
+const reaction = (pubkey, content, tags = []) => ({
+  id: `r${++eventCount}`.padEnd(64, '0'),
+  kind: EVENT_KINDS.REACTION,
+  pubkey,
+  created_at: 1700000000 + eventCount,
+  tags: [['e', CHANNEL_ID, '', 'root'], ['e', MESSAGE_ID], ['p', ALICE], ...tags],
+  content
+});
+
+const deletion = (pubkey, ids) => ({
+  kind: EVENT_KINDS.DELETE,
+  pubkey,
+  tags: ids.map(id => ['e', id]),
+  content: ''
+});
+
+const summary = (ownPubkey = null) => reactionService.getReactions(CHANNEL_ID, MESSAGE_ID, ownPubkey)
+  .map(({ key, count, reactors, ownReactionId }) => ({ key, count, reactors, ownReactionId }));
+
+describe('ReactionService', () => {
+  afterEach(() => {
+    reactionService.reset();
+  });
+
+  it('groups reactions by emoji, most used first, counting each author once', () => {
+    const like = reaction(BOB, '+');
+    reactionService.applyEvent(CHANNEL_ID, reaction(ALICE, '🍕'));
+    reactionService.applyEvent(CHANNEL_ID, like);
+    reactionService.applyEvent(CHANNEL_ID, reaction(CAROL, ''));
+    reactionService.applyEvent(CHANNEL_ID, reaction(BOB, '👍'));
+
+    expect(reactionService.applyEvent(CHANNEL_ID, like)).toBe(false);
+    expect(summary(BOB)).toEqual([
+      { key: '👍', count: 2, reactors: [BOB, CAROL], ownReactionId: like.id },
+      { key: '🍕', count: 1, reactors: [ALICE], ownReactionId: null }
+    ]);
+  });
+
+  it('keys custom emoji by shortcode and offers them in the picker', () => {
+    const tags = [['emoji', 'party', 'https://emoji.example/party.png']];
+    reactionService.applyEvent(CHANNEL_ID, reaction(ALICE, ':party:', tags));
+    reactionService.applyEvent(CHANNEL_ID, reaction(BOB, ':party:', tags));
+    reactionService.applyEvent(CHANNEL_ID, reaction(CAROL, ':nope:'));
+
+    expect(summary().map(group => [group.key, group.count])).toEqual([[':party:', 2], [':nope:', 1]]);
+    expect(reactionService.getCustomEmoji(CHANNEL_ID)).toEqual([{ shortcode: 'party', url: 'https://emoji.example/party.png' }]);
+  });
+
+  it('withdraws a reaction through its author\'s kind 5 only', () => {
+    const listener = jest.fn();
+    const unsubscribe = reactionService.addListener(listener);
+    const mine = reaction(ALICE, '🍕');
+    const theirs = reaction(BOB, '🍕');
+    reactionService.applyEvent(CHANNEL_ID, mine);
+    reactionService.applyEvent(CHANNEL_ID, theirs);
+
+    reactionService.applyDeletion(deletion(ALICE, [mine.id, theirs.id]));
+    unsubscribe();
+
+    expect(summary()).toEqual([{ key: '🍕', count: 1, reactors: [BOB], ownReactionId: null }]);
+    expect(reactionService.getReactionIds(CHANNEL_ID)).toEqual([theirs.id]);
+    expect(listener).toHaveBeenLastCalledWith(CHANNEL_ID, MESSAGE_ID);
+  });
+
+  it('ignores a reaction whose deletion arrived first', () => {
+    const late = reaction(ALICE, '🍕');
+    reactionService.applyDeletion(deletion(ALICE, [late.id]));
+
+    expect(reactionService.applyEvent(CHANNEL_ID, late)).toBe(false);
+    expect(summary()).toEqual([]);
+  });
+
+  it('finds all of our own reactions with an emoji, to toggle it off', () => {
+    const first = reaction(ALICE, '+');
+    const second = reaction(ALICE, '👍');
+    reactionService.applyEvent(CHANNEL_ID, first);
+    reactionService.applyEvent(CHANNEL_ID, second);
+    reactionService.applyEvent(CHANNEL_ID, reaction(BOB, '+'));
+
+    expect(reactionService.getOwnReactionIds(CHANNEL_ID, MESSAGE_ID, '👍', ALICE)).toEqual([first.id, second.id]);
+  });
+});
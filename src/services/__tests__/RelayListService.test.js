@@ -0,0 +1,110 @@
+import { relayListService } from '../RelayListService';
+import { relayManager } from '../RelayManager';
+import { EVENT_KINDS } from '../../utils/constants';
+
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+const CAROL = 'c'.repeat(64);
+
+const relayList = (pubkey, created_at, tags) => ({ kind: EVENT_KINDS.RELAY_LIST, pubkey, created_at, tags, content: '' });
+
+afterEach(() => {
+  relayListService.relayLists.clear();
+  relayListService.poolUsage.clear();
+  relayListService.reset();
+  jest.restoreAllMocks();
+});
+
+describe('RelayListService relay lists', () => {
+  it('merges duplicate entries and drops unusable ones', () => {
+    expect(relayListService.normalizeEntries([
+      { url: 'wss://one.example/', read: true, write: false },
+      { url: ' wss://one.example ', read: false, write: true },
+      { url: 'wss://two.example', read: false, write: false },
+      { url: 'https://not-a-relay.example', read: true, write: true }
+    ])).toEqual([{ url: 'wss://one.example', read: true, write: true }]);
+  });
+
+  it('marks only relays used one way and reads its own lists back', () => {
+    const template = relayListService.createRelayListTemplate([
+      { url: 'wss://both.example', read: true, write: true },
+      { url: 'wss://in.example', read: true, write: false },
+      { url: 'wss://out.example', read: false, write: true }
+    ]);
+
+    expect(template.tags).toEqual([['r', 'wss://both.example'], ['r', 'wss://in.example', 'read'], ['r', 'wss://out.example', 'write']]);
+    expect(relayListService.parseRelayList({ ...template, created_at: 1000 })).toEqual({
+      read: ['wss://both.example', 'wss://in.example'],
+      write: ['wss://both.example', 'wss://out.example'],
+      createdAt: 1000
+    });
+  });
+
+  it('keeps each author\'s newest list and remembers authors without one', async () => {
+    const querySync = jest.fn(async () => [
+      relayList(ALICE, 100, [['r', 'wss://old.example']]),
+      relayList(ALICE, 200, [['r', 'wss://new.example', 'write']])
+    ]);
+    relayManager.setPool({ querySync });
+    jest.spyOn(relayListService, 'getDiscoveryRelays').mockResolvedValue(['wss://index.example']);
+
+    const lists = await relayListService.fetchRelayLists([ALICE, BOB, ALICE]);
+    await relayListService.fetchRelayLists([ALICE, BOB]);
+
+    expect(lists.get(ALICE)).toMatchObject({ read: [], write: ['wss://new.example'], createdAt: 200 });
+    expect(lists.get(BOB)).toMatchObject({ read: [], write: [], createdAt: null });
+    expect(querySync).toHaveBeenCalledTimes(1);
+    expect(querySync).toHaveBeenCalledWith(['wss://index.example'], { kinds: [EVENT_KINDS.RELAY_LIST], authors: [ALICE, BOB] });
+  });
+});
+
+describe('RelayListService outbox model', () => {
+  beforeEach(() => {
+    relayListService.setRelayList(ALICE, [
+      { url: 'wss://shared.example', read: false, write: true },
+      { url: 'wss://alice.example', read: true, write: true }
+    ]);
+    relayListService.setRelayList(BOB, [
+      { url: 'wss://shared.example', read: false, write: true },
+      { url: 'wss://bob-in.example', read: true, write: false }
+    ]);
+    relayListService.setRelayList(CAROL, [{ url: 'wss://carol.example', read: true, write: true }]);
+  });
+
+  it('queries the relays that cover the most authors first', () => {
+    const plan = relayListService.planAuthorRelays([ALICE, BOB, CAROL]);
+
+    expect(Array.from(plan.keys())).toEqual(['wss://shared.example', 'wss://carol.example']);
+    expect(plan.get('wss://shared.example')).toEqual([ALICE, BOB]);
+  });
+
+  it('leaves authors without a known list to our own relays', () => {
+    expect(relayListService.planAuthorRelays(['d'.repeat(64)]).size).toBe(0);
+  });
+
+  it('delivers mentions to the read relays of everyone mentioned', async () => {
+    expect(await relayListService.getInboxRelays([ALICE, BOB])).toEqual(['wss://alice.example', 'wss://bob-in.example']);
+    expect(await relayListService.getWriteRelays(BOB)).toEqual(['wss://shared.example']);
+  });
+});
+
+describe('RelayListService pool', () => {
+  it('closes the least recently used extra relays but never pinned ones', async () => {
+    const removeRelay = jest.spyOn(relayManager, 'removeRelay').mockImplementation(() => {});
+    jest.spyOn(relayManager, 'ensureOpen').mockImplementation(async (urls) => urls);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    relayListService.setPinnedRelays(['wss://pinned.example']);
+
+    const extra = Array.from({ length: 20 }, (_, index) => `wss://extra${index}.example`);
+    for (const [index, url] of extra.entries()) {
+      jest.spyOn(Date, 'now').mockReturnValue(1000 + index);
+      await relayListService.openRelays([url]);
+    }
+    jest.spyOn(Date, 'now').mockReturnValue(2000);
+    await relayListService.openRelays(['wss://pinned.example', 'wss://new.example']);
+
+    expect(removeRelay).toHaveBeenCalledTimes(1);
+    expect(removeRelay).toHaveBeenCalledWith('wss://extra0.example');
+    expect(relayListService.poolUsage.has('wss://pinned.example')).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+import { finalizeEvent, generateSecretKey } from 'nostr-tools';
+
+const RELAY_URL = 'wss://relay.test';
+
+// Stands in for the relay's websocket: records what the client sends and lets the test
+// deliver relay messages
+class FakeSocket {
+  static sockets = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeSocket.sockets.push(this);
+    setTimeout(() => this.onopen?.(), 0);
+  }
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  close() {}
+}
+
+// nostr-tools picks up the global WebSocket when it loads
+global.WebSocket = FakeSocket;
+const { relayManager, AuthenticatingPool } = require('../RelayManager');
+
+const secretKey = generateSecretKey();
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 100; i++) {
+    const value = predicate();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Condition not met in time');
+};
+
+const sentOfType = (socket, type) => socket.sent.filter(message => message[0] === type);
+
+const connect = async (handler) => {
+  relayManager.setPool(new AuthenticatingPool());
+  relayManager.setAuthHandler({
+    shouldAuthenticateEagerly: () => false,
+    isAllowed: async () => true,
+    signAuthEvent: async (template) => finalizeEvent(template, secretKey),
+    ...handler
+  });
+  relayManager.addRelay(RELAY_URL);
+  await relayManager.connect(RELAY_URL);
+  return FakeSocket.sockets[FakeSocket.sockets.length - 1];
+};
+
+describe('RelayManager NIP-42 authentication', () => {
+  afterEach(() => {
+    relayManager.removeRelay(RELAY_URL);
+    FakeSocket.sockets = [];
+  });
+
+  it('answers a challenge right away for relays it authenticates to eagerly', async () => {
+    const socket = await connect({ shouldAuthenticateEagerly: () => true });
+
+    socket.receive(['AUTH', 'challenge-1']);
+    const [[, authEvent]] = await waitFor(() => sentOfType(socket, 'AUTH').length && sentOfType(socket, 'AUTH'));
+
+    expect(authEvent.kind).toBe(22242);
+    expect(authEvent.tags).toContainEqual(['challenge', 'challenge-1']);
+    expect(authEvent.tags).toContainEqual(['relay', 'wss://relay.test/']);
+
+    socket.receive(['OK', authEvent.id, true, '']);
+    await waitFor(() => relayManager.getStatus(RELAY_URL).authenticated);
+  });
+
+  it('waits for an auth-required refusal before authenticating and resends the REQ', async () => {
+    const socket = await connect();
+    socket.receive(['AUTH', 'challenge-2']);
+
+    const subscription = relayManager.pool.subscribeMap(
+      [{ url: RELAY_URL, filter: { kinds: [1] } }],
+      // Short maxWait: nostr-tools leaves the EOSE timer of the refused REQ running
+      { onevent: () => {}, maxWait: 100 }
+    );
+
+    const [[, subId]] = await waitFor(() => sentOfType(socket, 'REQ').length && sentOfType(socket, 'REQ'));
+    expect(sentOfType(socket, 'AUTH')).toHaveLength(0);
+
+    socket.receive(['CLOSED', subId, 'auth-required: members only']);
+    const [[, authEvent]] = await waitFor(() => sentOfType(socket, 'AUTH').length && sentOfType(socket, 'AUTH'));
+    expect(authEvent.tags).toContainEqual(['challenge', 'challenge-2']);
+
+    socket.receive(['OK', authEvent.id, true, '']);
+    const [, [, resentId]] = await waitFor(() => sentOfType(socket, 'REQ').length === 2 && sentOfType(socket, 'REQ'));
+
+    socket.receive(['EOSE', resentId]);
+    await subscription.close();
+  });
+
+  it('leaves a publish refused when its policy declines to authenticate', async () => {
+    const signAuthEvent = jest.fn();
+    const socket = await connect({ isAllowed: async () => false, signAuthEvent });
+    socket.receive(['AUTH', 'challenge-3']);
+
+    const event = finalizeEvent({ kind: 1, created_at: 1700000000, tags: [], content: 'hi' }, secretKey);
+    const publishing = relayManager.publish([RELAY_URL], event);
+
+    await waitFor(() => sentOfType(socket, 'EVENT').length);
+    socket.receive(['OK', event.id, false, 'auth-required: members only']);
+
+    const [result] = await publishing;
+    expect(result).toMatchObject({ relay: RELAY_URL, message: 'auth-required: members only' });
+    expect(relayManager.isAuthRequired(result)).toBe(true);
+    expect(signAuthEvent).not.toHaveBeenCalled();
+    expect(sentOfType(socket, 'AUTH')).toHaveLength(0);
+  });
+});
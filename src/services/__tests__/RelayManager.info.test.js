@@ -0,0 +1,104 @@
+import http from 'http';
+import { relayManager } from '../RelayManager';
+
+const INFO = {
+  name: 'Test relay',
+  supported_nips: [1, 11, 42],
+  limitation: { auth_required: true, min_pow_difficulty: 8 }
+};
+
+// NIP-11 stub: the path picks how it answers
+const routes = {
+  '/ok': (request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/nostr+json' });
+    response.end(JSON.stringify(INFO));
+  },
+  '/cached': (request, response) => routes['/ok'](request, response),
+  '/html': (request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/html' });
+    response.end('<html><body>Welcome</body></html>');
+  },
+  '/broken': (request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/nostr+json' });
+    response.end('{"name": ');
+  },
+  '/missing': (request, response) => {
+    response.writeHead(404);
+    response.end();
+  },
+  '/slow': () => {}
+};
+
+let server;
+let baseUrl;
+let requests;
+
+beforeAll(async () => {
+  server = http.createServer((request, response) => {
+    requests.push({ path: request.url, accept: request.headers.accept });
+    routes[request.url](request, response);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `ws://127.0.0.1:${server.address().port}`;
+  relayManager.setFetchImplementation((...args) => fetch(...args));
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+describe('RelayManager NIP-11', () => {
+  it('fetches the document over HTTP asking for nostr+json', async () => {
+    const info = await relayManager.getRelayInfo(`${baseUrl}/ok`);
+
+    expect(info).toEqual(INFO);
+    expect(requests).toEqual([{ path: '/ok', accept: 'application/nostr+json' }]);
+
+    const capabilities = await relayManager.getRelayCapabilities(`${baseUrl}/ok`);
+    expect(capabilities).toMatchObject({ name: 'Test relay', supportedNips: [1, 11, 42], authRequired: true });
+  });
+
+  it('asks each relay once until refreshed', async () => {
+    const url = `${baseUrl}/cached`;
+    await relayManager.getRelayInfo(url);
+    await relayManager.getRelayInfo(url);
+    expect(requests).toHaveLength(1);
+
+    // A fresh start finds it in the persistent cache
+    relayManager.relayInfo.clear();
+    expect(await relayManager.getRelayInfo(url)).toEqual(INFO);
+    expect(requests).toHaveLength(1);
+
+    await relayManager.getRelayInfo(url, { refresh: true });
+    expect(requests).toHaveLength(2);
+  });
+
+  it('refuses a web page instead of a document', async () => {
+    await expect(relayManager.fetchRelayInfo(`${baseUrl}/html`)).rejects.toThrow('Unexpected content type text/html');
+    expect(await relayManager.getRelayInfo(`${baseUrl}/html`)).toBeNull();
+  });
+
+  it('refuses invalid JSON', async () => {
+    await expect(relayManager.fetchRelayInfo(`${baseUrl}/broken`)).rejects.toThrow(/JSON/);
+    expect(await relayManager.getRelayInfo(`${baseUrl}/broken`)).toBeNull();
+  });
+
+  it('remembers relays without a document so they are not asked again', async () => {
+    const url = `${baseUrl}/missing`;
+
+    expect(await relayManager.getRelayInfo(url)).toBeNull();
+    expect(await relayManager.getRelayInfo(url)).toBeNull();
+    expect(await relayManager.supportsNip(url, 11)).toBeNull();
+    expect(requests).toHaveLength(1);
+  });
+
+  it('gives up on a relay that does not answer in time', async () => {
+    await expect(relayManager.fetchRelayInfo(`${baseUrl}/slow`, 100)).rejects.toThrow();
+    expect(requests).toEqual([expect.objectContaining({ path: '/slow' })]);
+  });
+});
@@ -0,0 +1,75 @@
+import { relayManager } from '../RelayManager';
+import { RELAY_STATES } from '../../utils/constants';
+
+const RELAY_URL = 'wss://down.test';
+
+// A pool whose relay never accepts the connection
+const unreachablePool = {
+  ensureRelay: jest.fn(async () => {
+    throw new Error('connection refused');
+  }),
+  close: () => {},
+  relays: new Map()
+};
+
+const retryDelay = () => relayManager.getStatus(RELAY_URL).nextRetryAt - Date.now();
+
+describe('RelayManager reconnect backoff', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(0.5); // no jitter
+    unreachablePool.ensureRelay.mockClear();
+    relayManager.setPool(unreachablePool);
+    relayManager.addRelay(RELAY_URL);
+  });
+
+  afterEach(() => {
+    relayManager.removeRelay(RELAY_URL);
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('doubles the wait after every failed attempt', async () => {
+    await relayManager.connect(RELAY_URL);
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const status = relayManager.getStatus(RELAY_URL);
+      expect(status).toMatchObject({ state: RELAY_STATES.ERROR, attempts: attempt, lastError: 'connection refused' });
+
+      delays.push(retryDelay());
+      await jest.advanceTimersByTimeAsync(delays[delays.length - 1]);
+    }
+
+    expect(delays).toEqual([1000, 2000, 4000, 8000]);
+    expect(unreachablePool.ensureRelay).toHaveBeenCalledTimes(5);
+  });
+
+  it('never waits longer than five minutes', async () => {
+    await relayManager.connect(RELAY_URL);
+    for (let attempt = 1; attempt < 12; attempt++) {
+      await jest.advanceTimersByTimeAsync(retryDelay());
+    }
+
+    expect(relayManager.getStatus(RELAY_URL).attempts).toBe(12);
+    expect(retryDelay()).toBe(5 * 60 * 1000);
+  });
+
+  it('spreads retries by up to 20% either way', async () => {
+    Math.random.mockReturnValue(0);
+    await relayManager.connect(RELAY_URL);
+    expect(retryDelay()).toBe(800);
+
+    Math.random.mockReturnValue(0.9999);
+    relayManager.scheduleReconnect(RELAY_URL);
+    expect(retryDelay()).toBe(1200);
+  });
+
+  it('stops retrying once the relay is removed', async () => {
+    await relayManager.connect(RELAY_URL);
+    relayManager.removeRelay(RELAY_URL);
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(unreachablePool.ensureRelay).toHaveBeenCalledTimes(1);
+  });
+});
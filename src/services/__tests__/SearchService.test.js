@@ -0,0 +1,127 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { nip19 } from 'nostr-tools';
+import { searchService, SEARCH_SOURCES } from '../SearchService';
+import { accountService } from '../AccountService';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+
+// Local midnight of a day, in unix seconds
+const day = (year, month, date) => Math.floor(new Date(year, month - 1, date).getTime() / 1000);
+
+describe('SearchService.parseQuery', () => {
+  it('splits words, phrases and filters', () => {
+    expect(searchService.parseQuery('Pizza "New York style" from:alice in:#food has:link')).toEqual({
+      terms: ['pizza', 'new', 'york', 'style'],
+      phrases: ['new york style'],
+      from: 'alice',
+      in: { source: SEARCH_SOURCES.CHANNEL, name: 'food' },
+      before: null,
+      after: null,
+      hasLink: true
+    });
+  });
+
+  it('scopes to DMs, a contact or the feed', () => {
+    expect(searchService.parseQuery('in:dm').in).toEqual({ source: SEARCH_SOURCES.DM, name: null });
+    expect(searchService.parseQuery('in:@bob').in).toEqual({ source: SEARCH_SOURCES.DM, name: 'bob' });
+    expect(searchService.parseQuery('in:feed').in).toEqual({ source: SEARCH_SOURCES.FEED, name: null });
+  });
+
+  it('reads before: and after: dates as excluding the day itself', () => {
+    const query = searchService.parseQuery('before:2024-01-15 after:2024-01-10');
+
+    expect(query.before).toBe(day(2024, 1, 15));
+    expect(query.after).toBe(day(2024, 1, 11));
+  });
+
+  it('counts a duration back from now', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000 * 1000);
+
+    expect(searchService.parseQuery('after:7d').after).toBe(1700000000 - 7 * 86400);
+
+    jest.restoreAllMocks();
+  });
+
+  it('searches for has: values other than link as words', () => {
+    expect(searchService.parseQuery('has:pineapple')).toMatchObject({ terms: ['pineapple'], hasLink: false });
+  });
+});
+
+describe('SearchService.search', () => {
+  beforeEach(async () => {
+    await searchService.reset();
+    jest.useFakeTimers();
+    searchService.indexChannelMessages({ channelId: 'c1', channelName: 'food' }, [
+      { id: 'm1', author: ALICE, content: 'Pizza tonight? https://pizza.example', timestamp: day(2024, 1, 10) + 60 },
+      { id: 'm2', author: BOB, content: 'pizza again', timestamp: day(2024, 1, 15) + 60 }
+    ], pubkey => (pubkey === ALICE ? 'alice' : null));
+    searchService.indexChannelMessages({ channelId: 'c2', channelName: 'chess' }, [
+      { id: 'm3', author: ALICE, content: 'pizza break after this game', timestamp: day(2024, 1, 12) + 60 }
+    ]);
+    searchService.indexDirectMessages({ pubkey: BOB, name: 'bob' }, [
+      { id: 'd1', author: BOB, content: 'secret pizza recipe', timestamp: day(2024, 1, 13) + 60, isFromMe: false }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const ids = (text) => searchService.search(text).map(result => result.id);
+
+  it('matches word prefixes, newest first', () => {
+    expect(ids('piz')).toEqual(['m2', 'd1', 'm3', 'm1']);
+    expect(ids('pizza game')).toEqual(['m3']);
+  });
+
+  it('filters by author name, npub or hex pubkey', () => {
+    expect(ids('pizza from:alice')).toEqual(['m3', 'm1']);
+    expect(ids(`pizza from:${nip19.npubEncode(BOB)}`)).toEqual(['m2', 'd1']);
+    expect(ids(`from:${BOB}`)).toEqual(['m2', 'd1']);
+  });
+
+  it('filters by channel, contact and link', () => {
+    expect(ids('pizza in:#chess')).toEqual(['m3']);
+    expect(ids('pizza in:@bob')).toEqual(['d1']);
+    expect(ids('pizza has:link')).toEqual(['m1']);
+  });
+
+  it('filters by date', () => {
+    expect(ids('pizza before:2024-01-13')).toEqual(['m3', 'm1']);
+    expect(ids('pizza after:2024-01-12')).toEqual(['m2', 'd1']);
+  });
+
+  it('finds nothing for an empty query', () => {
+    expect(ids('  ')).toEqual([]);
+  });
+});
+
+describe('SearchService storage', () => {
+  afterEach(async () => {
+    await searchService.reset();
+    jest.useRealTimers();
+  });
+
+  it('keeps encrypted group messages out of the stored index', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await searchService.reset();
+    await searchService.load();
+
+    searchService.indexChannelMessages({ channelId: 'g1', channelName: 'secret', encrypted: true }, [
+      { id: 'e1', author: ALICE, content: 'the launch is tomorrow', timestamp: 100 }
+    ]);
+    searchService.indexChannelMessages({ channelId: 'c1', channelName: 'food' }, [
+      { id: 'p1', author: ALICE, content: 'pizza tomorrow', timestamp: 100 }
+    ]);
+    await searchService.save();
+
+    const stored = JSON.parse(await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.SEARCH_INDEX)));
+    expect(stored.map(doc => doc.id)).toEqual(['p1']);
+    expect(searchService.search('launch').map(result => result.id)).toEqual(['e1']);
+
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,191 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { senderKeyService, ratchetStep } from '../SenderKeyService';
+
+const ALICE = 'a'.repeat(64);
+const MALLORY = 'f'.repeat(64);
+
+let groupCount = 0;
+const newGroupId = () => `${++groupCount}`.padStart(64, '0');
+
+// The same ciphertext with one byte past the IV changed
+const tamper = (content) => `${content.slice(0, 20)}${content[20] === 'A' ? 'B' : 'A'}${content.slice(21)}`;
+
+// Alice's chain for a fresh group, followed by the receiving side from its first index
+const setUpChain = async () => {
+  const groupId = newGroupId();
+  const chain = await senderKeyService.getOwnChain(groupId, 1);
+  await senderKeyService.addReceivingChain(groupId, ALICE, {
+    chainId: chain.chainId,
+    chainKey: chain.chainKey,
+    index: chain.index,
+    keyVersion: 1
+  });
+  return { groupId, chain };
+};
+
+describe('ratchetStep', () => {
+  it('derives the same keys from the same chain key', async () => {
+    const chainKey = new Uint8Array(32).fill(7);
+    const first = await ratchetStep(chainKey);
+    const second = await ratchetStep(new Uint8Array(32).fill(7));
+
+    expect(first.messageKey).toEqual(second.messageKey);
+    expect(first.nextChainKey).toEqual(second.nextChainKey);
+    expect(first.messageKey).not.toEqual(first.nextChainKey);
+    expect(first.messageKey).toHaveLength(32);
+  });
+
+  it('moves to different keys on every step', async () => {
+    const first = await ratchetStep(new Uint8Array(32).fill(7));
+    const next = await ratchetStep(first.nextChainKey);
+
+    expect(next.messageKey).not.toEqual(first.messageKey);
+  });
+});
+
+describe('SenderKeyService', () => {
+  afterEach(async () => {
+    await senderKeyService.reset();
+  });
+
+  it('decrypts messages in order', async () => {
+    const { groupId, chain } = await setUpChain();
+
+    const first = await senderKeyService.encrypt(groupId, ALICE, 1, 'one');
+    const second = await senderKeyService.encrypt(groupId, ALICE, 1, 'two');
+
+    expect([first.index, second.index]).toEqual([0, 1]);
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 0, first.content)).toBe('one');
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 1, second.content)).toBe('two');
+  });
+
+  it('keeps the keys of skipped messages for when they arrive', async () => {
+    const { groupId, chain } = await setUpChain();
+    const sent = [];
+    for (const text of ['one', 'two', 'three']) {
+      sent.push(await senderKeyService.encrypt(groupId, ALICE, 1, text));
+    }
+
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 2, sent[2].content)).toBe('three');
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 0, sent[0].content)).toBe('one');
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 1, sent[1].content)).toBe('two');
+  });
+
+  it('deletes every message key once it decrypted its message', async () => {
+    const { groupId, chain } = await setUpChain();
+    const sent = [];
+    for (const text of ['one', 'two']) {
+      sent.push(await senderKeyService.encrypt(groupId, ALICE, 1, text));
+    }
+
+    // Index 1 first, so index 0 is read through a skipped key
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 1, sent[1].content)).toBe('two');
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 0, sent[0].content)).toBe('one');
+
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 0, sent[0].content)).toBeNull();
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 1, sent[1].content)).toBeNull();
+  });
+
+  it('does not follow a chain more than MAX_SKIP messages ahead', async () => {
+    const { groupId, chain } = await setUpChain();
+    const first = await senderKeyService.encrypt(groupId, ALICE, 1, 'one');
+
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 1001, first.content)).toBeNull();
+
+    // The chain didn't move, so the first message still decrypts
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 0, first.content)).toBe('one');
+  });
+
+  it('binds a ciphertext to its sender', async () => {
+    const { groupId, chain } = await setUpChain();
+    await senderKeyService.addReceivingChain(groupId, MALLORY, {
+      chainId: chain.chainId,
+      chainKey: chain.chainKey,
+      index: 0,
+      keyVersion: 1
+    });
+
+    const sent = await senderKeyService.encrypt(groupId, ALICE, 1, 'from alice');
+    expect(await senderKeyService.decrypt(groupId, MALLORY, chain.chainId, 0, sent.content)).toBeNull();
+  });
+
+  it('binds a ciphertext to its group and chain', async () => {
+    const { groupId, chain } = await setUpChain();
+    const otherGroupId = newGroupId();
+    await senderKeyService.addReceivingChain(otherGroupId, ALICE, {
+      chainId: chain.chainId,
+      chainKey: chain.chainKey,
+      index: 0,
+      keyVersion: 1
+    });
+    await senderKeyService.addReceivingChain(groupId, ALICE, {
+      chainId: 'other-chain',
+      chainKey: chain.chainKey,
+      index: 0,
+      keyVersion: 1
+    });
+
+    const sent = await senderKeyService.encrypt(groupId, ALICE, 1, 'for this group');
+    expect(await senderKeyService.decrypt(otherGroupId, ALICE, chain.chainId, 0, sent.content)).toBeNull();
+    expect(await senderKeyService.decrypt(groupId, ALICE, 'other-chain', 0, sent.content)).toBeNull();
+  });
+
+  it('ignores a second share for a chain it already follows', async () => {
+    const { groupId, chain } = await setUpChain();
+
+    expect(await senderKeyService.addReceivingChain(groupId, ALICE, {
+      chainId: chain.chainId,
+      chainKey: chain.chainKey,
+      index: 5,
+      keyVersion: 1
+    })).toBe(false);
+  });
+
+  it('keeps the key when a tampered message fails to open', async () => {
+    const { groupId, chain } = await setUpChain();
+    const sent = [];
+    for (const text of ['one', 'two']) {
+      sent.push(await senderKeyService.encrypt(groupId, ALICE, 1, text));
+    }
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Ahead of the chain: it must not move past index 1
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 1, tamper(sent[1].content))).toBeNull();
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 1, sent[1].content)).toBe('two');
+
+    // A skipped key stays until the real message opens with it
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 0, tamper(sent[0].content))).toBeNull();
+    expect(await senderKeyService.decrypt(groupId, ALICE, chain.chainId, 0, sent[0].content)).toBe('one');
+    console.error.mockRestore();
+  });
+});
+
+describe('SenderKeyService plaintexts', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    senderKeyService.reset();
+  });
+
+  it('remembers decrypted messages in memory only', async () => {
+    senderKeyService.rememberPlaintext('event1', { content: 'secret' });
+
+    expect(senderKeyService.getPlaintext('event1')).toEqual({ content: 'secret' });
+    expect(await AsyncStorage.getAllKeys()).toEqual([]);
+
+    senderKeyService.reset();
+    expect(senderKeyService.getPlaintext('event1')).toBeNull();
+  });
+
+  it('removes the copies earlier versions stored for every account', async () => {
+    await AsyncStorage.multiSet([
+      ['group_plaintexts', '[]'],
+      [`group_plaintexts:${ALICE}`, '[]'],
+      ['group_plaintexts_unrelated', '[]']
+    ]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await senderKeyService.removeStoredPlaintexts();
+    expect(await AsyncStorage.getAllKeys()).toEqual(['group_plaintexts_unrelated']);
+    console.log.mockRestore();
+  });
+});
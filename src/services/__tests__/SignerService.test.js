@@ -0,0 +1,149 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateSecretKey, getPublicKey, verifyEvent } from 'nostr-tools';
+import { signerService } from '../SignerService';
+import { accountService } from '../AccountService';
+import { STORAGE_KEYS, SIGNER_TYPES, ERROR_MESSAGES } from '../../utils/constants';
+
+// react-native itself doesn't load under node; the signer only needs these two
+jest.mock('react-native', () => ({
+  Platform: { OS: 'web' },
+  Linking: { openURL: jest.fn() }
+}));
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+const template = { kind: 1, created_at: 1700000000, tags: [], content: 'hello' };
+
+afterEach(async () => {
+  await signerService.reset();
+  signerService.setLocalKeyProvider(() => null);
+  await accountService.switchTo(null);
+  delete global.window;
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('SignerService local key', () => {
+  it('signs with the key the provider hands over', async () => {
+    const secretKey = generateSecretKey();
+    signerService.setLocalKeyProvider(() => toHex(secretKey));
+
+    const event = await signerService.getSigner().signEvent({ ...template });
+
+    expect(event.pubkey).toBe(getPublicKey(secretKey));
+    expect(verifyEvent(event)).toBe(true);
+  });
+
+  it('encrypts NIP-44 messages the other side can read', async () => {
+    const alice = generateSecretKey();
+    const bob = generateSecretKey();
+    const bobSigner = signerService.createLocalSigner(toHex(bob));
+    signerService.setLocalKeyProvider(() => toHex(alice));
+
+    const ciphertext = await signerService.getSigner().nip44Encrypt(getPublicKey(bob), 'hi bob');
+
+    expect(await bobSigner.nip44Decrypt(getPublicKey(alice), ciphertext)).toBe('hi bob');
+  });
+
+  it('refuses to sign without a key, e.g. while the keystore is locked', () => {
+    expect(signerService.isReady()).toBe(false);
+    expect(() => signerService.getSigner()).toThrow(ERROR_MESSAGES.NO_PRIVATE_KEY);
+  });
+});
+
+describe('SignerService NIP-07 extension', () => {
+  const pubkey = 'b'.repeat(64);
+
+  beforeEach(() => {
+    global.window = {
+      nostr: {
+        getPublicKey: jest.fn(async () => pubkey),
+        signEvent: jest.fn(async (event) => ({ ...event, pubkey, id: 'e'.repeat(64), sig: 'f'.repeat(128) })),
+        nip04: { encrypt: jest.fn(async () => 'nip04-ciphertext'), decrypt: jest.fn() }
+      }
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('registers the extension identity and signs through it once loaded', async () => {
+    expect(await signerService.useExtension()).toBe(pubkey);
+    expect(accountService.getAccount(pubkey)).toMatchObject({ signerType: SIGNER_TYPES.NIP07 });
+
+    await accountService.switchTo(pubkey);
+    await signerService.load();
+    const event = await signerService.getSigner().signEvent({ ...template });
+
+    expect(signerService.isExternal()).toBe(true);
+    expect(window.nostr.signEvent).toHaveBeenCalledWith(template);
+    expect(event.pubkey).toBe(pubkey);
+  });
+
+  it('says which encryption the extension lacks', async () => {
+    await signerService.useExtension();
+    await accountService.switchTo(pubkey);
+    await signerService.load();
+    const signer = signerService.getSigner();
+
+    expect(await signer.nip04Encrypt(pubkey, 'hi')).toBe('nip04-ciphertext');
+    await expect(signer.nip44Encrypt(pubkey, 'hi')).rejects.toThrow('does not support NIP44 encryption');
+  });
+});
+
+describe('SignerService NIP-46 remote signer', () => {
+  const bunkerPubkey = 'c'.repeat(64);
+  const userPubkey = 'd'.repeat(64);
+  const uri = `bunker://${bunkerPubkey}?relay=wss://bunker.example&secret=one-time`;
+
+  const useFakeBunker = (bunker) => {
+    const signer = { close: jest.fn(async () => {}), ...bunker };
+    jest.spyOn(signerService, 'createBunkerSigner').mockReturnValue(signer);
+    return signer;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('stores the bunker without its connect secret and leaves no timer behind', async () => {
+    jest.useFakeTimers();
+    const signer = useFakeBunker({ connect: jest.fn(async () => {}), getPublicKey: jest.fn(async () => userPubkey) });
+
+    expect(await signerService.useBunker(uri)).toBe(userPubkey);
+
+    const stored = JSON.parse(await AsyncStorage.getItem(accountService.key(STORAGE_KEYS.SIGNER, userPubkey)));
+    expect(stored).toMatchObject({ type: SIGNER_TYPES.NIP46, publicKey: userPubkey });
+    expect(stored.bunker.pointer).toEqual({ pubkey: bunkerPubkey, relays: ['wss://bunker.example'], secret: null });
+    expect(signer.close).toHaveBeenCalled();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('gives up when the bunker never answers', async () => {
+    jest.useFakeTimers();
+    const signer = useFakeBunker({ connect: jest.fn(() => new Promise(() => {})), getPublicKey: jest.fn() });
+    const addAccount = jest.spyOn(accountService, 'addAccount');
+
+    const connecting = signerService.useBunker(uri);
+    const outcome = expect(connecting).rejects.toThrow('Remote signer did not answer');
+    await jest.advanceTimersByTimeAsync(60000);
+    await outcome;
+
+    expect(signer.getPublicKey).not.toHaveBeenCalled();
+    expect(signer.close).toHaveBeenCalled();
+    expect(addAccount).not.toHaveBeenCalled();
+  });
+
+  it('passes on the bunker refusing the connection', async () => {
+    const signer = useFakeBunker({
+      connect: jest.fn(async () => { throw new Error('unauthorized'); }),
+      getPublicKey: jest.fn()
+    });
+
+    await expect(signerService.useBunker(uri)).rejects.toThrow('unauthorized');
+    expect(signer.close).toHaveBeenCalled();
+  });
+
+  it('rejects input that is neither a bunker URI nor a NIP-05 address', async () => {
+    await expect(signerService.useBunker('not a bunker')).rejects.toThrow('Invalid bunker URI or NIP-05 address');
+  });
+});
@@ -0,0 +1,283 @@
+import { generateSecretKey, getPublicKey, finalizeEvent, nip13, nip19 } from 'nostr-tools';
+import { nostrUtils } from '../nostrUtils';
+import { CHANNEL_MODES, EVENT_KINDS } from '../constants';
+
+const GROUP_ID = 'group1';
+const ADMIN = '1'.repeat(64);
+const USER = '2'.repeat(64);
+const MESSAGE_ID = 'e'.repeat(64);
+
+const signed = (event) => ({ ...event, id: 'f'.repeat(64), pubkey: ADMIN, created_at: 1000 });
+
+describe('nostrUtils.createGroupMetadataEvent', () => {
+  it('only carries the fields being changed', () => {
+    const event = nostrUtils.createGroupMetadataEvent(GROUP_ID, { name: 'Pizza lovers', open: false });
+
+    expect(event.kind).toBe(EVENT_KINDS.GROUP_EDIT_METADATA);
+    expect(event.tags).toEqual([['h', GROUP_ID], ['name', 'Pizza lovers'], ['closed']]);
+  });
+
+  it('writes the open/public flags and any extra ones', () => {
+    const event = nostrUtils.createGroupMetadataEvent(GROUP_ID, {
+      about: '',
+      open: true,
+      public: false,
+      flags: ['restricted']
+    });
+
+    expect(event.tags).toEqual([['h', GROUP_ID], ['about', ''], ['open'], ['private'], ['restricted']]);
+  });
+});
+
+describe('nostrUtils.getGroupModeChanges', () => {
+  it('maps the flags of an edit to channel modes', () => {
+    expect(nostrUtils.getGroupModeChanges([['name', 'x'], ['closed'], ['unrestricted'], ['visible']])).toEqual([
+      { mode: CHANNEL_MODES.INVITE_ONLY, enabled: true },
+      { mode: CHANNEL_MODES.MODERATED, enabled: false },
+      { mode: CHANNEL_MODES.SECRET, enabled: false }
+    ]);
+  });
+
+  it('gives nothing for an edit without flags', () => {
+    expect(nostrUtils.getGroupModeChanges([['name', 'x'], ['about', 'y']])).toEqual([]);
+    expect(nostrUtils.getGroupModeChanges()).toEqual([]);
+  });
+
+  it('reads back what createGroupMetadataEvent wrote', () => {
+    const { tags } = nostrUtils.createGroupMetadataEvent(GROUP_ID, { open: false, public: true });
+
+    expect(nostrUtils.getGroupModeChanges(tags)).toEqual([
+      { mode: CHANNEL_MODES.INVITE_ONLY, enabled: true },
+      { mode: CHANNEL_MODES.PRIVATE, enabled: false }
+    ]);
+  });
+});
+
+describe('nostrUtils channel modes', () => {
+  it('splits IRC mode arguments into channel and user modes', () => {
+    expect(nostrUtils.parseModeChanges(['+mt-i+o-v', ADMIN, USER])).toEqual({
+      channelModes: [
+        { mode: CHANNEL_MODES.MODERATED, enabled: true },
+        { mode: CHANNEL_MODES.TOPIC_LOCKED, enabled: true },
+        { mode: CHANNEL_MODES.INVITE_ONLY, enabled: false }
+      ],
+      userModes: [
+        { mode: 'o', enabled: true, target: ADMIN },
+        { mode: 'v', enabled: false, target: USER }
+      ],
+      invalid: []
+    });
+  });
+
+  it('reports unknown modes and user modes without a target', () => {
+    expect(nostrUtils.parseModeChanges(['+xb']).invalid).toEqual(['+x', '+b']);
+    expect(nostrUtils.parseModeChanges(['m']).invalid).toEqual(['m']);
+  });
+
+  it('writes one mode tag per change and reads them back', () => {
+    const changes = [
+      { mode: CHANNEL_MODES.MODERATED, enabled: true },
+      { mode: CHANNEL_MODES.SECRET, enabled: true },
+      { mode: CHANNEL_MODES.TOPIC_LOCKED, enabled: false }
+    ];
+    const event = nostrUtils.createChannelModeEvent(MESSAGE_ID, changes);
+
+    expect(event.kind).toBe(EVENT_KINDS.CHANNEL_MODE);
+    expect(event.content).toBe('+ms-t');
+    expect(event.tags).toEqual([['e', MESSAGE_ID, '', 'root'], ['mode', '+m'], ['mode', '+s'], ['mode', '-t']]);
+    expect(nostrUtils.getModeChanges(event)).toEqual(changes);
+  });
+
+  it('skips mode tags it does not know', () => {
+    const event = { tags: [['mode', '+q'], ['mode', 'm'], ['mode', '-n']] };
+
+    expect(nostrUtils.getModeChanges(event)).toEqual([{ mode: CHANNEL_MODES.NO_EXTERNAL, enabled: false }]);
+  });
+});
+
+describe('nostrUtils.parseHideOrMuteEvent', () => {
+  const CHANNEL_ID = 'c'.repeat(64);
+
+  it('takes the hidden message, not the channel, from a kind 43', () => {
+    const event = signed(nostrUtils.createHideMessageEvent(CHANNEL_ID, MESSAGE_ID, 'spam'));
+
+    expect(nostrUtils.parseHideOrMuteEvent(event)).toEqual({
+      id: event.id,
+      channelId: CHANNEL_ID,
+      moderator: ADMIN,
+      reason: 'spam',
+      timestamp: 1000,
+      expiresAt: null,
+      action: 'hide',
+      messageId: MESSAGE_ID
+    });
+  });
+
+  it('reads the target and expiration of a kind 44', () => {
+    const event = signed(nostrUtils.createMuteUserEvent(CHANNEL_ID, USER, 'flooding', 5000));
+
+    expect(nostrUtils.parseHideOrMuteEvent(event))
+      .toMatchObject({ action: 'mute', target: USER, reason: 'flooding', expiresAt: 5000 });
+  });
+
+  it('takes plain text content as the reason', () => {
+    const event = signed({ kind: EVENT_KINDS.CHANNEL_MUTE_USER, tags: [['p', USER]], content: 'go away' });
+
+    expect(nostrUtils.parseHideOrMuteEvent(event)).toMatchObject({ action: 'mute', reason: 'go away' });
+  });
+
+  it('ignores events without a message or user to act on', () => {
+    expect(nostrUtils.parseHideOrMuteEvent(signed({
+      kind: EVENT_KINDS.CHANNEL_HIDE_MESSAGE,
+      tags: [['e', CHANNEL_ID, '', 'root']],
+      content: ''
+    }))).toBeNull();
+    expect(nostrUtils.parseHideOrMuteEvent(signed({ kind: EVENT_KINDS.CHANNEL_MUTE_USER, tags: [], content: '' })))
+      .toBeNull();
+  });
+});
+
+describe('nostrUtils.parseGroupModerationEvent', () => {
+  it('reads a put-user with its roles', () => {
+    const event = signed(nostrUtils.createGroupPutUserEvent(GROUP_ID, USER, ['moderator', ''], 'trusted'));
+
+    expect(nostrUtils.parseGroupModerationEvent(event)).toEqual({
+      id: event.id,
+      channelId: GROUP_ID,
+      action: 'put-user',
+      target: USER,
+      roles: ['moderator'],
+      changes: [],
+      reason: 'trusted',
+      moderator: ADMIN,
+      timestamp: 1000,
+      expiresAt: null
+    });
+  });
+
+  it('reads a remove-user', () => {
+    const event = signed(nostrUtils.createGroupRemoveUserEvent(GROUP_ID, USER, 'spam'));
+
+    expect(nostrUtils.parseGroupModerationEvent(event))
+      .toMatchObject({ action: 'remove-user', target: USER, roles: [], reason: 'spam' });
+  });
+
+  it('takes the event, not a user, as the target of a delete-event', () => {
+    const event = signed(nostrUtils.createGroupDeleteEventEvent(GROUP_ID, MESSAGE_ID));
+
+    expect(nostrUtils.parseGroupModerationEvent(event)).toMatchObject({ action: 'delete-event', target: MESSAGE_ID });
+  });
+
+  it('keeps the edited tags of an edit-metadata, without the group tag', () => {
+    const event = signed(nostrUtils.createGroupMetadataEvent(GROUP_ID, { name: 'Pizza', open: false }));
+
+    expect(nostrUtils.parseGroupModerationEvent(event)).toMatchObject({
+      action: 'edit-metadata',
+      channelId: GROUP_ID,
+      target: null,
+      changes: [['name', 'Pizza'], ['closed']]
+    });
+  });
+
+  it('names the other admin actions', () => {
+    expect(nostrUtils.parseGroupModerationEvent(signed(nostrUtils.createGroupDeletionEvent(GROUP_ID))).action)
+      .toBe('delete-group');
+    expect(nostrUtils.parseGroupModerationEvent(signed(nostrUtils.createGroupInviteEvent(GROUP_ID, 'code'))).action)
+      .toBe('create-invite');
+  });
+
+  it('ignores events that are not NIP-29 admin actions', () => {
+    expect(nostrUtils.parseGroupModerationEvent(signed({ kind: 1, tags: [['h', GROUP_ID]], content: 'hi' }))).toBeNull();
+    expect(nostrUtils.parseGroupModerationEvent(signed({ kind: EVENT_KINDS.GROUP_METADATA, tags: [], content: '' })))
+      .toBeNull();
+  });
+});
+
+describe('nostrUtils.parseChannelReference', () => {
+  const RELAY = 'wss://relay.example';
+
+  it('takes a hex id, note or nevent as a kind 40 channel', () => {
+    expect(nostrUtils.parseChannelReference(MESSAGE_ID.toUpperCase()))
+      .toEqual({ type: 'channel', id: MESSAGE_ID, relays: [] });
+    expect(nostrUtils.parseChannelReference(nip19.noteEncode(MESSAGE_ID)))
+      .toEqual({ type: 'channel', id: MESSAGE_ID, relays: [] });
+    expect(nostrUtils.parseChannelReference(`nostr:${nip19.neventEncode({ id: MESSAGE_ID, relays: [RELAY] })}`))
+      .toEqual({ type: 'channel', id: MESSAGE_ID, relays: [RELAY] });
+  });
+
+  it('takes an naddr as a NIP-29 group', () => {
+    const naddr = nip19.naddrEncode({ kind: EVENT_KINDS.GROUP_METADATA, pubkey: ADMIN, identifier: GROUP_ID, relays: [RELAY] });
+
+    expect(nostrUtils.parseChannelReference(naddr)).toEqual({ type: 'group', groupId: GROUP_ID, relays: [RELAY] });
+  });
+
+  it('takes anything else as a channel name', () => {
+    expect(nostrUtils.parseChannelReference(' #pizza ')).toEqual({ type: 'name', name: 'pizza' });
+    expect(nostrUtils.parseChannelReference('#')).toBeNull();
+    expect(nostrUtils.parseChannelReference('')).toBeNull();
+  });
+
+  it('rejects a bech32 reference that does not decode', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(nostrUtils.parseChannelReference('nevent1qqqqqqqq')).toBeNull();
+
+    jest.restoreAllMocks();
+  });
+});
+
+describe('nostrUtils.getProofOfWork', () => {
+  const secretKey = generateSecretKey();
+  const template = { kind: 42, created_at: 1700000000, tags: [['e', MESSAGE_ID, '', 'root']], content: 'hello' };
+  // Signed event whose id has at least `difficulty` leading zero bits and commits to it. The
+  // pubkey is part of the id, so it has to be set before mining; minePow pushes onto the tags.
+  const mined = (difficulty) => finalizeEvent(
+    nip13.minePow({ ...template, tags: [...template.tags], pubkey: getPublicKey(secretKey) }, difficulty),
+    secretKey
+  );
+
+  it('reports the committed and actual difficulty of a mined event', () => {
+    const event = mined(8);
+    const pow = nostrUtils.getProofOfWork(event);
+
+    expect(pow).toMatchObject({ committed: 8, hasNonce: true, idMatches: true, valid: true });
+    expect(pow.actual).toBe(nip13.getPow(event.id));
+    expect(pow.actual).toBeGreaterThanOrEqual(8);
+  });
+
+  it('gives no credit to an event without a nonce', () => {
+    const pow = nostrUtils.getProofOfWork(finalizeEvent(template, secretKey));
+
+    expect(pow).toMatchObject({ committed: 0, hasNonce: false, valid: false });
+  });
+
+  it('does not trust an id that is not the hash of the event', () => {
+    const event = { ...mined(8), content: 'edited' };
+    const pow = nostrUtils.getProofOfWork(event);
+
+    expect(pow.idMatches).toBe(false);
+    expect(pow.valid).toBe(false);
+  });
+
+  it('is invalid when the id falls short of the committed difficulty', () => {
+    const event = mined(4);
+    const nonce = event.tags.find(tag => tag[0] === 'nonce');
+    nonce[2] = '40';
+    const relabelled = finalizeEvent({ ...template, tags: event.tags }, secretKey);
+
+    expect(nostrUtils.getProofOfWork(relabelled)).toMatchObject({ committed: 40, valid: false });
+  });
+
+  it('only meets difficulties up to the committed target', () => {
+    const event = mined(8);
+
+    expect(nostrUtils.meetsProofOfWork(event, 8)).toBe(true);
+    expect(nostrUtils.meetsProofOfWork(event, 9)).toBe(false);
+    expect(nostrUtils.meetsProofOfWork(finalizeEvent(template, secretKey), 0)).toBe(false);
+  });
+
+  it('is attached to parsed channel messages that carry a nonce', () => {
+    expect(nostrUtils.parseChannelMessage(mined(8)).pow).toMatchObject({ committed: 8, valid: true });
+    expect(nostrUtils.parseChannelMessage(finalizeEvent(template, secretKey)).pow).toBeNull();
+  });
+});
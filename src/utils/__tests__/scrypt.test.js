@@ -0,0 +1,35 @@
+import { scrypt } from '@noble/hashes/scrypt';
+import { scryptAsync } from '../scrypt';
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+describe('scryptAsync', () => {
+  it('matches the RFC 7914 test vectors', async () => {
+    expect(toHex(await scryptAsync('', '', { N: 16, r: 1, p: 1, dkLen: 64 }))).toBe(
+      '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442' +
+      'fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906'
+    );
+    expect(toHex(await scryptAsync('password', 'NaCl', { N: 1024, r: 8, p: 16, dkLen: 64 }))).toBe(
+      'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162' +
+      '2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640'
+    );
+  });
+
+  it('agrees with the synchronous scrypt', async () => {
+    for (const [N, r, p] of [[2, 1, 1], [64, 2, 3], [256, 8, 1]]) {
+      const options = { N, r, p, dkLen: 32 };
+      expect(toHex(await scryptAsync('pass', 'salt', options))).toBe(toHex(scrypt('pass', 'salt', options)));
+    }
+  });
+
+  it('reports progress up to 1', async () => {
+    const progress = [];
+    await scryptAsync('pass', 'salt', { N: 16, r: 1, p: 1, dkLen: 32, onProgress: fraction => progress.push(fraction) });
+
+    expect(progress[progress.length - 1]).toBe(1);
+  });
+
+  it('rejects an N that is not a power of two', async () => {
+    await expect(scryptAsync('pass', 'salt', { N: 100, r: 8, p: 1, dkLen: 32 })).rejects.toThrow('power of two');
+  });
+});
@@ -4,8 +4,25 @@ export const EVENT_KINDS = {
   TEXT_NOTE: 1,
   RECOMMEND_SERVER: 2,
   CONTACTS: 3,
-  ENCRYPTED_DM: 4,
+  ENCRYPTED_DM: 4,         // NIP-04, legacy; still read for old history
   DELETE: 5,
+  REPOST: 6,
+  REACTION: 7,
+  
+  // NIP-17 / NIP-59 Private Direct Messages
+  SEAL: 13,
+  PRIVATE_DIRECT_MESSAGE: 14,
+  GIFT_WRAP: 1059,
+  DM_RELAY_LIST: 10050,
+  
+  // NIP-65 Relay List Metadata
+  RELAY_LIST: 10002,
+  
+  // NIP-42 Relay Authentication
+  CLIENT_AUTH: 22242,
+  
+  // NIP-78 Application-specific Data
+  APP_DATA: 30078,
   
   // NIP-28 Channel Events
   CHANNEL_CREATION: 40,
@@ -19,6 +36,23 @@ export const EVENT_KINDS = {
   BOT_COMMAND: 46,         // bot commands and responses
   CHANNEL_MODE: 47,        // channel modes and settings
   USER_PRESENCE: 48,       // user presence/status updates
+  GROUP_MEMBERSHIP: 49,    // private group member add/remove/join entries
+  
+  // NIP-29 Relay-based Groups
+  GROUP_MESSAGE: 9,
+  GROUP_PUT_USER: 9000,       // add a user, or change their roles
+  GROUP_REMOVE_USER: 9001,
+  GROUP_EDIT_METADATA: 9002,  // name, picture, about and the open/closed, public/private flags
+  GROUP_DELETE_EVENT: 9005,
+  GROUP_CREATE: 9007,
+  GROUP_DELETE: 9008,
+  GROUP_CREATE_INVITE: 9009,
+  GROUP_JOIN_REQUEST: 9021,
+  GROUP_LEAVE_REQUEST: 9022,
+  GROUP_METADATA: 39000,      // 39000-39003 are signed by the relay
+  GROUP_ADMINS: 39001,
+  GROUP_MEMBERS: 39002,
+  GROUP_ROLES: 39003,
 };
 
 // Default Nostr Relays
@@ -49,6 +83,74 @@ export const NIP29_RELAYS = [
   // Add more legitimate NIP-29 relays as they become available
 ];
 
+// Relays that collect NIP-65 relay lists for everyone; asked alongside our own
+// relays when looking up where a user reads and writes
+export const RELAY_LIST_INDEXERS = [
+  'wss://purplepag.es',
+  'wss://user.kindpag.es'
+];
+
+// Relays that answer NIP-50 full-text search; used when a search includes relays
+export const SEARCH_RELAYS = [
+  'wss://relay.nostr.band',
+  'wss://search.nos.today'
+];
+
+// Relay connection states tracked by the RelayManager
+export const RELAY_STATES = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  CLOSED: 'closed',
+  ERROR: 'error'
+};
+
+// Per-relay outcome of publishing an event (NIP-20 OK responses)
+export const PUBLISH_STATUS = {
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  TIMEOUT: 'timeout'
+};
+
+// Delivery state shown next to outgoing messages
+export const DELIVERY_STATES = {
+  PENDING: 'pending',
+  QUEUED: 'queued', // Held in the offline outbox until a relay is reachable
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+// Encryption scheme a private message was sent with
+export const DM_PROTOCOLS = {
+  NIP17: 'nip17', // NIP-44 encrypted, NIP-59 gift wrapped kind 14
+  NIP04: 'nip04'  // Legacy kind 4
+};
+
+// Private group membership entries (EVENT_KINDS.GROUP_MEMBERSHIP)
+export const GROUP_MEMBERSHIP_ACTIONS = {
+  ADD: 'add',       // An admin adds (invites) someone, with a role
+  REMOVE: 'remove', // An admin removes someone, or a member leaves
+  JOIN: 'join'      // Someone who was added accepts
+};
+
+export const GROUP_ROLES = {
+  ADMIN: 'admin',
+  MEMBER: 'member'
+};
+
+// Whether we answer a relay's NIP-42 AUTH challenge
+export const RELAY_AUTH_POLICIES = {
+  ALWAYS: 'always',
+  ASK: 'ask',     // Prompt the first time the relay refuses us without auth
+  NEVER: 'never'
+};
+
+// Where events get signed
+export const SIGNER_TYPES = {
+  LOCAL: 'local', // Key held by the app (see KeystoreService)
+  NIP07: 'nip07', // Browser extension (window.nostr)
+  NIP46: 'nip46'  // Remote signer ("bunker")
+};
+
 // IRC Commands
 export const IRC_COMMANDS = {
   // Channel Commands
@@ -62,20 +164,33 @@ export const IRC_COMMANDS = {
   MSG: '/msg',
   WHOIS: '/whois',
   USERS: '/users',
+  ME: '/me',
   
   // Moderation Commands
   KICK: '/kick',
   UNKICK: '/unkick',
   BAN: '/ban',
+  UNBAN: '/unban',
+  BANLIST: '/banlist',
   MUTE: '/mute',
   UNMUTE: '/unmute',
   OP: '/op',
   DEOP: '/deop',
+  MODE: '/mode',
+  
+  // NIP-29 Group Administration
+  ADDUSER: '/adduser',
+  REMOVEUSER: '/removeuser',
+  META: '/meta',
+  INVITE: '/invite',
+  DELETE: '/delete',
+  DELGROUP: '/delgroup',
   
   // Utility Commands
   HELP: '/help',
   QUIT: '/quit',
-  CLEAR: '/clear'
+  CLEAR: '/clear',
+  LOG: '/log'
 };
 
 // Bot Commands
@@ -102,6 +217,17 @@ export const CHANNEL_MODES = {
   PRIVATE: 'p'         // Private channel
 };
 
+// NIP-29 group flags (kind 39000, set with 9002 edit-metadata) for the channel modes they match
+export const NIP29_MODE_FLAGS = {
+  [CHANNEL_MODES.INVITE_ONLY]: { on: 'closed', off: 'open' },
+  [CHANNEL_MODES.MODERATED]: { on: 'restricted', off: 'unrestricted' },
+  [CHANNEL_MODES.SECRET]: { on: 'hidden', off: 'visible' },
+  [CHANNEL_MODES.PRIVATE]: { on: 'private', off: 'public' }
+};
+
+// Role /op gives in NIP-29 groups when the relay's kind 39003 doesn't list one to pick
+export const NIP29_ADMIN_ROLE = 'admin';
+
 // User Modes
 export const USER_MODES = {
   OPERATOR: 'o',       // Channel operator
@@ -199,16 +325,32 @@ export const REGEX = {
   DICE_ROLL: /^(\d+)?d(\d+)(?:\+(\d+))?$/i
 };
 
-// Storage Keys
+// Storage Keys. Most belong to one account and are stored per pubkey (see AccountService);
+// PUBLIC_KEY is the active account, ACCOUNTS, THEME, SETTINGS and POW_DIFFICULTIES are device wide.
 export const STORAGE_KEYS = {
   PRIVATE_KEY: 'nostr_private_key',
+  ENCRYPTED_PRIVATE_KEY: 'nostr_encrypted_private_key', // NIP-49 ncryptsec
   PUBLIC_KEY: 'nostr_public_key',
+  ACCOUNTS: 'nostr_accounts',
   RELAYS: 'nostr_relays',
+  RELAY_LIST: 'nostr_relay_list', // NIP-65 read/write relays
+  NIP29_RELAYS: 'nip29_relays',
+  JOINED_NIP29_GROUPS: 'joined_nip29_groups',
   PROFILE: 'user_profile',
+  LIKED_POSTS: 'user_liked_posts',
+  REPOSTED_POSTS: 'user_reposted_posts',
   CHANNELS: 'user_channels',
   THEME: 'app_theme',
   SETTINGS: 'app_settings',
-  DM_LAST_READ_TIMESTAMPS: 'dm_last_read_timestamps'
+  DM_LAST_READ_TIMESTAMPS: 'dm_last_read_timestamps',
+  OUTBOX: 'nostr_outbox',
+  POW_DIFFICULTIES: 'pow_relay_difficulties',
+  RELAY_AUTH_POLICIES: 'relay_auth_policies',
+  SIGNER: 'nostr_signer',
+  BOT_SETTINGS: 'bot_channel_settings',
+  SEARCH_INDEX: 'search_index', // Local only; holds decrypted DMs
+  GROUP_SECURITY_LOG: 'group_security_log', // Rejected encrypted group key shares
+  GROUP_PLAINTEXTS: 'group_plaintexts' // No longer written; removed at startup (see SenderKeyService)
 };
 
 // Error Messages
@@ -220,7 +362,12 @@ export const ERROR_MESSAGES = {
   INVALID_COMMAND: 'Invalid command. Type /help for available commands.',
   BOT_COMMAND_FAILED: 'Bot command failed to execute.',
   MESSAGE_SEND_FAILED: 'Failed to send message.',
-  CHANNEL_JOIN_FAILED: 'Failed to join channel.'
+  CHANNEL_JOIN_FAILED: 'Failed to join channel.',
+  POW_CANCELLED: 'Proof of work was cancelled.',
+  POW_TIMEOUT: 'Proof of work did not finish in time.',
+  POW_TOO_LOW: 'The relays ask for more proof of work than this message carries.',
+  SIGNER_UNAVAILABLE: 'Signer is not available. Check your extension or remote signer in Settings.',
+  RELAY_AUTH_REQUIRED: 'The relay requires you to authenticate (NIP-42) before it accepts this. Allow authentication for it in Settings.'
 };
 
 // Success Messages
@@ -238,15 +385,31 @@ export const DEFAULT_SETTINGS = {
   theme: 'dark',
   notifications: true,
   soundEnabled: true,
-  relays: DEFAULT_RELAYS
+  relays: DEFAULT_RELAYS,
+  publishQuorum: 1, // Relays that must accept an event before it counts as sent
+  autoLockMinutes: 15, // Lock a passphrase-protected key after this much inactivity (0 = never)
+  relayAuthPolicy: RELAY_AUTH_POLICIES.ASK, // For relays without a policy of their own
+  groupKeyHistory: 0 // Past encrypted group key versions kept for scrollback (0 = all)
 };
 
 export default {
   EVENT_KINDS,
   DEFAULT_RELAYS,
+  RELAY_LIST_INDEXERS,
+  SEARCH_RELAYS,
+  RELAY_STATES,
+  PUBLISH_STATUS,
+  DELIVERY_STATES,
+  DM_PROTOCOLS,
+  GROUP_MEMBERSHIP_ACTIONS,
+  GROUP_ROLES,
+  SIGNER_TYPES,
+  RELAY_AUTH_POLICIES,
   IRC_COMMANDS,
   BOT_COMMANDS,
   CHANNEL_MODES,
+  NIP29_MODE_FLAGS,
+  NIP29_ADMIN_ROLE,
   USER_MODES,
   THEMES,
   MESSAGE_TYPES,
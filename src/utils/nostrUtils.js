@@ -1,5 +1,5 @@
-import { generateSecretKey, getPublicKey, finalizeEvent, verifyEvent as verifyNostrEvent, nip19 } from 'nostr-tools';
-import { EVENT_KINDS, DEFAULT_RELAYS } from './constants';
+import { generateSecretKey, getPublicKey, finalizeEvent, verifyEvent as verifyNostrEvent, getEventHash, nip13, nip19 } from 'nostr-tools';
+import { EVENT_KINDS, DEFAULT_RELAYS, CHANNEL_MODES, USER_MODES, NIP29_MODE_FLAGS } from './constants';
 
 export class NostrUtils {
   constructor() {
@@ -57,6 +57,37 @@ export class NostrUtils {
     }
   }
 
+  // NIP-13: difficulty the nonce tag commits to versus the difficulty the event id really has.
+  // The id is recomputed rather than trusted, so a forged id can't claim work it didn't do.
+  getProofOfWork(event) {
+    const nonceTag = (event.tags || []).find(tag => tag[0] === 'nonce');
+    const committed = nonceTag?.[2] ? parseInt(nonceTag[2], 10) || 0 : 0;
+    
+    let hash = null;
+    try {
+      hash = getEventHash(event);
+    } catch (error) {
+      console.error('Error hashing event for proof of work:', error);
+    }
+    
+    const actual = hash ? nip13.getPow(hash) : 0;
+    const idMatches = !!hash && hash === event.id;
+    
+    return {
+      committed,
+      actual,
+      hasNonce: !!nonceTag,
+      idMatches,
+      // Work counts only up to what was committed, so lucky low-target events don't pass higher bars
+      valid: !!nonceTag && idMatches && actual >= committed
+    };
+  }
+
+  meetsProofOfWork(event, minimumDifficulty) {
+    const pow = this.getProofOfWork(event);
+    return pow.valid && Math.min(pow.committed, pow.actual) >= minimumDifficulty;
+  }
+
   createChannelEvent(name, about, picture = '') {
     const content = JSON.stringify({
       name,
@@ -115,7 +146,9 @@ export class NostrUtils {
     }
   }
 
-  createModerationEvent(channelId, action, targetPubkey, reason = '') {
+  // expiresAt (unix seconds) makes a ban or mute timed: NIP-40 lets relays drop the event
+  // once it runs out, and clients treat it as lifted from then on
+  createModerationEvent(channelId, action, targetPubkey, reason = '', expiresAt = null) {
     const content = JSON.stringify({
       action, // 'kick', 'ban', 'unban', 'op', 'deop', 'mute', 'unmute'
       target: targetPubkey,
@@ -124,12 +157,215 @@ export class NostrUtils {
     
     const tags = [
       ['e', channelId, '', 'root'],
-      ['p', targetPubkey]
+      ['p', targetPubkey],
+      ...this.createExpirationTags(expiresAt)
     ];
     
     return this.createEvent(EVENT_KINDS.CHANNEL_MODERATION, content, tags);
   }
 
+  createExpirationTags(expiresAt) {
+    return expiresAt ? [['expiration', String(expiresAt)]] : [];
+  }
+
+  // NIP-40 expiration of an event in unix seconds, or null when it doesn't expire
+  getExpiration(event) {
+    const tag = (event.tags || []).find(tag => tag[0] === 'expiration');
+    const expiresAt = tag ? parseInt(tag[1], 10) : NaN;
+    return Number.isFinite(expiresAt) ? expiresAt : null;
+  }
+
+  // '30m', '2h', '7d' -> seconds; null for anything else
+  parseDuration(text) {
+    const match = /^(\d+)([smhdw])$/i.exec((text || '').trim());
+    if (!match) return null;
+    
+    const units = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+    const seconds = parseInt(match[1], 10) * units[match[2].toLowerCase()];
+    return seconds > 0 ? seconds : null;
+  }
+
+  // 5400 -> '1h 30m'; the two largest units are enough to read
+  formatDuration(seconds) {
+    const units = [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    const parts = [];
+    let remaining = Math.max(0, Math.round(seconds));
+    
+    for (const [unit, size] of units) {
+      if (remaining >= size && parts.length < 2) {
+        parts.push(`${Math.floor(remaining / size)}${unit}`);
+        remaining %= size;
+      }
+    }
+    
+    return parts.length > 0 ? parts.join(' ') : '0s';
+  }
+
+  // '2024-05-01' (that day), '2024-05' (that month) or a duration back from now such as '7d'
+  // -> { start, end, relative } in unix seconds, end exclusive; null when it isn't a date
+  parseDateRange(text) {
+    const value = (text || '').trim();
+    const now = Math.floor(Date.now() / 1000);
+    
+    const duration = this.parseDuration(value);
+    if (duration) {
+      return { start: now - duration, end: now, relative: true };
+    }
+    
+    const match = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/.exec(value);
+    if (!match) return null;
+    
+    const [year, month, day] = [Number(match[1]), Number(match[2]) - 1, match[3] ? Number(match[3]) : null];
+    const start = new Date(year, month, day || 1);
+    const end = day ? new Date(year, month, day + 1) : new Date(year, month + 1, 1);
+    if (isNaN(start.getTime())) return null;
+    
+    return {
+      start: Math.floor(start.getTime() / 1000),
+      end: Math.floor(end.getTime() / 1000),
+      relative: false
+    };
+  }
+
+  // /ban, /kick and /mute arguments: <user> [duration] [reason...]
+  parseModerationArgs(args) {
+    const [target, maybeDuration, ...rest] = args;
+    const duration = this.parseDuration(maybeDuration);
+    const reasonParts = duration ? rest : [maybeDuration, ...rest].filter(part => part !== undefined);
+    
+    return { target, duration, reason: reasonParts.join(' ') };
+  }
+
+  // NIP-28 kind 43. The hidden message comes first (that's the tag NIP-28 clients read); the
+  // channel root tag lets the channel's clients find its operators' hides.
+  createHideMessageEvent(channelId, messageId, reason = '') {
+    const tags = [
+      ['e', messageId],
+      ['e', channelId, '', 'root']
+    ];
+    
+    return this.createEvent(EVENT_KINDS.CHANNEL_HIDE_MESSAGE, JSON.stringify({ reason }), tags);
+  }
+
+  // NIP-28 kind 44, scoped to a channel the same way as kind 43; may be timed like kind 45
+  createMuteUserEvent(channelId, targetPubkey, reason = '', expiresAt = null) {
+    const tags = [
+      ['p', targetPubkey],
+      ['e', channelId, '', 'root'],
+      ...this.createExpirationTags(expiresAt)
+    ];
+    
+    return this.createEvent(EVENT_KINDS.CHANNEL_MUTE_USER, JSON.stringify({ reason }), tags);
+  }
+
+  // { messageId } for kind 43, { target } for kind 44, plus the reason if there is one
+  parseHideOrMuteEvent(event) {
+    let reason = '';
+    try {
+      reason = JSON.parse(event.content || '{}').reason || '';
+    } catch (error) {
+      reason = event.content || '';
+    }
+    
+    const channelId = this.getChannelIdFromTags(event.tags);
+    const base = {
+      id: event.id,
+      channelId,
+      moderator: event.pubkey,
+      reason,
+      timestamp: event.created_at,
+      expiresAt: this.getExpiration(event)
+    };
+    
+    if (event.kind === EVENT_KINDS.CHANNEL_HIDE_MESSAGE) {
+      const messageTag = event.tags.find(tag => tag[0] === 'e' && tag[1] !== channelId);
+      return messageTag ? { ...base, action: 'hide', messageId: messageTag[1] } : null;
+    }
+    
+    const targetTag = event.tags.find(tag => tag[0] === 'p');
+    return targetTag ? { ...base, action: 'mute', target: targetTag[1] } : null;
+  }
+
+  // changes: [{ mode: 'm', enabled: true }, ...]; one 'mode' tag per change, e.g. ['mode', '+m']
+  createChannelModeEvent(channelId, changes) {
+    const tags = [
+      ['e', channelId, '', 'root'],
+      ...changes.map(change => ['mode', `${change.enabled ? '+' : '-'}${change.mode}`])
+    ];
+    
+    return this.createEvent(EVENT_KINDS.CHANNEL_MODE, this.formatModeChanges(changes), tags);
+  }
+
+  // Channel mode changes carried by a kind 47 event; unknown modes are skipped
+  getModeChanges(event) {
+    const channelModes = Object.values(CHANNEL_MODES);
+    
+    return (event.tags || [])
+      .filter(tag => tag[0] === 'mode' && /^[+-][a-z]$/.test(tag[1] || ''))
+      .map(tag => ({ mode: tag[1][1], enabled: tag[1][0] === '+' }))
+      .filter(change => channelModes.includes(change.mode));
+  }
+
+  // Channel mode changes carried by the flag tags of a NIP-29 edit-metadata (9002)
+  getGroupModeChanges(tags = []) {
+    const flags = tags.map(tag => tag[0]);
+    
+    return Object.entries(NIP29_MODE_FLAGS)
+      .filter(([, flag]) => flags.includes(flag.on) || flags.includes(flag.off))
+      .map(([mode, flag]) => ({ mode, enabled: flags.includes(flag.on) }));
+  }
+
+  // [{ mode: 'm', enabled: true }, { mode: 't', enabled: false }] -> '+m-t'
+  formatModeChanges(changes) {
+    let result = '';
+    let sign = null;
+    
+    changes.forEach(change => {
+      const nextSign = change.enabled ? '+' : '-';
+      if (nextSign !== sign) {
+        result += nextSign;
+        sign = nextSign;
+      }
+      result += change.mode;
+    });
+    
+    return result;
+  }
+
+  // IRC mode arguments, e.g. ['+mt-i'] or ['+o-v', '<pubkey>', '<pubkey>']. Operator, voice and
+  // ban take the next argument as their target; everything else is a channel mode.
+  parseModeChanges(args) {
+    const [modeString = '', ...params] = args;
+    const userModes = [USER_MODES.OPERATOR, USER_MODES.VOICE, USER_MODES.BANNED];
+    const channelModes = Object.values(CHANNEL_MODES);
+    const result = { channelModes: [], userModes: [], invalid: [] };
+    
+    if (!/^[+-]/.test(modeString)) {
+      result.invalid.push(modeString);
+      return result;
+    }
+    
+    let enabled = true;
+    for (const char of modeString) {
+      if (char === '+' || char === '-') {
+        enabled = char === '+';
+      } else if (userModes.includes(char)) {
+        const target = params.shift();
+        if (target) {
+          result.userModes.push({ mode: char, enabled, target });
+        } else {
+          result.invalid.push(`${enabled ? '+' : '-'}${char}`);
+        }
+      } else if (channelModes.includes(char)) {
+        result.channelModes.push({ mode: char, enabled });
+      } else {
+        result.invalid.push(`${enabled ? '+' : '-'}${char}`);
+      }
+    }
+    
+    return result;
+  }
+
   createBotCommandEvent(channelId, command, args = []) {
     const content = JSON.stringify({
       command,
@@ -196,9 +432,11 @@ export class NostrUtils {
     }
   }
 
+  // pow is the NIP-13 report (see getProofOfWork) for messages that carry a nonce, else null
   parseChannelMessage(event) {
     const channelId = this.getChannelIdFromTags(event.tags);
     const replyTo = this.getReplyToFromTags(event.tags);
+    const hasNonce = (event.tags || []).some(tag => tag[0] === 'nonce');
     
     return {
       id: event.id,
@@ -207,10 +445,88 @@ export class NostrUtils {
       channelId,
       timestamp: event.created_at,
       replyTo,
-      tags: event.tags
+      tags: event.tags,
+      pow: hasNonce ? this.getProofOfWork(event) : null
+    };
+  }
+
+  // NIP-25 reaction to a channel (groupId null) or NIP-29 group message. The reacted-to message
+  // is the last 'e' tag; emoji { shortcode, url } makes it a NIP-30 custom emoji reaction.
+  createReactionEvent(channelId, message, content, { groupId = null, emoji = null } = {}) {
+    const tags = groupId
+      ? [['h', groupId]]
+      : [['e', channelId, '', 'root']];
+
+    tags.push(
+      ['e', message.id],
+      ['p', message.author],
+      ['k', String(groupId ? 9 : EVENT_KINDS.CHANNEL_MESSAGE)]
+    );
+
+    if (emoji) {
+      tags.push(['emoji', emoji.shortcode, emoji.url]);
+    }
+
+    return this.createEvent(EVENT_KINDS.REACTION, emoji ? `:${emoji.shortcode}:` : content, tags);
+  }
+
+  // Kind 5 withdrawing our own reactions. Never tag the channel here: a deletion naming the
+  // channel's creation event would ask relays to delete the channel.
+  createReactionDeletionEvent(reactionIds, groupId = null) {
+    const tags = [
+      ...reactionIds.map(id => ['e', id]),
+      ['k', String(EVENT_KINDS.REACTION)]
+    ];
+
+    if (groupId) {
+      tags.push(['h', groupId]);
+    }
+
+    return this.createEvent(EVENT_KINDS.DELETE, '', tags);
+  }
+
+  // { id, messageId, author, key, content, emoji, timestamp } or null if it names no message.
+  // payload overrides target/content/emoji for reactions that arrived encrypted.
+  parseReactionEvent(event, payload = null) {
+    let target = payload?.target;
+    if (!target) {
+      const eTags = event.tags.filter(tag => tag[0] === 'e' && tag[3] !== 'root');
+      target = eTags[eTags.length - 1]?.[1];
+    }
+    if (!target) {
+      return null;
+    }
+
+    const content = payload ? payload.content : event.content;
+    let emoji = payload ? payload.emoji : null;
+
+    // ':shortcode:' only renders as an image when a matching 'emoji' tag says where it is
+    const shortcode = content?.match(/^:([a-zA-Z0-9_-]+):$/)?.[1];
+    if (!emoji && shortcode) {
+      const emojiTag = event.tags.find(tag => tag[0] === 'emoji' && tag[1] === shortcode && tag[2]);
+      emoji = emojiTag ? { shortcode, url: emojiTag[2] } : null;
+    }
+
+    return {
+      id: event.id,
+      messageId: target,
+      author: event.pubkey,
+      ...this.normalizeReaction(content, emoji),
+      timestamp: event.created_at
     };
   }
 
+  // '+' and '' are likes, '-' a dislike (NIP-25); custom emoji are keyed by shortcode
+  normalizeReaction(content, emoji = null) {
+    if (emoji) {
+      return { key: `:${emoji.shortcode}:`, content: `:${emoji.shortcode}:`, emoji };
+    }
+
+    const text = (content || '').trim();
+    const shown = text === '' || text === '+' ? '👍' : text === '-' ? '👎' : text;
+    return { key: shown, content: shown, emoji: null };
+  }
+
   parseModerationEvent(event) {
     try {
       const content = JSON.parse(event.content);
@@ -223,7 +539,8 @@ export class NostrUtils {
         target: content.target,
         reason: content.reason,
         moderator: event.pubkey,
-        timestamp: event.created_at
+        timestamp: event.created_at,
+        expiresAt: this.getExpiration(event)
       };
     } catch (error) {
       console.error('Error parsing moderation event:', error);
@@ -231,6 +548,82 @@ export class NostrUtils {
     }
   }
 
+  // NIP-29 moderation event (9000-9009), 'h'-tagged with the group; the relay checks the
+  // author's roles, applies it and republishes its 39000-39003 state events
+  createGroupAdminEvent(kind, groupId, tags = [], content = '') {
+    return this.createEvent(kind, content, [['h', groupId], ...tags]);
+  }
+
+  // Kind 9000: adds the user, or replaces their roles (none makes them a plain member)
+  createGroupPutUserEvent(groupId, pubkey, roles = [], reason = '') {
+    return this.createGroupAdminEvent(EVENT_KINDS.GROUP_PUT_USER, groupId, [['p', pubkey, ...roles]], reason);
+  }
+
+  createGroupRemoveUserEvent(groupId, pubkey, reason = '') {
+    return this.createGroupAdminEvent(EVENT_KINDS.GROUP_REMOVE_USER, groupId, [['p', pubkey]], reason);
+  }
+
+  // Kind 9002 with only the fields being changed: { name, picture, about } are strings,
+  // open and public booleans (open/closed and public/private flags); flags are more flag tags
+  createGroupMetadataEvent(groupId, { name, picture, about, open, public: isPublic, flags = [] } = {}) {
+    const tags = [];
+    if (name !== undefined) tags.push(['name', name]);
+    if (picture !== undefined) tags.push(['picture', picture]);
+    if (about !== undefined) tags.push(['about', about]);
+    if (open !== undefined) tags.push([open ? 'open' : 'closed']);
+    if (isPublic !== undefined) tags.push([isPublic ? 'public' : 'private']);
+    flags.forEach(flag => tags.push([flag]));
+    
+    return this.createGroupAdminEvent(EVENT_KINDS.GROUP_EDIT_METADATA, groupId, tags);
+  }
+
+  createGroupDeleteEventEvent(groupId, eventId, reason = '') {
+    return this.createGroupAdminEvent(EVENT_KINDS.GROUP_DELETE_EVENT, groupId, [['e', eventId]], reason);
+  }
+
+  // Kind 9009: a code anyone can put in their join request (9021) to be let in
+  createGroupInviteEvent(groupId, code) {
+    return this.createGroupAdminEvent(EVENT_KINDS.GROUP_CREATE_INVITE, groupId, [['code', code]]);
+  }
+
+  createGroupDeletionEvent(groupId, reason = '') {
+    return this.createGroupAdminEvent(EVENT_KINDS.GROUP_DELETE, groupId, [], reason);
+  }
+
+  // A NIP-29 moderation event in the shape parseModerationEvent gives NIP-28 ones, with
+  // action one of 'put-user', 'remove-user', 'edit-metadata', 'delete-event',
+  // 'delete-group', 'create-invite'. target is the user (or for delete-event, the event);
+  // roles come with put-user, changes (the edited tags) with edit-metadata.
+  parseGroupModerationEvent(event) {
+    const actions = {
+      [EVENT_KINDS.GROUP_PUT_USER]: 'put-user',
+      [EVENT_KINDS.GROUP_REMOVE_USER]: 'remove-user',
+      [EVENT_KINDS.GROUP_EDIT_METADATA]: 'edit-metadata',
+      [EVENT_KINDS.GROUP_DELETE_EVENT]: 'delete-event',
+      [EVENT_KINDS.GROUP_DELETE]: 'delete-group',
+      [EVENT_KINDS.GROUP_CREATE_INVITE]: 'create-invite'
+    };
+    const action = actions[event.kind];
+    if (!action) {
+      return null;
+    }
+    
+    const userTag = event.tags.find(tag => tag[0] === 'p');
+    const eventTag = event.tags.find(tag => tag[0] === 'e');
+    return {
+      id: event.id,
+      channelId: event.tags.find(tag => tag[0] === 'h')?.[1] || null,
+      action,
+      target: action === 'delete-event' ? eventTag?.[1] || null : userTag?.[1] || null,
+      roles: userTag ? userTag.slice(2).filter(Boolean) : [],
+      changes: action === 'edit-metadata' ? event.tags.filter(tag => tag[0] !== 'h') : [],
+      reason: event.content || '',
+      moderator: event.pubkey,
+      timestamp: event.created_at,
+      expiresAt: null
+    };
+  }
+
   parseBotCommand(event) {
     try {
       const content = JSON.parse(event.content);
@@ -250,10 +643,10 @@ export class NostrUtils {
     }
   }
 
+  // The marked root wins over an unmarked 'e' tag (kind 43 lists the hidden message first)
   getChannelIdFromTags(tags) {
-    const rootTag = tags.find(tag => 
-      tag[0] === 'e' && (tag[3] === 'root' || tag.length === 2)
-    );
+    const rootTag = tags.find(tag => tag[0] === 'e' && tag[3] === 'root') ||
+      tags.find(tag => tag[0] === 'e' && tag.length === 2);
     return rootTag ? rootTag[1] : null;
   }
 
@@ -307,8 +700,12 @@ export class NostrUtils {
       kinds: [
         EVENT_KINDS.CHANNEL_MESSAGE,
         EVENT_KINDS.CHANNEL_METADATA,
+        EVENT_KINDS.CHANNEL_HIDE_MESSAGE,
+        EVENT_KINDS.CHANNEL_MUTE_USER,
         EVENT_KINDS.CHANNEL_MODERATION,
-        EVENT_KINDS.BOT_COMMAND
+        EVENT_KINDS.CHANNEL_MODE,
+        EVENT_KINDS.BOT_COMMAND,
+        EVENT_KINDS.REACTION
       ],
       '#e': [channelId],
       since: since || Math.floor(Date.now() / 1000) - (24 * 60 * 60) // Last 24 hours
@@ -483,6 +880,50 @@ export class NostrUtils {
     }
   }
 
+  // What /join was given: { type: 'channel', id, relays } for a kind 40 id or nevent,
+  // { type: 'group', groupId, relays } for a NIP-29 naddr, { type: 'name', name } otherwise
+  parseChannelReference(input) {
+    const value = (input || '').trim().replace(/^nostr:/i, '');
+    if (!value) return null;
+    
+    if (this.isValidPubkey(value)) {
+      return { type: 'channel', id: value.toLowerCase(), relays: [] };
+    }
+    
+    if (/^(nevent|note|naddr)1[a-z\d]+$/i.test(value)) {
+      try {
+        const decoded = nip19.decode(value.toLowerCase());
+        if (decoded.type === 'note') {
+          return { type: 'channel', id: decoded.data, relays: [] };
+        }
+        if (decoded.type === 'nevent') {
+          return { type: 'channel', id: decoded.data.id, relays: decoded.data.relays || [] };
+        }
+        if (decoded.type === 'naddr') {
+          return { type: 'group', groupId: decoded.data.identifier, relays: decoded.data.relays || [] };
+        }
+      } catch (error) {
+        console.warn('Invalid channel reference:', error.message);
+        return null;
+      }
+    }
+    
+    const name = value.replace(/^#/, '');
+    return name ? { type: 'name', name } : null;
+  }
+
+  // naddr of a NIP-29 group: its kind 39000 address under the relay's key, which /join and
+  // parseChannelReference read back. null without the relay's key.
+  encodeGroupAddress(groupId, relayPubkey, relays = []) {
+    if (!relayPubkey) return null;
+    try {
+      return nip19.naddrEncode({ kind: EVENT_KINDS.GROUP_METADATA, pubkey: relayPubkey, identifier: groupId, relays });
+    } catch (error) {
+      console.warn('Could not encode group address:', error.message);
+      return null;
+    }
+  }
+
   pubkeyToNpub(pubkey) {
     try {
       return nip19.npubEncode(pubkey);
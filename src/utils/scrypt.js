@@ -0,0 +1,135 @@
+import { pbkdf2 } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+
+// scrypt (RFC 7914) that hands the JS thread back every few milliseconds. @noble/hashes has
+// a scryptAsync too, but it only awaits a microtask between chunks, which never lets React
+// Native render; this one waits on a timer instead.
+
+const SCRYPT_CONFIG = {
+  TICK: 10,             // Longest stretch (ms) of work between yields
+  CHECK_INTERVAL: 64,   // ROMix iterations between clock checks
+};
+
+const rotl = (a, b) => (a << b) | (a >>> (32 - b));
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Scratch words for xorSalsa, reused so the inner loop doesn't allocate
+const TEMP = new Uint32Array(16);
+
+// out = Salsa20/8(prev ^ input), over 16 words at the given offsets
+const xorSalsa = (prev, pi, input, ii, out, oi) => {
+  const y = TEMP;
+  for (let i = 0; i < 16; i++) {
+    y[i] = prev[pi + i] ^ input[ii + i];
+  }
+
+  let x0 = y[0], x1 = y[1], x2 = y[2], x3 = y[3], x4 = y[4], x5 = y[5], x6 = y[6], x7 = y[7];
+  let x8 = y[8], x9 = y[9], x10 = y[10], x11 = y[11], x12 = y[12], x13 = y[13], x14 = y[14], x15 = y[15];
+  for (let round = 0; round < 8; round += 2) {
+    // Columns
+    x4 ^= rotl(x0 + x12 | 0, 7); x8 ^= rotl(x4 + x0 | 0, 9);
+    x12 ^= rotl(x8 + x4 | 0, 13); x0 ^= rotl(x12 + x8 | 0, 18);
+    x9 ^= rotl(x5 + x1 | 0, 7); x13 ^= rotl(x9 + x5 | 0, 9);
+    x1 ^= rotl(x13 + x9 | 0, 13); x5 ^= rotl(x1 + x13 | 0, 18);
+    x14 ^= rotl(x10 + x6 | 0, 7); x2 ^= rotl(x14 + x10 | 0, 9);
+    x6 ^= rotl(x2 + x14 | 0, 13); x10 ^= rotl(x6 + x2 | 0, 18);
+    x3 ^= rotl(x15 + x11 | 0, 7); x7 ^= rotl(x3 + x15 | 0, 9);
+    x11 ^= rotl(x7 + x3 | 0, 13); x15 ^= rotl(x11 + x7 | 0, 18);
+    // Rows
+    x1 ^= rotl(x0 + x3 | 0, 7); x2 ^= rotl(x1 + x0 | 0, 9);
+    x3 ^= rotl(x2 + x1 | 0, 13); x0 ^= rotl(x3 + x2 | 0, 18);
+    x6 ^= rotl(x5 + x4 | 0, 7); x7 ^= rotl(x6 + x5 | 0, 9);
+    x4 ^= rotl(x7 + x6 | 0, 13); x5 ^= rotl(x4 + x7 | 0, 18);
+    x11 ^= rotl(x10 + x9 | 0, 7); x8 ^= rotl(x11 + x10 | 0, 9);
+    x9 ^= rotl(x8 + x11 | 0, 13); x10 ^= rotl(x9 + x8 | 0, 18);
+    x12 ^= rotl(x15 + x14 | 0, 7); x13 ^= rotl(x12 + x15 | 0, 9);
+    x14 ^= rotl(x13 + x12 | 0, 13); x15 ^= rotl(x14 + x13 | 0, 18);
+  }
+
+  out[oi] = y[0] + x0; out[oi + 1] = y[1] + x1; out[oi + 2] = y[2] + x2; out[oi + 3] = y[3] + x3;
+  out[oi + 4] = y[4] + x4; out[oi + 5] = y[5] + x5; out[oi + 6] = y[6] + x6; out[oi + 7] = y[7] + x7;
+  out[oi + 8] = y[8] + x8; out[oi + 9] = y[9] + x9; out[oi + 10] = y[10] + x10; out[oi + 11] = y[11] + x11;
+  out[oi + 12] = y[12] + x12; out[oi + 13] = y[13] + x13; out[oi + 14] = y[14] + x14; out[oi + 15] = y[15] + x15;
+};
+
+// BlockMix with Salsa20/8: out gets the even 64-byte blocks first, then the odd ones
+const blockMix = (input, ii, out, oi, r) => {
+  let prevArray = input;
+  let prev = ii + (2 * r - 1) * 16;
+  for (let i = 0; i < 2 * r; i++) {
+    const target = oi + (i % 2 === 0 ? i / 2 : r + (i - 1) / 2) * 16;
+    xorSalsa(prevArray, prev, input, ii + i * 16, out, target);
+    prevArray = out;
+    prev = target;
+  }
+};
+
+// Little endian words of a byte array, and back
+const toWords = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const words = new Uint32Array(bytes.length / 4);
+  for (let i = 0; i < words.length; i++) {
+    words[i] = view.getUint32(i * 4, true);
+  }
+  return words;
+};
+
+const toBytes = (words) => {
+  const bytes = new Uint8Array(words.length * 4);
+  const view = new DataView(bytes.buffer);
+  words.forEach((word, i) => view.setUint32(i * 4, word, true));
+  return bytes;
+};
+
+// Resolves with dkLen derived bytes. options: { N, r, p, dkLen, onProgress } where N is a
+// power of two and onProgress receives the fraction done, 0 to 1.
+export const scryptAsync = async (password, salt, { N, r, p, dkLen, onProgress = null }) => {
+  if (N < 2 || (N & (N - 1)) !== 0) {
+    throw new Error('scrypt N must be a power of two above 1');
+  }
+
+  const blockWords = 32 * r;
+  const B = toWords(pbkdf2(sha256, password, salt, { c: 1, dkLen: p * 128 * r }));
+  const V = new Uint32Array(N * blockWords);
+  const X = new Uint32Array(blockWords);
+  const total = 2 * N * p;
+  let done = 0;
+  let sliceStart = Date.now();
+
+  // True once the current stretch of work has run its time; the caller then yields
+  const sliceUsedUp = () => {
+    done++;
+    return done % SCRYPT_CONFIG.CHECK_INTERVAL === 0 && Date.now() - sliceStart >= SCRYPT_CONFIG.TICK;
+  };
+  const pause = async () => {
+    onProgress?.(done / total);
+    await yieldToEventLoop();
+    sliceStart = Date.now();
+  };
+
+  for (let block = 0; block < p; block++) {
+    const offset = block * blockWords;
+
+    // ROMix: fill V with the BlockMix chain, then walk it in the order the data dictates
+    V.set(B.subarray(offset, offset + blockWords), 0);
+    for (let i = 0; i < N - 1; i++) {
+      blockMix(V, i * blockWords, V, (i + 1) * blockWords, r);
+      if (sliceUsedUp()) await pause();
+    }
+    blockMix(V, (N - 1) * blockWords, B, offset, r);
+    if (sliceUsedUp()) await pause();
+
+    for (let i = 0; i < N; i++) {
+      const j = B[offset + blockWords - 16] % N;
+      for (let k = 0; k < blockWords; k++) {
+        X[k] = B[offset + k] ^ V[j * blockWords + k];
+      }
+      blockMix(X, 0, B, offset, r);
+      if (sliceUsedUp()) await pause();
+    }
+  }
+
+  onProgress?.(1);
+  return pbkdf2(sha256, password, toBytes(B), { c: 1, dkLen });
+};